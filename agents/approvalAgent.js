@@ -2,6 +2,8 @@
 const { appendToLedger } = require('../blockchain/ledger');
 const { sha256 } = require('../utils/hash');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
+const { updateLoanStatusOnBlockchain } = require('../blockchain/web3Client');
+const { reasonCode, combineReasonCodes } = require('../utils/reasonCodes');
 
 async function executeApproval(sessionId, kycStatus, creditCheck, finalOffer) {
     // Rule Enforcement
@@ -11,18 +13,23 @@ async function executeApproval(sessionId, kycStatus, creditCheck, finalOffer) {
                  : null;
 
     const approvalStatus = reason ? 'rejected' : 'approved';
+    const reasonCodes = !reason ? []
+        : kycStatus !== 'verified' ? [reasonCode('KYC_NOT_VERIFIED', 'approval')]
+        : !creditCheck.riskAcceptable ? combineReasonCodes(creditCheck.reasonCodes || [], [reasonCode('CREDIT_RISK_HIGH', 'approval')])
+        : [reasonCode('OFFER_NOT_ACCEPTED', 'approval')];
 
     const approvalData = {
         sessionId,
         approvalStatus,
         reason,
+        reasonCodes,
         finalOffer: approvalStatus === 'approved' ? finalOffer : null,
         approvedAt: new Date().toISOString()
     };
     
     const cid = await uploadJsonToPinata(approvalData);
 
-    appendToLedger('approval_ledger', {
+    await appendToLedger('approval_ledger', {
         agent: 'approvalAgent',
         action: 'executeApproval',
         sessionId,
@@ -30,10 +37,48 @@ async function executeApproval(sessionId, kycStatus, creditCheck, finalOffer) {
     });
 
     if (approvalStatus === 'rejected') {
-        return { approvalStatus, reason };
+        return { approvalStatus, reason, reasonCodes };
     }
 
     return { approvalStatus, approvalCid: cid };
 }
 
-module.exports = { executeApproval };
+/**
+ * Compensating action for executeApproval: marks the approval as void so the
+ * audit trail never shows an approved loan that was never disbursed.
+ * If the loan already reached LoanCore, its on-chain status is set to cancelled.
+ * A cancel that fails (rather than finding no loan to cancel) throws before
+ * anything is logged, so the workflow keeps the compensation as failed and
+ * retries it.
+ */
+async function voidApproval(sessionId, approvalDetails, {
+    loanId,
+    userId,
+    reason,
+    updateLoanStatus = updateLoanStatusOnBlockchain
+} = {}) {
+    let onChain = null;
+    if (loanId && userId) {
+        onChain = await updateLoanStatus({ applicationId: loanId, userId, status: 'cancelled' });
+        // `reason` (no contract, loan not on-chain) leaves nothing to cancel; `error` is a failed cancel
+        if (!onChain.success && onChain.error) {
+            throw new Error(`On-chain cancel of loan ${loanId} failed: ${onChain.error}`);
+        }
+    }
+
+    await appendToLedger('approval_ledger', {
+        agent: 'approvalAgent',
+        action: 'voidApproval',
+        compensates: 'executeApproval',
+        sessionId,
+        approvalStatus: 'voided',
+        approvalCid: approvalDetails.approvalCid,
+        loanId: loanId || null,
+        reason,
+        onChainTx: onChain && onChain.success ? onChain.transactionHash : null
+    });
+
+    return { approvalStatus: 'voided', onChain };
+}
+
+module.exports = { executeApproval, voidApproval };
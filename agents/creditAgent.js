@@ -1,27 +1,19 @@
 
 const { appendToLedger } = require('../blockchain/ledger');
 const policies = require('../rag/policies.json');
-const { callGemini } = require('../utils/geminiClient');
+const { callStructured } = require('../utils/structuredOutput');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
 const { sha256 } = require('../utils/hash');
 const { logCreditScoreToBlockchain } = require('../blockchain/web3Client');
+const { reasonCode } = require('../utils/reasonCodes');
 
-function parseRiskResponse(rawResponse) {
-    if (typeof rawResponse !== 'string') {
-        throw new Error('Risk response is not a string');
+const RISK_SCHEMA = {
+    type: 'object',
+    required: ['riskDecision'],
+    properties: {
+        riskDecision: { type: 'string', enum: ['low', 'medium', 'high'] }
     }
-
-    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
-    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
-    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
-
-    try {
-        return JSON.parse(jsonCandidate);
-    } catch (error) {
-        throw new Error(`Unable to parse risk response as JSON: ${error.message}`);
-    }
-}
+};
 
 async function analyzeCredit(sessionId, userData, userId = null) {
     const { cibilScore } = userData;
@@ -37,34 +29,41 @@ async function analyzeCredit(sessionId, userData, userId = null) {
 
     const policy = policies.loanPolicies.find(p => cibilScore >= p.minCreditScore);
 
-    const prompt = `Analyze the credit risk for a user with CIBIL score ${cibilScore}. The applicable policy is: ${JSON.stringify(policy)}. Based on this, is the risk 'low', 'medium', or 'high'? A score above 750 is low risk. If no policy is found, it is high risk. Respond with a JSON object with a "riskDecision" key. For example: {"riskDecision": "low"}`;
-
-    const riskDecisionString = await callGemini(prompt);
-    const { riskDecision } = parseRiskResponse(riskDecisionString);
-
-    if (!riskDecision) {
-        throw new Error('Credit risk response missing riskDecision');
-    }
+    const { value, prompt } = await callStructured({
+        promptId: 'creditRisk',
+        variables: { cibilScore, policy },
+        schema: RISK_SCHEMA,
+        label: 'credit risk',
+        // Without an applicable policy the applicant is always high risk
+        clamp: (decision) => (policy ? decision : { ...decision, riskDecision: 'high' })
+    });
+    const { riskDecision } = value;
 
     const riskReason = riskDecision === 'high'
         ? `Risk decision '${riskDecision}' for CIBIL ${cibilScore}${policy ? ` under policy ${policy.policyId}` : ' with no matching policy'}`
         : undefined;
+    const reasonCodes = riskDecision === 'high'
+        ? [reasonCode(policy ? 'CREDIT_RISK_HIGH' : 'CREDIT_SCORE_BELOW_POLICY', 'credit', { detail: riskReason })]
+        : [];
 
     const creditData = {
         sessionId,
         cibilScore,
         riskDecision,
         riskReason,
-        policyId: policy ? policy.policyId : null
+        reasonCodes,
+        policyId: policy ? policy.policyId : null,
+        prompt
     };
 
     const cid = await uploadJsonToPinata(creditData);
 
-    appendToLedger('credit_ledger', {
+    await appendToLedger('credit_ledger', {
         agent: 'creditAgent',
         action: 'analyzeCredit',
         decisionHash: sha256(JSON.stringify(creditData)),
         cid,
+        prompt,
         timestamp: new Date().toISOString()
     });
     
@@ -87,8 +86,25 @@ async function analyzeCredit(sessionId, userData, userId = null) {
     return { 
         riskAcceptable: riskDecision !== 'high',
         creditData,
-        reason: riskReason
+        reason: riskReason,
+        reasonCodes
     };
 }
 
-module.exports = { analyzeCredit };
+/**
+ * Compensating action for analyzeCredit: voids the credit decision for this session.
+ */
+async function voidCreditDecision(sessionId, creditCheck, reason) {
+    await appendToLedger('credit_ledger', {
+        agent: 'creditAgent',
+        action: 'voidCreditDecision',
+        compensates: 'analyzeCredit',
+        sessionId,
+        cid: creditCheck.creditData.cid || null,
+        reason,
+        timestamp: new Date().toISOString()
+    });
+    return { creditDecision: 'voided' };
+}
+
+module.exports = { analyzeCredit, voidCreditDecision };
@@ -18,7 +18,7 @@ async function collectUserData(sessionId, userData) {
         timestamp: new Date().toISOString()
     };
     const consentCid = await uploadJsonToPinata(consentData);
-    appendToLedger('consent_ledger', { ...consentData, cid: consentCid });
+    await appendToLedger('consent_ledger', { ...consentData, cid: consentCid });
 
     // Log captured data to IPFS and ledger
     const capturedData = { income, employmentType, loanAmount, city };
@@ -29,9 +29,25 @@ async function collectUserData(sessionId, userData) {
         capturedData
     };
     const interactionCid = await uploadJsonToPinata(capturedDataInteraction);
-    appendToLedger('interaction_ledger', { ...capturedDataInteraction, cid: interactionCid });
+    await appendToLedger('interaction_ledger', { ...capturedDataInteraction, cid: interactionCid });
 
     return { dataCollected: true, consentGiven: true, consentCid, interactionCid };
 }
 
-module.exports = { collectUserData };
+/**
+ * Compensating action for collectUserData: marks the captured data as void for this session.
+ * The consent record itself stays untouched (consent was genuinely given).
+ */
+async function voidCollectedData(sessionId, collected, reason) {
+    await appendToLedger('interaction_ledger', {
+        agent: 'dataAgent',
+        action: 'voidCollectedData',
+        compensates: 'collectUserData',
+        sessionId,
+        interactionCid: collected.interactionCid,
+        reason
+    });
+    return { dataCollected: false };
+}
+
+module.exports = { collectUserData, voidCollectedData };
@@ -49,7 +49,7 @@ async function disburseFunds(sessionId, loanId, sanctionLetter, userId = null) {
 
     const cid = await uploadJsonToPinata(disbursementRecord);
 
-    appendToLedger('disbursement_ledger', {
+    await appendToLedger('disbursement_ledger', {
         agent: 'disbursementAgent',
         sessionId,
         loanId,
@@ -80,4 +80,24 @@ async function disburseFunds(sessionId, loanId, sanctionLetter, userId = null) {
     };
 }
 
-module.exports = { disburseFunds };
+/**
+ * Compensating action for disburseFunds: records a reversal of the disbursement.
+ */
+async function reverseDisbursement(sessionId, loanId, disbursement, reason) {
+    const reversalId = sha256(`reverse-${disbursement.transactionId}-${Date.now()}`);
+
+    await appendToLedger('disbursement_ledger', {
+        agent: 'disbursementAgent',
+        action: 'reverseDisbursement',
+        compensates: 'disburseFunds',
+        sessionId,
+        loanId,
+        transactionId: disbursement.transactionId,
+        reversalId,
+        reason,
+        timestamp: new Date().toISOString()
+    });
+    return { disbursementStatus: 'reversed', reversalId };
+}
+
+module.exports = { disburseFunds, reverseDisbursement };
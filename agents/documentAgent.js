@@ -2,6 +2,7 @@
 const { appendToLedger } = require('../blockchain/ledger');
 const { sha256 } = require('../utils/hash');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
+const { buildRejectionLetter } = require('../utils/reasonCodes');
 
 async function generateSanctionLetter(sessionId, approvalDetails, finalOffer) {
     if (approvalDetails.approvalStatus !== 'approved') {
@@ -29,7 +30,7 @@ async function generateSanctionLetter(sessionId, approvalDetails, finalOffer) {
     const cid = await uploadJsonToPinata(sanctionLetter);
 
     // Log hash and agent IDs to the loan ledger for traceability
-    appendToLedger('loan_ledger', {
+    await appendToLedger('loan_ledger', {
         agentIds: [
             'masterAgent', 
             'dataAgent', 
@@ -47,4 +48,39 @@ async function generateSanctionLetter(sessionId, approvalDetails, finalOffer) {
     return { loanId, sanctionCid: cid };
 }
 
-module.exports = { generateSanctionLetter };
+/**
+ * Compensating action for generateSanctionLetter: revokes the sanction letter.
+ */
+async function revokeSanctionLetter(sessionId, sanction, reason) {
+    await appendToLedger('loan_ledger', {
+        agentIds: ['documentAgent'],
+        action: 'revokeSanctionLetter',
+        compensates: 'generateSanctionLetter',
+        sessionId,
+        loanId: sanction.loanId,
+        sanctionCid: sanction.sanctionCid,
+        reason
+    });
+    return { sanctionStatus: 'revoked' };
+}
+
+/**
+ * Adverse-action letter for a rejected application, listing the principal
+ * reason codes in rank order.
+ */
+async function generateRejectionLetter(sessionId, { applicationId, applicantName, reasonCodes }) {
+    const letter = buildRejectionLetter({ applicationId: applicationId || sessionId, applicantName, reasonCodes });
+    const cid = await uploadJsonToPinata({ sessionId, ...letter });
+
+    await appendToLedger('loan_ledger', {
+        agentIds: ['documentAgent'],
+        action: 'generateRejectionLetter',
+        sessionId,
+        reasonCodes: letter.reasons.map(r => r.code),
+        rejectionCid: cid
+    });
+
+    return { ...letter, cid };
+}
+
+module.exports = { generateSanctionLetter, revokeSanctionLetter, generateRejectionLetter };
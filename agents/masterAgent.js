@@ -1,87 +1,147 @@
 
 const { appendToLedger } = require('../blockchain/ledger');
 const { sha256 } = require('../utils/hash');
-const { callGemini } = require('../utils/geminiClient');
+const { callStructured } = require('../utils/structuredOutput');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
+const { resolveTenure } = require('../utils/tenure');
 
-function parseJsonResponse(rawResponse, label) {
-    if (typeof rawResponse !== 'string') {
-        throw new Error(`${label} response is not a string`);
-    }
+const INTENTS = ['loanApplication', 'loanStatus', 'generalInquiry', 'offtopic'];
 
-    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
-    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
-    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
+const INTENT_SCHEMA = {
+    type: 'object',
+    required: ['intent'],
+    properties: {
+        intent: { type: 'string', enum: INTENTS }
+    }
+};
 
-    try {
-        return JSON.parse(jsonCandidate);
-    } catch (error) {
-        throw new Error(`Unable to parse ${label} response as JSON: ${error.message}`);
+const NEGOTIATION_SCHEMA = {
+    type: 'object',
+    required: ['userResponse', 'reason'],
+    properties: {
+        userResponse: { type: 'string', enum: ['accepted', 'rejected', 'negotiate'] },
+        reason: { type: 'string' },
+        requestedChanges: {
+            type: 'object',
+            properties: {
+                interestRateDelta: { type: 'number', minimum: -5, maximum: 5 },
+                tenureMonths: { type: 'integer', minimum: 1 }
+            }
+        }
     }
-}
+};
 
 async function detectLoanIntent(query, existingSessionId) {
-    const prompt = `You are a banking loan assistant. Analyze if this query is related to LOANS, BANKING, CREDIT, or FINANCIAL services.
-
-Query: "${query}"
-
-Respond with EXACTLY ONE word:
-- "loanApplication" if asking to apply for a loan, borrow money, or get financing
-- "loanStatus" if asking about existing loan status, payments, EMI
-- "generalInquiry" if asking general questions about loan terms, eligibility, interest rates
-- "offtopic" if the query is completely unrelated to banking/loans (like: weather, sports, jokes, cooking, etc.)
-
-Respond with ONLY ONE WORD. No explanation.`;
-    const intentResult = await callGemini(prompt);
-    const intent = intentResult.trim().toLowerCase().replace(/[^a-z]/g, '');
+    const { value, raw: intentResult, prompt } = await callStructured({
+        promptId: 'intent',
+        variables: { query },
+        schema: INTENT_SCHEMA,
+        label: 'intent'
+    });
+    const finalIntent = value.intent;
     const sessionId = existingSessionId || sha256(query + Date.now());
 
-    // Validate intent is one of the expected values
-    const validIntents = ['loanapplication', 'loanstatus', 'generalinquiry', 'offtopic'];
-    const finalIntent = validIntents.includes(intent) ? intent : 'offtopic';
-
     const interaction = {
         agent: 'masterAgent',
         action: 'detectLoanIntent',
         sessionId,
         query,
         intent: finalIntent,
-        rawResponse: intentResult
+        rawResponse: intentResult,
+        prompt
     };
 
     const cid = await uploadJsonToPinata(interaction);
-    appendToLedger('interaction_ledger', { ...interaction, cid });
+    await appendToLedger('interaction_ledger', { ...interaction, cid });
 
     return { intent: finalIntent, sessionId };
 }
 
+/**
+ * Terms after negotiation. A tenure change inside the offer's tenureRange is
+ * granted, so a customer who only asks for a different tenure accepts the
+ * offer with it; rate changes still end the negotiation.
+ */
+function applyNegotiation(offer, response) {
+    const changes = response.requestedChanges || {};
+    const { tenure, adjusted } = resolveTenure(changes.tenureMonths || offer.term, offer.tenureRange);
+    const { sessionId, tenureRange, ...offerTerms } = offer;
+    const terms = { ...offerTerms, term: tenure };
+
+    const tenureOnly = response.userResponse === 'negotiate' &&
+        changes.tenureMonths !== undefined && !adjusted && !changes.interestRateDelta;
+    if (tenureOnly) {
+        return { ...response, userResponse: 'accepted', tenureNegotiated: true, ...terms };
+    }
+    return { ...response, ...terms };
+}
+
 async function presentAndNegotiateOffer(sessionId, offer) {
-    const prompt = `You are simulating the customer's response to a personal-loan offer in a sales chat. Offer: ${JSON.stringify(offer)}.
-Return STRICT JSON ONLY with keys: userResponse (accepted|rejected|negotiate), reason (string), and if negotiate then requestedChanges (object) with optional interestRateDelta or tenureMonths.
-Keep it realistic: customers may negotiate slightly; reject if terms feel unsuitable.`;
-    const negotiationResult = await callGemini(prompt);
-    const negotiatedOffer = parseJsonResponse(negotiationResult, 'negotiation');
+    const { value, prompt } = await callStructured({
+        promptId: 'negotiation',
+        variables: { offer },
+        schema: NEGOTIATION_SCHEMA,
+        label: 'negotiation'
+    });
+    const negotiatedOffer = applyNegotiation(offer, value);
 
     const interaction = {
         agent: 'masterAgent',
         action: 'presentAndNegotiateOffer',
         sessionId,
-        offer: negotiatedOffer
+        offer: negotiatedOffer,
+        prompt
     };
     
     const cid = await uploadJsonToPinata(interaction);
-    appendToLedger('interaction_ledger', { ...interaction, cid });
+    await appendToLedger('interaction_ledger', { ...interaction, cid });
 
     if(negotiatedOffer.userResponse === 'accepted'){
-        const offerForLedger = { sessionId, offer: negotiatedOffer, status: 'locked' };
+        const offerForLedger = { sessionId, offer: negotiatedOffer, status: 'locked', prompt };
         const offerCid = await uploadJsonToPinata(offerForLedger);
-        appendToLedger('loan_offer_ledger', { ...offerForLedger, cid: offerCid });
+        await appendToLedger('loan_offer_ledger', { ...offerForLedger, cid: offerCid });
     }
     return negotiatedOffer;
 }
 
+/**
+ * Compensating action for detectLoanIntent: closes the session in the interaction ledger.
+ */
+async function abandonSession(sessionId, intentResult, reason) {
+    await appendToLedger('interaction_ledger', {
+        agent: 'masterAgent',
+        action: 'abandonSession',
+        compensates: 'detectLoanIntent',
+        sessionId,
+        intent: intentResult.intent,
+        reason
+    });
+    return { sessionStatus: 'abandoned' };
+}
+
+/**
+ * Compensating action for presentAndNegotiateOffer: revokes a locked offer.
+ */
+async function revokeOffer(sessionId, negotiatedOffer, reason) {
+    if (negotiatedOffer.userResponse !== 'accepted') {
+        return { offerStatus: 'not_locked' };
+    }
+
+    await appendToLedger('loan_offer_ledger', {
+        agent: 'masterAgent',
+        action: 'revokeOffer',
+        compensates: 'presentAndNegotiateOffer',
+        sessionId,
+        offer: negotiatedOffer,
+        status: 'revoked',
+        reason
+    });
+    return { offerStatus: 'revoked' };
+}
+
 module.exports = { 
     detectLoanIntent,
-    presentAndNegotiateOffer
+    presentAndNegotiateOffer,
+    abandonSession,
+    revokeOffer
 };
@@ -1,43 +1,39 @@
 
-const { appendToLedger, getLedger } = require('../blockchain/ledger');
+const { appendToLedger } = require('../blockchain/ledger');
 const { sha256 } = require('../utils/hash');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
-const { callGemini } = require('../utils/geminiClient');
+const { scoreDefaultRisk } = require('../utils/defaultRiskModel');
 const { logPaymentToBlockchain } = require('../blockchain/web3Client');
 
-function parsePredictionResponse(rawResponse) {
-    if (typeof rawResponse !== 'string') {
-        throw new Error('Prediction response is not a string');
+/**
+ * Log an EMI payment with a default-risk prediction
+ * @param {string} loanId - Loan / application id
+ * @param {Object} paymentData - { amount, paymentDate, emiNumber, paymentReference }
+ * @param {string} userId - Borrower id (defaults to paymentData phone / account)
+ * @param {Object} application - Stored application after the payment, if any
+ */
+async function logEmiPayment(loanId, paymentData, userId = null, application = null) {
+    const { amount, paymentDate, emiNumber = 1, paymentReference } = paymentData;
+    // Two payments of the same amount on the same day are different payments,
+    // so the id comes from the payer's reference, not the payment's contents
+    if (!paymentReference) {
+        throw new Error('paymentReference is required to log an EMI payment');
     }
-
-    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
-    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
-    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
-
-    try {
-        return JSON.parse(jsonCandidate);
-    } catch (error) {
-        throw new Error(`Unable to parse prediction response as JSON: ${error.message}`);
-    }
-}
-
-async function logEmiPayment(loanId, paymentData, userId = null) {
-    const { amount, paymentDate, emiNumber = 1 } = paymentData;
-    const paymentId = sha256(`${loanId}-${amount}-${paymentDate}`);
+    const paymentId = sha256(`${loanId}-${paymentReference}`);
     
     // Extract userId if not provided
     if (!userId) {
         userId = paymentData.phone || paymentData.accountNumber || paymentData.userId || 'unknown';
     }
 
-    const prediction = await predictDefaultRisk(loanId);
+    const prediction = predictDefaultRisk(loanId, application);
 
     const paymentRecord = {
         agent: 'monitoringAgent',
         action: 'logEmiPayment',
         loanId,
         paymentId,
+        paymentReference,
         amount,
         paymentDate,
         riskPrediction: prediction,
@@ -46,7 +42,7 @@ async function logEmiPayment(loanId, paymentData, userId = null) {
     
     const cid = await uploadJsonToPinata(paymentRecord);
 
-    appendToLedger('payment_ledger', { ...paymentRecord, cid });
+    await appendToLedger('payment_ledger', { ...paymentRecord, cid });
     
     // Log to blockchain
     if (amount > 0) { // Only log real payments (not mock payments)
@@ -75,20 +71,30 @@ async function logEmiPayment(loanId, paymentData, userId = null) {
     };
 }
 
-async function predictDefaultRisk(loanId) {
-    const paymentHistory = getLedger('payment_ledger');
-    const paymentsForLoan = paymentHistory.filter(p => p.data.loanId === loanId).map(p => p.data);
-
-    const prompt = `Given the following payment history for a loan, predict the default risk ('low', 'medium', 'high'). History: ${JSON.stringify(paymentsForLoan)}. If there are fewer than 3 payments, risk is 'low' and message is 'Monitoring started.'. If payments are consistent, risk is 'low' and message is 'Payments are consistent.'. Respond with a JSON object containing "risk" and "message" keys.`;
-
-    try {
-        const predictionString = await callGemini(prompt);
-        return parsePredictionResponse(predictionString);
-    } catch (err) {
-        console.warn('Prediction parsing failed, defaulting to low risk:', err.message);
-        return { risk: 'low', message: 'Monitoring started.' };
-    }
+/**
+ * Default-risk prediction from the repayment model (utils/defaultRiskModel.js).
+ * Without a stored application there is no repayment history, so the loan
+ * scores the model's base rate.
+ */
+function predictDefaultRisk(loanId, application = null) {
+    const { model, probability, band, risk, drivers, message } = scoreDefaultRisk(application || { _id: loanId });
+    return { risk, probability, band, drivers: drivers.slice(0, 3), message, model };
 }
 
+/**
+ * Compensating action for logEmiPayment: stops monitoring a loan that was unwound.
+ */
+async function stopMonitoring(loanId, payment, reason) {
+    await appendToLedger('payment_ledger', {
+        agent: 'monitoringAgent',
+        action: 'stopMonitoring',
+        compensates: 'logEmiPayment',
+        loanId,
+        paymentId: payment.paymentId,
+        reason,
+        timestamp: new Date().toISOString()
+    });
+    return { paymentStatus: 'void' };
+}
 
-module.exports = { logEmiPayment };
+module.exports = { logEmiPayment, predictDefaultRisk, stopMonitoring };
@@ -1,35 +1,33 @@
 
 const policies = require('../rag/policies.json');
 const { appendToLedger } = require('../blockchain/ledger');
-const { callGemini } = require('../utils/geminiClient');
+const { callStructured, clampNumber } = require('../utils/structuredOutput');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
+const { reasonCode } = require('../utils/reasonCodes');
+const { getTenureRange, resolveTenure } = require('../utils/tenure');
+const { floatingTerms } = require('../utils/floatingRate');
 
-function parsePricingResponse(rawResponse) {
-    if (typeof rawResponse !== 'string') {
-        throw new Error('Pricing response is not a string');
+const PRICING_SCHEMA = {
+    type: 'object',
+    required: ['interestRate'],
+    properties: {
+        interestRate: { type: 'number', minimum: 0, maximum: 100 }
     }
-
-    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
-    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
-    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
-
-    try {
-        return JSON.parse(jsonCandidate);
-    } catch (error) {
-        throw new Error(`Unable to parse pricing response as JSON: ${error.message}`);
-    }
-}
+};
 
 async function evaluateRiskAndPrice(sessionId, userData, creditData) {
     const { loanAmount } = userData;
     const { cibilScore, riskDecision } = creditData;
 
     if (riskDecision === 'high') {
-        const decision = { eligibility: false, reason: "High risk profile" };
+        const decision = {
+            eligibility: false,
+            reason: "High risk profile",
+            reasonCodes: [reasonCode('CREDIT_RISK_HIGH', 'underwriting')]
+        };
         const cid = await uploadJsonToPinata({ sessionId, decision });
-        appendToLedger('underwriting_ledger', { agent: 'underwritingAgent', action: 'evaluateRiskAndPrice', sessionId, decision: 'ineligible', cid });
-        return decision;
+        await appendToLedger('underwriting_ledger', { agent: 'underwritingAgent', action: 'evaluateRiskAndPrice', sessionId, decision: 'ineligible', reasonCodes: ['CREDIT_RISK_HIGH'], cid });
+        return { ...decision, cid };
     }
 
     const policy = policies.loanPolicies.find(p => 
@@ -37,26 +35,59 @@ async function evaluateRiskAndPrice(sessionId, userData, creditData) {
     );
 
     if (!policy) {
-        const decision = { eligibility: false, reason: "Loan amount or credit score does not meet policy requirements." };
+        // A policy that accepts the score but not the amount means the amount is the problem
+        const code = policies.loanPolicies.some(p => cibilScore >= p.minCreditScore)
+            ? 'LOAN_AMOUNT_ABOVE_POLICY'
+            : 'CREDIT_SCORE_BELOW_POLICY';
+        const decision = {
+            eligibility: false,
+            reason: "Loan amount or credit score does not meet policy requirements.",
+            reasonCodes: [reasonCode(code, 'underwriting')]
+        };
         const cid = await uploadJsonToPinata({ sessionId, decision });
-        appendToLedger('underwriting_ledger', { agent: 'underwritingAgent', action: 'evaluateRiskAndPrice', sessionId, decision: 'ineligible', cid });
-        return decision;
+        await appendToLedger('underwriting_ledger', { agent: 'underwritingAgent', action: 'evaluateRiskAndPrice', sessionId, decision: 'ineligible', reasonCodes: [code], cid });
+        return { ...decision, cid };
     }
 
-    const prompt = `An applicant with CIBIL score ${cibilScore} and risk decision '${riskDecision}' is applying for a loan of ${loanAmount}. The applicable policy is ${JSON.stringify(policy)}. Based on this, determine the interest rate. For 'low' risk, use the minimum rate from interestRateRange. For 'medium' risk, use the average of min and max from interestRateRange. Respond with a JSON object with an "interestRate" key. For example: {"interestRate": 8.5}`;
-    
-    const pricingResultString = await callGemini(prompt);
-    const { interestRate } = parsePricingResponse(pricingResultString);
+    const { min, max } = policy.interestRateRange;
+    const { value: pricing, prompt } = await callStructured({
+        promptId: 'pricing',
+        variables: { cibilScore, riskDecision, loanAmount, policy },
+        schema: PRICING_SCHEMA,
+        label: 'pricing',
+        // The rate must stay inside the policy's interestRateRange
+        clamp: ({ interestRate }) => {
+            const clamped = clampNumber(interestRate, min, max);
+            if (clamped !== interestRate) {
+                console.warn(`Pricing rate ${interestRate}% outside ${policy.policyId} range [${min}, ${max}], clamped to ${clamped}%`);
+            }
+            return { interestRate: clamped, modelRate: interestRate };
+        }
+    });
+    const { interestRate } = pricing;
 
-    if (interestRate === undefined || interestRate === null || Number.isNaN(Number(interestRate))) {
-        throw new Error('Pricing response missing a valid interestRate');
+    // Requested tenure, bounded by the policy's tenureRange
+    const tenureRange = getTenureRange(policy);
+    const { tenure, requested, adjusted } = resolveTenure(userData.tenureMonths, tenureRange);
+    if (adjusted) {
+        console.warn(`Requested tenure ${requested} months outside ${policy.policyId} range [${tenureRange.min}, ${tenureRange.max}], using ${tenure} months`);
     }
 
+    // Floating products re-express the priced rate as benchmark + spread
+    const floating = userData.rateType === 'floating'
+        ? floatingTerms(interestRate, {
+            resetPreference: userData.resetPreference,
+            interestRateRange: policy.interestRateRange
+        })
+        : null;
+
     const offer = {
         sessionId,
         loanAmount,
-        interestRate: parseFloat(Number(interestRate).toFixed(2)),
-        term: 36 // months, could be part of policy
+        interestRate: floating ? floating.interestRate : parseFloat(interestRate.toFixed(2)),
+        term: tenure, // months
+        tenureRange,
+        ...(floating || { rateType: 'fixed' })
     };
 
     const underwritingDecision = {
@@ -64,14 +95,32 @@ async function evaluateRiskAndPrice(sessionId, userData, creditData) {
         action: 'evaluateRiskAndPrice',
         sessionId,
         decision: 'eligible',
-        offer
+        offer,
+        modelInterestRate: pricing.modelRate,
+        prompt
     };
     
     const cid = await uploadJsonToPinata(underwritingDecision);
 
-    appendToLedger('underwriting_ledger', { ...underwritingDecision, cid });
+    await appendToLedger('underwriting_ledger', { ...underwritingDecision, cid });
     
-    return { eligibility: true, offer };
+    return { eligibility: true, offer, cid };
+}
+
+/**
+ * Compensating action for evaluateRiskAndPrice: withdraws the priced offer.
+ */
+async function withdrawUnderwriting(sessionId, underwriting, reason) {
+    await appendToLedger('underwriting_ledger', {
+        agent: 'underwritingAgent',
+        action: 'withdrawUnderwriting',
+        compensates: 'evaluateRiskAndPrice',
+        sessionId,
+        decision: 'withdrawn',
+        cid: underwriting.cid || null,
+        reason
+    });
+    return { eligibility: false, decision: 'withdrawn' };
 }
 
-module.exports = { evaluateRiskAndPrice };
+module.exports = { evaluateRiskAndPrice, withdrawUnderwriting };
@@ -1,28 +1,22 @@
 
 const { appendToLedger } = require('../blockchain/ledger');
 const { sha256 } = require('../utils/hash');
-const { callGemini } = require('../utils/geminiClient');
 const { uploadJsonToPinata } = require('../utils/pinataClient');
 const { logDocumentToBlockchain } = require('../blockchain/web3Client');
+const { reasonCode, combineReasonCodes } = require('../utils/reasonCodes');
+const { validateIdentity } = require('../utils/identityValidation');
 
-function parseKycResponse(rawResponse) {
-    if (typeof rawResponse !== 'string') {
-        throw new Error('KYC response is not a string');
-    }
-
-    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
-    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
-    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
-
-    try {
-        return JSON.parse(jsonCandidate);
-    } catch (error) {
-        throw new Error(`Unable to parse KYC response as JSON: ${error.message}`);
-    }
-}
-
-async function verifyKYC(sessionId, kycDocuments, userId = null) {
+/**
+ * Verify PAN and Aadhaar with the deterministic checks in
+ * utils/identityValidation.js: Aadhaar Verhoeff checksum and prefix, PAN
+ * entity type against the applicant type and 5th character against the
+ * surname initial.
+ * @param {string} sessionId
+ * @param {Object} kycDocuments - { pan, aadhaar }
+ * @param {string} userId
+ * @param {Object} applicant - { name, applicantType (default: individual) }
+ */
+async function verifyKYC(sessionId, kycDocuments, userId = null, applicant = {}) {
     const { pan, aadhaar } = kycDocuments;
     
     // Extract userId if not provided
@@ -34,17 +28,21 @@ async function verifyKYC(sessionId, kycDocuments, userId = null) {
         throw new Error("PAN and Aadhaar documents are required for KYC.");
     }
 
-    const prompt = `Please verify the following KYC documents. PAN: "${pan}", Aadhaar: "${aadhaar}". A valid PAN has the format [A-Z]{5}[0-9]{4}[A-Z]{1}. A valid Aadhaar has 12 digits. Respond with a JSON object containing a "kycStatus" key which can be "verified" or "rejected", and a "reason" key explaining why. If both are valid, the status is "verified".`;
-
-    const kycResultString = await callGemini(prompt);
-    const kycResult = parseKycResponse(kycResultString);
-    const { kycStatus, reason } = kycResult;
-
-    if (!kycStatus) {
-        throw new Error('KYC response missing kycStatus');
-    }
+    const identity = validateIdentity({
+        pan,
+        aadhaar,
+        name: applicant.name,
+        applicantType: applicant.applicantType
+    });
+    const kycStatus = identity.valid ? 'verified' : 'rejected';
+    const reason = identity.valid
+        ? 'Aadhaar checksum and PAN structure are valid.'
+        : identity.issues.map(i => i.message).join('; ');
 
     const kycDocumentHash = sha256(JSON.stringify(kycDocuments));
+    const reasonCodes = kycStatus === 'verified'
+        ? []
+        : combineReasonCodes(identity.issues.map(i => reasonCode(i.type, 'kyc', { detail: i.message })));
 
     const verificationRecord = {
         agent: 'verificationAgent',
@@ -52,13 +50,16 @@ async function verifyKYC(sessionId, kycDocuments, userId = null) {
         sessionId,
         kycDocumentHash,
         kycStatus,
-        reason: reason || 'No reason provided',
+        reason,
+        reasonCodes: reasonCodes.map(r => r.code),
+        checks: Object.fromEntries(Object.entries(identity.checks)
+            .map(([document, check]) => [document, { valid: check.valid, issues: check.issues.map(i => i.type) }])),
         timestamp: new Date().toISOString()
     };
 
     const cid = await uploadJsonToPinata(verificationRecord);
 
-    appendToLedger('identity_ledger', { ...verificationRecord, cid });
+    await appendToLedger('identity_ledger', { ...verificationRecord, cid });
     
     // Log documents to blockchain
     try {
@@ -86,7 +87,24 @@ async function verifyKYC(sessionId, kycDocuments, userId = null) {
         // Continue even if blockchain logging fails
     }
 
-    return { kycStatus, reason: reason || 'KYC rejected without a detailed reason' };
+    return { kycStatus, reason, reasonCodes };
+}
+
+/**
+ * Compensating action for verifyKYC: records that this session's KYC result
+ * must not be reused for a loan.
+ */
+async function voidKYC(sessionId, kycResult, reason) {
+    await appendToLedger('identity_ledger', {
+        agent: 'verificationAgent',
+        action: 'voidKYC',
+        compensates: 'verifyKYC',
+        sessionId,
+        kycStatus: kycResult.kycStatus,
+        reason,
+        timestamp: new Date().toISOString()
+    });
+    return { kycStatus: 'voided' };
 }
 
-module.exports = { verifyKYC };
+module.exports = { verifyKYC, voidKYC };
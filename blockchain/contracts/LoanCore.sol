@@ -17,7 +17,7 @@ contract LoanCore is AccessControl {
         uint16 interestBps;       // Interest rate in basis points (1175 = 11.75%)
         uint32 score;             // Approval score (0-1000)
         bytes32 metadataHash;     // IPFS hash of loan details (CIDv1)
-        uint8 status;             // 0=pending,1=offered,2=negotiating,3=accepted,4=approved,5=rejected,6=disbursed
+        uint8 status;             // 0=pending,1=offered,2=negotiating,3=accepted,4=approved,5=rejected,6=disbursed,7=cancelled
         uint256 timestamp;        // Block timestamp
     }
 
@@ -41,22 +41,30 @@ contract LoanCore is AccessControl {
         uint256 timestamp;
     }
 
+    struct Anchor {
+        uint256 leafCount;        // Ledger blocks covered by the Merkle root
+        uint256 timestamp;        // Block timestamp (0 = not anchored)
+    }
+
     // Storage mappings
     mapping(bytes32 => Loan[]) public userLoans;
     mapping(bytes32 => ChatLog[]) public userChatLogs;
     mapping(bytes32 => Document[]) public userDocuments;
     mapping(bytes32 => bytes32[]) public userMasterLedger; // All transaction IDs
+    mapping(bytes32 => Anchor) public anchors;               // Merkle root => anchor
 
     // Global counters
     uint256 public totalLoans;
     uint256 public totalChats;
     uint256 public totalDocuments;
+    uint256 public totalAnchors;
 
     // Events
     event LoanCreated(bytes32 indexed userId, bytes32 indexed loanId, uint256 amount, uint256 timestamp);
     event LoanStatusUpdated(bytes32 indexed loanId, uint8 newStatus, uint256 timestamp);
     event ChatLogged(bytes32 indexed userId, bytes32 sessionId, uint8 state, uint256 timestamp);
     event DocumentVerified(bytes32 indexed userId, bytes32 docId, uint8 docType, bool verified, uint256 timestamp);
+    event RootAnchored(bytes32 indexed root, uint256 leafCount, uint256 timestamp);
 
     /**
      * @dev Create a new loan application
@@ -193,6 +201,25 @@ contract LoanCore is AccessControl {
         emit DocumentVerified(userId, docId, docType, verified, block.timestamp);
     }
 
+    /**
+     * @dev Anchor the Merkle root of a batch of off-chain ledger blocks
+     * @param root Merkle root (sha256) over the batch's ledger blocks
+     * @param leafCount Number of ledger blocks in the batch
+     */
+    function anchorRoot(bytes32 root, uint256 leafCount) external onlyAdmin {
+        require(root != bytes32(0), "Invalid root");
+        require(leafCount > 0, "Empty batch");
+        require(anchors[root].timestamp == 0, "Root already anchored");
+
+        anchors[root] = Anchor({
+            leafCount: leafCount,
+            timestamp: block.timestamp
+        });
+        totalAnchors++;
+
+        emit RootAnchored(root, leafCount, block.timestamp);
+    }
+
     /**
      * @dev Get all loans for a user
      * @param userId Hashed user phone number
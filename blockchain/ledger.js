@@ -1,41 +1,134 @@
 
-const fs = require('fs');
-const path = require('path');
 const { sha256 } = require('../utils/hash');
-
-const ledgerDir = __dirname;
+const { appendBlock, readBlocks, listStoredLedgers } = require('./ledgerStore');
 
 function getLedger(ledgerName) {
-  const ledgerPath = path.join(ledgerDir, `${ledgerName}.json`);
-  if (!fs.existsSync(ledgerPath)) {
-    return [];
-  }
-  const data = fs.readFileSync(ledgerPath);
-  return JSON.parse(data);
+  return readBlocks(ledgerName);
 }
 
+// Resolves with the appended block
 function appendToLedger(ledgerName, data) {
+  // Storage is append-only and locked per ledger (see ledgerStore.js), so
+  // concurrent writers always chain onto the latest block
+  return appendBlock(ledgerName, (previousBlock) => {
+    const previousHash = previousBlock ? previousBlock.hash : '0';
+
+    const blockData = {
+      ...data,
+      timestamp: new Date().toISOString(),
+    };
+
+    return {
+      data: blockData,
+      previousHash,
+      hash: sha256(JSON.stringify(blockData) + previousHash)
+    };
+  });
+}
+
+// Hash-chain ledgers written by the agents. There are ten: no code or data
+// file has ever had an eleventh, and any other *_ledger file found on disk
+// is verified as well (see listLedgers).
+const LEDGER_NAMES = [
+  'approval_ledger',
+  'consent_ledger',
+  'credit_ledger',
+  'disbursement_ledger',
+  'identity_ledger',
+  'interaction_ledger',
+  'loan_ledger',
+  'loan_offer_ledger',
+  'payment_ledger',
+  'underwriting_ledger'
+];
+
+/**
+ * All ledgers to verify: the known ones plus any other *_ledger file on disk
+ * @returns {string[]} Ledger names
+ */
+function listLedgers() {
+  return [...new Set([...LEDGER_NAMES, ...listStoredLedgers()])].sort();
+}
+
+function computeBlockHash(block) {
+  return sha256(JSON.stringify(block.data) + block.previousHash);
+}
+
+/**
+ * Recompute every block hash of a ledger and check the chain links.
+ *
+ * Issue types:
+ * - malformed_block: block is missing data, previousHash or hash
+ * - edited_block: stored hash does not match the recomputed hash (data was changed)
+ * - broken_link: previousHash points to another block in the ledger (blocks reordered or inserted)
+ * - gap: previousHash points to a block that no longer exists (blocks deleted, or the
+ *   genesis block does not start from '0')
+ *
+ * @param {string} ledgerName - Ledger name (e.g., 'credit_ledger')
+ * @returns {Object} { ledger, valid, blocks, issues, verifiedAt }
+ */
+function verifyLedger(ledgerName) {
   const ledger = getLedger(ledgerName);
-  const previousHash = ledger.length > 0 ? ledger[ledger.length - 1].hash : '0';
-  
-  const blockData = {
-    ...data,
-    timestamp: new Date().toISOString(),
-  };
+  const issues = [];
+  const knownHashes = new Map(ledger.map((block, index) => [block && block.hash, index]));
 
-  const newBlock = {
-    data: blockData,
-    previousHash,
-    hash: sha256(JSON.stringify(blockData) + previousHash)
-  };
+  ledger.forEach((block, index) => {
+    if (!block || typeof block.data !== 'object' || typeof block.previousHash !== 'string' || typeof block.hash !== 'string') {
+      issues.push({ index, type: 'malformed_block', message: 'Block is missing data, previousHash or hash' });
+      return;
+    }
 
-  ledger.push(newBlock);
-  const ledgerPath = path.join(ledgerDir, `${ledgerName}.json`);
-  fs.writeFileSync(ledgerPath, JSON.stringify(ledger, null, 2));
-  return newBlock;
+    const recomputed = computeBlockHash(block);
+    if (recomputed !== block.hash) {
+      issues.push({
+        index,
+        type: 'edited_block',
+        message: 'Stored hash does not match the block contents',
+        expected: recomputed,
+        actual: block.hash
+      });
+    }
+
+    const expectedPrevious = index === 0 ? '0' : ledger[index - 1] && ledger[index - 1].hash;
+    if (block.previousHash === expectedPrevious) {
+      return;
+    }
+
+    if (knownHashes.has(block.previousHash)) {
+      issues.push({
+        index,
+        type: 'broken_link',
+        message: `previousHash points to block ${knownHashes.get(block.previousHash)} instead of block ${index - 1}`,
+        expected: expectedPrevious,
+        actual: block.previousHash
+      });
+    } else {
+      issues.push({
+        index,
+        type: 'gap',
+        message: index === 0
+          ? 'Genesis block does not start from previousHash "0" (ledger was truncated)'
+          : 'previousHash points to a block that is missing from the ledger',
+        expected: expectedPrevious,
+        actual: block.previousHash
+      });
+    }
+  });
+
+  return {
+    ledger: ledgerName,
+    valid: issues.length === 0,
+    blocks: ledger.length,
+    issues,
+    verifiedAt: new Date().toISOString()
+  };
 }
 
 module.exports = {
+  LEDGER_NAMES,
   getLedger,
-  appendToLedger
+  appendToLedger,
+  listLedgers,
+  computeBlockHash,
+  verifyLedger
 };
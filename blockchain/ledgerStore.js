@@ -0,0 +1,317 @@
+/**
+ * Append-only ledger storage (NDJSON)
+ *
+ * Each ledger is a line-delimited file, <name>.ndjson, with one block per
+ * line. Appends are O(1): only the last line is read to find the previous
+ * hash, the new line is appended and fsync'd before returning.
+ *
+ * A lock file (<name>.ndjson.lock, created with O_EXCL) gives a single
+ * writer per ledger across processes sharing the directory, so concurrent
+ * requests (or replicas on a shared volume) can no longer fork the chain or
+ * lose a write. Each lock holds a random token. Locks older than
+ * LEDGER_LOCK_STALE_MS are treated as left behind by a crashed process: the
+ * lock file is renamed away (atomic, so only one waiter gets it) and only
+ * deleted if it still carries the token that was judged stale; a fresh lock
+ * taken in between is put back. A holder checks its token before writing
+ * and before releasing, so it never writes under, or removes, another
+ * writer's lock. Waiting for a lock is asynchronous and never blocks the
+ * event loop.
+ *
+ * A write interrupted by a crash leaves a partial last line; readers ignore
+ * it and the next append truncates it (it was never acknowledged).
+ *
+ * Legacy <name>.json arrays are migrated on first append, or in bulk with
+ * blockchain/migrateLedgers.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEDGER_DIR = process.env.LEDGER_DIR || __dirname;
+const LOCK_TIMEOUT_MS = parseInt(process.env.LEDGER_LOCK_TIMEOUT_MS || '5000', 10);
+const LOCK_STALE_MS = parseInt(process.env.LEDGER_LOCK_STALE_MS || '30000', 10);
+const NEWLINE = 0x0a;
+const CHUNK_SIZE = 4096;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function ndjsonPath(name) {
+  return path.join(LEDGER_DIR, `${name}.ndjson`);
+}
+
+function legacyPath(name) {
+  return path.join(LEDGER_DIR, `${name}.json`);
+}
+
+// Token in a lock file, or null if there is no lock
+function readLockToken(lockPath) {
+  try {
+    return fs.readFileSync(lockPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Remove a stale lock if it still carries the token that was judged stale
+ * @returns {boolean} true when the lock is gone (removed or released meanwhile)
+ */
+function breakStaleLock(lockPath, staleToken) {
+  const moved = `${lockPath}.${crypto.randomBytes(6).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+
+  if (readLockToken(moved) === staleToken) {
+    fs.unlinkSync(moved);
+    return true;
+  }
+
+  // Another waiter broke the stale lock first and holds a fresh one: put it back
+  try {
+    fs.linkSync(moved, lockPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  fs.unlinkSync(moved);
+  return false;
+}
+
+/**
+ * Take the ledger's lock file
+ * @returns {Promise<Object>} { lockPath, token }
+ */
+async function acquireFileLock(name) {
+  const lockPath = `${ndjsonPath(name)}.lock`;
+  const token = `${process.pid} ${new Date().toISOString()} ${crypto.randomBytes(8).toString('hex')}`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let delay = 5;
+
+  fs.mkdirSync(LEDGER_DIR, { recursive: true });
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try {
+        fs.writeSync(fd, token);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return { lockPath, token };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let age;
+    let staleToken;
+    try {
+      age = Date.now() - fs.statSync(lockPath).mtimeMs;
+      staleToken = readLockToken(lockPath);
+    } catch (statError) {
+      // Lock was released between openSync and statSync - retry immediately
+      if (statError.code === 'ENOENT') continue;
+      throw statError;
+    }
+    if (staleToken === null) continue;
+
+    if (age > LOCK_STALE_MS && breakStaleLock(lockPath, staleToken)) {
+      console.warn(`⚠️ Removed stale ledger lock ${lockPath} (${Math.round(age / 1000)}s old)`);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ledger lock ${lockPath}`);
+    }
+    await sleep(delay);
+    delay = Math.min(delay * 2, 100);
+  }
+}
+
+function assertLockHeld({ lockPath, token }) {
+  if (readLockToken(lockPath) !== token) {
+    throw new Error(`Ledger lock ${lockPath} was taken over by another writer`);
+  }
+}
+
+function releaseFileLock({ lockPath, token }) {
+  try {
+    if (readLockToken(lockPath) === token) {
+      fs.unlinkSync(lockPath);
+    } else {
+      console.error(`Ledger lock ${lockPath} was taken over by another writer; not removing it`);
+    }
+  } catch (error) {
+    console.error(`Failed to release ledger lock ${lockPath}:`, error.message);
+  }
+}
+
+/**
+ * Run fn while holding the ledger's lock file. fn receives the lock and
+ * must call assertLockHeld(lock) right before it writes.
+ * @returns {Promise<*>} fn's result
+ */
+async function withFileLock(name, fn) {
+  const lock = await acquireFileLock(name);
+  try {
+    return fn(lock);
+  } finally {
+    releaseFileLock(lock);
+  }
+}
+
+/**
+ * Offset just after the last newline before `end` (0 if there is none)
+ */
+function findLineStart(fd, end) {
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  let pos = end;
+
+  while (pos > 0) {
+    const length = Math.min(CHUNK_SIZE, pos);
+    fs.readSync(fd, buffer, 0, length, pos - length);
+    const index = buffer.subarray(0, length).lastIndexOf(NEWLINE);
+    if (index !== -1) {
+      return pos - length + index + 1;
+    }
+    pos -= length;
+  }
+  return 0;
+}
+
+/**
+ * Read the last complete block, truncating a partial trailing line if present
+ * @returns {Object|null} Last block or null for an empty ledger
+ */
+function readLastBlock(fd) {
+  let size = fs.fstatSync(fd).size;
+  if (size === 0) return null;
+
+  const lastByte = Buffer.alloc(1);
+  fs.readSync(fd, lastByte, 0, 1, size - 1);
+  if (lastByte[0] !== NEWLINE) {
+    const partialStart = findLineStart(fd, size);
+    console.warn(`⚠️ Truncating partial ledger line (${size - partialStart} bytes) left by an interrupted write`);
+    fs.ftruncateSync(fd, partialStart);
+    size = partialStart;
+    if (size === 0) return null;
+  }
+
+  const lineStart = findLineStart(fd, size - 1);
+  const line = Buffer.alloc(size - 1 - lineStart);
+  fs.readSync(fd, line, 0, line.length, lineStart);
+  return JSON.parse(line.toString('utf8'));
+}
+
+/**
+ * Convert a legacy JSON-array ledger to NDJSON. The original file is kept
+ * as <name>.json.migrated. Caller must hold the ledger lock.
+ * @returns {number|null} Number of migrated blocks, or null if there was nothing to migrate
+ */
+function migrateLocked(name, lock) {
+  const source = legacyPath(name);
+  const target = ndjsonPath(name);
+  if (!fs.existsSync(source) || fs.existsSync(target)) {
+    return null;
+  }
+
+  const blocks = JSON.parse(fs.readFileSync(source, 'utf8'));
+  if (!Array.isArray(blocks)) {
+    throw new Error(`${source} is not a JSON array ledger`);
+  }
+
+  // Write to a temp file and rename, so a crash never leaves a half-migrated ledger
+  const tmp = `${target}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    if (blocks.length > 0) {
+      fs.writeSync(fd, blocks.map(block => JSON.stringify(block)).join('\n') + '\n');
+    }
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  assertLockHeld(lock);
+  fs.renameSync(tmp, target);
+  fs.renameSync(source, `${source}.migrated`);
+  return blocks.length;
+}
+
+/**
+ * Migrate a legacy JSON-array ledger to NDJSON
+ * @param {string} name - Ledger name
+ * @returns {Promise<number|null>} Number of migrated blocks, or null if already migrated / missing
+ */
+function migrateLedger(name) {
+  return withFileLock(name, lock => migrateLocked(name, lock));
+}
+
+/**
+ * Append a block under the ledger lock.
+ * @param {string} name - Ledger name
+ * @param {Function} buildBlock - (previousBlock|null) => block
+ * @returns {Promise<Object>} The appended block
+ */
+function appendBlock(name, buildBlock) {
+  return withFileLock(name, lock => {
+    migrateLocked(name, lock);
+
+    const fd = fs.openSync(ndjsonPath(name), 'a+');
+    try {
+      const block = buildBlock(readLastBlock(fd));
+      assertLockHeld(lock);
+      fs.writeSync(fd, `${JSON.stringify(block)}\n`);
+      fs.fsyncSync(fd);
+      return block;
+    } finally {
+      fs.closeSync(fd);
+    }
+  });
+}
+
+/**
+ * Read all blocks of a ledger (legacy JSON arrays are read as-is until migrated)
+ * @param {string} name - Ledger name
+ * @returns {Array} Blocks in chain order
+ */
+function readBlocks(name) {
+  const file = ndjsonPath(name);
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    // The last element is '' after a trailing newline, or a partial line from an interrupted write
+    lines.pop();
+    return lines.filter(line => line.length > 0).map(line => JSON.parse(line));
+  }
+
+  const legacy = legacyPath(name);
+  if (fs.existsSync(legacy)) {
+    return JSON.parse(fs.readFileSync(legacy, 'utf8'));
+  }
+  return [];
+}
+
+/**
+ * Names of ledgers stored in the ledger directory (NDJSON or legacy JSON)
+ */
+function listStoredLedgers() {
+  if (!fs.existsSync(LEDGER_DIR)) return [];
+  return [...new Set(
+    fs.readdirSync(LEDGER_DIR)
+      .filter(file => /_ledger\.(ndjson|json)$/.test(file))
+      .map(file => file.replace(/\.(ndjson|json)$/, ''))
+  )];
+}
+
+module.exports = {
+  LEDGER_DIR,
+  appendBlock,
+  readBlocks,
+  migrateLedger,
+  listStoredLedgers
+};
@@ -0,0 +1,108 @@
+/**
+ * Merkle trees over ledger blocks
+ *
+ * Leaves commit to a block's position and hash: sha256("<ledger>:<index>:<hash>").
+ * Parent nodes are sha256(left + right) over the hex digests. An odd node at
+ * the end of a level is promoted unchanged to the next level.
+ *
+ * Proofs are positional: [{ position: 'left'|'right', hash }] from the leaf
+ * up to the root, where position is the side of the sibling.
+ */
+
+const { sha256 } = require('../utils/hash');
+
+function leafHash(ledgerName, index, blockHash) {
+  return sha256(`${ledgerName}:${index}:${blockHash}`);
+}
+
+function nodeHash(left, right) {
+  return sha256(left + right);
+}
+
+/**
+ * Build every level of the tree, leaves first
+ * @param {string[]} leaves - Leaf hashes (hex)
+ * @returns {Object} { root, levels }
+ */
+function buildMerkleTree(leaves) {
+  if (!Array.isArray(leaves) || leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return { root: levels[levels.length - 1][0], levels };
+}
+
+/**
+ * Inclusion proof of the leaf at `index`
+ * @param {string[][]} levels - Levels returned by buildMerkleTree
+ * @param {number} index - Leaf index
+ * @returns {Array} [{ position, hash }]
+ */
+function getMerkleProof(levels, index) {
+  if (index < 0 || index >= levels[0].length) {
+    throw new Error(`Leaf index ${index} is out of range`);
+  }
+
+  const proof = [];
+  let position = index;
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const isRight = position % 2 === 1;
+    const sibling = isRight ? position - 1 : position + 1;
+    if (sibling < level.length) {
+      proof.push({ position: isRight ? 'left' : 'right', hash: level[sibling] });
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+/**
+ * Recompute the root from a leaf and its proof
+ * @returns {string} Root hash (hex)
+ */
+function computeRootFromProof(leaf, proof) {
+  return proof.reduce(
+    (hash, step) => (step.position === 'left' ? nodeHash(step.hash, hash) : nodeHash(hash, step.hash)),
+    leaf
+  );
+}
+
+/**
+ * Check that a leaf is included under a root
+ * @returns {boolean}
+ */
+function verifyMerkleProof(leaf, proof, root) {
+  if (!Array.isArray(proof)) return false;
+  return computeRootFromProof(leaf, proof) === stripHexPrefix(root);
+}
+
+function stripHexPrefix(hash) {
+  return typeof hash === 'string' ? hash.replace(/^0x/, '').toLowerCase() : hash;
+}
+
+/**
+ * Root as the bytes32 value stored on-chain
+ */
+function toBytes32(root) {
+  return `0x${stripHexPrefix(root)}`;
+}
+
+module.exports = {
+  leafHash,
+  buildMerkleTree,
+  getMerkleProof,
+  computeRootFromProof,
+  verifyMerkleProof,
+  toBytes32
+};
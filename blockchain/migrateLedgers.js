@@ -0,0 +1,38 @@
+/**
+ * Migrate JSON-array ledgers (<name>.json) to append-only NDJSON (<name>.ndjson).
+ *
+ * Usage: node blockchain/migrateLedgers.js [ledger_name ...]
+ * Each migrated ledger is verified afterwards; the original file is kept as
+ * <name>.json.migrated. Already migrated ledgers are skipped.
+ */
+const { listLedgers, verifyLedger } = require('./ledger');
+const { migrateLedger } = require('./ledgerStore');
+
+async function main() {
+    const requested = process.argv.slice(2);
+    const names = requested.length > 0 ? requested : listLedgers();
+    let failed = false;
+
+    console.log('\n📦 LEDGER MIGRATION (JSON -> NDJSON)\n');
+
+    for (const name of names) {
+        try {
+            const migrated = await migrateLedger(name);
+            if (migrated === null) {
+                console.log(`⏭️  ${name}: nothing to migrate`);
+                continue;
+            }
+
+            const report = verifyLedger(name);
+            const status = report.valid ? '✅' : '⚠️ ';
+            console.log(`${status} ${name}: ${migrated} blocks migrated${report.valid ? '' : `, ${report.issues.length} integrity issue(s) carried over`}`);
+        } catch (error) {
+            failed = true;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
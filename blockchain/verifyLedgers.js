@@ -0,0 +1,43 @@
+/**
+ * Verify the hash chain of every JSON ledger.
+ *
+ * Usage: node blockchain/verifyLedgers.js [ledger_name ...] [--json]
+ * Exits with code 1 if any ledger was tampered with (edited blocks,
+ * broken links or gaps), so it can run from cron or CI.
+ */
+const { listLedgers, verifyLedger } = require('./ledger');
+
+function main() {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const requested = args.filter(arg => !arg.startsWith('--'));
+    const available = listLedgers();
+
+    const unknown = requested.filter(name => !available.includes(name));
+    if (unknown.length > 0) {
+        console.error(`Unknown ledger(s): ${unknown.join(', ')}`);
+        console.error(`Available: ${available.join(', ')}`);
+        process.exit(2);
+    }
+
+    const reports = (requested.length > 0 ? requested : available).map(verifyLedger);
+    const tampered = reports.filter(report => !report.valid);
+
+    if (asJson) {
+        console.log(JSON.stringify({ valid: tampered.length === 0, reports }, null, 2));
+    } else {
+        console.log('\n🔍 LEDGER INTEGRITY CHECK\n');
+        for (const report of reports) {
+            const status = report.valid ? '✅' : '❌';
+            console.log(`${status} ${report.ledger} (${report.blocks} blocks)`);
+            for (const issue of report.issues) {
+                console.log(`   - block ${issue.index}: ${issue.type} - ${issue.message}`);
+            }
+        }
+        console.log(`\n${reports.length - tampered.length}/${reports.length} ledgers intact`);
+    }
+
+    process.exit(tampered.length > 0 ? 1 : 0);
+}
+
+main();
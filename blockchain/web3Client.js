@@ -39,6 +39,18 @@ const CREDIT_REGISTRY_ADDRESS = process.env.CREDIT_REGISTRY_CONTRACT_ADDRESS;
 const PAYMENT_LEDGER_ADDRESS = process.env.PAYMENT_LEDGER_CONTRACT_ADDRESS;
 const ACCESS_CONTROL_ADDRESS = process.env.ACCESS_CONTROL_CONTRACT_ADDRESS;
 
+// 'per-event' sends one transaction per log call. 'batch' skips them and only
+// anchors Merkle roots of the local ledgers (see workers/anchorWorker.js).
+const ANCHOR_MODE = process.env.BLOCKCHAIN_ANCHOR_MODE || 'per-event';
+
+function isBatchAnchorMode() {
+    return ANCHOR_MODE === 'batch';
+}
+
+function batchedResult() {
+    return { success: true, batched: true, transactionHash: null, reason: 'Covered by the next Merkle anchor' };
+}
+
 /**
  * Hash string to bytes32 for blockchain storage (using keccak256 to match Solidity)
  */
@@ -310,6 +322,8 @@ async function sendTxFast(contractMethod, txOptions, timeoutMs = 60000, retries
  * Log loan application to LoanCore contract
  */
 async function logApplicationToBlockchain(applicationData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!loanCoreContract || !account) {
         console.warn('⚠️  [LoanCore] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -375,6 +389,8 @@ async function logApplicationToBlockchain(applicationData) {
  * Log chat interaction to LoanCore contract
  */
 async function logChatToBlockchain(chatData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!loanCoreContract || !account) {
         console.warn('⚠️  [LoanCore] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -430,6 +446,8 @@ async function logChatToBlockchain(chatData) {
  * Log document verification to LoanCore contract
  */
 async function logDocumentToBlockchain(documentData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!loanCoreContract || !account) {
         console.warn('⚠️  [LoanCore] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -483,6 +501,8 @@ async function logDocumentToBlockchain(documentData) {
  * Log credit score to CreditRegistry contract
  */
 async function logCreditScoreToBlockchain(creditData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!creditRegistryContract || !account) {
         console.warn('⚠️  [CreditRegistry] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -537,6 +557,8 @@ async function logCreditScoreToBlockchain(creditData) {
  * Log loan disbursement to PaymentLedger contract
  */
 async function logDisbursementToBlockchain(disbursementData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!paymentLedgerContract || !account) {
         console.warn('⚠️  [PaymentLedger] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -585,6 +607,8 @@ async function logDisbursementToBlockchain(disbursementData) {
  * Log EMI payment to PaymentLedger contract
  */
 async function logPaymentToBlockchain(paymentData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
     if (!paymentLedgerContract || !account) {
         console.warn('⚠️  [PaymentLedger] Contract not available. Skipping.');
         return { success: false, reason: 'Contract not initialized' };
@@ -637,6 +661,133 @@ async function logPaymentToBlockchain(paymentData) {
     }
 }
 
+/**
+ * Update the status of a loan already logged to LoanCore
+ * (e.g., mark an approved-but-never-disbursed loan as cancelled)
+ */
+async function updateLoanStatusOnBlockchain(statusData) {
+    if (isBatchAnchorMode()) return batchedResult();
+    
+    if (!loanCoreContract || !account) {
+        console.warn('⚠️  [LoanCore] Contract not available. Skipping.');
+        return { success: false, reason: 'Contract not initialized' };
+    }
+    
+    try {
+        const { applicationId, userId, status } = statusData;
+        
+        const loanIdHash = hashToBytes32(applicationId);
+        const userIdHash = hashToBytes32(userId);
+        
+        // LoanCore addresses loans by their index in the user's loan array
+        const loans = await callWithRetry(() => loanCoreContract.methods.getLoans(userIdHash).call());
+        if (!loans) {
+            return { success: false, error: 'Rate limit exceeded' };
+        }
+        
+        const loanIndex = loans.findIndex(loan => loan.loanId === loanIdHash);
+        if (loanIndex === -1) {
+            return { success: false, reason: 'Loan not found on-chain' };
+        }
+        
+        const tx = await sendTxFast(
+            loanCoreContract.methods.updateLoanStatus(
+                userIdHash,
+                loanIndex,
+                getStatusCode(status)
+            ),
+            await getTxOptions(200000)
+        );
+        
+        console.log(`✅ [LoanCore] Loan status updated: ${applicationId} -> ${status}`);
+        
+        return {
+            success: true,
+            transactionHash: tx.transactionHash
+        };
+    } catch (error) {
+        console.error('❌ [LoanCore] Failed to update loan status:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Anchor a Merkle root of ledger blocks on LoanCore (one transaction per batch)
+ */
+async function anchorMerkleRootOnBlockchain(anchorData) {
+    if (!loanCoreContract || !account) {
+        console.warn('⚠️  [LoanCore] Contract not available. Skipping anchor.');
+        return { success: false, reason: 'Contract not initialized' };
+    }
+    
+    try {
+        const { root, leafCount } = anchorData;
+        
+        const tx = await sendTxFast(
+            loanCoreContract.methods.anchorRoot(root, leafCount),
+            await getTxOptions(150000)
+        );
+        
+        console.log(`✅ [LoanCore] Merkle root anchored: ${root} (${leafCount} blocks)`);
+        console.log(`   Tx: ${tx.transactionHash} (pending confirmation)`);
+        
+        return {
+            success: true,
+            transactionHash: tx.transactionHash
+        };
+    } catch (error) {
+        console.error('❌ [LoanCore] Failed to anchor Merkle root:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Read the RootAnchored events emitted by a LoanCore transaction.
+ * Without a receipt, `known` says whether the node still has the
+ * transaction (not yet mined) or has never seen it / dropped it; a rate
+ * limit that outlasts the retries is reported as success: false.
+ */
+async function getAnchorTransaction(transactionHash) {
+    if (!web3 || !loanCoreContract) {
+        return { success: false, reason: 'Contract not initialized' };
+    }
+    
+    try {
+        // Wrapped so a missing receipt is not mistaken for callWithRetry's rate-limit null
+        const lookup = await callWithRetry(async () => ({ receipt: await web3.eth.getTransactionReceipt(transactionHash) }));
+        if (!lookup) {
+            return { success: false, error: 'Rate limit exhausted reading the receipt' };
+        }
+        const { receipt } = lookup;
+        if (!receipt) {
+            const pending = await callWithRetry(async () => ({ transaction: await web3.eth.getTransaction(transactionHash) }));
+            if (!pending) {
+                return { success: false, error: 'Rate limit exhausted reading the transaction' };
+            }
+            return { success: true, found: false, known: Boolean(pending.transaction), confirmed: false, roots: [] };
+        }
+        
+        const eventTopic = web3.utils.keccak256('RootAnchored(bytes32,uint256,uint256)');
+        const roots = (receipt.logs || [])
+            .filter(log =>
+                log.address && log.address.toLowerCase() === LOAN_CORE_ADDRESS.toLowerCase() &&
+                log.topics && log.topics[0] === eventTopic
+            )
+            .map(log => log.topics[1]);
+        
+        return {
+            success: true,
+            found: true,
+            confirmed: Number(receipt.status) === 1,
+            blockNumber: Number(receipt.blockNumber),
+            roots
+        };
+    } catch (error) {
+        console.error('❌ [LoanCore] Failed to read anchor transaction:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Get all loans for a user from blockchain
  */
@@ -831,6 +982,7 @@ async function getUserEMIs(userId) {
  * @param {object} localData.application - Application details
  * @param {object} localData.customer - Customer details
  * @param {object} localData.txHashes - Transaction hashes from blockchain writes
+ * @param {object} localData.servicing - Optional repayments and late charges
  */
 async function generateAndUploadMasterContract(userId, localData = null) {
     try {
@@ -842,7 +994,7 @@ async function generateAndUploadMasterContract(userId, localData = null) {
         // **HYBRID MODE**: If localData provided, use it directly (no blockchain queries)
         if (localData && localData.application && localData.txHashes) {
             console.log(`📊 [Master Contract] Using LOCAL DATA (hybrid mode) for userId: ${userId}`);
-            const { application, customer, creditScore, emiData, txHashes } = localData;
+            const { application, customer, creditScore, emiData, txHashes, servicing } = localData;
             
             const masterContract = {
                 version: '2.1-hybrid',
@@ -940,6 +1092,9 @@ async function generateAndUploadMasterContract(userId, localData = null) {
                     }]
                 },
                 
+                // Repayments and late charges recorded off-chain (utils/loanStatement.js)
+                ...(servicing && { servicing }),
+                
                 verification: {
                     note: 'Generated from local data + blockchain transaction hashes (hybrid mode). All txHashes are verifiable on Sepolia.',
                     blockchainProof: 'Verify transactions at explorer URLs above using txHash',
@@ -956,7 +1111,7 @@ async function generateAndUploadMasterContract(userId, localData = null) {
             return {
                 success: true,
                 ipfsHash: ipfsResult.ipfsHash,
-                ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsResult.ipfsHash}`,
+                ipfsUrl: ipfsResult.url,
                 masterContract
             };
         }
@@ -1123,7 +1278,7 @@ async function generateAndUploadMasterContract(userId, localData = null) {
         
         console.log(`✅ [Master Contract] Generated for ${userId}`);
         console.log(`   IPFS: ${ipfsResult.ipfsHash}`);
-        console.log(`   URL: https://gateway.pinata.cloud/ipfs/${ipfsResult.ipfsHash}`);
+        console.log(`   URL: ${ipfsResult.url}`);
         
         // Warn if data might be incomplete due to rate limiting
         const hasPartialData = disbursements.length === 0 || emis.length === 0 || creditHistory.length === 0;
@@ -1135,7 +1290,7 @@ async function generateAndUploadMasterContract(userId, localData = null) {
         return {
             success: true,
             ipfsHash: ipfsResult.ipfsHash,
-            ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsResult.ipfsHash}`,
+            ipfsUrl: ipfsResult.url,
             localPath: localPath,
             masterContract: masterContract,
             rateLimited: hasPartialData
@@ -1149,12 +1304,12 @@ async function generateAndUploadMasterContract(userId, localData = null) {
 // ==================== Helper Functions ====================
 
 function getStatusCode(status) {
-    const codes = { pending: 0, offered: 1, negotiating: 2, accepted: 3, approved: 4, rejected: 5, disbursed: 6 };
+    const codes = { pending: 0, offered: 1, negotiating: 2, accepted: 3, approved: 4, rejected: 5, disbursed: 6, cancelled: 7 };
     return codes[status] || 0;
 }
 
 function getStatusString(code) {
-    const statuses = ['pending', 'offered', 'negotiating', 'accepted', 'approved', 'rejected', 'disbursed'];
+    const statuses = ['pending', 'offered', 'negotiating', 'accepted', 'approved', 'rejected', 'disbursed', 'cancelled'];
     return statuses[code] || 'unknown';
 }
 
@@ -1217,6 +1372,10 @@ module.exports = {
     logCreditScoreToBlockchain,
     logDisbursementToBlockchain,
     logPaymentToBlockchain,
+    updateLoanStatusOnBlockchain,
+    anchorMerkleRootOnBlockchain,
+    getAnchorTransaction,
+    isBatchAnchorMode,
     getUserLoans,
     getLatestCreditScore,
     getMasterLedger,
@@ -133,7 +133,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const link = document.createElement('a');
             link.className = 'cid-link';
-            link.href = `https://gateway.pinata.cloud/ipfs/${item.cid}`;
+            link.href = `/api/ipfs/${item.cid}`;
             link.textContent = item.cid;
             link.target = '_blank';
             link.rel = 'noopener noreferrer';
@@ -219,7 +219,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             await hydrateDisbursement(result.cids, {
                 amount: requestBody.userData.loanAmount,
-                termMonths: 36,
+                termMonths: (result.terms && result.terms.term) || 36,
                 annualRate: 10,
                 etaDays: randomEtaDays()
             });
@@ -252,7 +252,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     async function fetchJsonFromCid(cid) {
-        const res = await fetch(`https://gateway.pinata.cloud/ipfs/${cid}`);
+        const res = await fetch(`/api/ipfs/${cid}`);
         if (!res.ok) {
             throw new Error(`Failed to fetch CID ${cid}: ${res.status}`);
         }
@@ -292,7 +292,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
                 return;
             } catch (err) {
-                console.error('Failed to load disbursement from Pinata:', err);
+                console.error('Failed to load disbursement from IPFS:', err);
             }
         }
 
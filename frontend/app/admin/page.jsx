@@ -12,6 +12,19 @@ const formatAmount = (amount) => {
     return new Intl.NumberFormat('en-IN').format(amount);
 };
 
+// Face verification decisions (utils/faceMatch.js)
+const FACE_DECISIONS = {
+    match: { label: 'Match', color: '#10b981' },
+    review: { label: 'Needs review', color: '#f59e0b' },
+    mismatch: { label: 'Mismatch', color: '#ef4444' },
+    liveness_failed: { label: 'Liveness failed', color: '#ef4444' },
+    no_face: { label: 'No face found', color: '#f59e0b' }
+};
+const FACE_DOCUMENT_LABELS = { aadhaar: 'Aadhaar', pan: 'PAN card' };
+
+// Staff alert severities (server/utils/staffAlerts.js)
+const ALERT_COLORS = { warning: '#f59e0b', critical: '#ef4444' };
+
 export default function AdminPage() {
     const { user, logout, loading: authLoading } = useAuth();
     const router = useRouter();
@@ -22,19 +35,39 @@ export default function AdminPage() {
     const [loading, setLoading] = useState(true);
     const [expandedPhone, setExpandedPhone] = useState(null); // Track expanded phone numbers
 
+    // Collections (admins and collection agents)
+    const [collections, setCollections] = useState(null);
+    const [cases, setCases] = useState([]);
+    const [agents, setAgents] = useState([]);
+    const [queueFilter, setQueueFilter] = useState('all');
+    const [activeCase, setActiveCase] = useState(null);
+    const [contactForm, setContactForm] = useState({ channel: 'call', outcome: 'no_answer', notes: '' });
+    const [promiseForm, setPromiseForm] = useState({ amount: '', promisedDate: '', notes: '' });
+    const [collectionsError, setCollectionsError] = useState('');
+
+    // Staff alerts (admins)
+    const [alerts, setAlerts] = useState([]);
+
+    const isAdmin = user?.role === 'admin';
+    const isStaff = isAdmin || user?.role === 'collection_agent';
+
     // Protect Route
     useEffect(() => {
         if (!authLoading) {
-            if (!user || user.role !== 'admin') {
+            if (!user || (user.role !== 'admin' && user.role !== 'collection_agent')) {
                 router.push('/login');
             }
         }
     }, [user, authLoading, router]);
 
-    // Fetch applications
+    // Fetch applications (admins) and collection cases
     useEffect(() => {
         if (user && user.role === 'admin') {
             fetchApplications();
+            fetchAlerts();
+        }
+        if (user && (user.role === 'admin' || user.role === 'collection_agent')) {
+            fetchCollections();
         }
     }, [user]);
 
@@ -54,15 +87,150 @@ export default function AdminPage() {
         setLoading(false);
     };
 
+    const fetchAlerts = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const res = await fetch(`${API_URL}/api/admin/alerts`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.ok) {
+                setAlerts(data.alerts);
+            }
+        } catch (err) {
+            console.error('Failed to fetch alerts:', err);
+        }
+    };
+
+    const handleAcknowledge = async (alertId) => {
+        try {
+            const token = localStorage.getItem('token');
+            const res = await fetch(`${API_URL}/api/admin/alerts/${alertId}/acknowledge`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.ok) {
+                setAlerts(list => list.filter(a => a._id !== alertId));
+            }
+        } catch (err) {
+            console.error('Failed to acknowledge alert:', err);
+        }
+    };
+
+    const fetchCollections = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [summaryRes, casesRes] = await Promise.all([
+                fetch(`${API_URL}/api/admin/collections`, { headers }),
+                fetch(`${API_URL}/api/admin/collections/cases`, { headers })
+            ]);
+            const summary = await summaryRes.json();
+            const caseList = await casesRes.json();
+            if (summary.ok) setCollections(summary);
+            if (caseList.ok) setCases(caseList.cases);
+
+            if (user.role === 'admin') {
+                const agentsRes = await fetch(`${API_URL}/api/admin/collections/agents`, { headers });
+                const agentList = await agentsRes.json();
+                if (agentList.ok) setAgents(agentList.agents);
+            }
+        } catch (err) {
+            console.error('Failed to fetch collections:', err);
+        }
+        setLoading(false);
+    };
+
+    // POST an action on a case and swap in the updated case
+    const postCaseAction = async (caseId, action, body) => {
+        setCollectionsError('');
+        try {
+            const token = localStorage.getItem('token');
+            const res = await fetch(`${API_URL}/api/admin/collections/cases/${caseId}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (data.ok) {
+                setCases(list => list.map(c => (c._id === caseId ? data.case : c)));
+                return true;
+            }
+            setCollectionsError(data.error || 'Action failed');
+        } catch (err) {
+            setCollectionsError('Connection failed');
+        }
+        return false;
+    };
+
+    const handleLogContact = async (caseId) => {
+        if (await postCaseAction(caseId, 'attempts', contactForm)) {
+            setContactForm({ channel: 'call', outcome: 'no_answer', notes: '' });
+        }
+    };
+
+    const handlePromise = async (caseId) => {
+        if (await postCaseAction(caseId, 'promises', { ...promiseForm, amount: Number(promiseForm.amount) })) {
+            setPromiseForm({ amount: '', promisedDate: '', notes: '' });
+        }
+    };
+
+    const handleAssign = async (caseId, agentId) => {
+        if (agentId && await postCaseAction(caseId, 'assign', { agentId })) {
+            fetchCollections();
+        }
+    };
+
+    const handleRunCollections = async () => {
+        setCollectionsError('');
+        try {
+            const token = localStorage.getItem('token');
+            const res = await fetch(`${API_URL}/api/admin/collections/run`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (!data.ok) setCollectionsError(data.error || 'Collections run failed');
+        } catch (err) {
+            setCollectionsError('Connection failed');
+        }
+        fetchCollections();
+    };
+
+    const agentName = (agentId) => {
+        if (!agentId) return 'Unassigned';
+        if (agentId === user?.id) return 'You';
+        const agent = agents.find(a => a.id === agentId);
+        return agent ? agent.name : agentId;
+    };
+
+    const getCaseStatusStyle = (status) => {
+        switch (status) {
+            case 'promised': return { background: 'var(--warning)', color: '#000' };
+            case 'escalated': return { background: 'var(--error)', color: '#fff' };
+            case 'resolved': return { background: 'var(--success)', color: '#fff' };
+            default: return { background: 'rgba(59,130,246,0.6)', color: '#fff' };
+        }
+    };
+
+    const filteredCases = queueFilter === 'all' ? cases : cases.filter(c => c.queue === queueFilter);
+
     const stats = {
         total: applications.length,
         pending: applications.filter(a => a.status === 'pending').length,
         approved: applications.filter(a => a.status === 'approved').length,
         rejected: applications.filter(a => a.status === 'rejected').length,
+        overdue: applications.filter(a => a.dpd > 0).length,
         totalAmount: applications.filter(a => a.status === 'approved').reduce((sum, a) => sum + a.amount, 0)
     };
 
-    const filteredApps = filter === 'all' ? applications : applications.filter(a => a.status === filter);
+    const filteredApps = filter === 'all'
+        ? applications
+        : applications.filter(a => (filter === 'overdue' ? a.dpd > 0 : a.status === filter));
 
     // Group applications by phone number
     const groupedByPhone = filteredApps.reduce((acc, app) => {
@@ -169,7 +337,7 @@ export default function AdminPage() {
         }
     };
 
-    if (authLoading || !user || user.role !== 'admin') {
+    if (authLoading || !user || !isStaff) {
         return <div className="p-8 text-center">Loading admin portal...</div>;
     }
 
@@ -179,7 +347,7 @@ export default function AdminPage() {
                 <nav className="nav container" style={{ background: '#0f172a', borderBottom: '1px solid #333' }}>
                     <Link href="/admin" className="logo" style={{ color: '#fff' }}>🛡️ BFSI Admin</Link>
                     <ul className="nav-links" style={{ alignItems: 'center' }}>
-                        <li><span className="badge badge-warning">Admin Access</span></li>
+                        <li><span className="badge badge-warning">{isAdmin ? 'Admin Access' : 'Collections Agent'}</span></li>
                         <li>
                             <button onClick={logout} className="btn btn-secondary" style={{ padding: '8px 16px', fontSize: '14px', color: '#fff', borderColor: '#555' }}>
                                 Logout
@@ -190,7 +358,28 @@ export default function AdminPage() {
             </header>
 
             <div className="container" style={{ padding: '40px 20px' }}>
-                <h1 className="mb-8">📊 Admin Dashboard</h1>
+                <h1 className="mb-8">{isAdmin ? '📊 Admin Dashboard' : '📞 Collections'}</h1>
+
+                {isAdmin && (
+                <>
+                {/* Staff Alerts */}
+                {alerts.length > 0 && (
+                    <div className="card mb-8">
+                        <h2 style={{ margin: '0 0 16px 0', fontSize: '18px' }}>🚨 Alerts ({alerts.length})</h2>
+                        {alerts.map(alert => (
+                            <div key={alert._id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '16px', padding: '12px 0', borderTop: '1px solid var(--border)' }}>
+                                <div>
+                                    <p style={{ fontWeight: '600', color: ALERT_COLORS[alert.severity] || 'var(--text)' }}>{alert.title}</p>
+                                    <p className="text-muted" style={{ fontSize: '13px', marginTop: '4px' }}>{alert.message}</p>
+                                    <p className="text-muted" style={{ fontSize: '11px', marginTop: '4px' }}>{new Date(alert.createdAt).toLocaleString()}</p>
+                                </div>
+                                <button className="btn btn-secondary" style={{ fontSize: '12px', padding: '6px 12px', whiteSpace: 'nowrap' }} onClick={() => handleAcknowledge(alert._id)}>
+                                    Acknowledge
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
 
                 {/* Stats Cards */}
                 <div className="grid-4 mb-8" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '20px' }}>
@@ -206,6 +395,10 @@ export default function AdminPage() {
                         <p className="text-muted">Approved</p>
                         <p style={{ fontSize: '36px', fontWeight: '700', color: 'var(--success)' }}>{stats.approved}</p>
                     </div>
+                    <div className="card">
+                        <p className="text-muted">Overdue Loans</p>
+                        <p style={{ fontSize: '36px', fontWeight: '700', color: 'var(--error)' }}>{stats.overdue}</p>
+                    </div>
                     <div className="card">
                         <p className="text-muted">Total Disbursed</p>
                         <p style={{ fontSize: '36px', fontWeight: '700', color: 'var(--secondary)' }}>₹{(stats.totalAmount / 100000).toFixed(1)}L</p>
@@ -214,8 +407,8 @@ export default function AdminPage() {
 
                 {/* Filters */}
                 <div className="mb-8" style={{ display: 'flex', gap: '12px' }}>
-                    <button className="btn btn-secondary" onClick={fetchApplications}>🔄 Refresh</button>
-                    {['all', 'pending', 'approved', 'rejected'].map(f => (
+                    <button className="btn btn-secondary" onClick={() => { fetchApplications(); fetchAlerts(); }}>🔄 Refresh</button>
+                    {['all', 'pending', 'approved', 'rejected', 'overdue'].map(f => (
                         <button
                             key={f}
                             className={`btn`}
@@ -314,6 +507,11 @@ export default function AdminPage() {
                                                     }}>
                                                         {app.status.toUpperCase()}
                                                     </span>
+                                                    {app.dpd > 0 && (
+                                                        <div style={{ fontSize: '11px', color: '#fca5a5', marginTop: '6px' }}>
+                                                            {app.dpd} DPD • {app.dpdBucket}
+                                                        </div>
+                                                    )}
                                                 </td>
                                                 <td style={{ padding: '16px' }}>
                                                     <button
@@ -335,6 +533,168 @@ export default function AdminPage() {
                         </table>
                     )}
                 </div>
+                </>
+                )}
+
+                {/* Collections */}
+                <div className="mb-8" style={{ marginTop: isAdmin ? '48px' : 0 }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                        <h2 style={{ margin: 0 }}>📞 Collections</h2>
+                        <div style={{ display: 'flex', gap: '12px' }}>
+                            <button className="btn btn-secondary" onClick={fetchCollections}>🔄 Refresh</button>
+                            {isAdmin && (
+                                <button className="btn btn-primary" onClick={handleRunCollections}>▶ Run Collections</button>
+                            )}
+                        </div>
+                    </div>
+
+                    {collectionsError && (
+                        <div style={{ padding: '12px 16px', marginBottom: '16px', borderRadius: '10px', background: 'rgba(239,68,68,0.15)', color: 'var(--error)' }}>
+                            {collectionsError}
+                        </div>
+                    )}
+
+                    {/* Queue Cards */}
+                    {collections && (
+                        <div className="mb-8" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '16px' }}>
+                            {Object.entries(collections.queues).map(([queue, q]) => (
+                                <div
+                                    key={queue}
+                                    className="card"
+                                    style={{ cursor: 'pointer', border: queueFilter === queue ? '2px solid var(--primary)' : undefined }}
+                                    onClick={() => setQueueFilter(queueFilter === queue ? 'all' : queue)}
+                                >
+                                    <p className="text-muted">{queue === 'escalated' ? 'Escalated' : `${queue} DPD`}</p>
+                                    <p style={{ fontSize: '28px', fontWeight: '700', color: queue === 'escalated' || queue === 'NPA' ? 'var(--error)' : 'var(--warning)' }}>{q.cases}</p>
+                                    <p className="text-muted" style={{ fontSize: '12px' }}>
+                                        ₹{formatAmount(q.overdueAmount)} overdue • {q.pendingPromises} promised{q.unassigned > 0 ? ` • ${q.unassigned} unassigned` : ''}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Case Worklist */}
+                    <div style={tableCardStyle}>
+                        {filteredCases.length === 0 ? (
+                            <div className="text-center p-8 text-muted" style={{ color: '#cbd5f5' }}>No open collection cases.</div>
+                        ) : (
+                            <table style={{ width: '100%', borderCollapse: 'collapse', color: '#fff' }}>
+                                <thead>
+                                    <tr style={{ borderBottom: '1px solid rgba(255,255,255,0.2)', textAlign: 'left' }}>
+                                        {['Case', 'Customer', 'DPD', 'Overdue', 'Queue', 'Status', 'Agent', 'Action'].map(h => (
+                                            <th key={h} style={{ padding: '16px', fontSize: '14px', letterSpacing: '0.08em', color: '#cbd5f5' }}>{h}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {filteredCases.map(c => {
+                                        const pendingPromise = c.promises.find(p => p.status === 'pending');
+                                        return (
+                                            <Fragment key={c._id}>
+                                                <tr style={{ borderBottom: '1px solid rgba(255,255,255,0.08)' }}>
+                                                    <td style={{ padding: '16px', fontSize: '12px', fontFamily: 'monospace', color: '#e2e8f0' }}>{c._id}</td>
+                                                    <td style={{ padding: '16px' }}>
+                                                        <strong>{c.customerName}</strong>
+                                                        <div style={{ fontSize: '12px', color: '#94a3b8' }}>📱 {c.phone}</div>
+                                                    </td>
+                                                    <td style={{ padding: '16px', fontWeight: 'bold', color: '#fca5a5' }}>{c.dpd}</td>
+                                                    <td style={{ padding: '16px' }}>
+                                                        ₹{formatAmount(c.overdueAmount)}
+                                                        {c.chargesDue > 0 && (
+                                                            <div style={{ fontSize: '11px', color: '#94a3b8' }}>+ ₹{formatAmount(c.chargesDue)} charges</div>
+                                                        )}
+                                                    </td>
+                                                    <td style={{ padding: '16px' }}>{c.queue}{c.escalationLevel > 0 ? ` (L${c.escalationLevel})` : ''}</td>
+                                                    <td style={{ padding: '16px' }}>
+                                                        <span style={{ padding: '4px 10px', borderRadius: '999px', fontSize: '12px', fontWeight: 'bold', ...getCaseStatusStyle(c.status) }}>
+                                                            {c.status.toUpperCase()}
+                                                        </span>
+                                                        {pendingPromise && (
+                                                            <div style={{ fontSize: '11px', color: '#fcd34d', marginTop: '6px' }}>
+                                                                ₹{formatAmount(pendingPromise.amount)} by {pendingPromise.promisedDate}
+                                                            </div>
+                                                        )}
+                                                    </td>
+                                                    <td style={{ padding: '16px' }}>
+                                                        {isAdmin ? (
+                                                            <select
+                                                                value={c.assignedTo || ''}
+                                                                onChange={e => handleAssign(c._id, e.target.value)}
+                                                                style={{ background: 'transparent', color: '#fff', border: '1px solid rgba(255,255,255,0.2)', borderRadius: '8px', padding: '6px' }}
+                                                            >
+                                                                <option value="" disabled>Unassigned</option>
+                                                                {agents.filter(a => a.active).map(a => (
+                                                                    <option key={a.id} value={a.id} style={{ color: '#000' }}>{a.name} ({a.openCases})</option>
+                                                                ))}
+                                                            </select>
+                                                        ) : agentName(c.assignedTo)}
+                                                    </td>
+                                                    <td style={{ padding: '16px' }}>
+                                                        <button
+                                                            className="btn btn-secondary"
+                                                            style={{ fontSize: '12px', padding: '6px 12px' }}
+                                                            onClick={() => setActiveCase(activeCase === c._id ? null : c._id)}
+                                                        >
+                                                            {activeCase === c._id ? 'Close' : 'Work'}
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                                {activeCase === c._id && (
+                                                    <tr style={expandedRowStyle}>
+                                                        <td colSpan={8} style={{ padding: '20px' }}>
+                                                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+                                                                {/* History */}
+                                                                <div>
+                                                                    <h4 style={{ margin: '0 0 12px 0', color: '#cbd5f5' }}>History</h4>
+                                                                    {c.attempts.length === 0 && c.promises.length === 0 && (
+                                                                        <p style={{ fontSize: '13px', color: '#94a3b8' }}>No contact yet.</p>
+                                                                    )}
+                                                                    {c.attempts.map(a => (
+                                                                        <div key={a.attemptId} style={{ fontSize: '13px', color: '#e2e8f0', marginBottom: '6px' }}>
+                                                                            {new Date(a.at).toLocaleString()} • {a.channel} • {a.outcome.replace(/_/g, ' ')}{a.notes ? ` — ${a.notes}` : ''}
+                                                                        </div>
+                                                                    ))}
+                                                                    {c.promises.map(p => (
+                                                                        <div key={p.promiseId} style={{ fontSize: '13px', color: p.status === 'broken' ? '#fca5a5' : p.status === 'kept' ? '#6ee7b7' : '#fcd34d', marginBottom: '6px' }}>
+                                                                            {p.createdOn} • Promise ₹{formatAmount(p.amount)} by {p.promisedDate} • {p.status}{p.paidAmount > 0 ? ` (₹${formatAmount(p.paidAmount)} paid)` : ''}
+                                                                        </div>
+                                                                    ))}
+                                                                </div>
+
+                                                                {/* Actions */}
+                                                                <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+                                                                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                                                                        <select className="form-input" value={contactForm.channel} onChange={e => setContactForm({ ...contactForm, channel: e.target.value })}>
+                                                                            {['call', 'sms', 'email', 'visit'].map(v => <option key={v} value={v}>{v}</option>)}
+                                                                        </select>
+                                                                        <select className="form-input" value={contactForm.outcome} onChange={e => setContactForm({ ...contactForm, outcome: e.target.value })}>
+                                                                            {['no_answer', 'reached', 'wrong_number', 'refused_to_pay', 'disputed', 'paid'].map(v => <option key={v} value={v}>{v.replace(/_/g, ' ')}</option>)}
+                                                                        </select>
+                                                                        <input className="form-input" placeholder="Notes" value={contactForm.notes} onChange={e => setContactForm({ ...contactForm, notes: e.target.value })} />
+                                                                        <button className="btn btn-secondary" onClick={() => handleLogContact(c._id)}>Log Contact</button>
+                                                                    </div>
+                                                                    {!pendingPromise && (
+                                                                        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                                                                            <input className="form-input" type="number" placeholder="Amount (₹)" value={promiseForm.amount} onChange={e => setPromiseForm({ ...promiseForm, amount: e.target.value })} />
+                                                                            <input className="form-input" type="date" value={promiseForm.promisedDate} onChange={e => setPromiseForm({ ...promiseForm, promisedDate: e.target.value })} />
+                                                                            <input className="form-input" placeholder="Notes" value={promiseForm.notes} onChange={e => setPromiseForm({ ...promiseForm, notes: e.target.value })} />
+                                                                            <button className="btn btn-primary" onClick={() => handlePromise(c._id)}>Promise to Pay</button>
+                                                                        </div>
+                                                                    )}
+                                                                </div>
+                                                            </div>
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                            </Fragment>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </div>
 
                 {/* Modal */}
                 {selectedApp && (
@@ -363,6 +723,18 @@ export default function AdminPage() {
                                 <div><p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Account</p><p style={{ color: '#fff' }}>{selectedApp.accountNumber}</p></div>
                                 <div><p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Loan Amount</p><p style={{ color: '#10b981', fontSize: '20px', fontWeight: 'bold' }}>₹{formatAmount(selectedApp.amount)}</p></div>
                                 <div><p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Tenure</p><p style={{ color: '#fff' }}>{selectedApp.tenure} months</p></div>
+                                {selectedApp.dpdBucket && (
+                                    <div><p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Repayment</p><p style={{ color: selectedApp.dpd > 0 ? '#f87171' : '#10b981', fontWeight: '600' }}>{selectedApp.dpd > 0 ? `${selectedApp.dpd} DPD (${selectedApp.dpdBucket}) • ₹${formatAmount(selectedApp.overdueAmount)} overdue` : selectedApp.delinquencyState === 'closed' ? 'Closed' : 'Current'}</p></div>
+                                )}
+                                {selectedApp.defaultRisk && (
+                                    <div>
+                                        <p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Default Risk</p>
+                                        <p style={{ color: selectedApp.defaultRisk.band === 'low' ? '#10b981' : '#f59e0b', fontWeight: '600' }}>{(selectedApp.defaultRisk.probability * 100).toFixed(1)}% ({selectedApp.defaultRisk.band})</p>
+                                        {selectedApp.defaultRisk.calibrated !== true && (
+                                            <p style={{ color: '#94a3b8', fontSize: '11px', marginTop: '2px' }}>Uncalibrated model: ranks loans for review, not a default rate</p>
+                                        )}
+                                    </div>
+                                )}
                                 <div><p style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '4px' }}>Approval Score</p><p style={{ color: selectedApp.approvalScore >= 700 ? '#10b981' : '#f59e0b', fontSize: '18px', fontWeight: 'bold' }}>{selectedApp.approvalScore}/900</p></div>
                             </div>
 
@@ -443,6 +815,62 @@ export default function AdminPage() {
                                 </div>
                             )}
 
+                            {/* Face Verification */}
+                            {selectedApp.documents?.faceMatch && (() => {
+                                const face = selectedApp.documents.faceMatch;
+                                const decision = FACE_DECISIONS[face.decision] || { label: face.decision, color: '#94a3b8' };
+                                const liveness = face.liveness;
+                                return (
+                                    <div style={{
+                                        background: 'linear-gradient(135deg, rgba(59,130,246,0.1), rgba(16,185,129,0.05))',
+                                        borderRadius: '16px',
+                                        padding: '20px',
+                                        border: `1px solid ${decision.color}55`,
+                                        marginBottom: '24px'
+                                    }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                                            <h3 style={{ color: '#fff', margin: 0, fontSize: '16px', fontWeight: '600' }}>🙂 Face Verification</h3>
+                                            <span style={{ color: decision.color, fontWeight: '700', fontSize: '14px' }}>{decision.label}</span>
+                                        </div>
+                                        {face.calibrated !== true && (
+                                            <p style={{ color: '#94a3b8', fontSize: '11px', margin: '-8px 0 12px' }}>Uncalibrated model: findings are for manual review only</p>
+                                        )}
+                                        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                                            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 14px', background: 'rgba(255,255,255,0.05)', borderRadius: '10px' }}>
+                                                <span style={{ color: '#94a3b8', fontSize: '14px' }}>Best similarity</span>
+                                                <span style={{ color: '#fff', fontWeight: '600', fontFamily: 'monospace' }}>
+                                                    {face.similarity !== null ? `${face.similarity.toFixed(3)} (${FACE_DOCUMENT_LABELS[face.matchedDocument] || face.matchedDocument})` : 'N/A'}
+                                                </span>
+                                            </div>
+                                            {(face.comparisons || []).map(c => (
+                                                <div key={c.document} style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 14px', background: 'rgba(255,255,255,0.03)', borderRadius: '10px' }}>
+                                                    <span style={{ color: '#94a3b8', fontSize: '13px' }}>vs {FACE_DOCUMENT_LABELS[c.document] || c.document} photo</span>
+                                                    <span style={{ color: c.faceDetected ? '#fff' : '#f59e0b', fontSize: '13px', fontFamily: 'monospace' }}>
+                                                        {c.faceDetected ? c.similarity.toFixed(3) : c.error ? 'could not read image' : c.greyscale ? 'greyscale photo, compare by hand' : 'no face found'}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                            {liveness && (
+                                                <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 14px', background: 'rgba(255,255,255,0.05)', borderRadius: '10px' }}>
+                                                    <span style={{ color: '#94a3b8', fontSize: '14px' }}>Liveness ({liveness.facesDetected}/{liveness.frames} frames)</span>
+                                                    <span style={{ color: liveness.passed ? '#10b981' : liveness.checked === false ? '#f59e0b' : '#ef4444', fontWeight: '600', fontSize: '13px', textAlign: 'right' }}>
+                                                        {liveness.passed
+                                                            ? `Passed • ${[liveness.blink && 'blink', liveness.headTurn && 'head turn'].filter(Boolean).join(' + ')}`
+                                                            : `${liveness.checked === false ? 'Not checked' : 'Failed'} • ${liveness.reason}`}
+                                                    </span>
+                                                </div>
+                                            )}
+                                            {(face.issues || []).map((issue, i) => (
+                                                <p key={i} style={{ color: '#fca5a5', fontSize: '12px', margin: 0 }}>⚠️ {issue.message}</p>
+                                            ))}
+                                            {face.error && (
+                                                <p style={{ color: '#f59e0b', fontSize: '12px', margin: 0 }}>Check could not run: {face.error}</p>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })()}
+
                             {selectedApp.status === 'pending' && (
                                 <div style={{ display: 'flex', gap: '16px' }}>
                                     <button style={{ flex: 1, background: 'linear-gradient(135deg, #10b981, #059669)', color: '#fff', border: 'none', padding: '14px', borderRadius: '12px', fontSize: '16px', fontWeight: '600', cursor: 'pointer' }} onClick={() => handleApprove(selectedApp.id)}>
@@ -227,6 +227,53 @@ const chatFooterStyle = {
     background: 'rgba(15,23,42,0.85)'
 };
 
+const EMPLOYMENT_TYPES = [
+    { value: 'salaried', label: 'Salaried' },
+    { value: 'government', label: 'Government employee' },
+    { value: 'self-employed', label: 'Self-employed professional' },
+    { value: 'business', label: 'Business owner' },
+    { value: 'freelancer', label: 'Freelancer' },
+    { value: 'contractor', label: 'Contractor' }
+];
+
+// Income proof by employment type; Aadhaar, PAN and the bank statement are
+// always required
+const BASE_DOCUMENTS = [
+    { key: 'aadhaar', label: 'Aadhaar Card', icon: '🪪' },
+    { key: 'pan', label: 'PAN Card', icon: '💳' },
+    { key: 'bankStatement', label: 'Bank Statement', icon: '🏦' }
+];
+const INCOME_DOCUMENTS = {
+    salarySlip: { key: 'salarySlip', label: 'Salary Slip', icon: '💰' },
+    form16: { key: 'form16', label: 'Form 16', icon: '🧾' },
+    itrV: { key: 'itrV', label: 'ITR-V Acknowledgement', icon: '📑' },
+    gstReturn: { key: 'gstReturn', label: 'GST Return (GSTR-3B)', icon: '🏢' }
+};
+const DOCUMENT_SETS = {
+    salaried: ['salarySlip', 'form16'],
+    government: ['salarySlip', 'form16'],
+    'self-employed': ['itrV', 'gstReturn'],
+    business: ['itrV', 'gstReturn'],
+    freelancer: ['itrV'],
+    contractor: ['itrV']
+};
+const OPTIONAL_ID_DOCUMENTS = [
+    { key: 'voterId', label: 'Voter ID', icon: '🗳️' },
+    { key: 'passport', label: 'Passport', icon: '🛂' },
+    { key: 'drivingLicence', label: 'Driving Licence', icon: '🚗' }
+];
+
+// Burst captured with the live photo for the server-side liveness check
+const LIVE_FRAME_COUNT = 6;
+const LIVE_FRAME_INTERVAL_MS = 250;
+
+function documentsFor(employmentType) {
+    return [
+        ...BASE_DOCUMENTS,
+        ...(DOCUMENT_SETS[employmentType] || DOCUMENT_SETS.salaried).map(key => INCOME_DOCUMENTS[key])
+    ];
+}
+
 export default function ApplyPage() {
     const { user, loading: authLoading } = useAuth();
     const router = useRouter();
@@ -269,11 +316,19 @@ export default function ApplyPage() {
         aadhaar: null,
         pan: null,
         bankStatement: null,
-        salarySlip: null
+        salarySlip: null,
+        form16: null,
+        itrV: null,
+        gstReturn: null,
+        voterId: null,
+        passport: null,
+        drivingLicence: null
     });
 
     // Live photo capture state
     const [livePhoto, setLivePhoto] = useState(null);
+    const [liveFrames, setLiveFrames] = useState([]);
+    const [capturing, setCapturing] = useState(false);
     const [cameraActive, setCameraActive] = useState(false);
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
@@ -310,9 +365,8 @@ export default function ApplyPage() {
         setCameraActive(false);
     };
 
-    // Capture and compress photo
-    const capturePhoto = () => {
-        if (!videoRef.current || !canvasRef.current) return;
+    // Grab the current video frame as a compressed JPEG blob
+    const grabFrame = () => new Promise((resolve) => {
         const video = videoRef.current;
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
@@ -329,14 +383,26 @@ export default function ApplyPage() {
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
 
         // Compress to JPEG 70%
-        canvas.toBlob((blob) => {
-            if (blob) {
-                const file = new File([blob], `live_photo_${Date.now()}.jpg`, { type: 'image/jpeg' });
-                setLivePhoto(file);
-                stopCamera();
-                console.log(`📸 Photo captured: ${(blob.size / 1024).toFixed(1)}KB`);
-            }
-        }, 'image/jpeg', 0.7);
+        canvas.toBlob(resolve, 'image/jpeg', 0.7);
+    });
+
+    // Capture the photo, then a short burst while the user blinks and turns their head
+    const capturePhoto = async () => {
+        if (!videoRef.current || !canvasRef.current) return;
+        setCapturing(true);
+        const frames = [];
+        for (let i = 0; i < LIVE_FRAME_COUNT; i++) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, LIVE_FRAME_INTERVAL_MS));
+            const blob = await grabFrame();
+            if (blob) frames.push(new File([blob], `live_frame_${Date.now()}_${i}.jpg`, { type: 'image/jpeg' }));
+        }
+        setCapturing(false);
+        if (frames.length === 0) return;
+
+        setLivePhoto(new File([frames[0]], `live_photo_${Date.now()}.jpg`, { type: 'image/jpeg' }));
+        setLiveFrames(frames);
+        stopCamera();
+        console.log(`📸 Photo captured: ${(frames[0].size / 1024).toFixed(1)}KB + ${frames.length} liveness frames`);
     };
 
     // Cleanup camera on unmount
@@ -534,11 +600,12 @@ export default function ApplyPage() {
 
         try {
             const formDataAPI = new FormData();
-            if (documents.aadhaar) formDataAPI.append('aadhaar', documents.aadhaar);
-            if (documents.pan) formDataAPI.append('pan', documents.pan);
-            if (documents.bankStatement) formDataAPI.append('bankStatement', documents.bankStatement);
-            if (documents.salarySlip) formDataAPI.append('salarySlip', documents.salarySlip);
+            // Only the documents offered for the selected employment type
+            for (const doc of [...documentsFor(formData.employmentType), ...OPTIONAL_ID_DOCUMENTS]) {
+                if (documents[doc.key]) formDataAPI.append(doc.key, documents[doc.key]);
+            }
             if (livePhoto) formDataAPI.append('livePhoto', livePhoto);
+            liveFrames.forEach(frame => formDataAPI.append('liveFrames', frame));
 
             const res = await fetch(`${API_URL}/api/verify-docs`, {
                 method: 'POST',
@@ -637,6 +704,24 @@ export default function ApplyPage() {
         }
     };
 
+    const renderDocumentCard = (doc) => (
+        <label key={doc.key} className="document-card" style={documentCardStyle}>
+            <input
+                type="file"
+                accept="image/*,.pdf"
+                onChange={(e) => handleFileChange(doc.key, e)}
+                style={{ position: 'absolute', inset: 0, opacity: 0, cursor: 'pointer' }}
+            />
+            <span style={documentIconStyle}>{doc.icon}</span>
+            <p style={{ fontWeight: 500 }}>{documents[doc.key]?.name || `Upload ${doc.label}`}</p>
+            {documents[doc.key] && (
+                <span className="badge badge-success" style={{ display: 'inline-block', marginTop: '8px', padding: '4px 8px', borderRadius: '4px', background: 'var(--success)', color: '#fff', fontSize: '12px' }}>
+                    ✓ Uploaded
+                </span>
+            )}
+        </label>
+    );
+
     if (authLoading || !user) {
         return <div className="p-8 text-center">Loading...</div>;
     }
@@ -727,7 +812,15 @@ export default function ApplyPage() {
                                 <input className="form-input" name="pan" value={formData.pan} onChange={handleInputChange} placeholder="ABCDE1234F" />
                             </div>
                             <div className="input-group">
-                                <label>Monthly Salary (₹)</label>
+                                <label>Employment Type</label>
+                                <select className="form-input" name="employmentType" value={formData.employmentType} onChange={handleInputChange}>
+                                    {EMPLOYMENT_TYPES.map(type => (
+                                        <option key={type.value} value={type.value}>{type.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="input-group">
+                                <label>{['salaried', 'government'].includes(formData.employmentType) ? 'Monthly Salary (₹)' : 'Monthly Income (₹)'}</label>
                                 <input className="form-input" type="number" name="monthlySalary" value={formData.monthlySalary} onChange={handleInputChange} placeholder="50000" />
                             </div>
                             <div className="input-group">
@@ -740,28 +833,11 @@ export default function ApplyPage() {
                             </div>
                         </div>
                         <div style={documentGridStyle}>
-                            {[
-                                { key: 'aadhaar', label: 'Aadhaar Card', icon: '🪪' },
-                                { key: 'pan', label: 'PAN Card', icon: '💳' },
-                                { key: 'bankStatement', label: 'Bank Statement', icon: '🏦' },
-                                { key: 'salarySlip', label: 'Salary Slip', icon: '💰' }
-                            ].map(doc => (
-                                <label key={doc.key} className="document-card" style={documentCardStyle}>
-                                    <input
-                                        type="file"
-                                        accept="image/*,.pdf"
-                                        onChange={(e) => handleFileChange(doc.key, e)}
-                                        style={{ position: 'absolute', inset: 0, opacity: 0, cursor: 'pointer' }}
-                                    />
-                                    <span style={documentIconStyle}>{doc.icon}</span>
-                                    <p style={{ fontWeight: 500 }}>{documents[doc.key]?.name || `Upload ${doc.label}`}</p>
-                                    {documents[doc.key] && (
-                                        <span className="badge badge-success" style={{ display: 'inline-block', marginTop: '8px', padding: '4px 8px', borderRadius: '4px', background: 'var(--success)', color: '#fff', fontSize: '12px' }}>
-                                            ✓ Uploaded
-                                        </span>
-                                    )}
-                                </label>
-                            ))}
+                            {documentsFor(formData.employmentType).map(renderDocumentCard)}
+                        </div>
+                        <p style={{ color: '#94a3b8', fontSize: '13px', margin: '0 0 12px' }}>Optional: add another photo ID to speed up verification</p>
+                        <div style={documentGridStyle}>
+                            {OPTIONAL_ID_DOCUMENTS.map(renderDocumentCard)}
                         </div>
 
                         {/* Live Photo Capture Section */}
@@ -804,18 +880,25 @@ export default function ApplyPage() {
                                             border: '2px solid rgba(59,130,246,0.5)'
                                         }}
                                     />
+                                    <p style={{ color: capturing ? '#fbbf24' : '#94a3b8', fontSize: '13px', margin: '0 0 12px' }}>
+                                        {capturing
+                                            ? 'Keep looking at the camera - blink once and turn your head slightly'
+                                            : 'After you press Capture, blink once and turn your head slightly'}
+                                    </p>
                                     <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
                                         <button
                                             type="button"
                                             onClick={capturePhoto}
+                                            disabled={capturing}
                                             className="btn btn-primary"
                                             style={{ padding: '10px 20px' }}
                                         >
-                                            📸 Capture
+                                            {capturing ? '⏳ Capturing...' : '📸 Capture'}
                                         </button>
                                         <button
                                             type="button"
                                             onClick={stopCamera}
+                                            disabled={capturing}
                                             className="btn btn-secondary"
                                             style={{ padding: '10px 20px' }}
                                         >
@@ -842,7 +925,7 @@ export default function ApplyPage() {
                                         <span style={{ color: 'var(--success)', fontSize: '14px' }}>✓ Photo captured</span>
                                         <button
                                             type="button"
-                                            onClick={() => { setLivePhoto(null); startCamera(); }}
+                                            onClick={() => { setLivePhoto(null); setLiveFrames([]); startCamera(); }}
                                             className="btn btn-secondary"
                                             style={{ padding: '6px 12px', fontSize: '12px' }}
                                         >
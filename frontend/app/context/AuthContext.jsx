@@ -60,7 +60,7 @@ export function AuthProvider({ children }) {
         console.log('✅ [AuthContext] Token stored, user state updated');
 
         // Redirect based on role
-        if (userData.role === 'admin') {
+        if (userData.role === 'admin' || userData.role === 'collection_agent') {
             router.push('/admin');
         } else {
             router.push('/dashboard');
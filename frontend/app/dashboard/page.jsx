@@ -42,6 +42,8 @@ export default function DashboardPage() {
     const router = useRouter();
     const [applications, setApplications] = useState([]);
     const [fetchLoading, setFetchLoading] = useState(true);
+    const [inbox, setInbox] = useState({ notifications: [], unread: 0 });
+    const [preferences, setPreferences] = useState(null);
 
     // Redirect if not logged in
     useEffect(() => {
@@ -49,6 +51,7 @@ export default function DashboardPage() {
             router.push('/login');
         } else if (user) {
             fetchUserApplications();
+            fetchNotifications();
         }
     }, [user, loading, router]);
 
@@ -79,6 +82,46 @@ export default function DashboardPage() {
         }
     };
 
+    const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('token')}` });
+
+    const fetchNotifications = async () => {
+        try {
+            const [inboxRes, prefsRes] = await Promise.all([
+                fetch(`${API_URL}/api/notifications`, { headers: authHeaders() }),
+                fetch(`${API_URL}/api/notifications/preferences`, { headers: authHeaders() })
+            ]);
+            const inboxData = await inboxRes.json();
+            const prefsData = await prefsRes.json();
+            if (inboxData.ok) setInbox({ notifications: inboxData.notifications, unread: inboxData.unread });
+            if (prefsData.ok) setPreferences(prefsData.preferences.channels);
+        } catch (err) {
+            console.error('Failed to fetch notifications:', err);
+        }
+    };
+
+    const markNotificationRead = async (id) => {
+        try {
+            await fetch(`${API_URL}/api/notifications/${id}/read`, { method: 'POST', headers: authHeaders() });
+            fetchNotifications();
+        } catch (err) {
+            console.error('Failed to mark notification read:', err);
+        }
+    };
+
+    const toggleChannel = async (channel) => {
+        try {
+            const res = await fetch(`${API_URL}/api/notifications/preferences`, {
+                method: 'PUT',
+                headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ channels: { [channel]: !preferences[channel] } })
+            });
+            const data = await res.json();
+            if (data.ok) setPreferences(data.preferences.channels);
+        } catch (err) {
+            console.error('Failed to update notification preferences:', err);
+        }
+    };
+
     if (loading || !user) {
         return <div className="p-8 text-center">Loading dashboard...</div>;
     }
@@ -102,6 +145,30 @@ export default function DashboardPage() {
         );
     };
 
+    // Days-past-due status of a serviced loan (bucket 0, 1-30, 31-60, 61-90, NPA)
+    const getDpdBadge = (app) => {
+        if (!app.dpdBucket) return <span style={{ color: '#94a3b8' }}>-</span>;
+        const colors = {
+            '0': 'var(--success)',
+            '1-30': 'var(--warning)',
+            '31-60': '#f97316',
+            '61-90': 'var(--error)',
+            NPA: '#7f1d1d'
+        };
+        const label = app.delinquencyState === 'closed'
+            ? 'Closed'
+            : app.dpd > 0 ? `${app.dpd} DPD (${app.dpdBucket})` : 'On time';
+
+        return (
+            <span style={{
+                background: colors[app.dpdBucket] || 'gray', color: app.dpdBucket === '1-30' ? '#000' : '#fff',
+                padding: '4px 8px', borderRadius: '4px', fontSize: '12px', fontWeight: 'bold'
+            }}>
+                {label}
+            </span>
+        );
+    };
+
     // Get next EMI info for approved loans
     const getNextEMI = () => {
         const approvedApps = applications.filter(a => a.status === 'approved' && a.nextEmiDate);
@@ -116,7 +183,10 @@ export default function DashboardPage() {
             date: nextDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
             amount: nextApp.emi,
             daysLeft: daysLeft,
-            loanId: nextApp.id
+            loanId: nextApp.id,
+            dpd: nextApp.dpd || 0,
+            overdueAmount: nextApp.overdueAmount || 0,
+            chargesDue: nextApp.chargesDue || 0
         };
     };
 
@@ -195,6 +265,16 @@ export default function DashboardPage() {
                             <p style={{ fontSize: '14px', marginTop: '8px', color: 'white' }}>
                                 Due on <strong>{nextEMI.date}</strong> • Loan: {nextEMI.loanId}
                             </p>
+                            {nextEMI.dpd > 0 && (
+                                <p style={{ fontSize: '14px', marginTop: '8px', color: '#fecaca', fontWeight: 'bold' }}>
+                                    ⚠️ ₹{nextEMI.overdueAmount.toLocaleString()} overdue • {nextEMI.dpd} days past due
+                                </p>
+                            )}
+                            {nextEMI.chargesDue > 0 && (
+                                <p style={{ fontSize: '14px', marginTop: '4px', color: '#fecaca' }}>
+                                    Late charges due: ₹{nextEMI.chargesDue.toLocaleString()}
+                                </p>
+                            )}
                         </div>
                         <div style={{ textAlign: 'center' }}>
                             <div style={{
@@ -237,6 +317,7 @@ export default function DashboardPage() {
                                         <th style={{ padding: '16px', color: 'white' }}>Amount</th>
                                         <th style={{ padding: '16px', color: 'white' }}>EMI</th>
                                         <th style={{ padding: '16px', color: 'white' }}>Status</th>
+                                        <th style={{ padding: '16px', color: 'white' }}>Repayment</th>
                                     </tr>
                                 </thead>
                                 <tbody>
@@ -249,6 +330,7 @@ export default function DashboardPage() {
                                                 {app.emi ? `₹${app.emi.toLocaleString()}/mo` : '-'}
                                             </td>
                                             <td style={{ padding: '16px' }}>{getStatusBadge(app.status)}</td>
+                                            <td style={{ padding: '16px' }}>{getDpdBadge(app)}</td>
                                         </tr>
                                     ))}
                                 </tbody>
@@ -256,6 +338,45 @@ export default function DashboardPage() {
                         </div>
                     )}
                 </div>
+
+                {/* Notifications Inbox */}
+                <h2 className="mb-4" style={{ borderBottom: '2px solid var(--border)', paddingBottom: '10px', color: 'white', marginTop: '40px' }}>
+                    🔔 Notifications {inbox.unread > 0 && <span style={{ fontSize: '14px', color: '#fbbf24' }}>({inbox.unread} unread)</span>}
+                </h2>
+
+                <div className="card" style={tableHighlight}>
+                    {preferences && (
+                        <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '16px', color: 'white', fontSize: '14px' }}>
+                            <span>Notify me by:</span>
+                            {[['sms', 'SMS'], ['email', 'Email'], ['in_app', 'In-app']].map(([channel, label]) => (
+                                <label key={channel} style={{ display: 'flex', gap: '6px', alignItems: 'center', cursor: 'pointer' }}>
+                                    <input type="checkbox" checked={preferences[channel]} onChange={() => toggleChannel(channel)} />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    {inbox.notifications.length === 0 ? (
+                        <p style={{ color: '#94a3b8' }}>No notifications yet.</p>
+                    ) : (
+                        inbox.notifications.map(n => (
+                            <div key={n._id} style={{ padding: '12px 0', borderTop: '1px solid rgba(148,163,184,0.2)', color: 'white', opacity: n.read ? 0.6 : 1 }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                                    <strong>{n.subject}</strong>
+                                    <span style={{ fontSize: '12px', color: '#94a3b8', whiteSpace: 'nowrap' }}>
+                                        {new Date(n.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                                    </span>
+                                </div>
+                                <p style={{ fontSize: '14px', marginTop: '4px' }}>{n.body}</p>
+                                {!n.read && (
+                                    <button onClick={() => markNotificationRead(n._id)} className="btn btn-secondary" style={{ padding: '4px 12px', fontSize: '12px', marginTop: '8px' }}>
+                                        Mark as read
+                                    </button>
+                                )}
+                            </div>
+                        ))
+                    )}
+                </div>
             </main>
         </>
     );
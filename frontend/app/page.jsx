@@ -171,7 +171,7 @@ export default function App() {
 
   const handleLoginClick = () => {
     if (user) {
-        router.push(user.role === 'admin' ? '/admin' : '/dashboard');
+        router.push(user.role === 'admin' || user.role === 'collection_agent' ? '/admin' : '/dashboard');
     } else {
         router.push('/login');
     }
@@ -325,7 +325,7 @@ export default function App() {
               onMouseLeave={(e) => { e.currentTarget.style.backgroundColor = 'transparent'; e.currentTarget.style.color = theme.textPrimary; }}
               onClick={handleLoginClick}
             >
-              {loading ? '...' : (user ? (user.role === 'admin' ? 'Admin Terminal' : 'Dashboard Access') : 'Client Login')}
+              {loading ? '...' : (user ? (user.role === 'admin' ? 'Admin Terminal' : user.role === 'collection_agent' ? 'Collections' : 'Dashboard Access') : 'Client Login')}
             </button>
           </div>
         </div>
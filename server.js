@@ -17,6 +17,16 @@ const {
   updateWithRetry,
 } = require("./server/utils/optimisticLock");
 const { withLock } = require("./server/utils/mongoLock");
+const {
+  runWorkflow,
+  getWorkflow,
+  getWorkflowStatus,
+} = require("./server/utils/workflowEngine");
+const {
+  LOAN_APPLICATION_WORKFLOW,
+  buildLoanApplicationSteps,
+  getUserId: getLoanUserId,
+} = require("./server/workflows/loanApplication");
 
 // Blockchain Utils (Ethereum Web3)
 const {
@@ -27,6 +37,9 @@ const {
   logCreditScoreToBlockchain,
   logDisbursementToBlockchain,
   logPaymentToBlockchain,
+  anchorMerkleRootOnBlockchain,
+  getAnchorTransaction,
+  isBatchAnchorMode,
   getUserMasterLedger,
   getUserCompleteHistory,
   getBlockchainStats,
@@ -37,6 +50,7 @@ const {
 // Redis for Chat Streaming
 const {
   connectRedis,
+  getRedis,
   setChatSession,
   getChatSession,
   addChatMessage,
@@ -47,44 +61,143 @@ const {
   getActiveSessionCount,
 } = require("./server/utils/redisClient");
 
-// Agents
-const {
-  detectLoanIntent,
-  presentAndNegotiateOffer,
-} = require("./agents/masterAgent");
-const { collectUserData } = require("./agents/dataAgent");
-const { verifyKYC } = require("./agents/verificationAgent");
-const { analyzeCredit } = require("./agents/creditAgent");
-const { evaluateRiskAndPrice } = require("./agents/underwritingAgent");
-const { executeApproval } = require("./agents/approvalAgent");
-const { generateSanctionLetter } = require("./agents/documentAgent");
-const { disburseFunds } = require("./agents/disbursementAgent");
+// Agents (the /loan pipeline runs them via server/workflows/loanApplication.js)
 const { logEmiPayment } = require("./agents/monitoringAgent");
+const { generateRejectionLetter } = require("./agents/documentAgent");
+const {
+  getTenureRange,
+  policyForScore,
+  resolveTenure,
+  parseTenureRequest,
+} = require("./utils/tenure");
+const {
+  reasonCode,
+  normalizeReasonCodes,
+  buildRejectionLetter,
+  describeReasonCodes,
+} = require("./utils/reasonCodes");
 
 // Utils
+const { sha256 } = require("./utils/hash");
+const { listLedgers, verifyLedger } = require("./blockchain/ledger");
+const {
+  configureLlmCache,
+  createRedisCacheStore,
+  createMongoCacheStore,
+} = require("./utils/llmCache");
+const { listPrompts } = require("./utils/promptRegistry");
+const {
+  getJsonByCid,
+  configurePinQueue,
+  pinataStore,
+} = require("./utils/pinataClient");
+const {
+  enqueuePin,
+  findPin,
+  getPinStats,
+} = require("./server/utils/pinQueue");
+const {
+  runAnchorBatch,
+  verifyAnchoredBlock,
+  getAnchorStatus,
+} = require("./server/utils/ledgerAnchor");
+const { isValidCid } = require("./utils/storage/cid");
+const {
+  canServiceApplication,
+  applyPartPrepayment,
+  recordRepayment,
+  quoteForeclosure,
+} = require("./server/utils/loanServicing");
+const { simulatePartPrepayment } = require("./utils/prepayment");
+const {
+  buildLoanStatement,
+  servicingSummary,
+} = require("./utils/loanStatement");
+const {
+  runDelinquencyAging,
+  delinquencySummary,
+} = require("./server/utils/delinquency");
+const { floatingTerms, firstResetDate } = require("./utils/floatingRate");
+const {
+  listBenchmarks,
+  publishBenchmarkRate,
+} = require("./utils/benchmarkRegistry");
+const { runRateResets } = require("./server/utils/rateReset");
+const {
+  scoreApplicationRisk,
+  runRiskMonitoring,
+} = require("./server/utils/riskMonitoring");
+const { scoreDefaultRisk } = require("./utils/defaultRiskModel");
+const {
+  COLLECTION_QUEUES,
+  registerCollectionAgent,
+  listCollectionAgents,
+  assignCase,
+  canActOnCase,
+  logContactAttempt,
+  recordPromiseToPay,
+  runCollections,
+  listCases,
+  collectionsSummary,
+} = require("./server/utils/collections");
+const {
+  getNotificationPreferences,
+  setNotificationPreferences,
+  runEmiReminders,
+  listInbox,
+  markRead,
+  listDeliveries,
+} = require("./server/utils/notifications");
+const {
+  listStaffAlerts,
+  acknowledgeStaffAlert,
+} = require("./server/utils/staffAlerts");
+const { createNotificationChannels } = require("./utils/notificationChannels");
 const {
   parseAadhaar,
   parsePAN,
   parseBankStatement,
   parseSalarySlip,
+  parseForm16,
+  parseITRV,
+  parseGSTReturn,
+  parseVoterId,
+  parsePassport,
+  parseDrivingLicence,
   performFraudCheck,
 } = require("./utils/ocr");
+const { inspectDocument } = require("./utils/documentForensics");
+const { verifyFace } = require("./utils/faceMatch");
+const { APPLICANT_TYPES } = require("./utils/identityValidation");
 const {
   calculateApprovalScore,
   calculatePreApprovedLimit,
+  verifiedExistingEMI,
   calculateEMI,
   generateEMISchedule,
   getInterestRate,
+  validateApprovalScorecard,
+  previewScorecard,
 } = require("./utils/creditScore");
+const {
+  getScorecard,
+  saveScorecardVersion,
+  activateScorecard,
+  listScorecards,
+  scorecardExists,
+} = require("./utils/scorecardRegistry");
 const {
   sendOTP,
   verifyLoginOTP,
+  useStaffStore,
   loginAdmin,
   getUserById,
   createAdmin,
+  createCollectionAgent,
   getAllUsers,
   authMiddleware,
   adminMiddleware,
+  collectionsMiddleware,
   maskAadhaar,
   maskPAN,
   getOTPFromHash,
@@ -107,6 +220,7 @@ let blockchainInitialized = false;
 (async () => {
   try {
     await connectDB();
+    await useStaffStore(getDB());
     dbInitialized = true;
     console.log("✅ MongoDB: Scalability features initialized");
 
@@ -123,6 +237,22 @@ let blockchainInitialized = false;
       // Continue without Redis - system still works
     }
 
+    // Pinata uploads go through the event queue (workers/pinningWorker.js)
+    configurePinQueue((cid, options) => enqueuePin(getDB(), cid, options));
+
+    // LLM response cache (LLM_CACHE_BACKEND: redis | mongo | none)
+    const cacheBackend =
+      process.env.LLM_CACHE_BACKEND || (redisInitialized ? "redis" : "mongo");
+    if (cacheBackend === "redis" && redisInitialized) {
+      configureLlmCache(createRedisCacheStore(getRedis()));
+      console.log("✅ LLM cache: Redis");
+    } else if (cacheBackend === "mongo") {
+      configureLlmCache(createMongoCacheStore(getDB()));
+      console.log("✅ LLM cache: MongoDB");
+    } else {
+      console.log("ℹ️ LLM cache disabled");
+    }
+
     // Initialize Blockchain (Ethereum Web3)
     try {
       blockchainInitialized = await initWeb3();
@@ -317,153 +447,136 @@ app.get("/api/auth/me", authMiddleware, (req, res) => {
   res.json({ ok: true, user: req.user });
 });
 
-// The entire loan application flow
+// applicantType picks the PAN entity type KYC expects; absent means individual
+function unknownApplicantType(data) {
+  return Boolean(
+    data && data.applicantType && !APPLICANT_TYPES.includes(data.applicantType),
+  );
+}
+
+// The entire loan application flow (step-persisted, resumable by sessionId)
 app.post("/loan", async (req, res) => {
-  const cids = [];
   try {
-    // PHASE 1: Customer Entry & Intent Detection
-    const { message, userData } = req.body;
-    const userId =
-      userData.phone || userData.accountNumber || userData.userId || "unknown";
-    const { intent, sessionId } = await detectLoanIntent(message);
-    // CIDs from this phase are logged internally by the agent
-
-    if (intent !== "loanApplication") {
-      return res
-        .status(400)
-        .json({ status: "rejected", reason: "Invalid intent" });
-    }
-
-    // PHASE 2: Data Collection & Consent
-    const { consentCid, interactionCid } = await collectUserData(
-      sessionId,
-      userData,
-    );
-    cids.push(
-      { step: "consent", cid: consentCid },
-      { step: "dataCollection", cid: interactionCid },
-    );
-
-    // PHASE 3: KYC & Identity Verification
-    const { kycStatus, reason: kycReason } = await verifyKYC(
-      sessionId,
-      userData.kycDocuments,
-      userId,
-    );
-    if (kycStatus !== "verified") {
-      return res
-        .status(200)
-        .json({ status: "rejected", reason: kycReason || "KYC failed", cids });
-    }
+    const { message, userData, sessionId: existingSessionId } = req.body;
+    const db = getDB();
 
-    // PHASE 4: Credit Score & Financial Risk Analysis
-    const creditCheck = await analyzeCredit(sessionId, userData, userId);
-    cids.push({ step: "creditAnalysis", cid: creditCheck.creditData.cid });
-    if (!creditCheck.riskAcceptable) {
-      return res
-        .status(200)
-        .json({
-          status: "rejected",
-          reason: creditCheck.reason || "Credit risk not acceptable",
-          cids,
+    // Resume an existing application, or start a new one. A resume may send
+    // only the sessionId, so the applicant comes from the stored input.
+    let sessionId = existingSessionId;
+    let input = { message, userData };
+    if (sessionId) {
+      const existing = await getWorkflow(db, sessionId);
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ status: "error", message: `Unknown sessionId ${sessionId}` });
+      }
+      input = existing.input || input;
+    } else {
+      if (!message || !userData) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "message and userData required" });
+      }
+      if (unknownApplicantType(userData)) {
+        return res.status(400).json({
+          status: "error",
+          message: `userData.applicantType must be one of ${APPLICANT_TYPES.join(", ")}`,
         });
+      }
+      sessionId = sha256(message + Date.now());
     }
 
-    // PHASE 4 (cont.): Underwriting
-    const underwriting = await evaluateRiskAndPrice(
-      sessionId,
-      userData,
-      creditCheck.creditData,
-    );
-    cids.push({ step: "underwriting", cid: underwriting.cid });
-    if (!underwriting.eligibility) {
-      return res
-        .status(200)
-        .json({ status: "rejected", reason: underwriting.reason, cids });
-    }
+    const outcome = await runWorkflow(db, {
+      workflowId: sessionId,
+      name: LOAN_APPLICATION_WORKFLOW,
+      steps: buildLoanApplicationSteps({
+        blockchainEnabled: blockchainInitialized,
+      }),
+      input,
+    });
 
-    // PHASE 5: Loan Offer Generation & Negotiation
-    const finalOffer = await presentAndNegotiateOffer(
-      sessionId,
-      underwriting.offer,
-    );
-    // CIDs logged internally
-    if (finalOffer.userResponse !== "accepted") {
-      return res
-        .status(200)
-        .json({ status: "rejected", reason: "User rejected the offer", cids });
+    if (outcome.status === "locked") {
+      return res.status(409).json({
+        status: "error",
+        message: outcome.error,
+        sessionId,
+      });
     }
 
-    // PHASE 6: Loan Approval
-    const approvalDetails = await executeApproval(
-      sessionId,
-      kycStatus,
-      creditCheck,
-      finalOffer,
-    );
-    cids.push({ step: "approval", cid: approvalDetails.approvalCid });
-    if (approvalDetails.approvalStatus !== "approved") {
-      return res
-        .status(200)
-        .json({ status: "rejected", reason: approvalDetails.reason, cids });
+    if (outcome.status === "failed") {
+      console.error(
+        `Loan processing failed at phase '${outcome.failedStep}':`,
+        outcome.error,
+      );
+      return res.status(500).json({
+        status: "error",
+        message: outcome.error,
+        failedPhase: outcome.failedStep,
+        resumable: true,
+        sessionId,
+        cids: outcome.cids,
+      });
     }
 
-    // PHASE 7: Sanction Letter Generation
-    const { loanId, sanctionCid } = await generateSanctionLetter(
-      sessionId,
-      approvalDetails,
-      finalOffer,
-    );
-    cids.push({ step: "sanction", cid: sanctionCid });
-
-    // Log application to blockchain (immutable record)
-    if (blockchainInitialized) {
-      try {
-        await logApplicationToBlockchain({
-          applicationId: loanId,
-          userId: userId,
-          customerName: userData.name || "Customer",
-          loanAmount: finalOffer.loanAmount,
-          interestRate: finalOffer.interestRate,
-          approvalScore: creditCheck.creditData.cibilScore,
-          status: "accepted",
-          documentHash: sanctionCid,
-        });
+    if (
+      outcome.status === "compensated" ||
+      outcome.status === "compensation_failed"
+    ) {
+      console.error(
+        outcome.status === "compensated"
+          ? `Loan processing failed at phase '${outcome.failedStep}', completed phases were compensated:`
+          : `Loan processing failed at phase '${outcome.failedStep}', some compensations failed and are retried on resubmission:`,
+        outcome.error,
+      );
+      return res.status(500).json({
+        status: "error",
+        message: outcome.error,
+        failedPhase: outcome.failedStep,
+        compensated: outcome.status === "compensated",
+        compensations: outcome.compensations,
+        // Resubmitting the session retries the failed compensations
+        resumable: outcome.status === "compensation_failed",
+        sessionId,
+        cids: outcome.cids,
+      });
+    }
 
-        // Log chat interaction
-        await logChatToBlockchain({
+    if (outcome.status === "halted") {
+      const { statusCode = 200, reason, reasonCodes = [] } = outcome.result;
+      if (reasonCodes.length === 0) {
+        return res.status(statusCode).json({
+          status: "rejected",
+          reason,
           sessionId,
-          userId,
-          message: "Loan accepted",
-          state: "accepted",
-          negotiationCount: 0,
-          finalRate: finalOffer.interestRate,
+          cids: outcome.cids,
         });
-      } catch (error) {
-        console.error("Blockchain logging error:", error.message);
-        // Continue even if blockchain logging fails
       }
-    }
 
-    // PHASE 8: Disbursement
-    const { disbursementCid } = await disburseFunds(
-      sessionId,
-      loanId,
-      { ...finalOffer, userId },
-      userId,
-    );
-    cids.push({ step: "disbursement", cid: disbursementCid });
+      // The letter is uploaded once, when the application is first rejected
+      const letterParams = {
+        applicationId: sessionId,
+        applicantName: input.userData && input.userData.name,
+        reasonCodes,
+      };
+      const rejectionLetter = outcome.resumed
+        ? buildRejectionLetter(letterParams)
+        : await generateRejectionLetter(sessionId, letterParams);
+      return res.status(statusCode).json({
+        status: "rejected",
+        reason,
+        reasonCodes,
+        rejectionLetter,
+        sessionId,
+        cids: outcome.cids,
+      });
+    }
 
-    // PHASE 9: Log first (mock) EMI payment for monitoring startup
-    const { paymentCid } = await logEmiPayment(
-      loanId,
-      { amount: 0, paymentDate: new Date().toISOString(), emiNumber: 1 },
-      userId,
-    );
-    cids.push({ step: "monitoring", cid: paymentCid });
+    const { loanId } = outcome.results.sanction;
+    const userId = getLoanUserId(input.userData || {});
 
     // Generate master contract after all blockchain transactions
-    if (blockchainInitialized) {
+    if (blockchainInitialized && !outcome.resumed) {
       setTimeout(async () => {
         try {
           console.log(`📄 Generating master contract for ${userId}...`);
@@ -480,27 +593,177 @@ app.post("/loan", async (req, res) => {
       }, 3000); // Wait 3 seconds for blockchain confirmations
     }
 
+    const { loanAmount, interestRate, term } = outcome.results.negotiation;
     res.status(200).json({
       status: "approved",
       loanId,
-      cids,
+      terms: { loanAmount, interestRate, term },
+      sessionId,
+      cids: outcome.cids,
     });
   } catch (error) {
     console.error("Loan processing failed:", error);
-    res.status(500).json({ status: "error", message: error.message, cids });
+    res.status(500).json({ status: "error", message: error.message });
+  }
+});
+
+// Per-phase status of a loan application workflow
+app.get("/loan/:sessionId", async (req, res) => {
+  try {
+    const db = getDB();
+    const workflow = await getWorkflow(db, req.params.sessionId);
+
+    if (!workflow) {
+      return res.status(404).json({ error: "Loan application not found" });
+    }
+
+    res.json({ ok: true, ...getWorkflowStatus(workflow) });
+  } catch (err) {
+    console.error("Error fetching loan workflow:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve a CID from the configured storage backend (local store or Pinata)
+app.get("/api/ipfs/:cid", async (req, res) => {
+  try {
+    const { cid } = req.params;
+    if (!isValidCid(cid)) {
+      return res.status(400).json({ error: "Invalid CID" });
+    }
+
+    // Ledgers record the local CID, Pinata assigns its own; both resolve
+    const pin = await findPin(getDB(), cid);
+    const document = await getJsonByCid(pin ? pin.cid : cid);
+    if (document === null) {
+      return res.status(404).json({ error: "CID not found" });
+    }
+
+    // Content-addressed: the document for a CID never changes
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    res.json(document);
+  } catch (err) {
+    console.error("Error resolving CID:", err);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// Pin status of a CID: maps a ledger's local CID to the CID pinned on
+// Pinata (resolvable on public IPFS), and back
+app.get("/api/ipfs/:cid/pin", async (req, res) => {
+  try {
+    const { cid } = req.params;
+    if (!isValidCid(cid)) {
+      return res.status(400).json({ error: "Invalid CID" });
+    }
+
+    const pin = await findPin(getDB(), cid);
+    if (!pin) {
+      return res.status(404).json({ error: "CID was not queued for pinning" });
+    }
+    res.json({
+      ok: true,
+      ...pin,
+      gatewayUrl: pin.remoteCid ? pinataStore.getUrl(pin.remoteCid) : null,
+    });
+  } catch (err) {
+    console.error("Error fetching pin status:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Endpoint for post-loan monitoring
-app.post("/payment", async (req, res) => {
+// Endpoint for post-loan monitoring. Payments on a stored application are
+// matched to its EMI schedule and re-age its days past due.
+// Record an EMI payment (borrower or admin). Payments are idempotent per
+// client reference: paymentData.paymentReference or the Idempotency-Key header
+app.post("/payment", authMiddleware, async (req, res) => {
   try {
-    const { loanId, paymentData } = req.body;
+    const { loanId, paymentData = {} } = req.body || {};
+    const paymentReference =
+      req.get("Idempotency-Key") || paymentData.paymentReference;
+    if (!loanId) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "loanId is required" });
+    }
+    if (!paymentReference) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "paymentData.paymentReference or an Idempotency-Key header is required",
+      });
+    }
+    if (!dbInitialized) {
+      return res
+        .status(503)
+        .json({ status: "error", message: "Database not available" });
+    }
+
+    const application = await getDB()
+      .collection("applications")
+      .findOne({ _id: loanId });
+    if (!application) {
+      return res
+        .status(404)
+        .json({ status: "error", message: `Application ${loanId} not found` });
+    }
+    if (!canServiceApplication(req.user, application)) {
+      return res
+        .status(403)
+        .json({ status: "error", message: "Not your application" });
+    }
+
     const userId =
-      paymentData.phone ||
-      paymentData.accountNumber ||
-      paymentData.userId ||
-      (req.user ? req.user.phone || req.user._id?.toString() : "unknown");
-    const result = await logEmiPayment(loanId, paymentData, userId);
+      application.userId ||
+      application.phone ||
+      req.user.phone ||
+      req.user._id?.toString();
+    const paymentDate =
+      paymentData.paymentDate || new Date().toISOString().split("T")[0];
+    const paymentId = sha256(`${loanId}-${paymentReference}`);
+
+    let repayment;
+    try {
+      repayment = await recordRepayment(
+        getDB(),
+        loanId,
+        { paymentId, amount: paymentData.amount, paymentDate },
+        userId,
+      );
+    } catch (error) {
+      return res.status(400).json({ status: "error", message: error.message });
+    }
+    if (repayment.duplicate) {
+      return res.status(200).json({
+        paymentStatus: "duplicate",
+        paymentId,
+        repayment: repayment.repayment,
+      });
+    }
+
+    const allocations = repayment.repayment.allocations;
+    const installment = allocations.find((a) => a.installmentNo);
+    const result = await logEmiPayment(
+      loanId,
+      {
+        ...paymentData,
+        paymentReference,
+        paymentDate,
+        emiNumber: installment ? installment.installmentNo : 1,
+      },
+      userId,
+      repayment.application,
+    );
+    const loan = repayment.application;
+    result.repayment = {
+      allocations,
+      dpd: loan.dpd,
+      dpdBucket: loan.dpdBucket,
+      delinquencyState: loan.delinquencyState,
+      overdueAmount: loan.overdueAmount,
+      chargesDue: loan.chargesDue,
+      nextEmiDate: loan.nextEmiDate,
+    };
     res.status(200).json(result);
   } catch (error) {
     console.error("Payment logging failed:", error);
@@ -519,6 +782,41 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Income and alternate identity documents offered by employment type
+// (frontend/app/apply/page.jsx), with the fields worth logging for each
+const ADDITIONAL_DOCUMENT_PARSERS = {
+  form16: {
+    label: "FORM 16",
+    parse: parseForm16,
+    fields: ["employerName", "employeePAN", "assessmentYear", "grossSalary"],
+  },
+  itrV: {
+    label: "ITR-V",
+    parse: parseITRV,
+    fields: ["pan", "name", "assessmentYear", "acknowledgementNumber", "totalIncome"],
+  },
+  gstReturn: {
+    label: "GST RETURN",
+    parse: parseGSTReturn,
+    fields: ["gstin", "legalName", "returnType", "returnPeriod", "taxableTurnover"],
+  },
+  voterId: {
+    label: "VOTER ID",
+    parse: parseVoterId,
+    fields: ["epicNumber", "name", "dateOfBirth"],
+  },
+  passport: {
+    label: "PASSPORT",
+    parse: parsePassport,
+    fields: ["passportNumber", "name", "dateOfBirth", "expiryDate"],
+  },
+  drivingLicence: {
+    label: "DRIVING LICENCE",
+    parse: parseDrivingLicence,
+    fields: ["licenceNumber", "name", "dateOfBirth", "validTill"],
+  },
+};
+
 // Document verification with OCR
 app.post(
   "/api/verify-docs",
@@ -527,10 +825,21 @@ app.post(
     { name: "pan", maxCount: 1 },
     { name: "bankStatement", maxCount: 1 },
     { name: "salarySlip", maxCount: 1 },
+    ...Object.keys(ADDITIONAL_DOCUMENT_PARSERS).map((name) => ({
+      name,
+      maxCount: 1,
+    })),
     { name: "livePhoto", maxCount: 1 },
+    // Burst captured with the live photo for the liveness check
+    { name: "liveFrames", maxCount: 8 },
   ]),
   async (req, res) => {
     try {
+      if (unknownApplicantType(req.body.customerData)) {
+        return res.status(400).json({
+          error: `customerData.applicantType must be one of ${APPLICANT_TYPES.join(", ")}`,
+        });
+      }
       const files = req.files || {};
       const results = {};
 
@@ -602,6 +911,12 @@ app.post(
         console.log(
           `Estimated Salary: ₹${results.bankStatement.estimatedMonthlySalary || "N/A"}`,
         );
+        console.log(
+          `Transactions: ${results.bankStatement.transactions.length}, EMIs: ₹${results.bankStatement.detectedEMI ?? "N/A"}/mo, bounces: ${results.bankStatement.bounces.count}`,
+        );
+        console.log(
+          `Average Balance: ₹${results.bankStatement.averageBalance ?? "N/A"}, lowest month-end: ₹${results.bankStatement.minBalance ?? "N/A"}`,
+        );
         console.log(
           `Confidence: ${(results.bankStatement.confidence * 100).toFixed(0)}%`,
         );
@@ -634,6 +949,42 @@ app.post(
         console.log(`${"=".repeat(70)}\n`);
       }
 
+      for (const [field, { label, parse, fields }] of Object.entries(
+        ADDITIONAL_DOCUMENT_PARSERS,
+      )) {
+        if (!files[field]?.[0]) continue;
+        results[field] = await parse(files[field][0].path);
+        console.log(`\n${"=".repeat(70)}`);
+        console.log(`📄 ${label} EXTRACTION RESULT`);
+        console.log(`${"=".repeat(70)}`);
+        console.log(`File: ${files[field][0].originalname}`);
+        for (const name of fields) {
+          console.log(`${name}: ${results[field][name] ?? "Not found"}`);
+        }
+        if (field === "passport") {
+          console.log(
+            `MRZ: ${!results.passport.mrz ? "Not found" : results.passport.mrz.valid ? "VALID ✅" : "CHECK DIGITS FAILED ❌"}`,
+          );
+        }
+        console.log(
+          `Confidence: ${(results[field].confidence * 100).toFixed(0)}%`,
+        );
+        console.log(`${"=".repeat(70)}\n`);
+      }
+
+      // Tamper and forgery checks on each uploaded file; findings are
+      // scored by performFraudCheck
+      for (const [field, doc] of Object.entries(results)) {
+        doc.forensics = await inspectDocument(files[field][0].path, {
+          transactions: doc.transactions,
+          openingBalance: doc.openingBalance,
+          skippedRows: doc.skippedRows,
+        });
+        console.log(
+          `🔬 Forensics ${field}: ${doc.forensics.issues.length === 0 ? "no findings" : doc.forensics.issues.map((i) => i.type).join(", ")}${doc.forensics.error ? ` (check failed: ${doc.forensics.error})` : ""}`,
+        );
+      }
+
       // ==================== COMPLETE OCR EXTRACTION SUMMARY ====================
       console.log(`\n${"=".repeat(80)}`);
       console.log(`📋 COMPLETE OCR EXTRACTION SUMMARY`);
@@ -722,6 +1073,21 @@ app.post(
       );
       console.log(`${"=".repeat(80)}\n`);
 
+      // Live photo against the Aadhaar / PAN photo; scored by performFraudCheck
+      if (files.livePhoto?.[0]) {
+        results.faceMatch = await verifyFace({
+          livePhoto: files.livePhoto[0].path,
+          frames: (files.liveFrames || []).map((file) => file.path),
+          documents: {
+            aadhaar: files.aadhaar?.[0]?.path,
+            pan: files.pan?.[0]?.path,
+          },
+        });
+        console.log(
+          `🙂 Face match: ${results.faceMatch.decision}${results.faceMatch.similarity !== null ? ` (similarity ${results.faceMatch.similarity} vs ${results.faceMatch.matchedDocument})` : ""}, liveness ${results.faceMatch.liveness?.passed ? "passed" : `${results.faceMatch.liveness?.checked === false ? "not checked" : "failed"}${results.faceMatch.liveness?.reason ? `: ${results.faceMatch.liveness.reason}` : ""}`}${results.faceMatch.calibrated ? "" : " (uncalibrated, review only)"}${results.faceMatch.error ? ` (check failed: ${results.faceMatch.error})` : ""}`,
+        );
+      }
+
       // Perform fraud check with customer data for salary verification
       const fraudCheck = performFraudCheck(results, req.body.customerData);
 
@@ -786,10 +1152,12 @@ app.post("/api/calculate-score", async (req, res) => {
     );
 
     const score = calculateApprovalScore(customerData, documents, loanAmount);
+    // Existing EMIs checked against the bank statement's NACH/ECS debits
     const limit = calculatePreApprovedLimit(
       score.score,
       customerData.monthlySalary || 50000,
-      customerData.existingEMI || 0,
+      score.obligations.existingEMI,
+      customerData.tenureMonths,
     );
 
     console.log(`\n📊 SCORE BREAKDOWN (from creditScore.js):`);
@@ -799,6 +1167,14 @@ app.post("/api/calculate-score", async (req, res) => {
     console.log(
       `   Eligible for Loan: ${score.eligibleForLoan ? "YES ✅" : "NO ❌"}`,
     );
+    console.log(
+      `   Scorecard: ${score.scorecard.id} v${score.scorecard.version}`,
+    );
+    if (score.reasonCodes.length > 0) {
+      console.log(
+        `   Reason Codes: ${score.reasonCodes.map((r) => r.code).join(", ")}`,
+      );
+    }
     if (score.breakdown) {
       console.log(`\n   Component Scores:`);
       Object.entries(score.breakdown).forEach(([key, value]) => {
@@ -807,9 +1183,17 @@ app.post("/api/calculate-score", async (req, res) => {
         );
       });
     }
+    if (score.obligations.verified) {
+      console.log(
+        `   Existing EMI: ₹${score.obligations.existingEMI} (declared ₹${score.obligations.declared}, bank statement ₹${score.obligations.detected})`,
+      );
+    }
     console.log(`\n💳 PRE-APPROVED LIMIT:`);
     console.log(`   Max Loan: ₹${limit.limit.toLocaleString()}`);
     console.log(`   Interest Rate: ${limit.interestRate}%`);
+    console.log(
+      `   Tenure: ${limit.tenure} months (${limit.tenureRange.min}-${limit.tenureRange.max})`,
+    );
     console.log(`   Max EMI: ₹${limit.maxEMI.toLocaleString()}`);
     console.log(`${"=".repeat(70)}\n`);
 
@@ -881,7 +1265,7 @@ app.post("/api/chat", async (req, res) => {
 
     if (!session) {
       session = {
-        state: "intro", // intro -> offered -> negotiating -> accepted
+        state: "intro", // intro -> offered -> negotiating -> accepted (or declined)
         negotiationCount: 0,
         finalRate: null,
         createdAt: new Date().toISOString(),
@@ -911,7 +1295,22 @@ app.post("/api/chat", async (req, res) => {
       creditScore?.score ||
       creditScore?.approvalScore?.score ||
       650; // Use 650 (min eligible) as fallback
-    const preApprovedLimit = creditScore?.preApprovedLimit?.limit || 500000;
+    const existingEMI = verifiedExistingEMI(
+      customerData || {},
+      documents || {},
+    ).existingEMI;
+
+    // Tenure chosen in this chat, else the one the limit was computed for
+    const tenureRange = getTenureRange(policyForScore(score));
+    const tenure =
+      session.tenure ||
+      resolveTenure(
+        creditScore?.preApprovedLimit?.tenure || customerData?.tenureMonths,
+        tenureRange,
+      ).tenure;
+    const preApprovedLimit = session.tenure
+      ? calculatePreApprovedLimit(score, salary, existingEMI, tenure).limit
+      : creditScore?.preApprovedLimit?.limit || 500000;
     const baseRate = creditScore?.preApprovedLimit?.interestRate || 12;
 
     // Calculate better interest rate if requesting less than max
@@ -987,8 +1386,10 @@ app.post("/api/chat", async (req, res) => {
       "proceed",
     ];
     const lower = message.toLowerCase().trim();
+    const tenureRequest = parseTenureRequest(message);
     const isLoanRelated =
       loanKeywords.some((keyword) => lower.includes(keyword)) ||
+      tenureRequest !== null ||
       (session.state === "intro" && lower.length <= 10) || // Allow short greetings in intro state
       ((session.state === "offered" || session.state === "negotiating") &&
         /^\s*[\d,.\s]+\s*(lakh|lac|lakhs|lacs|l|k|thousand)?\s*$/i.test(lower)); // Allow plain numbers in active session
@@ -1016,11 +1417,127 @@ app.post("/api/chat", async (req, res) => {
       });
     }
 
+    // Applicants below the scorecard cutoff get the ranked reasons instead of an offer
+    if (creditScore?.approvalScore?.eligibleForLoan === false) {
+      let reasonCodes;
+      try {
+        reasonCodes = normalizeReasonCodes(
+          creditScore.approvalScore.reasonCodes || [],
+          "scorecard",
+        );
+      } catch (error) {
+        reasonCodes = [];
+      }
+      if (reasonCodes.length === 0) {
+        reasonCodes = [reasonCode("POLICY_DECLINE", "scorecard")];
+      }
+
+      const applicationId = `LOAN-${sid.slice(-8)}`;
+      let rejectionLetter = session.rejectionLetter;
+      if (session.state !== "declined") {
+        rejectionLetter = buildRejectionLetter({
+          applicationId,
+          applicantName: name,
+          reasonCodes,
+        });
+        await getDB()
+          .collection("applications")
+          .updateOne(
+            { _id: applicationId },
+            {
+              $setOnInsert: {
+                userId:
+                  customerData?.phone || customerData?.accountNumber || "N/A",
+                customerName: name,
+                phone: customerData?.phone || "N/A",
+                email: customerData?.email || "N/A",
+                requestedAmount,
+                approvalScore: score,
+                scorecard: creditScore.approvalScore.scorecard || null,
+                monthlySalary: salary,
+                status: "rejected",
+                reasonCodes,
+                rejectionLetter,
+                submittedAt: new Date().toISOString(),
+                version: 1,
+              },
+            },
+            { upsert: true },
+          );
+        session.state = "declined";
+        session.rejectionLetter = rejectionLetter;
+      }
+
+      const response = `Sorry ${name}, we are unable to offer you a loan at this time (approval score ${score}).\n\nThe main reasons are:\n${describeReasonCodes(reasonCodes)}\n\n🔢 Reference ID: ${applicationId}`;
+
+      if (redisInitialized) {
+        await setChatSession(sid, session, 86400);
+        await addChatMessage(sid, { role: "bot", content: response });
+        await publishChatEvent(sid, "bot_response", {
+          response,
+          state: session.state,
+          reasonCodes: reasonCodes.map((r) => r.code),
+        });
+      }
+
+      console.log(
+        `[Chat] ${name} | Declined: ${reasonCodes.map((r) => r.code).join(", ")}`,
+      );
+      return res.json({
+        ok: true,
+        response,
+        sessionId: sid,
+        state: session.state,
+        reasonCodes,
+        rejectionLetter,
+      });
+    }
+
     // State machine logic - produces consistent responses
     let response;
 
     if (session.state === "accepted") {
       response = `Your loan application is already submitted! 🎉\n\n🔢 Reference ID: LOAN-${sid.slice(-8)}\n📋 Status: Under Review\n\nPlease wait for admin approval.`;
+    } else if (tenureRequest !== null) {
+      // Tenure change ("make it 24 months"): the limit is recomputed for the new tenure
+      if (tenureRequest < tenureRange.min || tenureRequest > tenureRange.max) {
+        response = `⚠️ Sorry ${name}, a tenure of ${tenureRequest} months isn't available for your profile.\n\n🗓️ Available Tenure: ${tenureRange.min} to ${tenureRange.max} months\n\nPlease choose a tenure in this range.`;
+      } else {
+        const newLimit = calculatePreApprovedLimit(
+          score,
+          salary,
+          existingEMI,
+          tenureRequest,
+        ).limit;
+        const newAmount = Math.min(requestedAmount, newLimit);
+        const newEmi = calculateEMI(newAmount, currentRate, tenureRequest);
+
+        session.tenure = tenureRequest;
+        if (session.state === "intro") {
+          session.state = "offered";
+        }
+        response = `✅ Tenure updated to ${tenureRequest} months!\n\n📊 New Details:\n🗓️ Tenure: ${tenureRequest} months\n💰 Loan Amount: ₹${newAmount.toLocaleString()}\n📊 Maximum Limit: ₹${newLimit.toLocaleString()}\n📈 Interest Rate: ${currentRate}%\n💵 Monthly EMI: ₹${newEmi.toLocaleString()}\n\n${requestedAmount > newLimit ? `⚠️ Your requested amount exceeds the limit for this tenure, we can approve up to ₹${newLimit.toLocaleString()}.\n\n` : ""}Would you like to accept this offer?`;
+
+        if (redisInitialized) {
+          await setChatSession(sid, session, 86400);
+          await addChatMessage(sid, { role: "bot", content: response });
+          await publishChatEvent(sid, "bot_response", {
+            response,
+            state: session.state,
+            tenure: tenureRequest,
+          });
+        }
+
+        return res.json({
+          ok: true,
+          response,
+          sessionId: sid,
+          state: session.state,
+          tenure: tenureRequest,
+          maxLimit: newLimit,
+          emi: newEmi,
+        });
+      }
     } else if (
       lower.includes("yes") ||
       lower.includes("accept") ||
@@ -1038,7 +1555,9 @@ app.post("/api/chat", async (req, res) => {
             ? "✅ Approved"
             : `⚠️ Adjusted to maximum limit`;
 
-        response = `✅ Congratulations ${name}! Your loan is approved!\n\n🔢 Reference ID: LOAN-${sid.slice(-8)}\n💰 Applied Amount: ₹${requestedAmount.toLocaleString()}\n💵 Approved Amount: ₹${finalAmount.toLocaleString()}\n📊 Maximum Limit: ₹${preApprovedLimit.toLocaleString()}\n📈 Final Interest Rate: ${session.finalRate}%\n📋 Status: ${statusMessage}\n\n${requestedAmount < preApprovedLimit ? "🎉 Great choice! You got a better rate for borrowing less!" : ""}\n\nYou'll receive SMS confirmation shortly.`;
+        session.tenure = tenure;
+
+        response = `✅ Congratulations ${name}! Your loan is approved!\n\n🔢 Reference ID: LOAN-${sid.slice(-8)}\n💰 Applied Amount: ₹${requestedAmount.toLocaleString()}\n💵 Approved Amount: ₹${finalAmount.toLocaleString()}\n📊 Maximum Limit: ₹${preApprovedLimit.toLocaleString()}\n📈 Final Interest Rate: ${session.finalRate}%\n🗓️ Tenure: ${tenure} months\n📋 Status: ${statusMessage}\n\n${requestedAmount < preApprovedLimit ? "🎉 Great choice! You got a better rate for borrowing less!" : ""}\n\nYou'll receive SMS confirmation shortly.`;
       } else {
         session.state = "offered";
         response = `Hello ${name}! 👋\n\n📊 Credit Score: ${score}\n💰 Pre-Approved: ₹${preApprovedLimit.toLocaleString()}\n📈 Interest Rate: ${currentRate}%\n\nWould you like to accept this offer or negotiate?`;
@@ -1074,7 +1593,7 @@ app.post("/api/chat", async (req, res) => {
           ? `\n🎁 Special Offer: ${(baseRate - adjustedRate).toFixed(1)}% lower rate for borrowing ₹${requestedAmount.toLocaleString()} (${loanUtilization.toFixed(0)}% of your limit)!`
           : "";
 
-      response = `Hello ${name}! 👋 Based on your verified documents:\n\n📊 Approval Score: ${score / 10}%\n💰 Applied Amount: ₹${requestedAmount.toLocaleString()}\n📊 Maximum Available: ₹${preApprovedLimit.toLocaleString()}\n📈 Interest Rate: ${adjustedRate.toFixed(1)}% ${rateBonus}\n💵 Monthly Salary: ₹${salary.toLocaleString()}\n\n${requestedAmount <= preApprovedLimit ? "✅ Great news! Your requested amount is within your limit!" : "⚠️ Note: Your request exceeds the limit, we can approve up to ₹" + preApprovedLimit.toLocaleString()}\n\nWould you like to accept this offer or negotiate the interest rate?`;
+      response = `Hello ${name}! 👋 Based on your verified documents:\n\n📊 Approval Score: ${score / 10}%\n💰 Applied Amount: ₹${requestedAmount.toLocaleString()}\n📊 Maximum Available: ₹${preApprovedLimit.toLocaleString()}\n📈 Interest Rate: ${adjustedRate.toFixed(1)}% ${rateBonus}\n🗓️ Tenure: ${tenure} months (${tenureRange.min}-${tenureRange.max} available)\n💵 Monthly Salary: ₹${salary.toLocaleString()}\n\n${requestedAmount <= preApprovedLimit ? "✅ Great news! Your requested amount is within your limit!" : "⚠️ Note: Your request exceeds the limit, we can approve up to ₹" + preApprovedLimit.toLocaleString()}\n\nWould you like to accept this offer, negotiate the interest rate, or change the tenure (e.g. "make it 24 months")?`;
     } else if (
       lower.includes("change") &&
       (lower.includes("amount") || lower.includes("loan"))
@@ -1241,9 +1760,22 @@ app.post("/api/chat", async (req, res) => {
 
     // If accepted, store the application with EMI schedule
     if (session.state === "accepted" && !session.applicationStored) {
-      const finalRate = parseFloat(session.finalRate || adjustedRate);
+      // Floating loans keep the negotiated rate as benchmark + spread
+      const negotiatedRate = parseFloat(session.finalRate || adjustedRate);
+      const floating =
+        customerData?.rateType === "floating"
+          ? floatingTerms(negotiatedRate, {
+              resetPreference: customerData?.resetPreference,
+              interestRateRange: policyForScore(score)?.interestRateRange,
+            })
+          : null;
+      const finalRate = floating ? floating.interestRate : negotiatedRate;
       const approvedAmount = session.finalAmount || finalAmount;
-      const emiData = generateEMISchedule(approvedAmount, finalRate, 36);
+      const emiData = generateEMISchedule(
+        approvedAmount,
+        finalRate,
+        session.tenure || tenure,
+      );
 
       const userId =
         customerData?.phone || customerData?.accountNumber || "N/A";
@@ -1258,10 +1790,23 @@ app.post("/api/chat", async (req, res) => {
         requestedAmount: requestedAmount,
         amount: approvedAmount,
         maxLimit: preApprovedLimit,
-        tenure: 36,
+        tenure: session.tenure || tenure,
         interestRate: finalRate,
+        rateType: floating ? "floating" : "fixed",
+        ...(floating && {
+          benchmark: floating.benchmark,
+          benchmarkRate: floating.benchmarkRate,
+          spread: floating.spread,
+          resetFrequencyMonths: floating.resetFrequencyMonths,
+          resetPreference: floating.resetPreference,
+          nextResetDate: firstResetDate(new Date()),
+        }),
         approvalScore: score,
+        scorecard: creditScore?.approvalScore?.scorecard || null,
+        reasonCodes: creditScore?.approvalScore?.reasonCodes || [],
         monthlySalary: salary,
+        employmentType: customerData?.employmentType || null,
+        existingEMI,
         status: "pending",
         submittedAt: new Date().toISOString(),
         documents: {
@@ -1269,11 +1814,22 @@ app.post("/api/chat", async (req, res) => {
           pan: documents?.pan || null,
           bankStatement: documents?.bankStatement || null,
           salarySlip: documents?.salarySlip || null,
+          ...Object.fromEntries(
+            Object.keys(ADDITIONAL_DOCUMENT_PARSERS)
+              .filter((field) => documents?.[field])
+              .map((field) => [field, documents[field]]),
+          ),
           livePhoto: documents?.livePhoto || null,
+          faceMatch: documents?.faceMatch || null,
         },
         emi: emiData.emi,
         nextEmiDate: emiData.schedule[0]?.dueDate,
         emiSchedule: emiData.schedule,
+        dpd: 0,
+        dpdBucket: "0",
+        delinquencyState: "current",
+        overdueAmount: 0,
+        totalPaid: 0,
         version: 1,
       };
 
@@ -1289,8 +1845,11 @@ app.post("/api/chat", async (req, res) => {
           );
 
           // Helper to delay between transactions (avoid rate limiting)
+          // Nothing is sent per event in batch anchor mode, so don't wait
           const delay = (ms) =>
-            new Promise((resolve) => setTimeout(resolve, ms));
+            isBatchAnchorMode()
+              ? Promise.resolve()
+              : new Promise((resolve) => setTimeout(resolve, ms));
 
           // 1. Log application/loan
           console.log(`  [1/6] Logging application...`);
@@ -1737,10 +2296,21 @@ app.get(
   async (req, res) => {
     try {
       const db = getDB();
-      const { status, page = 1, limit = 50, search } = req.query;
+      const {
+        status,
+        dpdBucket,
+        delinquencyState,
+        riskBand,
+        page = 1,
+        limit = 50,
+        search,
+      } = req.query;
 
       const filter = {};
       if (status) filter.status = status;
+      if (dpdBucket) filter.dpdBucket = dpdBucket;
+      if (delinquencyState) filter.delinquencyState = delinquencyState;
+      if (riskBand) filter["defaultRisk.band"] = riskBand;
       if (search) {
         filter.$or = [
           { customerName: { $regex: search, $options: "i" } },
@@ -1785,6 +2355,32 @@ app.get(
   },
 );
 
+// Reason codes and adverse-action letter for an admin rejection: codes given
+// by the admin win, then the codes stored with the application (scorecard),
+// then a generic policy decline
+function adminRejection(application, reasonCodes) {
+  let codes = reasonCodes;
+  if (!codes || codes.length === 0) {
+    codes =
+      application.reasonCodes && application.reasonCodes.length > 0
+        ? application.reasonCodes
+        : [reasonCode("POLICY_DECLINE", "admin")];
+  }
+  return {
+    reasonCodes: codes,
+    rejectionLetter: buildRejectionLetter({
+      applicationId: application._id,
+      applicantName: application.customerName,
+      reasonCodes: codes,
+    }),
+  };
+}
+
+function parseAdminReasonCodes(input) {
+  if (input === undefined || input === null) return null;
+  return normalizeReasonCodes(input, "admin");
+}
+
 // Update application status with OPTIMISTIC LOCKING (prevents concurrent update conflicts)
 app.put(
   "/api/applications/:id",
@@ -1803,6 +2399,13 @@ app.put(
         return res.status(400).json({ error: "Invalid status" });
       }
 
+      let reasonCodes;
+      try {
+        reasonCodes = parseAdminReasonCodes(req.body.reasonCodes);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       const db = getDB();
 
       // First check if document exists
@@ -1834,6 +2437,7 @@ app.put(
           updatedAt: new Date(),
           updatedBy: req.user.email,
           adminNotes: notes || current.adminNotes,
+          ...(status === "rejected" ? adminRejection(current, reasonCodes) : {}),
         }),
         5, // max 5 retries with jitter
       );
@@ -1888,6 +2492,13 @@ app.post(
           .json({ error: "Invalid status for batch update" });
       }
 
+      let reasonCodes;
+      try {
+        reasonCodes = parseAdminReasonCodes(req.body.reasonCodes);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       const db = getDB();
       const results = { success: [], failed: [] };
 
@@ -1902,11 +2513,14 @@ app.post(
                 db,
                 "applications",
                 appId,
-                async () => ({
+                async (current) => ({
                   status,
                   updatedAt: new Date(),
                   updatedBy: req.user.email,
                   adminNotes: notes,
+                  ...(status === "rejected"
+                    ? adminRejection(current, reasonCodes)
+                    : {}),
                 }),
               );
 
@@ -1940,22 +2554,947 @@ app.post(
   },
 );
 
-// Get event queue statistics (admin monitoring)
-app.get(
-  "/api/admin/queue-stats",
-  authMiddleware,
+// ==================== PREPAYMENT & FORECLOSURE ====================
+
+async function findServiceableApplication(req, res) {
+  const application = await getDB()
+    .collection("applications")
+    .findOne({ _id: req.params.id });
+  if (!application) {
+    res.status(404).json({ error: `Application ${req.params.id} not found` });
+    return null;
+  }
+  if (!canServiceApplication(req.user, application)) {
+    res.status(403).json({ error: "Not your application" });
+    return null;
+  }
+  return application;
+}
+
+// Simulate a part-prepayment (reduce_emi or reduce_tenure) without saving it
+app.post(
+  "/api/applications/:id/prepayment/simulate",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+
+      let simulation;
+      try {
+        simulation = simulatePartPrepayment(application, req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.json({ ok: true, simulation });
+    } catch (err) {
+      console.error("Prepayment simulation error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Apply a received part-prepayment: re-amortizes and versions the schedule
+app.post(
+  "/api/applications/:id/prepayment",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+
+      // Validate before taking the optimistic lock
+      try {
+        simulatePartPrepayment(application, req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { amount, mode } = req.body;
+      const result = await applyPartPrepayment(
+        getDB(),
+        req.params.id,
+        { amount, mode },
+        req.user.email,
+      );
+
+      console.log(
+        `✅ [Admin:${req.user.email}] Prepayment of ₹${result.prepayment.amount} on ${req.params.id} (${result.prepayment.mode}, schedule v${result.application.scheduleVersion})`,
+      );
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("Prepayment error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Issue a foreclosure quote ({ date: YYYY-MM-DD }, default today). A POST
+// because every issued quote is recorded in the payment ledger
+app.post(
+  "/api/applications/:id/foreclosure-quote",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+
+      const { date } = req.body || {};
+      const asOf = date ? new Date(date) : new Date();
+      if (Number.isNaN(asOf.getTime())) {
+        return res.status(400).json({ error: "Invalid date" });
+      }
+
+      let quote;
+      try {
+        quote = await quoteForeclosure(
+          application,
+          asOf,
+          req.user.email || req.user.phone,
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.json({ ok: true, quote });
+    } catch (err) {
+      console.error("Foreclosure quote error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ==================== REPAYMENTS & DELINQUENCY ====================
+
+// Loans, overdue amount, late charges and outstanding principal by DPD bucket
+app.get(
+  "/api/admin/delinquency",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      res.json({ ok: true, ...(await delinquencySummary(getDB())) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Age loans now instead of waiting for the delinquency worker
+app.post(
+  "/api/admin/delinquency/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const result = await runDelinquencyAging(getDB());
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "A delinquency aging run is already in progress" });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Repayment statement: installments due, late charges and payments (?date=)
+app.get(
+  "/api/applications/:id/statement",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+
+      const asOf = req.query.date ? new Date(req.query.date) : new Date();
+      if (Number.isNaN(asOf.getTime())) {
+        return res.status(400).json({ error: "Invalid date" });
+      }
+      res.json({ ok: true, statement: buildLoanStatement(application, asOf) });
+    } catch (err) {
+      console.error("Statement error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ==================== DEFAULT-RISK MONITORING ====================
+
+// Re-uploaded bank statement during servicing: its salary credit feeds the
+// default-risk model's salaryDrop feature
+app.post(
+  "/api/applications/:id/bank-statements",
+  authMiddleware,
+  upload.single("bankStatement"),
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+      if (!req.file) {
+        return res.status(400).json({ error: "bankStatement file required" });
+      }
+
+      const parsed = await parseBankStatement(req.file.path);
+      if (!parsed.estimatedMonthlySalary) {
+        return res
+          .status(422)
+          .json({ error: "No salary credits found in the statement" });
+      }
+
+      const salaryCredit = {
+        estimatedMonthlySalary: parsed.estimatedMonthlySalary,
+        bankName: parsed.bankName,
+        accountNumber: parsed.accountNumber,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: req.user.phone || req.user.email,
+      };
+      await updateWithRetry(
+        getDB(),
+        "applications",
+        req.params.id,
+        async (current) => ({
+          salaryCredits: [...(current.salaryCredits || []), salaryCredit],
+        }),
+        5,
+      );
+      const risk = await scoreApplicationRisk(getDB(), req.params.id);
+      res.status(201).json({ ok: true, salaryCredit, defaultRisk: risk });
+    } catch (err) {
+      console.error("Bank statement upload error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Default-risk score of a loan with every feature and its contribution
+app.get(
+  "/api/applications/:id/default-risk",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const application = await findServiceableApplication(req, res);
+      if (!application) return;
+      res.json({ ok: true, defaultRisk: scoreDefaultRisk(application) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Score loans now instead of waiting for the monitoring worker
+app.post(
+  "/api/admin/risk-monitoring/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const result = await runRiskMonitoring(getDB());
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "A risk monitoring run is already in progress" });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ==================== COLLECTIONS ====================
+
+async function findCollectionCase(req, res) {
+  const collectionCase = await getDB()
+    .collection("collection_cases")
+    .findOne({ _id: req.params.id });
+  if (!collectionCase) {
+    res.status(404).json({ error: `Case ${req.params.id} not found` });
+    return null;
+  }
+  if (!canActOnCase(collectionCase, req.user)) {
+    res.status(403).json({ error: "Case is assigned to another agent" });
+    return null;
+  }
+  return collectionCase;
+}
+
+// Open cases, unassigned cases, overdue amount and pending promises per queue
+app.get(
+  "/api/admin/collections",
+  authMiddleware,
+  collectionsMiddleware,
+  async (req, res) => {
+    try {
+      res.json({ ok: true, ...(await collectionsSummary(getDB())) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Cases, most overdue first (?queue=&status=&assignedTo=); agents only see
+// their own
+app.get(
+  "/api/admin/collections/cases",
+  authMiddleware,
+  collectionsMiddleware,
+  async (req, res) => {
+    try {
+      const { queue, status } = req.query;
+      const assignedTo =
+        req.user.role === "admin" ? req.query.assignedTo : req.user.id;
+      const cases = await listCases(getDB(), { queue, status, assignedTo });
+      res.json({ ok: true, cases });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+app.get(
+  "/api/admin/collections/cases/:id",
+  authMiddleware,
+  collectionsMiddleware,
+  async (req, res) => {
+    try {
+      const collectionCase = await findCollectionCase(req, res);
+      if (!collectionCase) return;
+      res.json({ ok: true, case: collectionCase });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Log a call, SMS, email or visit and its outcome
+app.post(
+  "/api/admin/collections/cases/:id/attempts",
+  authMiddleware,
+  collectionsMiddleware,
+  async (req, res) => {
+    try {
+      const collectionCase = await findCollectionCase(req, res);
+      if (!collectionCase) return;
+
+      const { channel, outcome, notes } = req.body || {};
+      const result = await logContactAttempt(
+        getDB(),
+        req.params.id,
+        { channel, outcome, notes },
+        req.user,
+      );
+      res.status(201).json({
+        ok: true,
+        case: result.collectionCase,
+        attempt: result.attempt,
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+// Record a promise to pay; a broken promise escalates the case
+app.post(
+  "/api/admin/collections/cases/:id/promises",
+  authMiddleware,
+  collectionsMiddleware,
+  async (req, res) => {
+    try {
+      const collectionCase = await findCollectionCase(req, res);
+      if (!collectionCase) return;
+
+      const { amount, promisedDate, channel, notes } = req.body || {};
+      const result = await recordPromiseToPay(
+        getDB(),
+        req.params.id,
+        { amount, promisedDate, channel, notes },
+        req.user,
+      );
+      res.status(201).json({
+        ok: true,
+        case: result.collectionCase,
+        promise: result.promise,
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+// Reassign a case to another agent
+app.post(
+  "/api/admin/collections/cases/:id/assign",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const collectionCase = await findCollectionCase(req, res);
+      if (!collectionCase) return;
+
+      const { agentId } = req.body || {};
+      if (!agentId) {
+        return res.status(400).json({ error: "agentId required" });
+      }
+      const updated = await assignCase(
+        getDB(),
+        req.params.id,
+        agentId,
+        req.user,
+      );
+      res.json({ ok: true, case: updated });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+app.get(
+  "/api/admin/collections/agents",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      res.json({
+        ok: true,
+        queues: COLLECTION_QUEUES,
+        agents: await listCollectionAgents(getDB()),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Create a collection agent login and the queues they work (default: all)
+app.post(
+  "/api/admin/collections/agents",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { email, password, name, queues } = req.body || {};
+      if (queues !== undefined && !Array.isArray(queues)) {
+        return res.status(400).json({ error: "queues must be an array" });
+      }
+      if (
+        queues &&
+        (queues.length === 0 ||
+          queues.some((queue) => !COLLECTION_QUEUES.includes(queue)))
+      ) {
+        return res.status(400).json({
+          error: `queues must be one or more of ${COLLECTION_QUEUES.join(", ")}`,
+        });
+      }
+
+      const user = await createCollectionAgent({ email, password, name });
+      const agent = await registerCollectionAgent(
+        getDB(),
+        user,
+        queues || COLLECTION_QUEUES,
+        req.user,
+      );
+      res.status(201).json({ ok: true, agent });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+// Open, review and escalate cases now instead of waiting for the
+// delinquency worker
+app.post(
+  "/api/admin/collections/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const result = await runCollections(getDB());
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "A collections run is already in progress" });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ==================== NOTIFICATIONS ====================
+
+// Applications carry the borrower's phone as userId, or the account number
+// when no phone was given
+function notificationUserIds(user) {
+  return [user.phone, user.accountNumber].filter(Boolean);
+}
+
+// In-app inbox of the logged-in borrower with the unread count
+app.get("/api/notifications", authMiddleware, async (req, res) => {
+  try {
+    const inbox = await listInbox(getDB(), notificationUserIds(req.user));
+    res.json({ ok: true, ...inbox });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/notifications/preferences", authMiddleware, async (req, res) => {
+  try {
+    const [userId] = notificationUserIds(req.user);
+    const preferences = await getNotificationPreferences(getDB(), userId);
+    res.json({ ok: true, preferences });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turn channels on or off: { channels: { sms, email, in_app } }
+app.put("/api/notifications/preferences", authMiddleware, async (req, res) => {
+  try {
+    const db = getDB();
+    let preferences;
+    for (const userId of notificationUserIds(req.user)) {
+      preferences = await setNotificationPreferences(
+        db,
+        userId,
+        req.body.channels,
+      );
+    }
+    res.json({ ok: true, preferences });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/notifications/:id/read", authMiddleware, async (req, res) => {
+  try {
+    const found = await markRead(
+      getDB(),
+      notificationUserIds(req.user),
+      req.params.id,
+    );
+    if (!found) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery log (?applicationId=&status=&channel=)
+app.get(
+  "/api/admin/notifications/log",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { applicationId, status, channel } = req.query;
+      const deliveries = await listDeliveries(getDB(), {
+        applicationId,
+        status,
+        channel,
+      });
+      res.json({ ok: true, deliveries });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Staff alerts (?status=open|acknowledged&type=), latest first
+app.get(
+  "/api/admin/alerts",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { status = "open", type } = req.query;
+      const result = await listStaffAlerts(getDB(), { status, type });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+app.post(
+  "/api/admin/alerts/:id/acknowledge",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const acknowledged = await acknowledgeStaffAlert(
+        getDB(),
+        req.params.id,
+        req.user.email,
+      );
+      if (!acknowledged) {
+        return res.status(404).json({ error: "No open alert with that id" });
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Send today's EMI reminders now instead of waiting for the notification
+// worker
+app.post(
+  "/api/admin/notifications/reminders/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const db = getDB();
+      const result = await runEmiReminders(db, {
+        channels: createNotificationChannels(db),
+      });
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "An EMI reminder run is already in progress" });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Get event queue statistics (admin monitoring)
+app.get(
+  "/api/admin/queue-stats",
+  authMiddleware,
   adminMiddleware,
   async (req, res) => {
     try {
       const db = getDB();
-      const stats = await getQueueStats(db);
-      res.json({ ok: true, stats });
+      const [stats, pinning] = await Promise.all([
+        getQueueStats(db),
+        getPinStats(db),
+      ]);
+      res.json({ ok: true, stats, pinning });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Verify a JSON hash-chain ledger (recomputes every block hash)
+app.get(
+  "/api/admin/ledgers/:name/verify",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      const { name } = req.params;
+      if (!listLedgers().includes(name)) {
+        return res.status(404).json({ error: `Unknown ledger: ${name}` });
+      }
+
+      const report = verifyLedger(name);
+      if (!report.valid) {
+        console.warn(
+          `⚠️ Ledger ${name} failed verification: ${report.issues.length} issue(s)`,
+        );
+      }
+      res.json({ ok: true, ...report });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Merkle anchor batches and per-ledger anchoring cursors
+app.get(
+  "/api/admin/anchors",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const status = await getAnchorStatus(getDB(), limit);
+      res.json({
+        ok: true,
+        mode: isBatchAnchorMode() ? "batch" : "per-event",
+        ...status,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Anchor all new ledger blocks now instead of waiting for the anchor worker
+app.post(
+  "/api/admin/anchors/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    if (!blockchainInitialized) {
+      return res.status(503).json({ error: "Blockchain not available" });
+    }
+    try {
+      const result = await runAnchorBatch(getDB(), {
+        anchorRoot: anchorMerkleRootOnBlockchain,
+        getAnchorTransaction,
+      });
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "An anchor batch is already running" });
+      }
+      res.status(result.status === "failed" ? 502 : 200).json({
+        ok: result.status !== "failed",
+        ...result,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ==================== FLOATING-RATE BENCHMARKS ====================
+
+// List benchmarks with their current rate and history
+app.get(
+  "/api/admin/benchmarks",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      res.json({ ok: true, benchmarks: listBenchmarks() });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Publish a benchmark change; loans pick it up on their next reset date
+app.post(
+  "/api/admin/benchmarks/:id/rates",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    const { rate, effectiveDate, description } = req.body || {};
+    try {
+      const result = publishBenchmarkRate(
+        req.params.id,
+        { rate, effectiveDate, description },
+        req.user.email,
+      );
+      console.log(
+        `📈 [Admin:${req.user.email}] Benchmark ${result.id}: ${result.previousRate ?? "-"}% -> ${result.rate}% from ${result.effectiveDate}`,
+      );
+      res.status(201).json({ ok: true, ...result });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+// Re-price floating loans due for a reset now instead of waiting for the worker
+app.post(
+  "/api/admin/rate-resets/run",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const result = await runRateResets(getDB());
+      if (result.status === "locked") {
+        return res
+          .status(409)
+          .json({ error: "A rate reset run is already in progress" });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Prove that a ledger block was anchored in a transaction (?tx= defaults to
+// the transaction of the block's batch)
+app.get(
+  "/api/admin/ledgers/:name/blocks/:index/anchor",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const index = Number(req.params.index);
+      if (!listLedgers().includes(name)) {
+        return res.status(404).json({ error: `Unknown ledger: ${name}` });
+      }
+      if (!Number.isInteger(index) || index < 0) {
+        return res.status(400).json({ error: "Invalid block index" });
+      }
+      const { tx } = req.query;
+      if (tx !== undefined && !/^0x[0-9a-fA-F]{64}$/.test(tx)) {
+        return res.status(400).json({ error: "Invalid transaction hash" });
+      }
+
+      const result = await verifyAnchoredBlock(getDB(), name, index, {
+        transactionHash: tx,
+        getAnchorTransaction,
+      });
+      if (!result.block) {
+        return res
+          .status(404)
+          .json({ error: `Block ${index} not found in ${name}` });
+      }
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Approval scorecards (versioned JSON in scorecards/)
+app.get(
+  "/api/admin/scorecards",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      res.json({ ok: true, scorecards: listScorecards() });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+app.get(
+  "/api/admin/scorecards/:id",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      const version =
+        req.query.version !== undefined ? Number(req.query.version) : undefined;
+      res.json({ ok: true, scorecard: getScorecard(req.params.id, version) });
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  },
+);
+
+// Upload a new scorecard version (inactive until activated)
+app.post(
+  "/api/admin/scorecards",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      const { id, description, products, segments, definition } =
+        req.body || {};
+      if (!id || !/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+        return res.status(400).json({
+          error: "id must be lowercase letters, digits, '-' or '_'",
+        });
+      }
+      for (const [name, list] of Object.entries({ products, segments })) {
+        if (list !== undefined && !Array.isArray(list)) {
+          return res.status(400).json({ error: `${name} must be an array` });
+        }
+      }
+
+      const errors = validateApprovalScorecard(definition);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid scorecard definition", errors });
+      }
+
+      const { version, createdAt, ...rest } = definition;
+      const saved = saveScorecardVersion(id, rest, {
+        description,
+        products,
+        segments,
+      });
+      console.log(
+        `📋 Scorecard ${id} v${saved.version} uploaded by ${req.user.phone || req.user._id?.toString() || "admin"}`,
+      );
+      res.status(201).json({ ok: true, ...saved });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Re-score recent applications with a scorecard version before activating it
+app.post(
+  "/api/admin/scorecards/:id/preview",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!scorecardExists(id)) {
+        return res.status(404).json({ error: `Unknown scorecard: ${id}` });
+      }
+      const { version, limit } = req.body || {};
+      const candidate = getScorecard(
+        id,
+        version !== undefined ? Number(version) : undefined,
+      );
+      const applications = await getDB()
+        .collection("applications")
+        .find({})
+        .sort({ submittedAt: -1 })
+        .limit(Math.min(parseInt(limit, 10) || 200, 1000))
+        .toArray();
+
+      res.json({ ok: true, ...previewScorecard(applications, candidate) });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   },
 );
 
+app.post(
+  "/api/admin/scorecards/:id/activate",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    try {
+      const { id } = req.params;
+      const version = Number((req.body || {}).version);
+      if (!scorecardExists(id)) {
+        return res.status(404).json({ error: `Unknown scorecard: ${id}` });
+      }
+      if (!Number.isInteger(version)) {
+        return res.status(400).json({ error: "version required" });
+      }
+
+      const result = activateScorecard(id, version);
+      console.log(
+        `📋 Scorecard ${id} activated v${result.activeVersion} (was v${result.previousVersion})`,
+      );
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  },
+);
+
+// List registered LLM prompts and their active versions
+app.get("/api/admin/prompts", authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    res.json({ ok: true, prompts: listPrompts() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Health check with DB status
 app.get("/health", async (req, res) => {
   try {
@@ -2119,6 +3658,7 @@ app.post(
               emi: application.emi,
               tenure: application.tenure,
             },
+            servicing: servicingSummary(application),
             txHashes: application.blockchainTxHashes,
           };
           result = await generateAndUploadMasterContract(userId, localData);
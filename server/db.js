@@ -65,6 +65,42 @@ async function connectDB() {
       { assignedAdmin: 1, status: 1 }
     );
 
+    // Indexes for step-persisted workflows (loan pipeline resume/status)
+    await _db.collection('workflows').createIndex(
+      { name: 1, status: 1, updatedAt: -1 }
+    );
+
+    // IPFS pin tracking (unpinned items listed in queue-stats)
+    await _db.collection('pins').createIndex(
+      { status: 1, createdAt: 1 }
+    );
+    // Remote (Pinata) CID -> local CID lookups in /api/ipfs/:cid
+    await _db.collection('pins').createIndex(
+      { remoteCid: 1 },
+      { sparse: true }
+    );
+
+    // Content-addressed LLM response cache (expires via TTL index)
+    await _db.collection('llm_cache').createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 }
+    );
+
+    // Merkle anchor batches (latest first) and proofs by batch
+    await _db.collection('anchor_batches').createIndex({ createdAt: -1 });
+    await _db.collection('anchor_proofs').createIndex({ batchId: 1 });
+
+    // Collection cases by loan and by agent worklist
+    await _db.collection('collection_cases').createIndex({ applicationId: 1, status: 1 });
+    await _db.collection('collection_cases').createIndex({ assignedTo: 1, status: 1 });
+
+    // In-app inbox by user, delivery log by loan
+    await _db.collection('notifications').createIndex({ userId: 1, createdAt: -1 });
+    await _db.collection('notification_log').createIndex({ applicationId: 1, createdAt: -1 });
+
+    // Staff alerts by status for the admin dashboard
+    await _db.collection('staff_alerts').createIndex({ status: 1, createdAt: -1 });
+
     // Index for optimistic locking version field
     await _db.collection('applications').createIndex({ version: 1 });
     await _db.collection('loan_offers').createIndex({ version: 1 });
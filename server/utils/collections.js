@@ -0,0 +1,482 @@
+/**
+ * Collections workflow for overdue loans
+ *
+ * Every delinquent loan (DPD engine, server/utils/delinquency.js) gets one
+ * open case in `collection_cases`, queued by its DPD bucket and assigned to
+ * the collection agent of that queue with the fewest open cases:
+ *   { _id: 'COL-<applicationId>-<n>', applicationId, queue, dpd, dpdBucket,
+ *     overdueAmount, chargesDue, status, escalationLevel, assignedTo,
+ *     attempts: [], promises: [], openedOn, resolvedOn? }
+ *
+ * Case status:
+ *   open      - awaiting contact
+ *   promised  - the borrower promised to pay an amount by a date
+ *   escalated - a promise was broken; the case moves to the 'escalated' queue
+ *   resolved  - the loan is no longer delinquent
+ *
+ * A promise is kept once payments received from the day it was made reach
+ * its amount, and broken when PROMISE_GRACE_DAYS pass after its date
+ * without that. Every action is appended to interaction_ledger. A broken
+ * promise publishes 'collections:escalated', which becomes a staff alert
+ * (server/utils/staffAlerts.js).
+ */
+
+const { appendToLedger } = require('../../blockchain/ledger');
+const { toDateString } = require('../../utils/amortization');
+const { DPD_BUCKETS } = require('../../utils/repayment');
+const { createWithVersion, updateWithRetry } = require('./optimisticLock');
+const { publishEvent } = require('./eventQueue');
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const COLLECTIONS_LOCK_KEY = 'collections';
+const COLLECTIONS_BATCH_SIZE = parseInt(process.env.COLLECTIONS_BATCH_SIZE || '500', 10);
+const PROMISE_GRACE_DAYS = parseInt(process.env.COLLECTIONS_PROMISE_GRACE_DAYS || '1', 10);
+const MAX_PROMISE_DAYS = 30;
+
+const ESCALATED_QUEUE = 'escalated';
+const COLLECTION_QUEUES = [
+  ...DPD_BUCKETS.map(b => b.bucket).filter(bucket => bucket !== '0'),
+  ESCALATED_QUEUE
+];
+const CASE_STATUSES = ['open', 'promised', 'escalated', 'resolved'];
+const CONTACT_CHANNELS = ['call', 'sms', 'email', 'visit'];
+const CONTACT_OUTCOMES = ['no_answer', 'reached', 'wrong_number', 'refused_to_pay', 'disputed', 'paid'];
+const DELINQUENT_STATES = ['delinquent', 'npa'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateString, days) {
+  return toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+}
+
+async function logAction(action, entry) {
+  await appendToLedger('interaction_ledger', {
+    agent: 'collections',
+    action,
+    ...entry,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function actorOf(user) {
+  return user ? user.email || user.accountNumber || user.id : 'system';
+}
+
+/**
+ * Register (or update) a collection agent and the queues they work
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} agent - { id, email, name }
+ * @param {string[]} queues - Queues from COLLECTION_QUEUES (default: all)
+ * @param {Object} registeredBy - Admin user
+ */
+async function registerCollectionAgent(db, { id, email, name }, queues = COLLECTION_QUEUES, registeredBy = null) {
+  const unknown = queues.filter(queue => !COLLECTION_QUEUES.includes(queue));
+  if (queues.length === 0 || unknown.length > 0) {
+    throw new Error(`queues must be one or more of ${COLLECTION_QUEUES.join(', ')}`);
+  }
+
+  await db.collection('collection_agents').updateOne(
+    { _id: id },
+    {
+      $set: { email, name, queues, active: true, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+  await logAction('registerAgent', { agentId: id, email, queues, registeredBy: actorOf(registeredBy) });
+  return { id, email, name, queues, active: true };
+}
+
+/**
+ * Collection agents with their open case count
+ */
+async function listCollectionAgents(db) {
+  const [agents, cases] = await Promise.all([
+    db.collection('collection_agents').find({}).toArray(),
+    db.collection('collection_cases')
+      .find({ status: { $ne: 'resolved' } })
+      .project({ assignedTo: 1 })
+      .toArray()
+  ]);
+  return agents.map(agent => ({
+    id: agent._id,
+    email: agent.email,
+    name: agent.name,
+    queues: agent.queues,
+    active: agent.active,
+    openCases: cases.filter(c => c.assignedTo === agent._id).length
+  }));
+}
+
+// Active agent of the queue with the fewest open cases, or null when the
+// queue has no agent (the case waits unassigned)
+async function pickAgent(db, queue) {
+  const agents = (await listCollectionAgents(db))
+    .filter(agent => agent.active && agent.queues.includes(queue));
+  if (agents.length === 0) return null;
+  return agents.sort((a, b) => a.openCases - b.openCases)[0].id;
+}
+
+function loanFields(application) {
+  return {
+    dpd: application.dpd || 0,
+    dpdBucket: application.dpdBucket || '0',
+    overdueAmount: application.overdueAmount || 0,
+    chargesDue: application.chargesDue || 0
+  };
+}
+
+/**
+ * Open a case for a delinquent loan and assign it to an agent of its queue
+ */
+async function openCase(db, application, asOf = new Date()) {
+  const count = await db.collection('collection_cases').countDocuments({ applicationId: application._id });
+  const queue = application.dpdBucket;
+  const assignedTo = await pickAgent(db, queue);
+  const collectionCase = await createWithVersion(db, 'collection_cases', {
+    _id: `COL-${application._id}-${count + 1}`,
+    applicationId: application._id,
+    userId: application.userId,
+    customerName: application.customerName,
+    phone: application.phone,
+    ...loanFields(application),
+    queue,
+    status: 'open',
+    escalationLevel: 0,
+    assignedTo,
+    attempts: [],
+    promises: [],
+    openedOn: toDateString(asOf)
+  });
+
+  await logAction('openCase', {
+    caseId: collectionCase._id,
+    loanId: application._id,
+    queue,
+    dpd: collectionCase.dpd,
+    overdueAmount: collectionCase.overdueAmount,
+    assignedTo
+  });
+  return collectionCase;
+}
+
+/**
+ * Assign a case to an agent
+ * @param {Object} assignedBy - Admin user, or null when reassigned automatically
+ */
+async function assignCase(db, caseId, agentId, assignedBy = null) {
+  const agent = await db.collection('collection_agents').findOne({ _id: agentId });
+  if (!agent || !agent.active) {
+    throw new Error(`Unknown collection agent: ${agentId}`);
+  }
+
+  let previousAgent;
+  const result = await updateWithRetry(db, 'collection_cases', caseId, async (current) => {
+    if (current.status === 'resolved') {
+      throw new Error(`Case ${caseId} is resolved`);
+    }
+    previousAgent = current.assignedTo;
+    return { assignedTo: agentId };
+  }, 5);
+
+  await logAction('assignCase', { caseId, previousAgent, assignedTo: agentId, assignedBy: actorOf(assignedBy) });
+  return result.document;
+}
+
+/**
+ * Whether a user may act on a case: admins on any, agents on their own
+ */
+function canActOnCase(collectionCase, user) {
+  return user.role === 'admin' || collectionCase.assignedTo === user.id;
+}
+
+/**
+ * Log a contact attempt on a case
+ * @param {Object} attempt - { channel, outcome, notes }
+ * @param {Object} user - Agent or admin making the attempt
+ */
+async function logContactAttempt(db, caseId, { channel, outcome, notes }, user) {
+  if (!CONTACT_CHANNELS.includes(channel)) {
+    throw new Error(`channel must be one of ${CONTACT_CHANNELS.join(', ')}`);
+  }
+  if (!CONTACT_OUTCOMES.includes(outcome)) {
+    throw new Error(`outcome must be one of ${CONTACT_OUTCOMES.join(', ')}`);
+  }
+
+  let attempt;
+  const result = await updateWithRetry(db, 'collection_cases', caseId, async (current) => {
+    if (current.status === 'resolved') {
+      throw new Error(`Case ${caseId} is resolved`);
+    }
+    attempt = {
+      attemptId: `ATT-${current.attempts.length + 1}`,
+      channel,
+      outcome,
+      notes: notes || null,
+      agentId: user.id,
+      at: new Date().toISOString()
+    };
+    return { attempts: [...current.attempts, attempt], lastContactAt: attempt.at };
+  }, 5);
+
+  await logAction('contactAttempt', { caseId, loanId: result.document.applicationId, ...attempt, by: actorOf(user) });
+  return { collectionCase: result.document, attempt };
+}
+
+/**
+ * Record a borrower's promise to pay an amount by a date
+ * @param {Object} promise - { amount, promisedDate (YYYY-MM-DD), channel, notes }
+ * @param {Object} user - Agent or admin taking the promise
+ */
+async function recordPromiseToPay(db, caseId, { amount, promisedDate, channel, notes }, user, asOf = new Date()) {
+  const today = toDateString(asOf);
+  const value = Math.round(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('amount must be a positive number');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(promisedDate || '') || Number.isNaN(new Date(promisedDate).getTime())) {
+    throw new Error('promisedDate must be a date (YYYY-MM-DD)');
+  }
+  if (promisedDate < today || promisedDate > addDays(today, MAX_PROMISE_DAYS)) {
+    throw new Error(`promisedDate must be within ${MAX_PROMISE_DAYS} days from today`);
+  }
+  if (channel !== undefined && !CONTACT_CHANNELS.includes(channel)) {
+    throw new Error(`channel must be one of ${CONTACT_CHANNELS.join(', ')}`);
+  }
+
+  let promise;
+  const result = await updateWithRetry(db, 'collection_cases', caseId, async (current) => {
+    if (current.status === 'resolved') {
+      throw new Error(`Case ${caseId} is resolved`);
+    }
+    if (current.promises.some(p => p.status === 'pending')) {
+      throw new Error(`Case ${caseId} already has a pending promise to pay`);
+    }
+    promise = {
+      promiseId: `PTP-${current.promises.length + 1}`,
+      amount: value,
+      promisedDate,
+      channel: channel || null,
+      notes: notes || null,
+      status: 'pending',
+      paidAmount: 0,
+      createdOn: today,
+      agentId: user.id
+    };
+    return { promises: [...current.promises, promise], status: 'promised', lastContactAt: new Date().toISOString() };
+  }, 5);
+
+  await logAction('promiseToPay', { caseId, loanId: result.document.applicationId, ...promise, by: actorOf(user) });
+  return { collectionCase: result.document, promise };
+}
+
+// Payments received on the loan from a promise's date up to today
+function paidTowards(promise, application, today) {
+  return (application.repayments || [])
+    .filter(payment => payment.paymentDate >= promise.createdOn && payment.paymentDate <= today)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+}
+
+/**
+ * Refresh a case from its loan: settle its pending promise, escalate it when
+ * the promise is broken, follow the loan's DPD bucket and resolve it once
+ * the loan is no longer delinquent
+ * @returns {Promise<Object>} { caseId, kept, broken, escalated, resolved, requeued }
+ */
+async function reviewCase(db, caseId, application, asOf = new Date()) {
+  const today = toDateString(asOf);
+  const outcome = { caseId, kept: null, broken: null, escalated: false, resolved: false, requeued: false };
+  let previousQueue;
+
+  const result = await updateWithRetry(db, 'collection_cases', caseId, async (current) => {
+    Object.assign(outcome, { kept: null, broken: null, escalated: false, resolved: false, requeued: false });
+    previousQueue = current.queue;
+    const fields = loanFields(application);
+
+    const promises = current.promises.map(promise => {
+      if (promise.status !== 'pending') return promise;
+      const paidAmount = paidTowards(promise, application, today);
+      if (paidAmount >= promise.amount) {
+        outcome.kept = { ...promise, paidAmount, status: 'kept', settledOn: today };
+        return outcome.kept;
+      }
+      if (today > addDays(promise.promisedDate, PROMISE_GRACE_DAYS)) {
+        outcome.broken = { ...promise, paidAmount, status: 'broken', settledOn: today };
+        return outcome.broken;
+      }
+      return { ...promise, paidAmount };
+    });
+
+    if (!DELINQUENT_STATES.includes(application.delinquencyState)) {
+      outcome.resolved = true;
+      return { ...fields, promises, status: 'resolved', resolvedOn: today, resolution: application.delinquencyState || 'current' };
+    }
+    if (outcome.broken) {
+      outcome.escalated = true;
+      return {
+        ...fields,
+        promises,
+        status: 'escalated',
+        queue: ESCALATED_QUEUE,
+        escalationLevel: current.escalationLevel + 1,
+        escalatedOn: today
+      };
+    }
+
+    // Escalated cases stay in their queue; others follow the DPD bucket
+    const queue = current.status === 'escalated' ? current.queue : fields.dpdBucket;
+    outcome.requeued = queue !== current.queue;
+    const status = current.status === 'promised' && outcome.kept ? 'open' : current.status;
+    return { ...fields, promises, queue, status };
+  }, 5);
+
+  let collectionCase = result.document;
+  const loanId = application._id;
+  if (outcome.kept) {
+    await logAction('promiseKept', { caseId, loanId, promiseId: outcome.kept.promiseId, amount: outcome.kept.amount, paidAmount: outcome.kept.paidAmount });
+  }
+  if (outcome.broken) {
+    await logAction('promiseBroken', { caseId, loanId, promiseId: outcome.broken.promiseId, amount: outcome.broken.amount, paidAmount: outcome.broken.paidAmount, promisedDate: outcome.broken.promisedDate });
+  }
+  if (outcome.resolved) {
+    await logAction('resolveCase', { caseId, loanId, resolution: collectionCase.resolution });
+    return outcome;
+  }
+
+  if (outcome.escalated || outcome.requeued) {
+    const agentId = await pickAgent(db, collectionCase.queue);
+    if (agentId && agentId !== collectionCase.assignedTo) {
+      collectionCase = await assignCase(db, caseId, agentId);
+    }
+    await logAction(outcome.escalated ? 'escalateCase' : 'requeueCase', {
+      caseId,
+      loanId,
+      previousQueue,
+      queue: collectionCase.queue,
+      escalationLevel: collectionCase.escalationLevel,
+      assignedTo: collectionCase.assignedTo,
+      reason: outcome.escalated ? `promise ${outcome.broken.promiseId} broken` : `DPD bucket ${collectionCase.dpdBucket}`
+    });
+  }
+  if (outcome.escalated) {
+    await publishEvent(db, 'collections:escalated', {
+      caseId,
+      applicationId: loanId,
+      customerName: collectionCase.customerName,
+      escalationLevel: collectionCase.escalationLevel,
+      assignedTo: collectionCase.assignedTo,
+      dpd: collectionCase.dpd,
+      overdueAmount: collectionCase.overdueAmount,
+      brokenPromise: outcome.broken
+    }, { priority: 5 });
+  }
+  return outcome;
+}
+
+/**
+ * Review open cases against their loans and open cases for newly
+ * delinquent loans
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { asOf (default: today), limit }
+ * @returns {Promise<Object>} { status: 'locked'|'done', reviewed, opened, resolved, escalated,
+ *                              promisesKept, promisesBroken, failed: [{ applicationId, error }] }
+ */
+async function runCollections(db, { asOf = new Date(), limit = COLLECTIONS_BATCH_SIZE } = {}) {
+  const { acquired, lockId } = await acquireLock(db, COLLECTIONS_LOCK_KEY, 10 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const summary = {
+      status: 'done', reviewed: 0, opened: 0, resolved: 0, escalated: 0, promisesKept: 0, promisesBroken: 0, failed: []
+    };
+    const openCases = await db.collection('collection_cases')
+      .find({ status: { $ne: 'resolved' } })
+      .limit(limit)
+      .toArray();
+
+    for (const collectionCase of openCases) {
+      try {
+        const application = await db.collection('applications').findOne({ _id: collectionCase.applicationId });
+        if (!application) throw new Error(`Application ${collectionCase.applicationId} not found`);
+        const outcome = await reviewCase(db, collectionCase._id, application, asOf);
+        summary.reviewed++;
+        if (outcome.kept) summary.promisesKept++;
+        if (outcome.broken) summary.promisesBroken++;
+        if (outcome.escalated) summary.escalated++;
+        if (outcome.resolved) summary.resolved++;
+      } catch (error) {
+        console.error(`❌ [Collections] ${collectionCase._id} failed:`, error.message);
+        summary.failed.push({ applicationId: collectionCase.applicationId, error: error.message });
+      }
+    }
+
+    const delinquent = await db.collection('applications')
+      .find({ delinquencyState: { $in: DELINQUENT_STATES } })
+      .limit(limit)
+      .toArray();
+    for (const application of delinquent) {
+      try {
+        const hasCase = await db.collection('collection_cases')
+          .countDocuments({ applicationId: application._id, status: { $ne: 'resolved' } });
+        if (hasCase > 0) continue;
+        const collectionCase = await openCase(db, application, asOf);
+        summary.opened++;
+        console.log(`📞 [Collections] ${collectionCase._id} opened (${collectionCase.dpd} DPD, queue ${collectionCase.queue})`);
+      } catch (error) {
+        console.error(`❌ [Collections] ${application._id} failed:`, error.message);
+        summary.failed.push({ applicationId: application._id, error: error.message });
+      }
+    }
+    return summary;
+  } finally {
+    await releaseLock(db, COLLECTIONS_LOCK_KEY, lockId);
+  }
+}
+
+/**
+ * Cases sorted by DPD, most overdue first
+ * @param {Object} filter - { queue, status, assignedTo }; status defaults to every unresolved case
+ */
+async function listCases(db, { queue, status, assignedTo } = {}) {
+  const query = { status: status || { $ne: 'resolved' } };
+  if (queue) query.queue = queue;
+  if (assignedTo) query.assignedTo = assignedTo;
+  return db.collection('collection_cases').find(query).sort({ dpd: -1 }).toArray();
+}
+
+/**
+ * Open cases, unassigned cases, overdue amount and pending promises per queue
+ */
+async function collectionsSummary(db) {
+  const cases = await listCases(db);
+  const queues = Object.fromEntries(
+    COLLECTION_QUEUES.map(queue => [queue, { cases: 0, unassigned: 0, overdueAmount: 0, pendingPromises: 0 }])
+  );
+  for (const collectionCase of cases) {
+    const entry = queues[collectionCase.queue];
+    entry.cases++;
+    if (!collectionCase.assignedTo) entry.unassigned++;
+    entry.overdueAmount += collectionCase.overdueAmount;
+    entry.pendingPromises += collectionCase.promises.filter(p => p.status === 'pending').length;
+  }
+  return { asOf: new Date().toISOString(), openCases: cases.length, queues };
+}
+
+module.exports = {
+  COLLECTION_QUEUES,
+  CASE_STATUSES,
+  CONTACT_CHANNELS,
+  CONTACT_OUTCOMES,
+  registerCollectionAgent,
+  listCollectionAgents,
+  openCase,
+  assignCase,
+  canActOnCase,
+  logContactAttempt,
+  recordPromiseToPay,
+  reviewCase,
+  runCollections,
+  listCases,
+  collectionsSummary
+};
@@ -0,0 +1,226 @@
+/**
+ * Daily aging of loan repayments
+ *
+ * Each run ages the EMI schedule of every approved or disbursed loan not yet
+ * aged today (utils/repayment.js): unpaid installments past their due date
+ * become overdue and the loan's DPD, bucket and delinquency state are
+ * recomputed. Late charges (utils/lateCharges.js) are accrued up to the same
+ * day, each new charge line logged to payment_ledger. A bucket change is
+ * logged to payment_ledger and published as a 'loan:delinquency_changed'
+ * event so the borrower and collections hear of it.
+ */
+
+const { appendToLedger } = require('../../blockchain/ledger');
+const { ageSchedule, DPD_BUCKETS } = require('../../utils/repayment');
+const { accrueLateCharges } = require('../../utils/lateCharges');
+const { toDateString, splitSchedule } = require('../../utils/amortization');
+const { updateWithRetry } = require('./optimisticLock');
+const { publishEvent } = require('./eventQueue');
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const DELINQUENCY_LOCK_KEY = 'delinquency-aging';
+const DELINQUENCY_BATCH_SIZE = parseInt(process.env.DELINQUENCY_BATCH_SIZE || '500', 10);
+const SERVICEABLE_STATUSES = ['approved', 'disbursed'];
+
+/**
+ * Application fields for an aged schedule
+ * @param {Object} aged - Result of ageSchedule
+ * @param {Date|string} asOf - Aging date
+ */
+function delinquencyFields(aged, asOf) {
+  return {
+    emiSchedule: aged.schedule,
+    dpd: aged.dpd,
+    dpdBucket: aged.dpdBucket,
+    delinquencyState: aged.delinquencyState,
+    overdueAmount: aged.overdueAmount,
+    overdueInstallments: aged.overdueInstallments,
+    outstandingPrincipal: splitSchedule(aged.schedule).outstanding,
+    nextEmiDate: aged.nextEmiDate,
+    lastAgedDate: toDateString(asOf)
+  };
+}
+
+/**
+ * Application fields for accrued late charges
+ * @param {Object} accrual - Result of accrueLateCharges
+ */
+function chargeFields(accrual) {
+  return {
+    charges: accrual.charges,
+    chargesDue: accrual.chargesDue,
+    lastChargeAccrualDate: accrual.lastChargeAccrualDate
+  };
+}
+
+/**
+ * Log each newly accrued charge as its own payment_ledger line
+ */
+async function logChargeLines(applicationId, lines, trigger) {
+  for (const line of lines) {
+    await appendToLedger('payment_ledger', {
+      agent: 'delinquency',
+      action: 'accrueCharge',
+      loanId: applicationId,
+      ...line,
+      trigger,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function bucketMessage(application, aged) {
+  const name = application.customerName || 'Customer';
+  if (aged.dpd === 0) {
+    return `Dear ${name}, loan ${application._id} is now up to date. Thank you for your payment.`;
+  }
+  return `Dear ${name}, loan ${application._id} is ${aged.dpd} days past due with ₹${aged.overdueAmount.toLocaleString()} overdue across ${aged.overdueInstallments} installment(s). Please pay to avoid further charges and credit bureau reporting.`;
+}
+
+/**
+ * Record a DPD bucket change: payment_ledger entry and 'loan:delinquency_changed' event
+ */
+async function notifyBucketChange(db, application, previousBucket, aged, trigger) {
+  const change = {
+    applicationId: application._id,
+    previousBucket: previousBucket || '0',
+    dpdBucket: aged.dpdBucket,
+    dpd: aged.dpd,
+    delinquencyState: aged.delinquencyState,
+    overdueAmount: aged.overdueAmount,
+    overdueInstallments: aged.overdueInstallments
+  };
+
+  await appendToLedger('payment_ledger', {
+    agent: 'delinquency',
+    action: 'dpdBucketChanged',
+    loanId: application._id,
+    ...change,
+    trigger,
+    timestamp: new Date().toISOString()
+  });
+
+  await publishEvent(db, 'loan:delinquency_changed', {
+    ...change,
+    userId: application.userId,
+    phone: application.phone,
+    email: application.email,
+    message: bucketMessage(application, aged)
+  });
+}
+
+/**
+ * Age one application's schedule on a date
+ * @returns {Promise<Object>} { applicationId, dpd, dpdBucket, previousBucket, delinquencyState, chargesAccrued, changed }
+ */
+async function ageApplication(db, applicationId, asOf = new Date()) {
+  let aged;
+  let accrual;
+  let previousBucket;
+  const result = await updateWithRetry(db, 'applications', applicationId, async (current) => {
+    previousBucket = current.dpdBucket || '0';
+    aged = ageSchedule(current.emiSchedule || [], asOf);
+    accrual = accrueLateCharges({ ...current, emiSchedule: aged.schedule }, asOf);
+    return { ...delinquencyFields(aged, asOf), ...chargeFields(accrual) };
+  }, 5);
+
+  await logChargeLines(applicationId, accrual.accrued, 'aging');
+  const changed = aged.dpdBucket !== previousBucket;
+  if (changed) {
+    await notifyBucketChange(db, result.document, previousBucket, aged, 'aging');
+  }
+
+  return {
+    applicationId,
+    dpd: aged.dpd,
+    dpdBucket: aged.dpdBucket,
+    previousBucket,
+    delinquencyState: aged.delinquencyState,
+    chargesAccrued: accrual.accrued.reduce((sum, line) => sum + line.amount, 0),
+    changed
+  };
+}
+
+/**
+ * Age all serviceable loans not yet aged on asOf
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { asOf (default: today), limit }
+ * @returns {Promise<Object>} { status: 'locked'|'done', checked, aged, bucketChanges, chargesAccrued, failed: [{ applicationId, error }] }
+ */
+async function runDelinquencyAging(db, { asOf = new Date(), limit = DELINQUENCY_BATCH_SIZE } = {}) {
+  const { acquired, lockId } = await acquireLock(db, DELINQUENCY_LOCK_KEY, 10 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const due = await db.collection('applications')
+      .find({
+        status: { $in: SERVICEABLE_STATUSES },
+        'emiSchedule.0': { $exists: true },
+        delinquencyState: { $ne: 'closed' },
+        lastAgedDate: { $ne: toDateString(asOf) }
+      })
+      .limit(limit)
+      .toArray();
+
+    const summary = { status: 'done', checked: due.length, aged: 0, bucketChanges: 0, chargesAccrued: 0, failed: [] };
+    for (const application of due) {
+      try {
+        const result = await ageApplication(db, application._id, asOf);
+        summary.aged++;
+        summary.chargesAccrued += result.chargesAccrued;
+        if (result.changed) {
+          summary.bucketChanges++;
+          console.log(`📅 [Delinquency] ${application._id}: bucket ${result.previousBucket} -> ${result.dpdBucket} (${result.dpd} DPD)`);
+        }
+      } catch (error) {
+        console.error(`❌ [Delinquency] ${application._id} failed:`, error.message);
+        summary.failed.push({ applicationId: application._id, error: error.message });
+      }
+    }
+    return summary;
+  } finally {
+    await releaseLock(db, DELINQUENCY_LOCK_KEY, lockId);
+  }
+}
+
+/**
+ * Portfolio view by DPD bucket: loan count, overdue amount, late charges
+ * due and outstanding principal per bucket
+ */
+async function delinquencySummary(db) {
+  const loans = await db.collection('applications')
+    .find({ status: { $in: SERVICEABLE_STATUSES }, 'emiSchedule.0': { $exists: true } })
+    .project({ dpdBucket: 1, overdueAmount: 1, chargesDue: 1, outstandingPrincipal: 1, amount: 1, delinquencyState: 1 })
+    .toArray();
+
+  const buckets = Object.fromEntries(
+    DPD_BUCKETS.map(({ bucket }) => [bucket, { loans: 0, overdueAmount: 0, chargesDue: 0, outstandingPrincipal: 0 }])
+  );
+  let closed = 0;
+  for (const loan of loans) {
+    if (loan.delinquencyState === 'closed') {
+      closed++;
+      continue;
+    }
+    const entry = buckets[loan.dpdBucket || '0'];
+    entry.loans++;
+    entry.overdueAmount += loan.overdueAmount || 0;
+    entry.chargesDue += loan.chargesDue || 0;
+    entry.outstandingPrincipal += loan.outstandingPrincipal ?? loan.amount ?? 0;
+  }
+
+  return { asOf: new Date().toISOString(), total: loans.length, closed, buckets };
+}
+
+module.exports = {
+  DELINQUENCY_BATCH_SIZE,
+  delinquencyFields,
+  chargeFields,
+  logChargeLines,
+  notifyBucketChange,
+  ageApplication,
+  runDelinquencyAging,
+  delinquencySummary
+};
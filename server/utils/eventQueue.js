@@ -45,7 +45,7 @@ async function publishEvent(db, type, payload, options = {}) {
 /**
  * Claim an event for processing (worker pattern)
  * @param {Object} db - MongoDB database instance
- * @param {string} eventType - Event type to claim (or null for any)
+ * @param {string|string[]} eventType - Event type(s) to claim (or null for any)
  * @param {string} workerId - Unique worker identifier
  * @param {number} lockDurationMs - How long to lock the event (default: 30s)
  * @returns {Promise<Object|null>} Claimed event or null if none available
@@ -65,7 +65,7 @@ async function claimEvent(db, eventType, workerId, lockDurationMs = 30000) {
   };
 
   if (eventType) {
-    filter.type = eventType;
+    filter.type = Array.isArray(eventType) ? { $in: eventType } : eventType;
   }
 
   const update = {
@@ -86,7 +86,8 @@ async function claimEvent(db, eventType, workerId, lockDurationMs = 30000) {
     }
   );
 
-  return result.value;
+  // mongodb 6 resolves findOneAndUpdate to the claimed event, or null
+  return result;
 }
 
 /**
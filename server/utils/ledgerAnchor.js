@@ -0,0 +1,336 @@
+/**
+ * Merkle-root anchoring of the local ledgers
+ *
+ * Instead of one Sepolia transaction per event, each anchor run collects the
+ * blocks appended to the hash-chain ledgers since the previous run, builds a
+ * Merkle tree over them (blockchain/merkle.js) and writes only the root to
+ * LoanCore.anchorRoot.
+ *
+ * Collections:
+ *   anchor_batches - { _id: batchId, root, leafCount, ranges: [{ ledger, from, to }],
+ *                      status: 'submitted'|'confirmed'|'reverted'|'dropped'|'failed',
+ *                      transactionHash, blockNumber, error, createdAt, confirmedAt }
+ *   anchor_proofs  - { _id: '<ledger>:<index>', ledger, index, blockHash, leaf,
+ *                      proof, root, batchId, transactionHash }
+ *   anchor_cursors - { _id: ledger, nextIndex, batchId } (first block not yet anchored)
+ *
+ * Sending the root only submits the batch. Each run first checks submitted
+ * batches: proofs are stored and cursors move only once the receipt shows
+ * the transaction succeeded and emitted RootAnchored for the root. A batch
+ * without a receipt stays pending while the node still has its transaction
+ * or cannot be read (e.g. rate limited). A reverted transaction, or one the
+ * node no longer knows after ANCHOR_CONFIRM_TIMEOUT_MS (dropped), leaves the
+ * cursors where they were, so its blocks are anchored again in the next
+ * batch. No new batch is sent while one is pending.
+ */
+
+const crypto = require('crypto');
+const { listLedgers, getLedger, computeBlockHash } = require('../../blockchain/ledger');
+const {
+  leafHash,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof,
+  toBytes32
+} = require('../../blockchain/merkle');
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const ANCHOR_MAX_LEAVES = parseInt(process.env.ANCHOR_MAX_LEAVES || '5000', 10);
+const ANCHOR_CONFIRM_TIMEOUT_MS = parseInt(process.env.ANCHOR_CONFIRM_TIMEOUT_MS || '1800000', 10);
+const ANCHOR_LOCK_KEY = 'ledger-anchor';
+
+function proofId(ledgerName, index) {
+  return `${ledgerName}:${index}`;
+}
+
+/**
+ * Blocks appended since the last anchored batch, across all ledgers
+ */
+async function collectUnanchoredBlocks(db, maxLeaves) {
+  const cursors = await db.collection('anchor_cursors').find({}).toArray();
+  const nextIndex = new Map(cursors.map(c => [c._id, c.nextIndex]));
+
+  const entries = [];
+  const ranges = [];
+  for (const ledgerName of listLedgers()) {
+    if (entries.length >= maxLeaves) break;
+
+    const blocks = getLedger(ledgerName);
+    const from = nextIndex.get(ledgerName) || 0;
+    const to = Math.min(blocks.length, from + maxLeaves - entries.length);
+    if (to <= from) continue;
+
+    for (let index = from; index < to; index++) {
+      const blockHash = blocks[index].hash;
+      entries.push({ ledger: ledgerName, index, blockHash, leaf: leafHash(ledgerName, index, blockHash) });
+    }
+    ranges.push({ ledger: ledgerName, from, to: to - 1 });
+  }
+
+  return { entries, ranges };
+}
+
+// Leaves of a submitted batch, rebuilt from its ledger ranges
+function batchEntries(ranges) {
+  const entries = [];
+  for (const { ledger, from, to } of ranges) {
+    const blocks = getLedger(ledger);
+    for (let index = from; index <= to; index++) {
+      const blockHash = blocks[index] ? blocks[index].hash : null;
+      entries.push({ ledger, index, blockHash, leaf: leafHash(ledger, index, blockHash) });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Store the proofs of a batch whose transaction was confirmed and move the
+ * cursors past its blocks
+ */
+async function confirmBatch(db, batch, blockNumber) {
+  const entries = batchEntries(batch.ranges);
+  const { root, levels } = buildMerkleTree(entries.map(e => e.leaf));
+  if (toBytes32(root) !== batch.root) {
+    // A block in the batch changed after it was submitted; verifyLedger reports it
+    const error = 'Ledger blocks changed since the batch was submitted';
+    await db.collection('anchor_batches').updateOne(
+      { _id: batch._id },
+      { $set: { status: 'failed', blockNumber, error, updatedAt: new Date() } }
+    );
+    console.error(`❌ [Anchor] Batch ${batch._id} confirmed on-chain but not stored: ${error}`);
+    return;
+  }
+
+  await db.collection('anchor_proofs').bulkWrite(entries.map((entry, i) => ({
+    replaceOne: {
+      filter: { _id: proofId(entry.ledger, entry.index) },
+      replacement: {
+        ...entry,
+        proof: getMerkleProof(levels, i),
+        root: batch.root,
+        batchId: batch._id,
+        transactionHash: batch.transactionHash,
+        anchoredAt: new Date()
+      },
+      upsert: true
+    }
+  })));
+
+  for (const range of batch.ranges) {
+    await db.collection('anchor_cursors').updateOne(
+      { _id: range.ledger },
+      { $set: { nextIndex: range.to + 1, batchId: batch._id, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  await db.collection('anchor_batches').updateOne(
+    { _id: batch._id },
+    { $set: { status: 'confirmed', blockNumber, confirmedAt: new Date(), updatedAt: new Date() } }
+  );
+  console.log(`⚓ [Anchor] Batch ${batch._id} confirmed in block ${blockNumber}: ${batch.leafCount} blocks`);
+}
+
+/**
+ * Check the transactions of submitted batches
+ * @returns {Promise<Object|null>} The batch still waiting for confirmation, if any
+ */
+async function checkSubmittedBatches(db, getAnchorTransaction) {
+  const submitted = await db.collection('anchor_batches')
+    .find({ status: 'submitted' })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  for (const batch of submitted) {
+    const tx = await getAnchorTransaction(batch.transactionHash);
+    if (!tx || !tx.success) {
+      // Chain not reachable: check again next run
+      return batch;
+    }
+
+    if (tx.found && tx.confirmed && tx.roots.some(root => root.toLowerCase() === batch.root.toLowerCase())) {
+      await confirmBatch(db, batch, tx.blockNumber);
+      continue;
+    }
+
+    // No receipt yet is unconfirmed, not dropped: only a transaction the
+    // node no longer knows is given up on, and only after the timeout
+    let status = null;
+    if (tx.found) {
+      status = 'reverted';
+    } else if (tx.known === false && Date.now() - new Date(batch.createdAt).getTime() > ANCHOR_CONFIRM_TIMEOUT_MS) {
+      status = 'dropped';
+    }
+    if (!status) {
+      return batch;
+    }
+
+    // Cursors never moved, so the next batch picks these blocks up again
+    await db.collection('anchor_batches').updateOne(
+      { _id: batch._id },
+      {
+        $set: {
+          status,
+          blockNumber: tx.blockNumber || null,
+          error: status === 'reverted' ? 'Anchor transaction reverted' : 'Anchor transaction was not mined',
+          updatedAt: new Date()
+        }
+      }
+    );
+    console.warn(`⚠️ [Anchor] Batch ${batch._id} ${status} (tx ${batch.transactionHash}); re-queuing its blocks`);
+  }
+  return null;
+}
+
+/**
+ * Confirm submitted batches, then anchor all new ledger blocks under one
+ * Merkle root.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options
+ * @param {Function} options.anchorRoot - async ({ root, leafCount }) => { success, transactionHash, error }
+ * @param {Function} options.getAnchorTransaction - async (hash) => { success, found, known, confirmed, blockNumber, roots }
+ * @param {number} options.maxLeaves - Max blocks per batch (default: ANCHOR_MAX_LEAVES)
+ * @returns {Promise<Object>} { status: 'idle'|'locked'|'pending'|'submitted'|'failed', batchId, root, leafCount, transactionHash, error }
+ */
+async function runAnchorBatch(db, { anchorRoot, getAnchorTransaction, maxLeaves = ANCHOR_MAX_LEAVES }) {
+  // One anchor run at a time across workers and replicas
+  const { acquired, lockId } = await acquireLock(db, ANCHOR_LOCK_KEY, 5 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const pending = await checkSubmittedBatches(db, getAnchorTransaction);
+    if (pending) {
+      return {
+        status: 'pending',
+        batchId: pending._id,
+        root: pending.root,
+        leafCount: pending.leafCount,
+        transactionHash: pending.transactionHash
+      };
+    }
+
+    const { entries, ranges } = await collectUnanchoredBlocks(db, maxLeaves);
+    if (entries.length === 0) {
+      return { status: 'idle', leafCount: 0 };
+    }
+
+    const { root } = buildMerkleTree(entries.map(e => e.leaf));
+    const rootBytes32 = toBytes32(root);
+    const batchId = `anchor-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const batch = {
+      _id: batchId,
+      root: rootBytes32,
+      leafCount: entries.length,
+      ranges,
+      createdAt: new Date()
+    };
+
+    const result = await anchorRoot({ root: rootBytes32, leafCount: entries.length });
+    if (!result || !result.success) {
+      const error = (result && (result.error || result.reason)) || 'Anchor transaction failed';
+      await db.collection('anchor_batches').insertOne({ ...batch, status: 'failed', error });
+      console.error(`❌ [Anchor] Batch ${batchId} failed: ${error}`);
+      return { status: 'failed', batchId, root: rootBytes32, leafCount: entries.length, error };
+    }
+
+    const { transactionHash } = result;
+    await db.collection('anchor_batches').insertOne({ ...batch, status: 'submitted', transactionHash });
+
+    console.log(`⚓ [Anchor] Batch ${batchId}: ${entries.length} blocks under ${rootBytes32} submitted (tx ${transactionHash}), awaiting confirmation`);
+    return { status: 'submitted', batchId, root: rootBytes32, leafCount: entries.length, transactionHash };
+  } finally {
+    await releaseLock(db, ANCHOR_LOCK_KEY, lockId);
+  }
+}
+
+/**
+ * Stored inclusion proof of a ledger block
+ * @returns {Promise<Object|null>}
+ */
+async function getBlockProof(db, ledgerName, index) {
+  return db.collection('anchor_proofs').findOne({ _id: proofId(ledgerName, index) });
+}
+
+/**
+ * Prove that a ledger block was anchored in a given transaction.
+ *
+ * Checks, in order:
+ * - block: the block still exists and its hash matches its contents
+ * - proof: the block's leaf and stored proof lead to the batch root
+ * - transaction: the transaction emitted RootAnchored for that root on LoanCore
+ *
+ * @param {Object} db - MongoDB database instance
+ * @param {string} ledgerName - Ledger name
+ * @param {number} index - Block index
+ * @param {Object} options
+ * @param {string} options.transactionHash - Transaction to check (default: the one stored with the proof)
+ * @param {Function} options.getAnchorTransaction - async (hash) => { success, found, confirmed, blockNumber, roots }
+ * @returns {Promise<Object>} { ledger, index, anchored, verified, checks, root, batchId, transactionHash, proof, block }
+ */
+async function verifyAnchoredBlock(db, ledgerName, index, { transactionHash, getAnchorTransaction }) {
+  const block = getLedger(ledgerName)[index];
+  const record = await getBlockProof(db, ledgerName, index);
+  const checks = {};
+
+  checks.block = Boolean(block) && computeBlockHash(block) === block.hash;
+
+  if (!record) {
+    return {
+      ledger: ledgerName,
+      index,
+      anchored: false,
+      verified: false,
+      checks,
+      block: block || null
+    };
+  }
+
+  const txHash = transactionHash || record.transactionHash;
+  const leaf = block ? leafHash(ledgerName, index, block.hash) : null;
+  checks.proof = leaf === record.leaf && verifyMerkleProof(leaf, record.proof, record.root);
+
+  const tx = await getAnchorTransaction(txHash);
+  checks.transaction = Boolean(tx && tx.success && tx.found && tx.confirmed) &&
+    tx.roots.some(root => root.toLowerCase() === record.root.toLowerCase());
+
+  return {
+    ledger: ledgerName,
+    index,
+    anchored: true,
+    verified: checks.block && checks.proof && checks.transaction,
+    checks,
+    root: record.root,
+    batchId: record.batchId,
+    transactionHash: txHash,
+    onChain: tx && tx.success
+      ? { found: tx.found, confirmed: tx.confirmed, blockNumber: tx.blockNumber || null }
+      : { error: (tx && (tx.error || tx.reason)) || 'Blockchain not available' },
+    proof: record.proof,
+    block: block || null
+  };
+}
+
+/**
+ * Latest anchor batches and per-ledger cursors (for admin status)
+ */
+async function getAnchorStatus(db, limit = 20) {
+  const [batches, cursors] = await Promise.all([
+    db.collection('anchor_batches').find({}).sort({ createdAt: -1 }).limit(limit).toArray(),
+    db.collection('anchor_cursors').find({}).toArray()
+  ]);
+
+  return {
+    batches,
+    cursors: cursors.map(c => ({ ledger: c._id, nextIndex: c.nextIndex, batchId: c.batchId }))
+  };
+}
+
+module.exports = {
+  ANCHOR_MAX_LEAVES,
+  runAnchorBatch,
+  getBlockProof,
+  verifyAnchoredBlock,
+  getAnchorStatus
+};
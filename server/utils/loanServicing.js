@@ -0,0 +1,194 @@
+/**
+ * Loan servicing on stored applications
+ *
+ * Changes to an application's EMI schedule are re-amortized by
+ * utils/prepayment.js, written with optimistic locking (updateWithRetry) and
+ * logged to payment_ledger. Each change bumps `scheduleVersion` and is kept
+ * in `scheduleChanges`:
+ *   { scheduleVersion, type, mode, amount, charge, emiBefore, emiAfter,
+ *     installmentsBefore, installmentsAfter, appliedBy, appliedAt }
+ *
+ * EMI payments settle late charges up to the payment date
+ * (utils/lateCharges.js) and installments in the policy's allocation order
+ * (utils/repayment.js), and are kept in `repayments`:
+ *   { paymentId, amount, paymentDate, allocations, recordedBy, recordedAt }
+ */
+
+const { appendToLedger } = require('../../blockchain/ledger');
+const { simulatePartPrepayment, foreclosureQuote } = require('../../utils/prepayment');
+const { allocatePayment, ageSchedule } = require('../../utils/repayment');
+const { accrueLateCharges, getLateChargeTerms, chargesDue } = require('../../utils/lateCharges');
+const { toDateString } = require('../../utils/amortization');
+const { updateWithRetry } = require('./optimisticLock');
+const { delinquencyFields, chargeFields, logChargeLines, notifyBucketChange } = require('./delinquency');
+
+/**
+ * Whether a user may see servicing quotes for an application (its borrower or an admin)
+ */
+function canServiceApplication(user, application) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const ids = [user.phone, user.accountNumber].filter(Boolean);
+  return [application.phone, application.accountNumber, application.userId].some(id => ids.includes(id));
+}
+
+/**
+ * Apply a part-prepayment: re-amortize the unpaid installments and version the schedule
+ * @param {Object} db - MongoDB database instance
+ * @param {string} applicationId - Application id
+ * @param {Object} params - { amount, mode } (see simulatePartPrepayment)
+ * @param {string} appliedBy - Who recorded the prepayment
+ * @returns {Promise<Object>} { application, prepayment }
+ */
+async function applyPartPrepayment(db, applicationId, params, appliedBy) {
+  let prepayment;
+  const result = await updateWithRetry(db, 'applications', applicationId, async (current) => {
+    // Re-simulated on every retry so the schedule is built on the latest version
+    prepayment = simulatePartPrepayment(current, params);
+    const scheduleVersion = (current.scheduleVersion || 1) + 1;
+    const paidCount = prepayment.schedule.filter(row => row.status === 'paid').length;
+
+    return {
+      emiSchedule: prepayment.schedule,
+      emi: prepayment.emiAfter,
+      tenure: paidCount + prepayment.installmentsAfter,
+      nextEmiDate: prepayment.nextEmiDate,
+      outstandingPrincipal: prepayment.outstandingAfter,
+      scheduleVersion,
+      scheduleChanges: [
+        ...(current.scheduleChanges || []),
+        {
+          scheduleVersion,
+          type: prepayment.type,
+          mode: prepayment.mode,
+          amount: prepayment.amount,
+          charge: prepayment.charge,
+          emiBefore: prepayment.emiBefore,
+          emiAfter: prepayment.emiAfter,
+          installmentsBefore: prepayment.installmentsBefore,
+          installmentsAfter: prepayment.installmentsAfter,
+          appliedBy,
+          appliedAt: new Date().toISOString()
+        }
+      ]
+    };
+  }, 5);
+
+  const { schedule, ...summary } = prepayment;
+  await appendToLedger('payment_ledger', {
+    agent: 'loanServicing',
+    action: 'applyPartPrepayment',
+    loanId: applicationId,
+    ...summary,
+    scheduleVersion: result.document.scheduleVersion,
+    appliedBy,
+    timestamp: new Date().toISOString()
+  });
+
+  return { application: result.document, prepayment: summary };
+}
+
+/**
+ * Record an EMI payment against the schedule and re-age the loan. A payment
+ * id already recorded is not applied again.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} applicationId - Application id
+ * @param {Object} payment - { paymentId, amount, paymentDate }
+ * @param {string} recordedBy - Who recorded the payment
+ * @returns {Promise<Object>} { application, repayment, duplicate }
+ */
+async function recordRepayment(db, applicationId, { paymentId, amount, paymentDate }, recordedBy) {
+  const paid = Math.round(Number(amount));
+  if (!Number.isFinite(paid) || paid <= 0) {
+    throw new Error('amount must be a positive number');
+  }
+  const paidOn = toDateString(paymentDate || new Date());
+
+  let repayment;
+  let aged;
+  let accrual;
+  let previousBucket;
+  let duplicate = false;
+  const result = await updateWithRetry(db, 'applications', applicationId, async (current) => {
+    const existing = (current.repayments || []).find(r => r.paymentId === paymentId);
+    if (existing) {
+      duplicate = true;
+      repayment = existing;
+      return {};
+    }
+    if (!Array.isArray(current.emiSchedule) || current.emiSchedule.length === 0) {
+      throw new Error(`Application ${applicationId} has no EMI schedule`);
+    }
+
+    // Charges accrued up to the payment date are settled by it
+    accrual = accrueLateCharges({ ...current, emiSchedule: ageSchedule(current.emiSchedule, paidOn).schedule }, paidOn);
+    const allocation = allocatePayment(current.emiSchedule, paid, paidOn, {
+      charges: accrual.charges,
+      order: getLateChargeTerms(current).allocationOrder
+    });
+    if (allocation.excess > 0) {
+      throw new Error(`Payment exceeds the ₹${paid - allocation.excess} still due on the loan, use a foreclosure quote to close it`);
+    }
+
+    previousBucket = current.dpdBucket || '0';
+    aged = ageSchedule(allocation.schedule, new Date());
+    repayment = {
+      paymentId,
+      amount: paid,
+      paymentDate: paidOn,
+      allocations: allocation.allocations,
+      recordedBy,
+      recordedAt: new Date().toISOString()
+    };
+    return {
+      ...delinquencyFields(aged, new Date()),
+      ...chargeFields({ ...accrual, charges: allocation.charges, chargesDue: chargesDue(allocation.charges) }),
+      totalPaid: (current.totalPaid || 0) + paid,
+      repayments: [...(current.repayments || []), repayment]
+    };
+  }, 5);
+
+  if (duplicate) {
+    return { application: result.document, repayment, duplicate };
+  }
+
+  await logChargeLines(applicationId, accrual.accrued, 'repayment');
+  await appendToLedger('payment_ledger', {
+    agent: 'loanServicing',
+    action: 'recordRepayment',
+    loanId: applicationId,
+    ...repayment,
+    dpd: aged.dpd,
+    dpdBucket: aged.dpdBucket,
+    timestamp: new Date().toISOString()
+  });
+  if (aged.dpdBucket !== previousBucket) {
+    await notifyBucketChange(db, result.document, previousBucket, aged, 'repayment');
+  }
+
+  return { application: result.document, repayment, duplicate };
+}
+
+/**
+ * Foreclosure quote for an application, logged to payment_ledger
+ */
+async function quoteForeclosure(application, asOf, requestedBy) {
+  const quote = foreclosureQuote(application, asOf);
+  await appendToLedger('payment_ledger', {
+    agent: 'loanServicing',
+    action: 'foreclosureQuote',
+    loanId: application._id,
+    ...quote,
+    scheduleVersion: application.scheduleVersion || 1,
+    requestedBy,
+    timestamp: new Date().toISOString()
+  });
+  return quote;
+}
+
+module.exports = {
+  canServiceApplication,
+  applyPartPrepayment,
+  recordRepayment,
+  quoteForeclosure
+};
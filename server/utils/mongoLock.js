@@ -48,8 +48,8 @@ async function acquireLock(db, resourceKey, ttlMs = 10000, owner = null) {
       }
     );
 
-    // Check if we successfully acquired the lock
-    const acquired = result.value && result.value.owner === lockId;
+    // mongodb 6 resolves findOneAndUpdate to the document itself (or null)
+    const acquired = Boolean(result) && result.owner === lockId;
     
     return {
       acquired,
@@ -0,0 +1,375 @@
+/**
+ * Borrower notifications
+ *
+ * Events from the queue (application status changes, approvals, rate resets,
+ * DPD bucket changes) and EMI reminders are rendered with the templates in
+ * templates/notifications.json and delivered on each channel the template
+ * lists (utils/notificationChannels.js: sms, email, in_app), unless the
+ * borrower switched that channel off in `notification_preferences`.
+ *
+ * Every delivery is logged in `notification_log`, one document per
+ * notification and channel:
+ *   { _id: '<dedupeKey>:<channel>', dedupeKey, templateId, channel, provider,
+ *     userId, applicationId, to, subject, status, providerId, error, attempts }
+ * status: 'sent' | 'failed' | 'skipped' (reason: opted_out, no_address).
+ * A notification is delivered at most once per channel: a retried event or
+ * a reminder run that finds it already sent does not send it again.
+ *
+ * Events for staff rather than the borrower (STAFF_ALERT_EVENTS) are claimed
+ * here too and stored as staff alerts (server/utils/staffAlerts.js).
+ */
+
+const TEMPLATES = require('../../templates/notifications.json');
+const { NOTIFICATION_CHANNELS } = require('../../utils/notificationChannels');
+const { toDateString } = require('../../utils/amortization');
+const { acquireLock, releaseLock } = require('./mongoLock');
+const { STAFF_ALERT_EVENTS, recordStaffAlert } = require('./staffAlerts');
+
+const NOTIFICATION_EVENTS = [
+  'notification:send',
+  'application:status_changed',
+  'loan:rate_reset',
+  'loan:delinquency_changed',
+  ...STAFF_ALERT_EVENTS
+];
+// Days from today to the installment's due date
+const EMI_REMINDERS = [
+  { days: 3, templateId: 'emi_due_in_3_days' },
+  { days: 1, templateId: 'emi_due_tomorrow' },
+  { days: -1, templateId: 'emi_overdue' }
+];
+const EMI_REMINDER_LOCK_KEY = 'emi-reminders';
+const SERVICEABLE_STATUSES = ['approved', 'disbursed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateString, days) {
+  return toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+}
+
+/**
+ * Render a template with {{placeholders}}; numbers are formatted en-IN
+ * @returns {Object} { channels, subject, body }
+ */
+function renderTemplate(templateId, data) {
+  const template = TEMPLATES.templates[templateId];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${templateId}`);
+  }
+  const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    const value = data[key];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'number' ? value.toLocaleString('en-IN') : String(value);
+  });
+  return { channels: template.channels, subject: fill(template.subject), body: fill(template.body) };
+}
+
+/**
+ * Channel preferences of a user; channels not set are on
+ * @returns {Promise<Object>} { userId, channels: { sms, email, in_app }, updatedAt }
+ */
+async function getNotificationPreferences(db, userId) {
+  const stored = await db.collection('notification_preferences').findOne({ _id: userId });
+  const channels = Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, true]));
+  return {
+    userId,
+    channels: { ...channels, ...(stored ? stored.channels : {}) },
+    updatedAt: stored ? stored.updatedAt : null
+  };
+}
+
+/**
+ * Turn channels on or off for a user
+ * @param {Object} channels - e.g. { sms: false, email: true }
+ */
+async function setNotificationPreferences(db, userId, channels) {
+  if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+    throw new Error('channels must be an object');
+  }
+  for (const [channel, enabled] of Object.entries(channels)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown channel "${channel}". Use ${NOTIFICATION_CHANNELS.join(', ')}.`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new Error(`${channel} must be true or false`);
+    }
+  }
+
+  const set = Object.fromEntries(Object.entries(channels).map(([channel, enabled]) => [`channels.${channel}`, enabled]));
+  await db.collection('notification_preferences').updateOne(
+    { _id: userId },
+    { $set: { ...set, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return getNotificationPreferences(db, userId);
+}
+
+// Where an application's borrower can be reached; 'N/A' means not captured
+function recipientOf(application) {
+  const known = value => (value && value !== 'N/A' ? value : null);
+  return {
+    userId: known(application.userId),
+    customerName: application.customerName || 'Customer',
+    phone: known(application.phone),
+    email: known(application.email)
+  };
+}
+
+/**
+ * Deliver one notification about an application on every channel its
+ * template lists
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} notification - { templateId, application, data, dedupeKey }
+ * @param {Object} channels - From createNotificationChannels
+ * @returns {Promise<Object>} { templateId, dedupeKey, deliveries: [{ channel, status, reason?, error? }], failed }
+ */
+async function notify(db, { templateId, application, data = {}, dedupeKey }, channels) {
+  const recipient = recipientOf(application);
+  const rendered = renderTemplate(templateId, {
+    customerName: recipient.customerName,
+    applicationId: application._id,
+    amount: application.amount,
+    emi: application.emi,
+    nextEmiDate: application.nextEmiDate,
+    accountNumber: application.accountNumber,
+    ...data
+  });
+  const preferences = recipient.userId
+    ? await getNotificationPreferences(db, recipient.userId)
+    : { channels: {} };
+
+  const log = db.collection('notification_log');
+  const deliveries = [];
+  for (const name of rendered.channels) {
+    const channel = channels[name];
+    const deliveryId = `${dedupeKey}:${name}`;
+    const existing = await log.findOne({ _id: deliveryId });
+    if (existing && existing.status !== 'failed') {
+      deliveries.push({ channel: name, status: existing.status, reason: existing.reason, duplicate: true });
+      continue;
+    }
+
+    const to = channel.address(recipient);
+    const entry = {
+      dedupeKey,
+      templateId,
+      channel: name,
+      provider: channel.provider,
+      userId: recipient.userId,
+      applicationId: application._id,
+      to,
+      subject: rendered.subject,
+      updatedAt: new Date()
+    };
+    let outcome;
+    if (preferences.channels[name] === false) {
+      outcome = { status: 'skipped', reason: 'opted_out' };
+    } else if (!to) {
+      outcome = { status: 'skipped', reason: 'no_address' };
+    } else {
+      try {
+        const { providerId } = await channel.send({
+          deliveryId,
+          to,
+          subject: rendered.subject,
+          body: rendered.body,
+          templateId,
+          applicationId: application._id
+        });
+        outcome = { status: 'sent', providerId, sentAt: new Date(), error: null };
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+    }
+
+    await log.updateOne(
+      { _id: deliveryId },
+      {
+        $set: { ...entry, ...outcome },
+        $inc: { attempts: outcome.status === 'skipped' ? 0 : 1 },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+    deliveries.push({ channel: name, ...outcome });
+  }
+
+  return {
+    templateId,
+    dedupeKey,
+    deliveries,
+    failed: deliveries.filter(d => d.status === 'failed').length
+  };
+}
+
+/**
+ * Template and placeholder data for a queue event, or null when the event
+ * has no borrower notification
+ */
+function notificationForEvent(event) {
+  const { payload } = event;
+  switch (event.type) {
+    case 'notification:send':
+      return TEMPLATES.templates[payload.type] ? { templateId: payload.type, data: {} } : null;
+    case 'application:status_changed': {
+      const specific = `application_${payload.newStatus}`;
+      return {
+        templateId: TEMPLATES.templates[specific] ? specific : 'application_status_changed',
+        data: { status: payload.newStatus }
+      };
+    }
+    case 'loan:rate_reset':
+      return { templateId: 'rate_reset', data: payload };
+    case 'loan:delinquency_changed':
+      return { templateId: payload.dpd === 0 ? 'delinquency_cleared' : 'delinquency_changed', data: payload };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Notify the borrower of one queue event, or store it as a staff alert.
+ * Throws when a channel failed so the event is retried; channels already
+ * delivered are not sent again.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} event - Claimed event (one of NOTIFICATION_EVENTS)
+ * @param {Object} channels - From createNotificationChannels
+ * @returns {Promise<Object>} Result of notify or recordStaffAlert, or { skipped }
+ */
+async function processNotificationEvent(db, event, channels) {
+  if (STAFF_ALERT_EVENTS.includes(event.type)) {
+    return recordStaffAlert(db, event);
+  }
+  const notification = notificationForEvent(event);
+  if (!notification) {
+    return { skipped: `no notification for ${event.type}${event.payload.type ? ` (${event.payload.type})` : ''}` };
+  }
+  const application = await db.collection('applications').findOne({ _id: event.payload.applicationId });
+  if (!application) {
+    return { skipped: `application ${event.payload.applicationId} not found` };
+  }
+
+  const result = await notify(db, {
+    ...notification,
+    application,
+    dedupeKey: `event:${event._id}`
+  }, channels);
+  if (result.failed > 0) {
+    const errors = result.deliveries.filter(d => d.status === 'failed').map(d => `${d.channel}: ${d.error}`);
+    throw new Error(`Delivery failed (${errors.join('; ')})`);
+  }
+  return result;
+}
+
+/**
+ * Send EMI reminders due on asOf: 3 days and 1 day before an installment's
+ * due date, and the day after a missed one
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { asOf (default: today), channels }
+ * @returns {Promise<Object>} { status: 'locked'|'done', checked, sent, skipped, failed: [{ applicationId, installmentNo, error }] }
+ */
+async function runEmiReminders(db, { asOf = new Date(), channels }) {
+  const { acquired, lockId } = await acquireLock(db, EMI_REMINDER_LOCK_KEY, 10 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const today = toDateString(asOf);
+    const dueDates = Object.fromEntries(EMI_REMINDERS.map(r => [addDays(today, r.days), r.templateId]));
+    const loans = await db.collection('applications')
+      .find({
+        status: { $in: SERVICEABLE_STATUSES },
+        'emiSchedule.dueDate': { $in: Object.keys(dueDates) }
+      })
+      .toArray();
+
+    const summary = { status: 'done', checked: loans.length, sent: 0, skipped: 0, failed: [] };
+    for (const application of loans) {
+      const rows = application.emiSchedule.filter(row => dueDates[row.dueDate] && row.status !== 'paid');
+      for (const row of rows) {
+        const templateId = dueDates[row.dueDate];
+        try {
+          const result = await notify(db, {
+            templateId,
+            application,
+            data: {
+              installmentNo: row.installmentNo,
+              dueDate: row.dueDate,
+              amountDue: Math.max(0, row.emi - (row.paidAmount || 0))
+            },
+            dedupeKey: `emi:${application._id}:${row.installmentNo}:${row.dueDate}:${templateId}`
+          }, channels);
+          for (const delivery of result.deliveries) {
+            if (delivery.duplicate) continue;
+            if (delivery.status === 'sent') summary.sent++;
+            else if (delivery.status === 'skipped') summary.skipped++;
+            else summary.failed.push({ applicationId: application._id, installmentNo: row.installmentNo, error: `${delivery.channel}: ${delivery.error}` });
+          }
+        } catch (error) {
+          console.error(`❌ [Notifications] Reminder for ${application._id} #${row.installmentNo} failed:`, error.message);
+          summary.failed.push({ applicationId: application._id, installmentNo: row.installmentNo, error: error.message });
+        }
+      }
+    }
+    return summary;
+  } finally {
+    await releaseLock(db, EMI_REMINDER_LOCK_KEY, lockId);
+  }
+}
+
+/**
+ * In-app inbox of a user, latest first
+ * @param {string[]} userIds - Ids the user's applications may carry (phone, account number)
+ */
+async function listInbox(db, userIds, { limit = 50 } = {}) {
+  const ids = userIds.filter(Boolean);
+  const notifications = await db.collection('notifications')
+    .find({ userId: { $in: ids } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+  const unread = await db.collection('notifications').countDocuments({ userId: { $in: ids }, read: false });
+  return { notifications, unread };
+}
+
+/**
+ * Mark an inbox message read
+ * @returns {Promise<boolean>} false when the message is not the user's
+ */
+async function markRead(db, userIds, notificationId) {
+  const result = await db.collection('notifications').updateOne(
+    { _id: notificationId, userId: { $in: userIds.filter(Boolean) } },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Delivery log, latest first
+ * @param {Object} filters - { applicationId, status, channel, limit }
+ */
+async function listDeliveries(db, { applicationId, status, channel, limit = 100 } = {}) {
+  const filter = {};
+  if (applicationId) filter.applicationId = applicationId;
+  if (status) filter.status = status;
+  if (channel) filter.channel = channel;
+  return db.collection('notification_log')
+    .find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  EMI_REMINDERS,
+  renderTemplate,
+  getNotificationPreferences,
+  setNotificationPreferences,
+  notify,
+  processNotificationEvent,
+  runEmiReminders,
+  listInbox,
+  markRead,
+  listDeliveries
+};
@@ -70,8 +70,9 @@ async function updateWithVersion(db, collectionName, docId, expectedVersion, upd
     { returnDocument: 'after' }
   );
 
-  // Handle both null result and null result.value
-  if (!result || !result.value) {
+  // mongodb 6 resolves findOneAndUpdate to the updated document, or null
+  // when no document has the expected version
+  if (!result) {
     // Check if document exists but version mismatch
     const existing = await col.findOne({ _id: filter._id });
     
@@ -94,8 +95,8 @@ async function updateWithVersion(db, collectionName, docId, expectedVersion, upd
   return {
     success: true,
     conflict: false,
-    newVersion: result.value.version,
-    document: result.value
+    newVersion: result.version,
+    document: result
   };
 }
 
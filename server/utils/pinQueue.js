@@ -0,0 +1,153 @@
+/**
+ * IPFS Pinning Queue
+ *
+ * Documents are written to the local content-addressed store first, so their
+ * CID is known immediately. Pinning to Pinata happens asynchronously through
+ * the MongoDB event queue ('ipfs:pin' events, processed by
+ * workers/pinningWorker.js) with exponential backoff between attempts.
+ *
+ * The 'pins' collection tracks every CID:
+ *   { _id: cid, status: 'pending'|'retrying'|'pinned'|'failed', attempts,
+ *     remoteCid, lastError, createdAt, pinnedAt }
+ * remoteCid is the CID Pinata assigns to the pinned copy. Ledgers and
+ * audit records hold the local CID (the pin happens later), so findPin maps
+ * either CID to the other.
+ */
+
+const { publishEvent } = require('./eventQueue');
+
+const PIN_EVENT = 'ipfs:pin';
+const PIN_MAX_RETRIES = parseInt(process.env.PIN_MAX_RETRIES || '8', 10);
+
+/**
+ * Record a CID as unpinned and publish a pin event for it
+ * @param {Object} db - MongoDB database instance
+ * @param {string} cid - CID of a document in the local store
+ * @param {Object} options - Pinata metadata (fileName, keyvalues)
+ * @returns {Promise<string>} Event ID
+ */
+async function enqueuePin(db, cid, options = {}) {
+  const now = new Date();
+  await db.collection('pins').updateOne(
+    { _id: cid },
+    {
+      $setOnInsert: { _id: cid, status: 'pending', attempts: 0, createdAt: now },
+      $set: { updatedAt: now }
+    },
+    { upsert: true }
+  );
+
+  return publishEvent(db, PIN_EVENT, { cid, ...options }, { maxRetries: PIN_MAX_RETRIES });
+}
+
+/**
+ * Pin one queued document. Throws on failure so the caller can fail the event.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} event - Claimed 'ipfs:pin' event
+ * @param {Object} stores - { localStore, pinataStore }
+ * @returns {Promise<Object>} { cid, remoteCid }
+ */
+async function processPinEvent(db, event, { localStore, pinataStore }) {
+  const { cid, fileName, keyvalues } = event.payload;
+  const pins = db.collection('pins');
+
+  const existing = await pins.findOne({ _id: cid });
+  if (existing && existing.status === 'pinned') {
+    return { cid, remoteCid: existing.remoteCid, alreadyPinned: true };
+  }
+
+  try {
+    const document = await localStore.getJson(cid);
+    if (document === null) {
+      throw new Error(`CID ${cid} is not in the local store`);
+    }
+
+    const remoteCid = await pinataStore.putJson(document, {
+      fileName: fileName || `${cid}.json`,
+      keyvalues: { ...keyvalues, localCid: cid }
+    });
+
+    await pins.updateOne(
+      { _id: cid },
+      {
+        $set: { status: 'pinned', remoteCid, pinnedAt: new Date(), updatedAt: new Date() },
+        $inc: { attempts: 1 },
+        $unset: { lastError: '' }
+      }
+    );
+    return { cid, remoteCid };
+  } catch (error) {
+    const exhausted = event.attempts >= event.maxRetries;
+    await pins.updateOne(
+      { _id: cid },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'retrying',
+          lastError: error.message,
+          updatedAt: new Date()
+        },
+        $inc: { attempts: 1 }
+      }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Pin record of a CID, looked up by its local CID or by the CID Pinata
+ * assigned to the pinned copy
+ * @param {Object} db - MongoDB database instance
+ * @param {string} cid - Local or remote CID
+ * @returns {Promise<Object|null>} { cid, status, remoteCid, attempts, lastError, pinnedAt }
+ */
+async function findPin(db, cid) {
+  const pin = await db.collection('pins').findOne({ $or: [{ _id: cid }, { remoteCid: cid }] });
+  if (!pin) return null;
+  return {
+    cid: pin._id,
+    status: pin.status,
+    remoteCid: pin.remoteCid || null,
+    attempts: pin.attempts,
+    lastError: pin.lastError || null,
+    pinnedAt: pin.pinnedAt || null
+  };
+}
+
+/**
+ * Summary of unpinned documents for /api/admin/queue-stats
+ * @param {Object} db - MongoDB database instance
+ * @param {number} limit - Max unpinned items to list (default: 20)
+ * @returns {Promise<Object>} { pinned, unpinned, failed, items }
+ */
+async function getPinStats(db, limit = 20) {
+  const pins = db.collection('pins');
+  const unpinnedFilter = { status: { $ne: 'pinned' } };
+
+  const [pinned, unpinned, failed, items] = await Promise.all([
+    pins.countDocuments({ status: 'pinned' }),
+    pins.countDocuments(unpinnedFilter),
+    pins.countDocuments({ status: 'failed' }),
+    pins.find(unpinnedFilter).sort({ createdAt: 1 }).limit(limit).toArray()
+  ]);
+
+  return {
+    pinned,
+    unpinned,
+    failed,
+    items: items.map(pin => ({
+      cid: pin._id,
+      status: pin.status,
+      attempts: pin.attempts,
+      lastError: pin.lastError || null,
+      createdAt: pin.createdAt
+    }))
+  };
+}
+
+module.exports = {
+  PIN_EVENT,
+  enqueuePin,
+  processPinEvent,
+  findPin,
+  getPinStats
+};
@@ -0,0 +1,158 @@
+/**
+ * Benchmark resets of floating-rate loans
+ *
+ * Each run re-prices the floating applications whose nextResetDate has
+ * come (utils/floatingRate.js), writes the new schedule through
+ * updateWithRetry, logs the reset to payment_ledger and publishes a
+ * 'loan:rate_reset' event so the borrower is told the new EMI or tenure.
+ * Each reset is kept in `rateResets`:
+ *   { resetDate, benchmarkRate, rateBefore, rateAfter, mode, emiBefore, emiAfter,
+ *     installmentsBefore, installmentsAfter, scheduleVersion }
+ */
+
+const { appendToLedger } = require('../../blockchain/ledger');
+const { repriceLoan } = require('../../utils/floatingRate');
+const { getTenureRange, policyForScore } = require('../../utils/tenure');
+const { toDateString } = require('../../utils/amortization');
+const { ageSchedule } = require('../../utils/repayment');
+const { updateWithRetry } = require('./optimisticLock');
+const { delinquencyFields } = require('./delinquency');
+const { publishEvent } = require('./eventQueue');
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const RATE_RESET_LOCK_KEY = 'rate-reset';
+const RATE_RESET_BATCH_SIZE = parseInt(process.env.RATE_RESET_BATCH_SIZE || '200', 10);
+
+function resetMessage(application, reset) {
+  const name = application.customerName || 'Customer';
+  const change = reset.mode === 'tenure'
+    ? `Your EMI stays ₹${reset.emiAfter.toLocaleString()} and your remaining installments change from ${reset.installmentsBefore} to ${reset.installmentsAfter}.`
+    : `Your EMI changes from ₹${reset.emiBefore.toLocaleString()} to ₹${reset.emiAfter.toLocaleString()} from the next installment.`;
+  return `Dear ${name}, the ${application.benchmark} benchmark is now ${reset.benchmarkRate}%, so the interest rate on loan ${application._id} changes from ${reset.rateBefore}% to ${reset.rateAfter}% on ${reset.resetDate}. ${change}`;
+}
+
+/**
+ * Re-price one floating application on its reset date
+ * @returns {Promise<Object>} { applicationId, changed, ... reset details }
+ */
+async function resetApplicationRate(db, applicationId) {
+  let reset;
+  const result = await updateWithRetry(db, 'applications', applicationId, async (current) => {
+    const resetDate = current.nextResetDate;
+    const policy = policyForScore(current.approvalScore || 0);
+    reset = repriceLoan(current, {
+      resetDate,
+      maxTenure: getTenureRange(policy).max,
+      interestRateRange: policy ? policy.interestRateRange : undefined
+    });
+
+    if (!reset.changed) {
+      return { nextResetDate: reset.nextResetDate, benchmarkRate: reset.benchmarkRate };
+    }
+
+    const scheduleVersion = (current.scheduleVersion || 1) + 1;
+    return {
+      // Re-amortized rows start as pending; age them so overdue ones stay overdue
+      ...delinquencyFields(ageSchedule(reset.schedule, new Date()), new Date()),
+      interestRate: reset.rateAfter,
+      benchmarkRate: reset.benchmarkRate,
+      emi: reset.emiAfter,
+      tenure: reset.schedule.length,
+      nextResetDate: reset.nextResetDate,
+      scheduleVersion,
+      rateResets: [
+        ...(current.rateResets || []),
+        {
+          resetDate,
+          benchmarkRate: reset.benchmarkRate,
+          rateBefore: reset.rateBefore,
+          rateAfter: reset.rateAfter,
+          mode: reset.mode,
+          emiBefore: reset.emiBefore,
+          emiAfter: reset.emiAfter,
+          installmentsBefore: reset.installmentsBefore,
+          installmentsAfter: reset.installmentsAfter,
+          scheduleVersion,
+          resetAt: new Date().toISOString()
+        }
+      ]
+    };
+  }, 5);
+
+  const application = result.document;
+  const { schedule, ...summary } = reset;
+  if (!reset.changed) {
+    return { applicationId, ...summary };
+  }
+
+  await appendToLedger('payment_ledger', {
+    agent: 'rateReset',
+    action: 'resetFloatingRate',
+    loanId: applicationId,
+    benchmark: application.benchmark,
+    ...summary,
+    scheduleVersion: application.scheduleVersion,
+    timestamp: new Date().toISOString()
+  });
+
+  await publishEvent(db, 'loan:rate_reset', {
+    applicationId,
+    userId: application.userId,
+    phone: application.phone,
+    email: application.email,
+    ...summary,
+    message: resetMessage(application, reset)
+  });
+
+  return { applicationId, ...summary };
+}
+
+/**
+ * Re-price all floating applications due for a reset
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { asOf (default: today), limit }
+ * @returns {Promise<Object>} { status: 'locked'|'done', checked, repriced, unchanged, failed: [{ applicationId, error }] }
+ */
+async function runRateResets(db, { asOf = new Date(), limit = RATE_RESET_BATCH_SIZE } = {}) {
+  const { acquired, lockId } = await acquireLock(db, RATE_RESET_LOCK_KEY, 5 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const due = await db.collection('applications')
+      .find({
+        rateType: 'floating',
+        status: { $in: ['approved', 'disbursed'] },
+        nextResetDate: { $lte: toDateString(asOf) }
+      })
+      .sort({ nextResetDate: 1 })
+      .limit(limit)
+      .toArray();
+
+    const summary = { status: 'done', checked: due.length, repriced: 0, unchanged: 0, failed: [] };
+    for (const application of due) {
+      try {
+        const reset = await resetApplicationRate(db, application._id);
+        if (reset.changed) {
+          summary.repriced++;
+          console.log(`📈 [RateReset] ${application._id}: ${reset.rateBefore}% -> ${reset.rateAfter}% (${reset.mode}, EMI ₹${reset.emiAfter})`);
+        } else {
+          summary.unchanged++;
+        }
+      } catch (error) {
+        console.error(`❌ [RateReset] ${application._id} failed:`, error.message);
+        summary.failed.push({ applicationId: application._id, error: error.message });
+      }
+    }
+    return summary;
+  } finally {
+    await releaseLock(db, RATE_RESET_LOCK_KEY, lockId);
+  }
+}
+
+module.exports = {
+  RATE_RESET_BATCH_SIZE,
+  resetApplicationRate,
+  runRateResets
+};
@@ -0,0 +1,135 @@
+/**
+ * Default-risk monitoring of serviced loans
+ *
+ * Each run scores every approved or disbursed loan not yet scored today with
+ * the early-warning model (utils/defaultRiskModel.js) and stores the result
+ * in `defaultRisk`:
+ *   { probability, band, drivers, modelVersion, calibrated, scoredAt }
+ * A loan crossing the model's alertProbability upwards is logged to
+ * payment_ledger and published as a 'loan:risk_alert' event with the
+ * features that drove its score; the notification worker turns it into a
+ * staff alert (server/utils/staffAlerts.js).
+ */
+
+const { appendToLedger } = require('../../blockchain/ledger');
+const { scoreDefaultRisk, DEFAULT_RISK_MODEL } = require('../../utils/defaultRiskModel');
+const { toDateString } = require('../../utils/amortization');
+const { updateWithRetry } = require('./optimisticLock');
+const { publishEvent } = require('./eventQueue');
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const RISK_MONITORING_LOCK_KEY = 'risk-monitoring';
+const RISK_MONITORING_BATCH_SIZE = parseInt(process.env.RISK_MONITORING_BATCH_SIZE || '500', 10);
+const RISK_ALERT_PROBABILITY = parseFloat(process.env.RISK_ALERT_PROBABILITY || String(DEFAULT_RISK_MODEL.alertProbability));
+const MAX_RISK_HISTORY = 12;
+
+/**
+ * Score one application and raise an alert when it crosses the threshold
+ * @returns {Promise<Object>} { applicationId, probability, band, previousProbability, alert }
+ */
+async function scoreApplicationRisk(db, applicationId, asOf = new Date()) {
+  let score;
+  let previousProbability;
+  const result = await updateWithRetry(db, 'applications', applicationId, async (current) => {
+    previousProbability = current.defaultRisk ? current.defaultRisk.probability : null;
+    score = scoreDefaultRisk(current, { asOf });
+    const defaultRisk = {
+      probability: score.probability,
+      band: score.band,
+      drivers: score.drivers.slice(0, 3),
+      modelVersion: score.model.version,
+      calibrated: score.model.calibrated,
+      scoredAt: score.scoredAt
+    };
+    return {
+      defaultRisk,
+      defaultRiskHistory: [
+        ...(current.defaultRiskHistory || []),
+        { date: toDateString(asOf), probability: score.probability, band: score.band }
+      ].slice(-MAX_RISK_HISTORY),
+      riskScoredDate: toDateString(asOf)
+    };
+  }, 5);
+
+  const alert = score.probability >= RISK_ALERT_PROBABILITY
+    && (previousProbability === null || previousProbability < RISK_ALERT_PROBABILITY);
+
+  if (alert) {
+    const application = result.document;
+    await appendToLedger('payment_ledger', {
+      agent: 'riskMonitoring',
+      action: 'riskAlert',
+      loanId: applicationId,
+      probability: score.probability,
+      previousProbability,
+      band: score.band,
+      threshold: RISK_ALERT_PROBABILITY,
+      drivers: score.drivers,
+      model: score.model,
+      timestamp: new Date().toISOString()
+    });
+    await publishEvent(db, 'loan:risk_alert', {
+      applicationId,
+      userId: application.userId,
+      customerName: application.customerName,
+      probability: score.probability,
+      previousProbability,
+      band: score.band,
+      drivers: score.drivers.slice(0, 3),
+      dpd: application.dpd || 0,
+      calibrated: score.model.calibrated,
+      message: score.message
+    }, { priority: 5 });
+  }
+
+  return { applicationId, probability: score.probability, band: score.band, previousProbability, alert };
+}
+
+/**
+ * Score all serviced loans not yet scored on asOf
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { asOf (default: today), limit }
+ * @returns {Promise<Object>} { status: 'locked'|'done', checked, scored, alerts, failed: [{ applicationId, error }] }
+ */
+async function runRiskMonitoring(db, { asOf = new Date(), limit = RISK_MONITORING_BATCH_SIZE } = {}) {
+  const { acquired, lockId } = await acquireLock(db, RISK_MONITORING_LOCK_KEY, 10 * 60 * 1000);
+  if (!acquired) {
+    return { status: 'locked' };
+  }
+
+  try {
+    const due = await db.collection('applications')
+      .find({
+        status: { $in: ['approved', 'disbursed'] },
+        'emiSchedule.0': { $exists: true },
+        delinquencyState: { $ne: 'closed' },
+        riskScoredDate: { $ne: toDateString(asOf) }
+      })
+      .limit(limit)
+      .toArray();
+
+    const summary = { status: 'done', checked: due.length, scored: 0, alerts: 0, failed: [] };
+    for (const application of due) {
+      try {
+        const result = await scoreApplicationRisk(db, application._id, asOf);
+        summary.scored++;
+        if (result.alert) {
+          summary.alerts++;
+          console.log(`🚨 [RiskMonitoring] ${application._id}: default risk ${(result.probability * 100).toFixed(1)}% (${result.band})`);
+        }
+      } catch (error) {
+        console.error(`❌ [RiskMonitoring] ${application._id} failed:`, error.message);
+        summary.failed.push({ applicationId: application._id, error: error.message });
+      }
+    }
+    return summary;
+  } finally {
+    await releaseLock(db, RISK_MONITORING_LOCK_KEY, lockId);
+  }
+}
+
+module.exports = {
+  RISK_ALERT_PROBABILITY,
+  scoreApplicationRisk,
+  runRiskMonitoring
+};
@@ -0,0 +1,114 @@
+/**
+ * Staff alerts
+ *
+ * Queue events meant for lending staff rather than the borrower become
+ * documents in `staff_alerts`, which the admin dashboard lists until
+ * someone acknowledges them:
+ *   { _id: eventId, type, applicationId, severity, title, message, payload,
+ *     status: 'open'|'acknowledged', createdAt, acknowledgedBy, acknowledgedAt }
+ * severity: 'warning' | 'critical'.
+ * The notification worker claims STAFF_ALERT_EVENTS with the borrower
+ * events (server/utils/notifications.js). An alert is keyed by its event,
+ * so a retried event is listed once.
+ */
+
+const STAFF_ALERT_STATUSES = ['open', 'acknowledged'];
+
+function percent(probability) {
+  return `${(probability * 100).toFixed(1)}%`;
+}
+
+// Alert fields for each event type, from the event payload
+const STAFF_ALERTS = {
+  'loan:risk_alert': (payload) => ({
+    severity: payload.band === 'critical' ? 'critical' : 'warning',
+    title: `Default risk ${percent(payload.probability)} (${payload.band}) on ${payload.applicationId}`,
+    message: payload.calibrated
+      ? payload.message
+      : `${payload.message}. The model is not calibrated yet: use the score to rank loans for review, not as a default rate.`
+  }),
+  'collections:escalated': (payload) => {
+    const promise = payload.brokenPromise;
+    const broken = promise
+      ? `broke a promise to pay ₹${promise.amount.toLocaleString('en-IN')} by ${promise.promisedDate}`
+      : 'broke a promise to pay';
+    return {
+      severity: payload.escalationLevel > 1 ? 'critical' : 'warning',
+      title: `Collections case ${payload.caseId} escalated to level ${payload.escalationLevel}`,
+      message: `${payload.customerName || 'The borrower'} ${broken}. Loan ${payload.applicationId} is ${payload.dpd} days past due `
+        + `with ₹${(payload.overdueAmount || 0).toLocaleString('en-IN')} overdue. Assigned to: ${payload.assignedTo || 'nobody'}.`
+    };
+  }
+};
+const STAFF_ALERT_EVENTS = Object.keys(STAFF_ALERTS);
+
+/**
+ * Store the alert for a staff event
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} event - Claimed event (one of STAFF_ALERT_EVENTS)
+ * @returns {Promise<Object>} { alertId, type, severity, title, duplicate }
+ */
+async function recordStaffAlert(db, event) {
+  const build = STAFF_ALERTS[event.type];
+  if (!build) {
+    throw new Error(`No staff alert for ${event.type}`);
+  }
+  const { severity, title, message } = build(event.payload);
+  const alertId = event._id.toString();
+
+  const result = await db.collection('staff_alerts').updateOne(
+    { _id: alertId },
+    {
+      $setOnInsert: {
+        type: event.type,
+        applicationId: event.payload.applicationId || null,
+        severity,
+        title,
+        message,
+        payload: event.payload,
+        status: 'open',
+        createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+  return { alertId, type: event.type, severity, title, duplicate: result.upsertedCount === 0 };
+}
+
+/**
+ * Alerts, latest first
+ * @param {Object} filters - { status (default: open), type, limit }
+ */
+async function listStaffAlerts(db, { status = 'open', type, limit = 50 } = {}) {
+  if (status && !STAFF_ALERT_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${STAFF_ALERT_STATUSES.join(', ')}`);
+  }
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  const [alerts, open] = await Promise.all([
+    db.collection('staff_alerts').find(filter).sort({ createdAt: -1 }).limit(limit).toArray(),
+    db.collection('staff_alerts').countDocuments({ status: 'open' })
+  ]);
+  return { alerts, open };
+}
+
+/**
+ * Acknowledge an open alert
+ * @returns {Promise<boolean>} false when there is no open alert with that id
+ */
+async function acknowledgeStaffAlert(db, alertId, acknowledgedBy) {
+  const result = await db.collection('staff_alerts').updateOne(
+    { _id: alertId, status: 'open' },
+    { $set: { status: 'acknowledged', acknowledgedBy, acknowledgedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+module.exports = {
+  STAFF_ALERT_EVENTS,
+  STAFF_ALERT_STATUSES,
+  recordStaffAlert,
+  listStaffAlerts,
+  acknowledgeStaffAlert
+};
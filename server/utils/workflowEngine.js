@@ -0,0 +1,366 @@
+/**
+ * Step-persisted Workflow Engine using MongoDB
+ *
+ * Runs a fixed sequence of steps and saves each step's input, output and
+ * CIDs to the 'workflows' collection, keyed by a caller-supplied workflow ID
+ * (the loan sessionId). If a run fails or the process dies halfway, calling
+ * runWorkflow again with the same ID skips every completed step and resumes
+ * from the first one that did not finish.
+ *
+ * A step definition looks like:
+ *   {
+ *     name: 'kyc',
+ *     input: (ctx) => ({ ... }),        // optional, persisted for auditing
+ *     run: async (stepInput, ctx) => output,
+ *     cids: (output) => [{ step, cid }], // optional
+ *     halt: (output, ctx) => null | { reason, ... }, // optional early stop
+ *     compensate: async (output, ctx) => result,      // optional undo action
+ *     onFailure: 'retry' | 'compensate'               // default: 'retry'
+ *   }
+ *
+ * ctx = { workflowId, input, results } where results maps step name -> output.
+ *
+ * Saga semantics: when a step marked onFailure: 'compensate' fails, the
+ * compensate actions of every completed step run in reverse order and the
+ * workflow ends as 'compensated' (no resume). Failed compensations are kept
+ * as 'compensation_failed' and retried on the next runWorkflow call.
+ */
+
+const { acquireLock, releaseLock } = require('./mongoLock');
+
+const COLLECTION = 'workflows';
+
+/**
+ * Create the workflow document if it does not exist yet
+ * @param {Object} db - MongoDB database instance
+ * @param {string} workflowId - Unique workflow identifier
+ * @param {string} name - Workflow name (e.g., 'loanApplication')
+ * @param {Array} steps - Step definitions (only names are stored)
+ * @param {Object} input - Initial workflow input
+ * @returns {Promise<Object>} Current workflow document
+ */
+async function initWorkflow(db, workflowId, name, steps, input) {
+  const col = db.collection(COLLECTION);
+  const now = new Date();
+
+  const stepState = {};
+  for (const step of steps) {
+    stepState[step.name] = { status: 'pending', attempts: 0 };
+  }
+
+  await col.updateOne(
+    { _id: workflowId },
+    {
+      $setOnInsert: {
+        _id: workflowId,
+        name,
+        status: 'pending',
+        input,
+        stepOrder: steps.map(s => s.name),
+        steps: stepState,
+        createdAt: now
+      }
+    },
+    { upsert: true }
+  );
+
+  return col.findOne({ _id: workflowId });
+}
+
+/**
+ * Fetch a workflow document
+ * @param {Object} db - MongoDB database instance
+ * @param {string} workflowId - Workflow identifier
+ * @returns {Promise<Object|null>} Workflow document or null if not found
+ */
+async function getWorkflow(db, workflowId) {
+  return db.collection(COLLECTION).findOne({ _id: workflowId });
+}
+
+/**
+ * Summarize a workflow as an ordered list of phases (for status endpoints)
+ * @param {Object} workflow - Workflow document
+ * @returns {Object} { workflowId, status, currentStep, phases, cids, ... }
+ */
+function getWorkflowStatus(workflow) {
+  const phases = workflow.stepOrder.map(name => {
+    const step = workflow.steps[name] || { status: 'pending' };
+    return {
+      phase: name,
+      status: step.status,
+      attempts: step.attempts || 0,
+      cids: step.cids || [],
+      compensation: step.compensation || null,
+      startedAt: step.startedAt || null,
+      completedAt: step.completedAt || null,
+      error: step.error || null
+    };
+  });
+
+  return {
+    workflowId: workflow._id,
+    name: workflow.name,
+    status: workflow.status,
+    currentStep: workflow.currentStep || null,
+    result: workflow.result || null,
+    error: workflow.error || null,
+    phases,
+    cids: phases.flatMap(p => p.cids),
+    createdAt: workflow.createdAt,
+    updatedAt: workflow.updatedAt || null
+  };
+}
+
+async function updateStep(col, workflowId, stepName, fields, workflowFields = {}) {
+  const $set = { updatedAt: new Date(), ...workflowFields };
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`steps.${stepName}.${key}`] = value;
+  }
+  await col.updateOne({ _id: workflowId }, { $set });
+}
+
+/**
+ * Run (or resume) a workflow.
+ *
+ * Completed steps are never re-run: their stored output is fed back into
+ * ctx.results. Finished workflows ('completed', 'halted' or 'compensated')
+ * return their stored result without executing anything.
+ *
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options
+ * @param {string} options.workflowId - Workflow identifier (e.g., sessionId)
+ * @param {string} options.name - Workflow name
+ * @param {Array} options.steps - Ordered step definitions
+ * @param {Object} options.input - Initial input (only stored on first run)
+ * @param {number} options.lockTtlMs - Lock TTL for a single run (default: 10 minutes)
+ * @returns {Promise<Object>} { status: 'completed'|'halted'|'failed'|'compensated'|'compensation_failed', results, result, failedStep, error, compensations, cids }
+ */
+async function runWorkflow(db, { workflowId, name, steps, input, lockTtlMs = 10 * 60 * 1000 }) {
+  const col = db.collection(COLLECTION);
+  const lockKey = `workflow:${workflowId}`;
+
+  // Only one replica may drive a given workflow at a time
+  const { acquired, lockId } = await acquireLock(db, lockKey, lockTtlMs);
+  if (!acquired) {
+    return {
+      status: 'locked',
+      error: `Workflow ${workflowId} is already running`,
+      results: {},
+      cids: []
+    };
+  }
+
+  try {
+    const workflow = await initWorkflow(db, workflowId, name, steps, input);
+
+    if (['completed', 'halted', 'compensated'].includes(workflow.status)) {
+      return {
+        status: workflow.status,
+        resumed: true,
+        result: workflow.result,
+        failedStep: workflow.error ? workflow.error.step : undefined,
+        error: workflow.error ? workflow.error.message : undefined,
+        results: collectResults(workflow),
+        cids: getWorkflowStatus(workflow).cids
+      };
+    }
+
+    const ctx = {
+      workflowId,
+      input: workflow.input,
+      results: collectResults(workflow)
+    };
+
+    // A saga that was interrupted or partly failed only finishes compensating
+    if (workflow.status === 'compensating' || workflow.status === 'compensation_failed') {
+      return compensateWorkflow(col, workflowId, steps, ctx, workflow.error);
+    }
+
+    const resumed = workflow.status !== 'pending';
+
+    await col.updateOne(
+      { _id: workflowId },
+      { $set: { status: 'running', updatedAt: new Date() }, $unset: { error: '' } }
+    );
+
+    for (const step of steps) {
+      const state = workflow.steps[step.name] || {};
+
+      if (state.status === 'completed') {
+        // Re-evaluate halt conditions so a resumed run stops at the same place
+        const haltResult = step.halt ? step.halt(state.output, ctx) : null;
+        if (haltResult) {
+          return finishHalted(col, workflowId, step.name, haltResult, ctx);
+        }
+        continue;
+      }
+
+      const stepInput = step.input ? step.input(ctx) : null;
+      await updateStep(col, workflowId, step.name, {
+        status: 'running',
+        input: stepInput,
+        startedAt: new Date(),
+        attempts: (state.attempts || 0) + 1
+      }, { currentStep: step.name });
+
+      let output;
+      try {
+        output = await step.run(stepInput, ctx);
+      } catch (err) {
+        console.error(`❌ [Workflow:${workflowId}] Step '${step.name}' failed:`, err.message);
+        await updateStep(col, workflowId, step.name, {
+          status: 'failed',
+          error: err.message,
+          failedAt: new Date()
+        }, { status: 'failed', error: { step: step.name, message: err.message } });
+
+        if (step.onFailure === 'compensate') {
+          return compensateWorkflow(col, workflowId, steps, ctx, {
+            step: step.name,
+            message: err.message
+          });
+        }
+
+        const latest = await col.findOne({ _id: workflowId });
+        return {
+          status: 'failed',
+          failedStep: step.name,
+          error: err.message,
+          results: ctx.results,
+          cids: getWorkflowStatus(latest).cids
+        };
+      }
+
+      const cids = step.cids ? step.cids(output).filter(c => c && c.cid) : [];
+      ctx.results[step.name] = output;
+
+      await updateStep(col, workflowId, step.name, {
+        status: 'completed',
+        output,
+        cids,
+        completedAt: new Date(),
+        error: null
+      });
+      console.log(`✅ [Workflow:${workflowId}] Step '${step.name}' completed${resumed ? ' (resumed run)' : ''}`);
+
+      const haltResult = step.halt ? step.halt(output, ctx) : null;
+      if (haltResult) {
+        return finishHalted(col, workflowId, step.name, haltResult, ctx);
+      }
+    }
+
+    await col.updateOne(
+      { _id: workflowId },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { currentStep: '' }
+      }
+    );
+
+    const finished = await col.findOne({ _id: workflowId });
+    return {
+      status: 'completed',
+      results: ctx.results,
+      cids: getWorkflowStatus(finished).cids
+    };
+  } finally {
+    await releaseLock(db, lockKey, lockId);
+  }
+}
+
+/**
+ * Run the compensate actions of all completed steps in reverse order.
+ * Every compensation is recorded on its step; one failing compensation does
+ * not stop the others.
+ */
+async function compensateWorkflow(col, workflowId, steps, ctx, failure) {
+  await col.updateOne(
+    { _id: workflowId },
+    { $set: { status: 'compensating', error: failure, updatedAt: new Date() } }
+  );
+
+  const workflow = await col.findOne({ _id: workflowId });
+  const compensations = [];
+  let allSucceeded = true;
+
+  for (const step of [...steps].reverse()) {
+    const state = workflow.steps[step.name] || {};
+    if (!step.compensate || state.status !== 'completed') continue;
+    if (state.compensation && state.compensation.status === 'completed') continue;
+
+    try {
+      const result = await step.compensate(state.output, { ...ctx, failure });
+      await updateStep(col, workflowId, step.name, {
+        compensation: { status: 'completed', result: result || null, compensatedAt: new Date() }
+      });
+      compensations.push({ step: step.name, status: 'completed' });
+      console.log(`↩️  [Workflow:${workflowId}] Compensated step '${step.name}'`);
+    } catch (err) {
+      allSucceeded = false;
+      await updateStep(col, workflowId, step.name, {
+        compensation: { status: 'failed', error: err.message, attemptedAt: new Date() }
+      });
+      compensations.push({ step: step.name, status: 'failed', error: err.message });
+      console.error(`❌ [Workflow:${workflowId}] Compensation for '${step.name}' failed:`, err.message);
+    }
+  }
+
+  const status = allSucceeded ? 'compensated' : 'compensation_failed';
+  await col.updateOne(
+    { _id: workflowId },
+    { $set: { status, updatedAt: new Date() }, $unset: { currentStep: '' } }
+  );
+
+  const latest = await col.findOne({ _id: workflowId });
+  return {
+    status,
+    failedStep: failure.step,
+    error: failure.message,
+    compensations,
+    results: ctx.results,
+    cids: getWorkflowStatus(latest).cids
+  };
+}
+
+async function finishHalted(col, workflowId, stepName, haltResult, ctx) {
+  await col.updateOne(
+    { _id: workflowId },
+    {
+      $set: {
+        status: 'halted',
+        result: { ...haltResult, haltedAt: stepName },
+        completedAt: new Date(),
+        updatedAt: new Date()
+      },
+      $unset: { currentStep: '' }
+    }
+  );
+
+  const finished = await col.findOne({ _id: workflowId });
+  return {
+    status: 'halted',
+    result: finished.result,
+    results: ctx.results,
+    cids: getWorkflowStatus(finished).cids
+  };
+}
+
+function collectResults(workflow) {
+  const results = {};
+  for (const [name, step] of Object.entries(workflow.steps || {})) {
+    if (step.status === 'completed') {
+      results[name] = step.output;
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  runWorkflow,
+  getWorkflow,
+  getWorkflowStatus
+};
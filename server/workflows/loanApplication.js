@@ -0,0 +1,280 @@
+/**
+ * Loan Application Workflow
+ *
+ * Step definitions for the POST /loan agent pipeline, executed by
+ * server/utils/workflowEngine.js. Each phase's input, output and CIDs are
+ * persisted under the sessionId, so a failed application resumes from the
+ * last completed phase instead of re-running KYC or re-uploading to IPFS.
+ *
+ * Steps that end the application early (invalid intent, KYC rejection,
+ * unacceptable credit risk, ...) use `halt` to return the rejection.
+ *
+ * Every phase declares the compensating action of its agent. Phases after
+ * the approval is written (sanction, audit, disbursement, monitoring) are
+ * marked onFailure: 'compensate': if one of them fails, the engine unwinds
+ * the completed phases in reverse order (revoking the sanction, voiding the
+ * approval and cancelling it on LoanCore, revoking the locked offer, ...).
+ */
+
+const {
+  detectLoanIntent,
+  presentAndNegotiateOffer,
+  abandonSession,
+  revokeOffer,
+} = require('../../agents/masterAgent');
+const { collectUserData, voidCollectedData } = require('../../agents/dataAgent');
+const { verifyKYC, voidKYC } = require('../../agents/verificationAgent');
+const { analyzeCredit, voidCreditDecision } = require('../../agents/creditAgent');
+const {
+  evaluateRiskAndPrice,
+  withdrawUnderwriting,
+} = require('../../agents/underwritingAgent');
+const { executeApproval, voidApproval } = require('../../agents/approvalAgent');
+const {
+  generateSanctionLetter,
+  revokeSanctionLetter,
+} = require('../../agents/documentAgent');
+const {
+  disburseFunds,
+  reverseDisbursement,
+} = require('../../agents/disbursementAgent');
+const { logEmiPayment, stopMonitoring } = require('../../agents/monitoringAgent');
+const {
+  logApplicationToBlockchain,
+  logChatToBlockchain,
+} = require('../../blockchain/web3Client');
+const { reasonCode } = require('../../utils/reasonCodes');
+
+const LOAN_APPLICATION_WORKFLOW = 'loanApplication';
+
+function getUserId(userData = {}) {
+  return userData.phone || userData.accountNumber || userData.userId || 'unknown';
+}
+
+function rejected(reason, statusCode = 200, reasonCodes = []) {
+  return { status: 'rejected', reason, statusCode, reasonCodes };
+}
+
+function compensationReason(ctx) {
+  return `Compensating failed phase '${ctx.failure.step}': ${ctx.failure.message}`;
+}
+
+/**
+ * Build the ordered step list for a loan application
+ * @param {Object} options
+ * @param {boolean} options.blockchainEnabled - Whether to log the application on-chain
+ * @returns {Array} Step definitions for runWorkflow
+ */
+function buildLoanApplicationSteps({ blockchainEnabled = false } = {}) {
+  return [
+    // PHASE 1: Customer Entry & Intent Detection
+    {
+      name: 'intent',
+      input: (ctx) => ({ message: ctx.input.message }),
+      run: ({ message }, ctx) => detectLoanIntent(message, ctx.workflowId),
+      halt: (output) =>
+        output.intent !== 'loanApplication' ? rejected('Invalid intent', 400) : null,
+      compensate: (output, ctx) =>
+        abandonSession(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 2: Data Collection & Consent
+    {
+      name: 'dataCollection',
+      run: (_, ctx) => collectUserData(ctx.workflowId, ctx.input.userData),
+      cids: (output) => [
+        { step: 'consent', cid: output.consentCid },
+        { step: 'dataCollection', cid: output.interactionCid },
+      ],
+      compensate: (output, ctx) =>
+        voidCollectedData(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 3: KYC & Identity Verification
+    {
+      name: 'kyc',
+      run: (_, ctx) =>
+        verifyKYC(ctx.workflowId, ctx.input.userData.kycDocuments, getUserId(ctx.input.userData), {
+          name: ctx.input.userData.name,
+          applicantType: ctx.input.userData.applicantType,
+        }),
+      halt: (output) =>
+        output.kycStatus !== 'verified'
+          ? rejected(output.reason || 'KYC failed', 200, output.reasonCodes)
+          : null,
+      compensate: (output, ctx) => voidKYC(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 4: Credit Score & Financial Risk Analysis
+    {
+      name: 'creditAnalysis',
+      run: (_, ctx) =>
+        analyzeCredit(ctx.workflowId, ctx.input.userData, getUserId(ctx.input.userData)),
+      cids: (output) => [{ step: 'creditAnalysis', cid: output.creditData.cid }],
+      halt: (output) =>
+        !output.riskAcceptable
+          ? rejected(output.reason || 'Credit risk not acceptable', 200, output.reasonCodes)
+          : null,
+      compensate: (output, ctx) =>
+        voidCreditDecision(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 4 (cont.): Underwriting
+    {
+      name: 'underwriting',
+      input: (ctx) => ({ creditData: ctx.results.creditAnalysis.creditData }),
+      run: ({ creditData }, ctx) =>
+        evaluateRiskAndPrice(ctx.workflowId, ctx.input.userData, creditData),
+      cids: (output) => [{ step: 'underwriting', cid: output.cid }],
+      halt: (output) =>
+        !output.eligibility ? rejected(output.reason, 200, output.reasonCodes) : null,
+      compensate: (output, ctx) =>
+        withdrawUnderwriting(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 5: Loan Offer Generation & Negotiation
+    {
+      name: 'negotiation',
+      input: (ctx) => ({ offer: ctx.results.underwriting.offer }),
+      run: ({ offer }, ctx) => presentAndNegotiateOffer(ctx.workflowId, offer),
+      halt: (output) =>
+        output.userResponse !== 'accepted'
+          ? rejected('User rejected the offer', 200, [reasonCode('OFFER_NOT_ACCEPTED', 'negotiation')])
+          : null,
+      compensate: (output, ctx) => revokeOffer(ctx.workflowId, output, compensationReason(ctx)),
+    },
+
+    // PHASE 6: Loan Approval
+    {
+      name: 'approval',
+      input: (ctx) => ({
+        kycStatus: ctx.results.kyc.kycStatus,
+        creditCheck: ctx.results.creditAnalysis,
+        finalOffer: ctx.results.negotiation,
+      }),
+      run: ({ kycStatus, creditCheck, finalOffer }, ctx) =>
+        executeApproval(ctx.workflowId, kycStatus, creditCheck, finalOffer),
+      cids: (output) => [{ step: 'approval', cid: output.approvalCid }],
+      halt: (output) =>
+        output.approvalStatus !== 'approved'
+          ? rejected(output.reason, 200, output.reasonCodes)
+          : null,
+      compensate: (output, ctx) =>
+        voidApproval(ctx.workflowId, output, {
+          loanId: ctx.results.sanction ? ctx.results.sanction.loanId : null,
+          userId: getUserId(ctx.input.userData),
+          reason: compensationReason(ctx),
+        }),
+    },
+
+    // PHASE 7: Sanction Letter Generation
+    {
+      name: 'sanction',
+      input: (ctx) => ({
+        approvalDetails: ctx.results.approval,
+        finalOffer: ctx.results.negotiation,
+      }),
+      run: ({ approvalDetails, finalOffer }, ctx) =>
+        generateSanctionLetter(ctx.workflowId, approvalDetails, finalOffer),
+      cids: (output) => [{ step: 'sanction', cid: output.sanctionCid }],
+      compensate: (output, ctx) =>
+        revokeSanctionLetter(ctx.workflowId, output, compensationReason(ctx)),
+      onFailure: 'compensate',
+    },
+
+    // Log application to blockchain (immutable record, best-effort)
+    {
+      name: 'blockchainAudit',
+      run: async (_, ctx) => {
+        if (!blockchainEnabled) {
+          return { skipped: true };
+        }
+
+        const { userData } = ctx.input;
+        const finalOffer = ctx.results.negotiation;
+        const { loanId, sanctionCid } = ctx.results.sanction;
+        try {
+          const application = await logApplicationToBlockchain({
+            applicationId: loanId,
+            userId: getUserId(userData),
+            customerName: userData.name || 'Customer',
+            loanAmount: finalOffer.loanAmount,
+            interestRate: finalOffer.interestRate,
+            approvalScore: ctx.results.creditAnalysis.creditData.cibilScore,
+            status: 'accepted',
+            documentHash: sanctionCid,
+          });
+
+          // Log chat interaction
+          const chat = await logChatToBlockchain({
+            sessionId: ctx.workflowId,
+            userId: getUserId(userData),
+            message: 'Loan accepted',
+            state: 'accepted',
+            negotiationCount: 0,
+            finalRate: finalOffer.interestRate,
+          });
+
+          return {
+            applicationTx: application.transactionHash || null,
+            chatTx: chat.transactionHash || null,
+          };
+        } catch (error) {
+          // Continue even if blockchain logging fails
+          console.error('Blockchain logging error:', error.message);
+          return { error: error.message };
+        }
+      },
+      // The on-chain loan is cancelled by the approval step's compensation
+      onFailure: 'compensate',
+    },
+
+    // PHASE 8: Disbursement
+    {
+      name: 'disbursement',
+      input: (ctx) => ({
+        loanId: ctx.results.sanction.loanId,
+        finalOffer: ctx.results.negotiation,
+      }),
+      run: ({ loanId, finalOffer }, ctx) => {
+        const userId = getUserId(ctx.input.userData);
+        return disburseFunds(ctx.workflowId, loanId, { ...finalOffer, userId }, userId);
+      },
+      cids: (output) => [{ step: 'disbursement', cid: output.disbursementCid }],
+      compensate: (output, ctx) =>
+        reverseDisbursement(
+          ctx.workflowId,
+          ctx.results.sanction.loanId,
+          output,
+          compensationReason(ctx),
+        ),
+      onFailure: 'compensate',
+    },
+
+    // PHASE 9: Log first (mock) EMI payment for monitoring startup
+    {
+      name: 'monitoring',
+      input: (ctx) => ({
+        loanId: ctx.results.sanction.loanId,
+        paymentData: {
+          amount: 0,
+          paymentDate: new Date().toISOString(),
+          emiNumber: 1,
+          paymentReference: `${ctx.workflowId}:monitoring`,
+        },
+      }),
+      run: ({ loanId, paymentData }, ctx) =>
+        logEmiPayment(loanId, paymentData, getUserId(ctx.input.userData)),
+      cids: (output) => [{ step: 'monitoring', cid: output.paymentCid }],
+      compensate: (output, ctx) =>
+        stopMonitoring(ctx.results.sanction.loanId, output, compensationReason(ctx)),
+      onFailure: 'compensate',
+    },
+  ];
+}
+
+module.exports = {
+  LOAN_APPLICATION_WORKFLOW,
+  buildLoanApplicationSteps,
+  getUserId,
+};
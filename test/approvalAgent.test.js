@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, ledgerEntries } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { runWorkflow, getWorkflow } = require('../server/utils/workflowEngine');
+const { voidApproval } = require('../agents/approvalAgent');
+
+function voidLines(sessionId) {
+  return ledgerEntries('approval_ledger').filter(line => line.sessionId === sessionId && line.action === 'voidApproval');
+}
+
+// LoanCore stand-in whose cancel fails until `up` is set
+function flakyChain() {
+  const chain = {
+    up: false,
+    calls: 0,
+    updateLoanStatus: async () => {
+      chain.calls++;
+      return chain.up ? { success: true, transactionHash: '0xcancel' } : { success: false, error: 'Rate limit exceeded' };
+    }
+  };
+  return chain;
+}
+
+test('voidApproval throws without logging when the on-chain cancel fails', async () => {
+  const chain = flakyChain();
+  const options = { loanId: 'LOAN-VOID0001', userId: 'user-1', reason: 'sanction failed', updateLoanStatus: chain.updateLoanStatus };
+
+  await assert.rejects(voidApproval('wf-void-1', { approvalCid: 'cid-1' }, options), /Rate limit exceeded/);
+  assert.equal(voidLines('wf-void-1').length, 0);
+
+  chain.up = true;
+  const voided = await voidApproval('wf-void-1', { approvalCid: 'cid-1' }, options);
+  assert.equal(voided.approvalStatus, 'voided');
+  assert.deepEqual(voidLines('wf-void-1').map(line => line.onChainTx), ['0xcancel']);
+});
+
+test('voidApproval voids a loan that never reached LoanCore', async () => {
+  const updateLoanStatus = async () => ({ success: false, reason: 'Loan not found on-chain' });
+
+  const voided = await voidApproval('wf-void-2', { approvalCid: 'cid-2' }, { loanId: 'LOAN-VOID0002', userId: 'user-2', updateLoanStatus });
+
+  assert.equal(voided.approvalStatus, 'voided');
+  assert.deepEqual(voidLines('wf-void-2').map(line => line.onChainTx), [null]);
+});
+
+test('a failed on-chain cancel leaves the workflow compensation_failed until a retry voids it', async () => {
+  const db = createMemoryDb();
+  const chain = flakyChain();
+  const steps = [
+    {
+      name: 'approval',
+      run: async () => ({ approvalStatus: 'approved', approvalCid: 'cid-3' }),
+      compensate: (output, ctx) => voidApproval(ctx.workflowId, output, {
+        loanId: 'LOAN-VOID0003',
+        userId: 'user-3',
+        reason: 'sanction failed',
+        updateLoanStatus: chain.updateLoanStatus
+      })
+    },
+    { name: 'sanction', run: async () => { throw new Error('letter failed'); }, onFailure: 'compensate' }
+  ];
+
+  const failed = await runWorkflow(db, { workflowId: 'wf-void-3', name: 'test', steps, input: {} });
+  assert.equal(failed.status, 'compensation_failed');
+  assert.equal((await getWorkflow(db, 'wf-void-3')).steps.approval.compensation.status, 'failed');
+  assert.equal(voidLines('wf-void-3').length, 0);
+
+  chain.up = true;
+  const retried = await runWorkflow(db, { workflowId: 'wf-void-3', name: 'test', steps, input: {} });
+  assert.equal(retried.status, 'compensated');
+  assert.equal(chain.calls, 2);
+  assert.equal(voidLines('wf-void-3').length, 1);
+});
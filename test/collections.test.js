@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, requireWorker, ledgerEntries, loanApplication } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { registerCollectionAgent, recordPromiseToPay, runCollections } = require('../server/utils/collections');
+const { createNotificationChannels } = require('../utils/notificationChannels');
+const { createMemoryChannel } = require('../utils/notifications/memoryChannel');
+
+const { deliverNext } = requireWorker('notificationWorker');
+
+function caseActions(caseId) {
+  return ledgerEntries('interaction_ledger').filter(line => line.caseId === caseId).map(line => line.action);
+}
+
+test('runCollections opens a case, escalates it when a promise is broken and raises a staff alert', async () => {
+  const db = createMemoryDb();
+  await registerCollectionAgent(db, { id: 'agent-early', email: 'early@test' }, ['1-30']);
+  await registerCollectionAgent(db, { id: 'agent-escalated', email: 'escalated@test' }, ['escalated']);
+  const loan = loanApplication({
+    _id: 'LOAN-COL0001',
+    dpd: 12,
+    dpdBucket: '1-30',
+    delinquencyState: 'delinquent',
+    overdueAmount: 23000
+  });
+  await db.collection('applications').insertOne(loan);
+
+  const opened = await runCollections(db, { asOf: new Date('2026-03-01T12:00:00Z') });
+  assert.equal(opened.status, 'done');
+  assert.equal(opened.opened, 1);
+  const caseId = `COL-${loan._id}-1`;
+  const collectionCase = await db.collection('collection_cases').findOne({ _id: caseId });
+  assert.equal(collectionCase.queue, '1-30');
+  assert.equal(collectionCase.assignedTo, 'agent-early');
+
+  await recordPromiseToPay(db, caseId, { amount: 23000, promisedDate: '2026-03-03' }, { id: 'agent-early' },
+    new Date('2026-03-01T12:00:00Z'));
+
+  // Still within the grace day: nothing happens
+  const waiting = await runCollections(db, { asOf: new Date('2026-03-04T12:00:00Z') });
+  assert.equal(waiting.reviewed, 1);
+  assert.equal(waiting.escalated, 0);
+
+  const summary = await runCollections(db, { asOf: new Date('2026-03-05T12:00:00Z') });
+  assert.equal(summary.reviewed, 1);
+  assert.equal(summary.promisesBroken, 1);
+  assert.equal(summary.escalated, 1);
+  assert.equal(summary.opened, 0);
+  assert.deepEqual(summary.failed, []);
+
+  const escalated = await db.collection('collection_cases').findOne({ _id: caseId });
+  assert.equal(escalated.status, 'escalated');
+  assert.equal(escalated.queue, 'escalated');
+  assert.equal(escalated.escalationLevel, 1);
+  assert.equal(escalated.assignedTo, 'agent-escalated');
+  assert.equal(escalated.promises[0].status, 'broken');
+  assert.deepEqual(caseActions(caseId), ['openCase', 'promiseToPay', 'promiseBroken', 'assignCase', 'escalateCase']);
+
+  const channels = createNotificationChannels(db, {
+    sms: createMemoryChannel('sms', { log: false }),
+    email: createMemoryChannel('email', { log: false })
+  });
+  assert.equal(await deliverNext(db, channels), true);
+  const alert = await db.collection('staff_alerts').findOne({});
+  assert.equal(alert.type, 'collections:escalated');
+  assert.equal(alert.applicationId, loan._id);
+  assert.equal(alert.severity, 'warning');
+});
+
+test('runCollections resolves the case once the loan is no longer delinquent', async () => {
+  const db = createMemoryDb();
+  const loan = loanApplication({ _id: 'LOAN-COL0002', dpd: 5, dpdBucket: '1-30', delinquencyState: 'delinquent' });
+  await db.collection('applications').insertOne(loan);
+  await runCollections(db);
+
+  await db.collection('applications').updateOne(
+    { _id: loan._id },
+    { $set: { dpd: 0, dpdBucket: '0', delinquencyState: 'current' } }
+  );
+  const summary = await runCollections(db);
+
+  assert.equal(summary.resolved, 1);
+  const collectionCase = await db.collection('collection_cases').findOne({ applicationId: loan._id });
+  assert.equal(collectionCase.status, 'resolved');
+  assert.equal(collectionCase.resolution, 'current');
+  assert.equal(collectionCase.assignedTo, null);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, ledgerEntries, monthsFromToday, loanApplication } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { runDelinquencyAging } = require('../server/utils/delinquency');
+const { recordRepayment } = require('../server/utils/loanServicing');
+
+function loanLines(loanId, action) {
+  return ledgerEntries('payment_ledger').filter(line => line.loanId === loanId && line.action === action);
+}
+
+test('runDelinquencyAging ages an overdue loan into its DPD bucket once a day', async () => {
+  const db = createMemoryDb();
+  const loan = loanApplication({ _id: 'LOAN-AGING0001', firstDueDate: '2026-01-05' });
+  await db.collection('applications').insertOne(loan);
+  const asOf = new Date('2026-02-14T12:00:00Z');
+
+  const summary = await runDelinquencyAging(db, { asOf });
+
+  assert.equal(summary.status, 'done');
+  assert.equal(summary.aged, 1);
+  assert.equal(summary.bucketChanges, 1);
+  assert.ok(summary.chargesAccrued > 0);
+  assert.deepEqual(summary.failed, []);
+
+  const stored = await db.collection('applications').findOne({ _id: loan._id });
+  assert.equal(stored.dpd, 40);
+  assert.equal(stored.dpdBucket, '31-60');
+  assert.equal(stored.delinquencyState, 'delinquent');
+  assert.equal(stored.overdueInstallments, 2);
+  assert.equal(stored.overdueAmount, 2 * loan.emi);
+  assert.equal(stored.lastAgedDate, '2026-02-14');
+  assert.ok(stored.chargesDue > 0);
+
+  const event = await db.collection('events').findOne({ type: 'loan:delinquency_changed' });
+  assert.equal(event.payload.applicationId, loan._id);
+  assert.equal(event.payload.previousBucket, '0');
+  assert.equal(event.payload.dpdBucket, '31-60');
+  assert.equal(loanLines(loan._id, 'dpdBucketChanged').length, 1);
+  const chargeLines = loanLines(loan._id, 'accrueCharge');
+  assert.ok(chargeLines.length > 0);
+  assert.equal(chargeLines.reduce((sum, line) => sum + line.amount, 0), summary.chargesAccrued);
+
+  const again = await runDelinquencyAging(db, { asOf });
+  assert.equal(again.checked, 0);
+  assert.equal(loanLines(loan._id, 'dpdBucketChanged').length, 1);
+});
+
+test('recordRepayment settles the overdue installment and moves the loan back to bucket 0', async () => {
+  const db = createMemoryDb();
+  const loan = loanApplication({ _id: 'LOAN-AGING0002', firstDueDate: monthsFromToday(-1) });
+  await db.collection('applications').insertOne(loan);
+  await runDelinquencyAging(db);
+  const aged = await db.collection('applications').findOne({ _id: loan._id });
+  assert.notEqual(aged.dpdBucket, '0');
+
+  // The second installment falls due about today, and its interest ranks ahead of overdue principal
+  const payment = { paymentId: 'PAY-0001', amount: aged.overdueAmount + aged.chargesDue + loan.emi };
+  const { application, repayment, duplicate } = await recordRepayment(db, loan._id, payment, 'admin@test');
+
+  assert.equal(duplicate, false);
+  assert.equal(repayment.amount, payment.amount);
+  assert.equal(application.dpd, 0);
+  assert.equal(application.dpdBucket, '0');
+  assert.equal(application.chargesDue, 0);
+  assert.equal(application.emiSchedule[0].status, 'paid');
+  assert.equal(application.emiSchedule[1].status, 'paid');
+  assert.equal(application.totalPaid, payment.amount);
+  assert.equal(loanLines(loan._id, 'recordRepayment').length, 1);
+
+  const changes = await db.collection('events').find({ type: 'loan:delinquency_changed' }).toArray();
+  assert.deepEqual(changes.map(event => event.payload.dpdBucket), [aged.dpdBucket, '0']);
+
+  const replay = await recordRepayment(db, loan._id, payment, 'admin@test');
+  assert.equal(replay.duplicate, true);
+  assert.equal(replay.application.totalPaid, payment.amount);
+  assert.equal(loanLines(loan._id, 'recordRepayment').length, 1);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memoryDb');
+const { publishEvent, claimEvent, completeEvent, failEvent } = require('../server/utils/eventQueue');
+
+test('claimEvent returns the claimed event and null when none is waiting', async () => {
+  const db = createMemoryDb();
+  assert.equal(await claimEvent(db, 'job:run', 'worker-1'), null);
+
+  const eventId = await publishEvent(db, 'job:run', { n: 1 });
+  const event = await claimEvent(db, 'job:run', 'worker-1');
+  assert.equal(event._id.toString(), eventId);
+  assert.equal(event.lockedBy, 'worker-1');
+  assert.equal(event.attempts, 1);
+
+  // Locked for worker-1 until it completes or fails the event
+  assert.equal(await claimEvent(db, 'job:run', 'worker-2'), null);
+  await completeEvent(db, event._id, { ok: true });
+  assert.equal(await claimEvent(db, 'job:run', 'worker-2'), null);
+});
+
+test('claimEvent takes any of several event types, highest priority first', async () => {
+  const db = createMemoryDb();
+  await publishEvent(db, 'a:one', {});
+  await publishEvent(db, 'b:two', {}, { priority: 5 });
+  await publishEvent(db, 'c:three', {});
+
+  const first = await claimEvent(db, ['a:one', 'b:two'], 'worker-1');
+  const second = await claimEvent(db, ['a:one', 'b:two'], 'worker-1');
+  assert.equal(first.type, 'b:two');
+  assert.equal(second.type, 'a:one');
+  assert.equal(await claimEvent(db, ['a:one', 'b:two'], 'worker-1'), null);
+});
+
+test('failEvent backs off and gives up after maxRetries', async () => {
+  const db = createMemoryDb();
+  await publishEvent(db, 'job:run', {}, { maxRetries: 1 });
+  const event = await claimEvent(db, 'job:run', 'worker-1');
+
+  await failEvent(db, event._id, 'boom');
+  const stored = await db.collection('events').findOne({ _id: event._id });
+  assert.equal(stored.failed, true);
+  assert.equal(stored.lastError, 'boom');
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loanApplication } = require('./support/fixtures');
+
+const { accrueLateCharges, getLateChargeTerms } = require('../utils/lateCharges');
+const { ageSchedule } = require('../utils/repayment');
+
+function overdueLoan(asOf) {
+  const loan = loanApplication({ firstDueDate: '2026-01-05' });
+  return { ...loan, emiSchedule: ageSchedule(loan.emiSchedule, asOf).schedule };
+}
+
+function penalAmount(base, ratePercent, days) {
+  return Math.round(base * ratePercent / 100 / 365 * days);
+}
+
+test('accrueLateCharges adds one penal line per late installment with its own days', () => {
+  const asOf = '2026-02-14';
+  const loan = overdueLoan(asOf);
+  const terms = getLateChargeTerms(loan);
+
+  const { accrued, chargesDue, lastChargeAccrualDate } = accrueLateCharges(loan, asOf);
+
+  assert.deepEqual(accrued.filter(line => line.type === 'bounce').map(line => line.installmentNo), [1, 2]);
+  const penal = accrued.filter(line => line.type === 'penal_interest');
+  assert.deepEqual(penal.map(line => line.installmentNo), [1, 2]);
+  penal.forEach((line, i) => {
+    const row = loan.emiSchedule[i];
+    const graceEnd = new Date(Date.parse(`${row.dueDate}T00:00:00Z`) + terms.graceDays * 24 * 60 * 60 * 1000);
+    const days = Math.round((Date.parse(`${asOf}T00:00:00Z`) - graceEnd) / (24 * 60 * 60 * 1000));
+    assert.equal(line.chargeId, `PEN-${row.installmentNo}-${asOf}`);
+    assert.equal(line.base, row.principal);
+    assert.equal(line.days, days);
+    assert.equal(line.to, asOf);
+    assert.equal(line.amount, penalAmount(row.principal, terms.penalRatePercent, days));
+  });
+  assert.ok(penal[0].days > penal[1].days);
+  assert.equal(chargesDue, accrued.reduce((sum, line) => sum + line.amount, 0));
+  assert.equal(lastChargeAccrualDate, asOf);
+});
+
+test('accrueLateCharges charges only the days since the last accrual', () => {
+  const loan = overdueLoan('2026-02-14');
+  const first = accrueLateCharges(loan, '2026-02-14');
+
+  const { accrued } = accrueLateCharges({ ...loan, ...first }, '2026-02-24');
+
+  assert.equal(accrued.filter(line => line.type === 'bounce').length, 0);
+  const penal = accrued.filter(line => line.type === 'penal_interest');
+  assert.deepEqual(penal.map(line => [line.installmentNo, line.from, line.days]), [[1, '2026-02-15', 10], [2, '2026-02-15', 10]]);
+  assert.deepEqual(accrueLateCharges({ ...loan, ...first }, '2026-02-14').accrued, []);
+});
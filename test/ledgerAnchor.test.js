@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { appendToLedger } = require('../blockchain/ledger');
+const { acquireLock } = require('../server/utils/mongoLock');
+const { runAnchorBatch, verifyAnchoredBlock, getAnchorStatus } = require('../server/utils/ledgerAnchor');
+
+// Puts every submitted batch past ANCHOR_CONFIRM_TIMEOUT_MS
+async function ageBatches(db) {
+  await db.collection('anchor_batches').updateMany({}, { $set: { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } });
+}
+
+// Chain stand-in: each transaction is 'pending' (known, no receipt),
+// 'mined', 'unknown' (dropped by the node) or 'unreachable'
+function fakeChain() {
+  const transactions = new Map();
+  return {
+    transactions,
+    anchorRoot: async ({ root }) => {
+      const transactionHash = `0x${String(transactions.size + 1).padStart(64, '0')}`;
+      transactions.set(transactionHash, { root, state: 'pending' });
+      return { success: true, transactionHash };
+    },
+    getAnchorTransaction: async (hash) => {
+      const tx = transactions.get(hash);
+      if (!tx || tx.state === 'unknown') return { success: true, found: false, known: false, confirmed: false, roots: [] };
+      if (tx.state === 'unreachable') return { success: false, error: 'Rate limit exhausted reading the receipt' };
+      if (tx.state === 'pending') return { success: true, found: false, known: true, confirmed: false, roots: [] };
+      return { success: true, found: true, confirmed: true, blockNumber: 42, roots: [tx.root] };
+    }
+  };
+}
+
+test('runAnchorBatch moves cursors only once the root transaction is mined', async () => {
+  const db = createMemoryDb();
+  const chain = fakeChain();
+  for (let i = 0; i < 3; i++) await appendToLedger('credit_ledger', { score: 700 + i });
+
+  const submitted = await runAnchorBatch(db, chain);
+  assert.equal(submitted.status, 'submitted');
+  assert.equal(submitted.leafCount, 3);
+  await ageBatches(db);
+
+  // No receipt yet: unconfirmed, even past the timeout
+  assert.equal((await runAnchorBatch(db, chain)).status, 'pending');
+  chain.transactions.get(submitted.transactionHash).state = 'unreachable';
+  assert.equal((await runAnchorBatch(db, chain)).status, 'pending');
+  assert.deepEqual((await getAnchorStatus(db)).cursors, []);
+
+  chain.transactions.get(submitted.transactionHash).state = 'mined';
+  assert.equal((await runAnchorBatch(db, chain)).status, 'idle');
+
+  const status = await getAnchorStatus(db);
+  assert.equal(status.batches[0].status, 'confirmed');
+  assert.deepEqual(status.cursors, [{ ledger: 'credit_ledger', nextIndex: 3, batchId: submitted.batchId }]);
+  const proof = await verifyAnchoredBlock(db, 'credit_ledger', 1, { getAnchorTransaction: chain.getAnchorTransaction });
+  assert.equal(proof.verified, true);
+});
+
+test('runAnchorBatch re-anchors the blocks of a transaction the node dropped', async () => {
+  const db = createMemoryDb();
+  const chain = fakeChain();
+
+  const first = await runAnchorBatch(db, chain);
+  assert.equal(first.status, 'submitted');
+  chain.transactions.get(first.transactionHash).state = 'unknown';
+  await ageBatches(db);
+
+  const second = await runAnchorBatch(db, chain);
+  assert.equal(second.status, 'submitted');
+  assert.equal(second.leafCount, first.leafCount);
+  assert.equal(second.root, first.root);
+  const batches = await db.collection('anchor_batches').find({}).sort({ createdAt: 1 }).toArray();
+  assert.deepEqual(batches.map(b => b.status), ['dropped', 'submitted']);
+});
+
+test('runAnchorBatch reports locked while another run holds the anchor lock', async () => {
+  const db = createMemoryDb();
+  await acquireLock(db, 'ledger-anchor', 60000);
+  assert.equal((await runAnchorBatch(db, fakeChain())).status, 'locked');
+});
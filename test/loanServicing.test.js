@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, ledgerEntries, monthsFromToday, loanApplication } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { applyPartPrepayment } = require('../server/utils/loanServicing');
+
+test('applyPartPrepayment takes the part-payment off the principal once', async () => {
+  const db = createMemoryDb();
+  const loan = loanApplication({ firstDueDate: monthsFromToday(-5), paidInstallments: 6 });
+  await db.collection('applications').insertOne(loan);
+  const outstandingBefore = loan.emiSchedule[6].balance + loan.emiSchedule[6].principal;
+
+  const { application, prepayment } = await applyPartPrepayment(db, loan._id, { amount: 50000, mode: 'reduce_emi' }, 'admin@test');
+
+  assert.equal(prepayment.outstandingBefore, outstandingBefore);
+  assert.equal(prepayment.outstandingAfter, outstandingBefore - 50000);
+  assert.equal(application.outstandingPrincipal, outstandingBefore - 50000);
+  assert.equal(application.version, 2);
+  assert.equal(application.scheduleVersion, 2);
+  assert.equal(application.scheduleChanges.length, 1);
+  assert.ok(application.emi < loan.emi);
+
+  const stored = await db.collection('applications').findOne({ _id: loan._id });
+  assert.equal(stored.outstandingPrincipal, outstandingBefore - 50000);
+  const lines = ledgerEntries('payment_ledger').filter(line => line.action === 'applyPartPrepayment');
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].scheduleVersion, 2);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memoryDb');
+const { acquireLock, releaseLock, withLock } = require('../server/utils/mongoLock');
+
+test('acquireLock takes a free lock and refuses it while held', async () => {
+  const db = createMemoryDb();
+
+  const first = await acquireLock(db, 'resource-1', 10000);
+  assert.equal(first.acquired, true);
+  assert.ok(first.lockId);
+
+  const second = await acquireLock(db, 'resource-1', 10000);
+  assert.equal(second.acquired, false);
+  assert.equal(second.lockId, null);
+
+  await releaseLock(db, 'resource-1', first.lockId);
+  const third = await acquireLock(db, 'resource-1', 10000);
+  assert.equal(third.acquired, true);
+});
+
+test('acquireLock takes over an expired lock', async () => {
+  const db = createMemoryDb();
+  const stale = await acquireLock(db, 'resource-2', -1000);
+  assert.equal(stale.acquired, true);
+
+  const fresh = await acquireLock(db, 'resource-2', 10000);
+  assert.equal(fresh.acquired, true);
+  assert.notEqual(fresh.lockId, stale.lockId);
+
+  // The old owner can no longer release it
+  await releaseLock(db, 'resource-2', stale.lockId);
+  assert.equal((await acquireLock(db, 'resource-2', 10000)).acquired, false);
+});
+
+test('withLock runs the function and releases the lock', async () => {
+  const db = createMemoryDb();
+  const result = await withLock(db, 'resource-3', async () => 'done');
+  assert.equal(result, 'done');
+  assert.equal(await db.collection('locks').countDocuments({ _id: 'resource-3' }), 0);
+});
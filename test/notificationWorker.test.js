@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireWorker, loanApplication } = require('./support/fixtures');
+const { createMemoryDb } = require('./support/memoryDb');
+const { publishEvent } = require('../server/utils/eventQueue');
+const { createNotificationChannels } = require('../utils/notificationChannels');
+const { createMemoryChannel } = require('../utils/notifications/memoryChannel');
+const { toDateString } = require('../utils/amortization');
+
+const { deliverNext, sendReminders } = requireWorker('notificationWorker');
+
+function testChannels(db) {
+  return createNotificationChannels(db, {
+    sms: createMemoryChannel('sms', { log: false }),
+    email: createMemoryChannel('email', { log: false })
+  });
+}
+
+test('deliverNext sends a status change on every channel once', async () => {
+  const db = createMemoryDb();
+  const channels = testChannels(db);
+  await db.collection('applications').insertOne(loanApplication({ _id: 'LOAN-N1', userId: 'user-1', email: 'borrower@example.com', status: 'approved' }));
+  await publishEvent(db, 'application:status_changed', { applicationId: 'LOAN-N1', newStatus: 'approved' });
+
+  assert.equal(await deliverNext(db, channels), true);
+  assert.equal(await deliverNext(db, channels), false);
+
+  assert.equal(channels.sms.outbox.length, 1);
+  assert.equal(channels.sms.outbox[0].to, '9999999999');
+  assert.equal(channels.email.outbox.length, 1);
+  assert.equal(await db.collection('notifications').countDocuments({ userId: 'user-1' }), 1);
+  assert.equal(await db.collection('notification_log').countDocuments({ status: 'sent' }), 3);
+  const event = await db.collection('events').findOne({});
+  assert.equal(event.processed, true);
+  assert.equal(event.result.templateId, 'application_approved');
+});
+
+test('deliverNext stores a staff event as a staff alert', async () => {
+  const db = createMemoryDb();
+  await publishEvent(db, 'loan:risk_alert', {
+    applicationId: 'LOAN-N2',
+    probability: 0.31,
+    band: 'critical',
+    calibrated: false,
+    message: 'Default risk rose'
+  });
+
+  assert.equal(await deliverNext(db, testChannels(db)), true);
+  const alert = await db.collection('staff_alerts').findOne({});
+  assert.equal(alert.status, 'open');
+  assert.equal(alert.severity, 'critical');
+  assert.equal(alert.applicationId, 'LOAN-N2');
+});
+
+test('sendReminders sends the 3-day EMI reminder once', async () => {
+  const db = createMemoryDb();
+  const channels = testChannels(db);
+  const today = toDateString(new Date());
+  const dueDate = toDateString(new Date(`${today}T00:00:00Z`).getTime() + 3 * 24 * 60 * 60 * 1000);
+  const loan = loanApplication({ _id: 'LOAN-N3', userId: 'user-3', email: 'borrower@example.com', firstDueDate: dueDate });
+  await db.collection('applications').insertOne(loan);
+
+  await sendReminders(db, channels);
+  await sendReminders(db, channels);
+
+  assert.equal(channels.sms.outbox.length, 1);
+  assert.equal(channels.sms.outbox[0].templateId, 'emi_due_in_3_days');
+  assert.equal(channels.sms.outbox[0].to, loan.phone);
+});
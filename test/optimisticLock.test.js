@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memoryDb');
+const { updateWithVersion, updateWithRetry } = require('../server/utils/optimisticLock');
+
+test('updateWithVersion applies an update at the expected version', async () => {
+  const db = createMemoryDb();
+  await db.collection('applications').insertOne({ _id: 'LOAN-1', amount: 100, version: 1 });
+
+  const result = await updateWithVersion(db, 'applications', 'LOAN-1', 1, { amount: 150 });
+  assert.equal(result.success, true);
+  assert.equal(result.newVersion, 2);
+  assert.equal(result.document.amount, 150);
+});
+
+test('updateWithVersion reports a conflict at a stale version and a missing document', async () => {
+  const db = createMemoryDb();
+  await db.collection('applications').insertOne({ _id: 'LOAN-1', amount: 100, version: 3 });
+
+  const stale = await updateWithVersion(db, 'applications', 'LOAN-1', 2, { amount: 150 });
+  assert.equal(stale.success, false);
+  assert.equal(stale.conflict, true);
+  assert.equal(stale.currentVersion, 3);
+
+  const missing = await updateWithVersion(db, 'applications', 'LOAN-2', 1, { amount: 150 });
+  assert.equal(missing.conflict, false);
+  assert.equal(missing.error, 'Document not found');
+});
+
+test('updateWithRetry calls the update function once when there is no conflict', async () => {
+  const db = createMemoryDb();
+  await db.collection('applications').insertOne({ _id: 'LOAN-1', balance: 1000, version: 1 });
+  let calls = 0;
+
+  const result = await updateWithRetry(db, 'applications', 'LOAN-1', async (current) => {
+    calls++;
+    return { balance: current.balance - 100 };
+  });
+  assert.equal(calls, 1);
+  assert.equal(result.document.balance, 900);
+  assert.equal((await db.collection('applications').findOne({ _id: 'LOAN-1' })).balance, 900);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, requireWorker } = require('./support/fixtures');
+const { createMemoryDb } = require('./support/memoryDb');
+const { createLocalStore } = require('../utils/storage/localStore');
+const { enqueuePin, findPin } = require('../server/utils/pinQueue');
+
+const { pinNext } = requireWorker('pinningWorker');
+
+test('pinNext pins a queued document and maps its local CID to the pinned CID', async () => {
+  const db = createMemoryDb();
+  const localStore = createLocalStore({ dir: tempDir('ipfs') });
+  const uploads = [];
+  const pinataStore = {
+    putJson: async (document, options) => {
+      uploads.push({ document, options });
+      return 'bafyremotecid';
+    }
+  };
+
+  const cid = await localStore.putJson({ loanId: 'LOAN-1', type: 'sanction' });
+  await enqueuePin(db, cid, { fileName: 'sanction.json' });
+  assert.equal((await findPin(db, cid)).status, 'pending');
+
+  assert.equal(await pinNext(db, { localStore, pinataStore }), true);
+  assert.equal(await pinNext(db, { localStore, pinataStore }), false);
+
+  assert.equal(uploads.length, 1);
+  assert.deepEqual(uploads[0].document, { loanId: 'LOAN-1', type: 'sanction' });
+  const pin = await findPin(db, 'bafyremotecid');
+  assert.equal(pin.cid, cid);
+  assert.equal(pin.status, 'pinned');
+  assert.equal(await db.collection('events').countDocuments({ processed: true }), 1);
+});
+
+test('pinNext leaves a failed pin for a later retry', async () => {
+  const db = createMemoryDb();
+  const localStore = createLocalStore({ dir: tempDir('ipfs') });
+  const pinataStore = { putJson: async () => { throw new Error('Pinata unavailable'); } };
+
+  const cid = await localStore.putJson({ loanId: 'LOAN-2' });
+  await enqueuePin(db, cid);
+  assert.equal(await pinNext(db, { localStore, pinataStore }), true);
+
+  const pin = await findPin(db, cid);
+  assert.equal(pin.status, 'retrying');
+  assert.equal(pin.lastError, 'Pinata unavailable');
+  const event = await db.collection('events').findOne({});
+  assert.equal(event.processed, false);
+  assert.ok(event.availableAt > new Date());
+});
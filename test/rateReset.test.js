@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, ledgerEntries, loanApplication } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { floatingTerms } = require('../utils/floatingRate');
+const { getBenchmarkRate } = require('../utils/benchmarkRegistry');
+const { toDateString } = require('../utils/amortization');
+const { policyForScore } = require('../utils/tenure');
+const { runRateResets } = require('../server/utils/rateReset');
+const policies = require('../rag/policies.json');
+
+// Range of the policy the fixture loan's approval score qualifies for
+const RANGE = policyForScore(loanApplication().approvalScore).interestRateRange;
+
+function floatingLoan(interestRate, fields = {}) {
+  const terms = floatingTerms(interestRate, { interestRateRange: RANGE });
+  return loanApplication({
+    interestRate,
+    ...terms,
+    nextResetDate: toDateString(new Date()),
+    resetPreference: 'emi',
+    ...fields
+  });
+}
+
+test('floatingTerms keeps the priced rate at origination', () => {
+  const benchmark = getBenchmarkRate(policies.floatingRate.benchmark, new Date());
+  const terms = floatingTerms(3.5, { interestRateRange: RANGE });
+
+  assert.equal(terms.interestRate, 3.5);
+  assert.equal(terms.spread, Number((3.5 - benchmark.rate).toFixed(2)));
+  assert.equal(floatingTerms(RANGE.min - 1, { interestRateRange: RANGE }).interestRate, RANGE.min);
+});
+
+test('runRateResets reprices a due loan at the benchmark plus at least minSpread', async () => {
+  const db = createMemoryDb();
+  const loan = floatingLoan(3.5);
+  await db.collection('applications').insertOne(loan);
+  const benchmark = getBenchmarkRate(loan.benchmark, loan.nextResetDate);
+  const expectedRate = Math.min(Number((benchmark.rate + policies.floatingRate.minSpread).toFixed(2)), RANGE.max);
+
+  const summary = await runRateResets(db);
+
+  assert.equal(summary.status, 'done');
+  assert.equal(summary.repriced, 1);
+  assert.deepEqual(summary.failed, []);
+
+  const stored = await db.collection('applications').findOne({ _id: loan._id });
+  assert.equal(stored.interestRate, expectedRate);
+  assert.equal(stored.spread, loan.spread);
+  assert.equal(stored.scheduleVersion, 2);
+  assert.equal(stored.rateResets.length, 1);
+  assert.equal(stored.rateResets[0].rateBefore, 3.5);
+  assert.ok(stored.emi > loan.emi);
+  assert.ok(stored.nextResetDate > loan.nextResetDate);
+
+  const event = await db.collection('events').findOne({ type: 'loan:rate_reset' });
+  assert.equal(event.payload.applicationId, loan._id);
+  const lines = ledgerEntries('payment_ledger').filter(line => line.action === 'resetFloatingRate');
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].rateAfter, expectedRate);
+});
+
+test('runRateResets keeps the reset rate inside the policy range', async () => {
+  const db = createMemoryDb();
+  await db.collection('applications').insertOne(floatingLoan(9, { _id: 'LOAN-TEST0002', spread: 9 }));
+
+  const summary = await runRateResets(db);
+
+  assert.equal(summary.repriced, 1);
+  const stored = await db.collection('applications').findOne({ _id: 'LOAN-TEST0002' });
+  assert.equal(stored.interestRate, RANGE.max);
+});
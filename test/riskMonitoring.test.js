@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempLedgers, ledgerEntries, loanApplication } = require('./support/fixtures');
+
+useTempLedgers();
+
+const { createMemoryDb } = require('./support/memoryDb');
+const { updateWithRetry } = require('../server/utils/optimisticLock');
+const { runRiskMonitoring, scoreApplicationRisk, RISK_ALERT_PROBABILITY } = require('../server/utils/riskMonitoring');
+
+function alertLines(loanId) {
+  return ledgerEntries('payment_ledger').filter(line => line.loanId === loanId && line.action === 'riskAlert');
+}
+
+test('runRiskMonitoring scores each loan once a day and alerts when one crosses the threshold', async () => {
+  const db = createMemoryDb();
+  const risky = loanApplication({ _id: 'LOAN-RISK0001', dpd: 60 });
+  const current = loanApplication({ _id: 'LOAN-RISK0002' });
+  await db.collection('applications').insertMany([risky, current]);
+  const asOf = new Date('2026-03-01T12:00:00Z');
+
+  const summary = await runRiskMonitoring(db, { asOf });
+
+  assert.equal(summary.status, 'done');
+  assert.equal(summary.scored, 2);
+  assert.equal(summary.alerts, 1);
+  assert.deepEqual(summary.failed, []);
+
+  const stored = await db.collection('applications').findOne({ _id: risky._id });
+  assert.ok(stored.defaultRisk.probability >= RISK_ALERT_PROBABILITY);
+  assert.equal(stored.defaultRisk.drivers[0].feature, 'currentDpd');
+  assert.deepEqual(stored.defaultRiskHistory.map(entry => entry.date), ['2026-03-01']);
+  assert.equal(stored.riskScoredDate, '2026-03-01');
+  const quiet = await db.collection('applications').findOne({ _id: current._id });
+  assert.ok(quiet.defaultRisk.probability < RISK_ALERT_PROBABILITY);
+
+  const events = await db.collection('events').find({ type: 'loan:risk_alert' }).toArray();
+  assert.deepEqual(events.map(event => event.payload.applicationId), [risky._id]);
+  assert.equal(events[0].priority, 5);
+  assert.equal(alertLines(risky._id).length, 1);
+
+  assert.equal((await runRiskMonitoring(db, { asOf })).checked, 0);
+
+  // Still above the threshold the next day: scored again, not alerted again
+  const nextDay = await runRiskMonitoring(db, { asOf: new Date('2026-03-02T12:00:00Z') });
+  assert.equal(nextDay.scored, 2);
+  assert.equal(nextDay.alerts, 0);
+  assert.equal(alertLines(risky._id).length, 1);
+});
+
+test('a salary credit well below the origination salary raises the default risk', async () => {
+  const db = createMemoryDb();
+  const loan = loanApplication({ _id: 'LOAN-RISK0003', monthlySalary: 100000 });
+  await db.collection('applications').insertOne(loan);
+  const before = await scoreApplicationRisk(db, loan._id);
+
+  // As the bank-statement upload does: store the credit, then re-score
+  await updateWithRetry(db, 'applications', loan._id, async (current) => ({
+    salaryCredits: [...(current.salaryCredits || []), { estimatedMonthlySalary: 10000 }]
+  }), 5);
+  const after = await scoreApplicationRisk(db, loan._id);
+
+  assert.ok(after.probability > before.probability);
+  assert.equal(after.previousProbability, before.probability);
+  assert.equal(after.alert, true);
+  assert.equal(alertLines(loan._id).length, 1);
+});
@@ -0,0 +1,87 @@
+/**
+ * Shared test fixtures
+ *
+ * useTempLedgers must run before any module that loads blockchain/ledgerStore.js,
+ * which reads LEDGER_DIR once. Temporary directories are removed when the
+ * test process exits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function useTempLedgers() {
+  const dir = tempDir('ledgers');
+  process.env.LEDGER_DIR = dir;
+  return dir;
+}
+
+// Workers load server/db.js, which needs MONGO_URI; the tests never connect
+function requireWorker(name) {
+  process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017';
+  return require(`../../workers/${name}`);
+}
+
+// Blocks appended to a ledger while the tests ran
+function ledgerEntries(ledgerName) {
+  const { getLedger } = require('../../blockchain/ledger');
+  return getLedger(ledgerName).map(block => block.data);
+}
+
+function monthsFromToday(months) {
+  const { addMonths, toDateString } = require('../../utils/amortization');
+  return addMonths(toDateString(new Date()), months);
+}
+
+/**
+ * A disbursed loan with a monthly schedule whose first `paidInstallments`
+ * rows are fully paid
+ */
+function loanApplication({
+  _id = 'LOAN-TEST0001',
+  amount = 500000,
+  interestRate = 10,
+  tenure = 24,
+  firstDueDate = monthsFromToday(1),
+  paidInstallments = 0,
+  ...fields
+} = {}) {
+  const { calculateEMI } = require('../../utils/creditScore');
+  const { amortize } = require('../../utils/amortization');
+  const emi = calculateEMI(amount, interestRate, tenure);
+  const emiSchedule = amortize(amount, interestRate, emi, tenure, 1, firstDueDate).map((row, i) => (
+    i < paidInstallments
+      ? { ...row, status: 'paid', paidAmount: row.emi, paidInterest: row.interest, paidPrincipal: row.principal, paidDate: row.dueDate }
+      : row
+  ));
+
+  return {
+    _id,
+    status: 'disbursed',
+    customerName: 'Test Borrower',
+    phone: '9999999999',
+    amount,
+    interestRate,
+    tenure,
+    emi,
+    emiSchedule,
+    approvalScore: 750,
+    version: 1,
+    ...fields
+  };
+}
+
+module.exports = {
+  tempDir,
+  useTempLedgers,
+  requireWorker,
+  ledgerEntries,
+  monthsFromToday,
+  loanApplication
+};
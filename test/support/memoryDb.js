@@ -0,0 +1,446 @@
+/**
+ * In-memory stand-in for a MongoDB database, for the test suite
+ *
+ * Implements the part of the mongodb 6 driver API the server uses, with the
+ * driver's return shapes: findOneAndUpdate / findOneAndDelete resolve to the
+ * document itself (or null) unless includeResultMetadata is set, updateOne
+ * reports matched / modified / upserted counts, and a duplicate _id or
+ * unique index key throws a MongoServerError with code 11000 - including
+ * an upsert whose filter matches nothing but whose _id is taken, which is
+ * how a held lock is refused.
+ *
+ * Queries support equality (with array membership and dotted paths), $eq,
+ * $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $or, $and and
+ * $nor. Updates support $set, $unset, $setOnInsert, $inc, $min, $max,
+ * $push and $addToSet.
+ */
+
+const { ObjectId, MongoServerError } = require('mongodb');
+
+function clone(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) copy[key] = clone(item);
+  return copy;
+}
+
+function getPath(doc, path) {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      if (value === null || value === undefined) return [undefined];
+      if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+      return [value[key]];
+    });
+  }
+  return values.length === 1 ? values[0] : values;
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    target = target ? target[key] : undefined;
+  }
+  if (target && typeof target === 'object') delete target[keys[keys.length - 1]];
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+}
+
+function equals(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  const [x, y] = [comparable(a), comparable(b)];
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof ObjectId) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+// Values a condition is tested against: the field itself and, for an
+// array field, each of its elements
+function candidates(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function matchesCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    return candidates(value).some(v => typeof v === 'string' && condition.test(v));
+  }
+  if (!isOperatorObject(condition)) {
+    if (condition === null) return value === null || value === undefined;
+    return candidates(value).some(v => equals(v, condition));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return matchesCondition(value, operand);
+      case '$ne': return !matchesCondition(value, operand);
+      case '$gt': return candidates(value).some(v => v !== undefined && v !== null && compare(v, operand) > 0);
+      case '$gte': return candidates(value).some(v => v !== undefined && v !== null && compare(v, operand) >= 0);
+      case '$lt': return candidates(value).some(v => v !== undefined && v !== null && compare(v, operand) < 0);
+      case '$lte': return candidates(value).some(v => v !== undefined && v !== null && compare(v, operand) <= 0);
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$nin': return !operand.some(item => matchesCondition(value, item));
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$regex': return matchesCondition(value, new RegExp(operand, condition.$options || ''));
+      case '$options': return true;
+      default: throw new Error(`memoryDb: query operator ${operator} is not supported`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    if (key.startsWith('$')) throw new Error(`memoryDb: query operator ${key} is not supported`);
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    throw new Error('memoryDb: update document requires atomic operators');
+  }
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + value); break;
+        case '$min': if (current === undefined || compare(value, current) < 0) setPath(doc, path, clone(value)); break;
+        case '$max': if (current === undefined || compare(value, current) > 0) setPath(doc, path, clone(value)); break;
+        case '$push': {
+          const items = value && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...clone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = value && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          for (const item of items) {
+            if (!next.some(existing => equals(existing, item))) next.push(clone(item));
+          }
+          setPath(doc, path, next);
+          break;
+        }
+        default: throw new Error(`memoryDb: update operator ${operator} is not supported`);
+      }
+    }
+  }
+}
+
+// Fields an upsert copies from its filter into the new document
+function upsertSeed(filter) {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      Object.assign(doc, ...condition.map(upsertSeed));
+    } else if (!key.startsWith('$')) {
+      if (!isOperatorObject(condition)) setPath(doc, key, clone(condition));
+      else if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+    }
+  }
+  return doc;
+}
+
+function sortDocs(docs, sort) {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key));
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const fields = Object.entries(projection);
+  const including = fields.some(([key, value]) => key !== '_id' && value);
+  if (!including) {
+    const copy = clone(doc);
+    for (const [key] of fields) unsetPath(copy, key);
+    return copy;
+  }
+  const copy = projection._id === 0 ? {} : { _id: doc._id };
+  for (const [key, value] of fields) {
+    if (key === '_id' || !value) continue;
+    const found = getPath(doc, key);
+    if (found !== undefined) setPath(copy, key, clone(found));
+  }
+  return copy;
+}
+
+function duplicateKey(collectionName, key) {
+  return new MongoServerError({
+    message: `E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(key)}`,
+    code: 11000,
+    keyValue: key
+  });
+}
+
+class MemoryCursor {
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    let docs = sortDocs(this.load(), this.options.sort);
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    return docs.map(doc => project(clone(doc), this.options.projection));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push(Object.keys(keys));
+    return Object.keys(keys).join('_');
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const other of this.docs) {
+      if (other === ignore) continue;
+      if (equals(other._id, doc._id)) throw duplicateKey(this.collectionName, { _id: doc._id });
+      for (const fields of this.uniqueIndexes) {
+        if (fields.every(field => equals(getPath(other, field), getPath(doc, field)))) {
+          throw duplicateKey(this.collectionName, Object.fromEntries(fields.map(f => [f, getPath(doc, f)])));
+        }
+      }
+    }
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.docs.filter(doc => matches(doc, filter)), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    // The driver sets _id on the caller's document too
+    if (doc._id === undefined) doc._id = stored._id;
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) {
+      insertedIds[i] = (await this.insertOne(docs[i])).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Apply an update to the first match; upsert when nothing matches
+  writeOne(filter, update, { upsert = false, sort } = {}) {
+    const target = sortDocs(this.docs.filter(doc => matches(doc, filter)), sort)[0];
+    if (target) {
+      const before = clone(target);
+      const next = clone(target);
+      applyUpdate(next, update, false);
+      if (!equals(next._id, before._id)) throw new Error('memoryDb: _id is immutable');
+      this.checkUnique(next, target);
+      for (const key of Object.keys(target)) delete target[key];
+      Object.assign(target, next);
+      return { before, after: target, modified: JSON.stringify(before) !== JSON.stringify(target), upserted: false };
+    }
+    if (!upsert) return { before: null, after: null, modified: false, upserted: false };
+
+    const created = upsertSeed(filter);
+    applyUpdate(created, update, true);
+    if (created._id === undefined) created._id = new ObjectId();
+    this.checkUnique(created);
+    this.docs.push(created);
+    return { before: null, after: created, modified: false, upserted: true };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { after, modified, upserted } = this.writeOne(filter, update, options);
+    return {
+      acknowledged: true,
+      matchedCount: after && !upserted ? 1 : 0,
+      modifiedCount: modified ? 1 : 0,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? after._id : null
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const targets = this.docs.filter(doc => matches(doc, filter));
+    if (targets.length === 0 && options.upsert) return this.updateOne(filter, update, options);
+    let modifiedCount = 0;
+    for (const target of targets) {
+      const before = JSON.stringify(target);
+      applyUpdate(target, update, false);
+      if (JSON.stringify(target) !== before) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const target = this.docs.find(doc => matches(doc, filter));
+    if (target) {
+      const next = { ...clone(replacement), _id: target._id };
+      this.checkUnique(next, target);
+      this.docs[this.docs.indexOf(target)] = next;
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    const created = { ...upsertSeed(filter), ...clone(replacement) };
+    if (created._id === undefined) created._id = new ObjectId();
+    this.checkUnique(created);
+    this.docs.push(created);
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { before, after, upserted } = this.writeOne(filter, update, options);
+    const value = options.returnDocument === 'after' ? after : before;
+    const doc = value ? project(clone(value), options.projection) : null;
+    if (!options.includeResultMetadata) return doc;
+    return {
+      ok: 1,
+      value: doc,
+      lastErrorObject: { n: after ? 1 : 0, updatedExisting: Boolean(after && !upserted), ...(upserted ? { upserted: after._id } : {}) }
+    };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const target = sortDocs(this.docs.filter(doc => matches(doc, filter)), options.sort)[0];
+    if (target) this.docs.splice(this.docs.indexOf(target), 1);
+    const doc = target ? clone(target) : null;
+    if (!options.includeResultMetadata) return doc;
+    return { ok: 1, value: doc, lastErrorObject: { n: target ? 1 : 0 } };
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      let outcome;
+      switch (type) {
+        case 'insertOne': await this.insertOne(spec.document); result.insertedCount++; continue;
+        case 'updateOne': outcome = await this.updateOne(spec.filter, spec.update, spec); break;
+        case 'updateMany': outcome = await this.updateMany(spec.filter, spec.update, spec); break;
+        case 'replaceOne': outcome = await this.replaceOne(spec.filter, spec.replacement, spec); break;
+        case 'deleteOne': result.deletedCount += (await this.deleteOne(spec.filter)).deletedCount; continue;
+        case 'deleteMany': result.deletedCount += (await this.deleteMany(spec.filter)).deletedCount; continue;
+        default: throw new Error(`memoryDb: bulkWrite ${type} is not supported`);
+      }
+      result.matchedCount += outcome.matchedCount;
+      result.modifiedCount += outcome.modifiedCount;
+      result.upsertedCount += outcome.upsertedCount;
+    }
+    return result;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+    return this.collections.get(name);
+  }
+}
+
+function createMemoryDb() {
+  return new MemoryDb();
+}
+
+module.exports = { createMemoryDb };
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTenureRequest } = require('../utils/tenure');
+
+test('parseTenureRequest reads a tenure the message asks for', () => {
+  const requests = {
+    'tenure of 36 months': 36,
+    'Can I repay over 3 years?': 36,
+    'make it 24 months': 24,
+    'change the tenure to 48 months': 48,
+    'I want a 5 year loan': 60,
+    'for 2 years loan please': 24,
+    'loan for 4 years': 48,
+    'EMI for 18 months': 18,
+    '3 years': 36
+  };
+  for (const [message, months] of Object.entries(requests)) {
+    assert.equal(parseTenureRequest(message), months, message);
+  }
+});
+
+test('parseTenureRequest ignores durations that are not about tenure', () => {
+  const messages = [
+    'I have been employed for 3 years',
+    'I need a loan of 5 lakh, working at Infosys for 6 years',
+    'my salary went up 2 months ago',
+    'I am 30 years old',
+    ''
+  ];
+  for (const message of messages) {
+    assert.equal(parseTenureRequest(message), null, message);
+  }
+});
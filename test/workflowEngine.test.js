@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memoryDb');
+const { runWorkflow, getWorkflow } = require('../server/utils/workflowEngine');
+const { acquireLock } = require('../server/utils/mongoLock');
+
+function countingSteps(calls, { failAt = null } = {}) {
+  return ['first', 'second', 'third'].map(name => ({
+    name,
+    run: async () => {
+      calls.push(name);
+      if (name === failAt) throw new Error(`${name} broke`);
+      return { done: name };
+    }
+  }));
+}
+
+test('runWorkflow runs every step, persists outputs and releases its lock', async () => {
+  const db = createMemoryDb();
+  const calls = [];
+
+  const outcome = await runWorkflow(db, { workflowId: 'wf-1', name: 'test', steps: countingSteps(calls), input: {} });
+
+  assert.equal(outcome.status, 'completed');
+  assert.deepEqual(calls, ['first', 'second', 'third']);
+  assert.deepEqual(outcome.results.third, { done: 'third' });
+  const workflow = await getWorkflow(db, 'wf-1');
+  assert.equal(workflow.status, 'completed');
+  assert.equal(workflow.steps.second.status, 'completed');
+  assert.equal(await db.collection('locks').countDocuments({}), 0);
+});
+
+test('runWorkflow resumes from the failed step without re-running completed ones', async () => {
+  const db = createMemoryDb();
+  const calls = [];
+
+  const failed = await runWorkflow(db, { workflowId: 'wf-2', name: 'test', steps: countingSteps(calls, { failAt: 'second' }), input: {} });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.failedStep, 'second');
+
+  const resumed = await runWorkflow(db, { workflowId: 'wf-2', name: 'test', steps: countingSteps(calls), input: {} });
+  assert.equal(resumed.status, 'completed');
+  assert.deepEqual(calls, ['first', 'second', 'second', 'third']);
+});
+
+test('runWorkflow reports locked while another run holds the workflow', async () => {
+  const db = createMemoryDb();
+  await acquireLock(db, 'workflow:wf-3', 60000);
+
+  const outcome = await runWorkflow(db, { workflowId: 'wf-3', name: 'test', steps: countingSteps([]), input: {} });
+  assert.equal(outcome.status, 'locked');
+});
+
+test('runWorkflow compensates completed steps when a compensating step fails', async () => {
+  const db = createMemoryDb();
+  const undone = [];
+  const steps = [
+    { name: 'reserve', run: async () => ({ id: 'r1' }), compensate: async (output) => { undone.push(output.id); return { released: true }; } },
+    { name: 'charge', run: async () => { throw new Error('card declined'); }, onFailure: 'compensate' }
+  ];
+
+  const outcome = await runWorkflow(db, { workflowId: 'wf-4', name: 'test', steps, input: {} });
+  assert.equal(outcome.status, 'compensated');
+  assert.deepEqual(undone, ['r1']);
+  const workflow = await getWorkflow(db, 'wf-4');
+  assert.equal(workflow.steps.reserve.compensation.status, 'completed');
+});
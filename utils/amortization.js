@@ -0,0 +1,96 @@
+/**
+ * Schedule arithmetic shared by prepayments and rate resets
+ *
+ * Schedules are the rows produced by generateEMISchedule (creditScore.js):
+ * { installmentNo, dueDate: 'YYYY-MM-DD', emi, principal, interest, balance, status }
+ * Rows with status 'paid' are history; everything else can be re-amortized.
+ */
+
+function toDateString(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function addMonths(dateString, months) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return toDateString(date);
+}
+
+// Principal received on an unpaid row; rows recorded before the
+// interest/principal split was kept count their paidAmount against interest first
+function principalReceived(row) {
+    if (row.paidPrincipal !== undefined) return row.paidPrincipal;
+    return Math.max(0, (row.paidAmount || 0) - row.interest);
+}
+
+/**
+ * Paid and unpaid installments and the principal still owed: the balance
+ * before the first unpaid installment (so earlier re-amortizations count)
+ * less principal already received on unpaid installments. Re-amortizing
+ * starts from `outstanding + principalReceived`, since carryOverPayments
+ * applies those payments to the new rows again.
+ */
+function splitSchedule(schedule) {
+    const paid = schedule.filter(row => row.status === 'paid');
+    const unpaid = schedule.filter(row => row.status !== 'paid');
+    const received = unpaid.reduce((sum, row) => sum + principalReceived(row), 0);
+    return {
+        paid,
+        unpaid,
+        lastPaid: paid[paid.length - 1] || null,
+        outstanding: unpaid.length > 0 ? unpaid[0].balance + unpaid[0].principal - received : 0,
+        principalReceived: received
+    };
+}
+
+/**
+ * Amortize a principal over installments of a fixed EMI. The last installment
+ * absorbs rounding so the balance ends at zero.
+ */
+function amortize(principal, annualRate, emi, count, startInstallment, firstDueDate) {
+    const monthlyRate = annualRate / 12 / 100;
+    const rows = [];
+    let balance = principal;
+
+    for (let i = 0; i < count && balance > 0; i++) {
+        const interest = Math.round(balance * monthlyRate);
+        const last = i === count - 1 || balance + interest <= emi;
+        const principalPart = last ? balance : emi - interest;
+        balance = last ? 0 : balance - principalPart;
+
+        rows.push({
+            installmentNo: startInstallment + i,
+            dueDate: addMonths(firstDueDate, i),
+            emi: principalPart + interest,
+            principal: principalPart,
+            interest,
+            balance: Math.round(balance),
+            status: 'pending'
+        });
+    }
+    return rows;
+}
+
+/**
+ * Installments needed to repay a principal with a fixed EMI
+ * @returns {number} Count, or Infinity when the EMI does not cover the interest
+ */
+function installmentsForEmi(principal, annualRate, emi) {
+    const monthlyRate = annualRate / 12 / 100;
+    if (monthlyRate === 0) return Math.ceil(principal / emi);
+    if (emi <= principal * monthlyRate) return Infinity;
+    return Math.ceil(-Math.log(1 - (principal * monthlyRate) / emi) / Math.log(1 + monthlyRate));
+}
+
+function totalInterest(rows) {
+    return rows.reduce((sum, row) => sum + row.interest, 0);
+}
+
+module.exports = {
+    toDateString,
+    addMonths,
+    splitSchedule,
+    amortize,
+    installmentsForEmi,
+    totalInterest
+};
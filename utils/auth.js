@@ -4,8 +4,10 @@
  * Authentication Module
  * - JWT token generation/verification
  * - Password hashing with bcrypt
- * - User storage (in-memory, can be upgraded to DB)
- * - Role-based access (user/admin)
+ * - User storage: borrowers in memory; staff (admins, collection agents)
+ *   in the `staff_users` collection once useStaffStore is called, cached in
+ *   memory, so their logins survive restarts and work on every replica
+ * - Role-based access (user/admin/collection_agent)
  */
 
 const bcrypt = require('bcryptjs');
@@ -16,9 +18,13 @@ const crypto = require('crypto');
 const JWT_SECRET = process.env.JWT_SECRET || 'bfsi_secure_jwt_secret_2026';
 const JWT_EXPIRES = '7d';
 const SALT_ROUNDS = 12;
+// Roles that sign in with email/password on the admin portal
+const STAFF_ROLES = ['admin', 'collection_agent'];
 
 // In-memory user storage (replace with database in production)
 const users = new Map();
+// staff_users collection ({ _id: email, id, email, password, name, role, createdAt }), set by useStaffStore
+let staffUsers = null;
 // In-memory OTP storage: phone -> { otp, expires, tempData }
 const otpStore = new Map();
 // Hash-to-OTP mapping for secure OTP retrieval
@@ -42,15 +48,41 @@ const initDefaultAdmin = async () => {
 };
 
 // Initialize admin
-initDefaultAdmin();
+const defaultAdminReady = initDefaultAdmin();
+
+/**
+ * Keep staff credentials in MongoDB. The default admin is stored too,
+ * unless an account with its email already exists.
+ * @param {Object} db - MongoDB database instance
+ */
+async function useStaffStore(db) {
+    staffUsers = db.collection('staff_users');
+    await defaultAdminReady;
+    for (const user of users.values()) {
+        if (!STAFF_ROLES.includes(user.role)) continue;
+        await staffUsers.updateOne({ _id: user.email }, { $setOnInsert: user }, { upsert: true });
+    }
+}
+
+// Stored staff account by email (database first, then the in-memory cache)
+async function findStaffUser(email) {
+    const key = email.toLowerCase();
+    if (staffUsers) {
+        const stored = await staffUsers.findOne({ _id: key });
+        if (stored) {
+            const { _id, ...user } = stored;
+            users.set(key, user);
+            return user;
+        }
+    }
+    return users.get(key) || null;
+}
 
 // ==================== OTP FUNCTIONS ====================
 
-// Twilio Config
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-const client = (accountSid && authToken) ? require('twilio')(accountSid, authToken) : null;
+// Twilio Config (utils/twilioClient.js, shared with SMS notifications)
+const { getTwilioClient, TWILIO_PHONE_NUMBER: twilioPhone } = require('./twilioClient');
+const client = getTwilioClient();
 
 function generateOTP() {
     return Math.floor(100000 + Math.random() * 900000).toString();
@@ -204,11 +236,11 @@ function verifyToken(token) {
 
 // ==================== USER FUNCTIONS ====================
 
-// Admin Login (Email/Pass)
+// Admin & Collection Agent Login (Email/Pass)
 async function loginAdmin(email, password) {
-    const user = users.get(email.toLowerCase());
+    const user = email ? await findStaffUser(email) : null;
 
-    if (!user || user.role !== 'admin') {
+    if (!user || !STAFF_ROLES.includes(user.role)) {
         throw new Error('Invalid credentials');
     }
 
@@ -217,7 +249,7 @@ async function loginAdmin(email, password) {
         throw new Error('Invalid credentials');
     }
 
-    console.log(`✅ [Auth] Admin Login: ${email}`);
+    console.log(`✅ [Auth] ${user.role === 'admin' ? 'Admin' : 'Collection Agent'} Login: ${email}`);
 
     const token = generateToken(user);
     const { password: _, ...safeUser } = user;
@@ -250,32 +282,55 @@ function getUserByAccountNumber(accNum) {
 
 // ==================== ADMIN FUNCTIONS ====================
 
-async function createAdmin({ email, password, name }) {
+async function createStaffUser({ email, password, name }, role, idPrefix) {
     // Validate
     if (!email || !password || !name) {
         throw new Error('Email, password, and name are required');
     }
+    // A staff login kept only in this process would vanish on restart
+    if (!staffUsers) {
+        throw new Error('Staff accounts need the database, which is not connected');
+    }
 
-    if (users.has(email)) {
+    if (await findStaffUser(email)) {
         throw new Error('Email already registered');
     }
 
-    // Create admin
     const hashedPassword = await hashPassword(password);
-    const admin = {
-        id: `admin_${Date.now()}`,
+    const staff = {
+        id: `${idPrefix}_${Date.now()}`,
         email: email.toLowerCase(),
         password: hashedPassword,
         name,
-        role: 'admin',
+        role,
         createdAt: new Date().toISOString()
     };
 
-    users.set(email.toLowerCase(), admin);
+    try {
+        await staffUsers.insertOne({ _id: staff.email, ...staff });
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new Error('Email already registered');
+        }
+        throw err;
+    }
+    users.set(staff.email, staff);
+
+    const { password: _, ...safeStaff } = staff;
+    return safeStaff;
+}
+
+async function createAdmin({ email, password, name }) {
+    const admin = await createStaffUser({ email, password, name }, 'admin', 'admin');
     console.log(`✅ [Auth] Admin created: ${email}`);
+    return admin;
+}
 
-    const { password: _, ...safeAdmin } = admin;
-    return safeAdmin;
+// Collection agents work overdue loans (server/utils/collections.js)
+async function createCollectionAgent({ email, password, name }) {
+    const agent = await createStaffUser({ email, password, name }, 'collection_agent', 'agent');
+    console.log(`✅ [Auth] Collection agent created: ${email}`);
+    return agent;
 }
 
 function getAllUsers() {
@@ -314,6 +369,13 @@ function adminMiddleware(req, res, next) {
     next();
 }
 
+function collectionsMiddleware(req, res, next) {
+    if (!req.user || !STAFF_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Collections access required' });
+    }
+    next();
+}
+
 // ==================== DATA MASKING ====================
 
 function maskAadhaar(aadhaar) {
@@ -341,8 +403,10 @@ module.exports = {
     getUserByEmail,
 
     // Admin functions
+    useStaffStore,
     loginAdmin,
     createAdmin,
+    createCollectionAgent,
     getAllUsers,
 
     // Token functions
@@ -352,6 +416,7 @@ module.exports = {
     // Middleware
     authMiddleware,
     adminMiddleware,
+    collectionsMiddleware,
 
     // Data masking
     maskAadhaar,
@@ -0,0 +1,416 @@
+/**
+ * Bank statement transaction parser and income / obligation analytics
+ *
+ * parseTransactions turns statement text (OCR or PDF text) into rows of
+ *   { date, narration, debit, credit, balance }
+ * A row starts with a transaction date (a value date right after it is
+ * skipped) and ends with its amounts: debit, credit and balance, or one
+ * amount and the balance. Lines without a date continue the previous row's
+ * narration. Statements listed newest first are put oldest first before
+ * anything else (by their dates, or for a single day by which order the
+ * running balance follows). A single amount is then a credit when the
+ * balance went up by it from the previous row (or the opening balance), a
+ * debit when it went down; without a previous balance, Cr/Dr markers and
+ * the narration decide.
+ *
+ * analyzeTransactions derives from the rows:
+ * - salary: credits marked salary/payroll, or the same payer crediting a
+ *   similar amount (within SIMILAR_AMOUNT) in 2+ months, grouped by employer
+ * - EMIs: recurring NACH/ECS/ACH debits grouped by lender (SIPs and
+ *   insurance premiums excluded)
+ * - bounces: cheque / NACH / ECS returns and the charges levied for them
+ * - cash deposits as a share of all credits
+ * - month-end closing and minimum balances, and the daily average balance
+ *
+ * reconcileBalances checks the running balance row by row (a forensic check
+ * in utils/documentForensics.js). parseStatement also counts the dated rows
+ * it could not read (an amount but no balance, or an impossible date): with
+ * rows missing, a balance that does not follow proves nothing.
+ */
+
+const { toDateString } = require('./amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SALARY_CREDIT = 10000;
+const SIMILAR_AMOUNT = 0.2;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const DATE_PATTERN = /^(\d{1,2})[\/\-. ](\d{1,2}|[A-Za-z]{3})[\/\-. ](\d{4}|\d{2})\b|^(\d{4})-(\d{2})-(\d{2})\b/;
+const AMOUNT_TOKEN = /^(\d{1,3}(?:,\d{2,3})*|\d+)\.\d{2}(CR|DR)?$/i;
+
+const SALARY_NARRATION = /\bSAL(ARY)?\b|PAYROLL|\bSALARY\b/;
+const EMI_DEBIT = /\b(NACH|ECS|ACH)\b/;
+const NOT_A_LOAN = /MUTUAL|\bMF\b|\bSIP\b|INSURANCE|\bLIC\b|PREMIUM/;
+const RETURN_NARRATION = /\b(RETURN(ED)?|RTN|RET|BOUNCE[D]?|DISHONOU?RED|INSUFF(ICIENT)?|UNPAID)\b/;
+const CHARGE_NARRATION = /\b(CHG|CHGS|CHARGES?|CHRG|FEE|PENALTY)\b/;
+const CASH_DEPOSIT = /CASH\s*DEP|BY\s+CASH|\bCDM\b|CSH\s*DEP/;
+const CREDIT_HINT = /^BY\b|\bCR\b|CREDIT|DEPOSIT|REFUND|\bSAL(ARY)?\b|PAYROLL|INTEREST|\bINT\.?\s*PD\b/;
+const OPENING_BALANCE = /OPENING\s+BAL(ANCE)?\s*[:\-]?\s*(?:Rs\.?|INR|₹)?\s*((?:\d{1,3}(?:,\d{2,3})*|\d+)\.\d{2})/i;
+
+// Channel words, references and months that say nothing about the payer
+const NOISE_WORDS = new Set([
+    'NEFT', 'IMPS', 'RTGS', 'ACH', 'NACH', 'ECS', 'UPI', 'INB', 'MB', 'CR', 'DR', 'C', 'D',
+    'BY', 'TO', 'TRF', 'TRANSFER', 'FOR', 'PAID', 'SAL', 'SALARY', 'PAYROLL', 'EMI', 'LOAN',
+    'MANDATE', 'DEBIT', 'CREDIT', 'REF', 'NO', 'TXN', ...MONTHS
+]);
+
+function parseAmount(token) {
+    return Number(token.replace(/,/g, '').replace(/(CR|DR)$/i, ''));
+}
+
+function parseDate(match) {
+    if (match[4]) return `${match[4]}-${match[5]}-${match[6]}`;
+    const day = parseInt(match[1], 10);
+    const month = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : MONTHS.indexOf(match[2].toUpperCase()) + 1;
+    let year = parseInt(match[3], 10);
+    if (year < 100) year += 2000;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function isCreditNarration(narration, marker) {
+    if (marker) return marker === 'CR';
+    return CREDIT_HINT.test(narration.toUpperCase());
+}
+
+/**
+ * Opening balance printed on the statement, or null
+ */
+function parseOpeningBalance(text) {
+    const opening = String(text || '').match(OPENING_BALANCE);
+    return opening ? parseAmount(opening[2]) : null;
+}
+
+// Dated rows in statement order, with their trailing amount tokens, and
+// the number of dated lines with amounts that could not be read as a row
+function readRows(text) {
+    const rows = [];
+    let skipped = 0;
+    const lines = String(text || '').split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+        const dateMatch = line.match(DATE_PATTERN);
+        if (!dateMatch) {
+            // Wrapped narration of the previous row
+            const last = rows[rows.length - 1];
+            if (last && !/\d+\.\d{2}/.test(line)) last.narration = `${last.narration} ${line}`;
+            continue;
+        }
+        const date = parseDate(dateMatch);
+        if (!date) {
+            if (/\d\.\d{2}/.test(line.slice(dateMatch[0].length))) skipped++;
+            continue;
+        }
+
+        let rest = line.slice(dateMatch[0].length).trim();
+        const valueDate = rest.match(DATE_PATTERN);
+        if (valueDate) rest = rest.slice(valueDate[0].length).trim();
+
+        // Trailing amounts; "12,345.00 Cr" becomes one token
+        const tokens = rest.replace(/(\d\.\d{2})\s+(Cr|Dr)\b/gi, '$1$2').split(/\s+/);
+        const amounts = [];
+        while (tokens.length > 0 && amounts.length < 3) {
+            const token = tokens[tokens.length - 1];
+            if (AMOUNT_TOKEN.test(token)) {
+                amounts.unshift(token);
+                tokens.pop();
+            } else if (token === '-' && amounts.length > 0) {
+                amounts.unshift('0.00');
+                tokens.pop();
+            } else {
+                break;
+            }
+        }
+        if (amounts.length < 2) {
+            // A header such as "01/04/2026 to 30/04/2026" has no amount
+            if (amounts.length === 1) skipped++;
+            continue;
+        }
+
+        const balanceToken = amounts[amounts.length - 1];
+        rows.push({
+            date,
+            narration: tokens.join(' ').trim(),
+            amounts: amounts.slice(0, -1),
+            balance: parseAmount(balanceToken) * (/DR$/i.test(balanceToken) ? -1 : 1)
+        });
+    }
+    return { rows, skipped };
+}
+
+// Rows whose balance moved from the row before by one of their amounts
+function balanceSteps(rows) {
+    let steps = 0;
+    for (let i = 1; i < rows.length; i++) {
+        const change = rows[i].balance - rows[i - 1].balance;
+        if (rows[i].amounts.some(token => Math.abs(Math.abs(change) - parseAmount(token)) < 0.01)) steps++;
+    }
+    return steps;
+}
+
+// Whether the statement lists the newest row first. Same-day statements
+// are judged by which way the running balance follows.
+function isNewestFirst(rows) {
+    if (rows.length < 2) return false;
+    const first = rows[0].date;
+    const last = rows[rows.length - 1].date;
+    if (first !== last) return first > last;
+    return balanceSteps([...rows].reverse()) > balanceSteps(rows);
+}
+
+/**
+ * Parse statement text into transactions, oldest first
+ * @param {string} text - Statement text
+ * @returns {Object} { transactions: [{ date, narration, debit, credit, balance }],
+ *                     order: 'oldest_first'|'newest_first', skippedRows }
+ */
+function parseStatement(text) {
+    const { rows, skipped } = readRows(text);
+    const newestFirst = isNewestFirst(rows);
+    const transactions = [];
+    let previous = parseOpeningBalance(text);
+
+    for (const { date, narration, amounts, balance } of newestFirst ? [...rows].reverse() : rows) {
+        let debit = 0;
+        let credit = 0;
+        if (amounts.length === 2) {
+            debit = parseAmount(amounts[0]);
+            credit = parseAmount(amounts[1]);
+        } else {
+            const amount = parseAmount(amounts[0]);
+            const marker = (amounts[0].match(/(CR|DR)$/i) || [])[1];
+            if (previous !== null && Math.abs(previous + amount - balance) < 0.01) credit = amount;
+            else if (previous !== null && Math.abs(previous - amount - balance) < 0.01) debit = amount;
+            else if (isCreditNarration(narration, marker && marker.toUpperCase())) credit = amount;
+            else debit = amount;
+        }
+        transactions.push({ date, narration, debit, credit, balance });
+        previous = balance;
+    }
+
+    // Stable, so rows of one day keep their statement order
+    transactions.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    return { transactions, order: newestFirst ? 'newest_first' : 'oldest_first', skippedRows: skipped };
+}
+
+/**
+ * Parse statement text into transactions, oldest first
+ * @param {string} text - Statement text
+ * @returns {Array} [{ date, narration, debit, credit, balance }]
+ */
+function parseTransactions(text) {
+    return parseStatement(text).transactions;
+}
+
+/**
+ * Payer or payee named in a narration, e.g. "NEFT-HDFC0001234-ACME TECH PVT
+ * LTD-SAL APR" -> "ACME TECH PVT LTD"
+ */
+function counterparty(narration) {
+    const segments = narration.toUpperCase().split(/[\/\-:|*]+/).map(segment => segment
+        .split(/\s+/)
+        .filter(word => /[A-Z]{2,}/.test(word)
+            && !NOISE_WORDS.has(word.replace(/[^A-Z]/g, ''))
+            && !/\d{4,}/.test(word)
+            && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(word))
+        .join(' ')
+        .trim());
+    const named = segments.filter(segment => segment.replace(/[^A-Z]/g, '').length >= 3);
+    return named.sort((a, b) => b.length - a.length)[0] || 'UNKNOWN';
+}
+
+function monthOf(date) {
+    return date.slice(0, 7);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Group rows by counterparty; a group recurs when it hits 2+ months with
+// amounts within SIMILAR_AMOUNT of their median
+function recurringGroups(rows, amountOf, statementMonths) {
+    const groups = new Map();
+    for (const row of rows) {
+        const name = counterparty(row.narration);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(row);
+    }
+
+    return [...groups.entries()].map(([name, entries]) => {
+        const typical = median(entries.map(amountOf));
+        const similar = entries.filter(row => Math.abs(amountOf(row) - typical) <= typical * SIMILAR_AMOUNT);
+        const months = [...new Set(similar.map(row => monthOf(row.date)))].sort();
+        return {
+            name,
+            monthlyAmount: round(typical),
+            months,
+            // A statement of a single month cannot show a repeat
+            recurring: months.length >= 2 || (statementMonths < 2 && similar.length > 0),
+            count: entries.length,
+            lastDate: entries[entries.length - 1].date
+        };
+    });
+}
+
+// Balance at the end of every day from the first to the last transaction
+function dailyBalances(rows) {
+    const endOfDay = new Map();
+    for (const row of rows) {
+        if (row.balance !== null) endOfDay.set(row.date, row.balance);
+    }
+    const dates = [...endOfDay.keys()].sort();
+    if (dates.length === 0) return [];
+
+    const balances = [];
+    let balance = endOfDay.get(dates[0]);
+    const last = new Date(`${dates[dates.length - 1]}T00:00:00Z`).getTime();
+    for (let t = new Date(`${dates[0]}T00:00:00Z`).getTime(); t <= last; t += DAY_MS) {
+        const date = toDateString(t);
+        if (endOfDay.has(date)) balance = endOfDay.get(date);
+        balances.push(balance);
+    }
+    return balances;
+}
+
+/**
+ * Income and obligation analytics of a statement's transactions
+ * @param {Array} transactions - From parseTransactions
+ * @returns {Object} { period, salary, obligations, bounces, cashDepositRatio, monthlyBalances,
+ *                     averageBalance, minBalance, closingBalance }
+ */
+function analyzeTransactions(transactions) {
+    const rows = transactions || [];
+    const months = [...new Set(rows.map(row => monthOf(row.date)))].sort();
+    const credits = rows.filter(row => row.credit > 0);
+    const debits = rows.filter(row => row.debit > 0);
+    const upper = row => row.narration.toUpperCase();
+
+    // Salary: marked as salary, or a recurring similar credit from one payer
+    const salaryCandidates = credits.filter(row => row.credit >= MIN_SALARY_CREDIT
+        && !CASH_DEPOSIT.test(upper(row))
+        && !RETURN_NARRATION.test(upper(row)));
+    const payers = recurringGroups(salaryCandidates, row => row.credit, months.length);
+    const employers = payers
+        .map(payer => ({
+            ...payer,
+            marked: salaryCandidates.some(row => counterparty(row.narration) === payer.name && SALARY_NARRATION.test(upper(row)))
+        }))
+        .filter(payer => payer.marked || (payer.recurring && payer.months.length >= 2))
+        .sort((a, b) => b.monthlyAmount - a.monthlyAmount)
+        .map(({ name, monthlyAmount, months: creditMonths, recurring, lastDate }) => ({
+            employer: name,
+            monthlyAmount,
+            months: creditMonths,
+            recurring,
+            lastCreditDate: lastDate
+        }));
+    const primary = employers.find(e => e.recurring) || employers[0] || null;
+
+    // EMIs: recurring mandate debits, not returns, SIPs or premiums
+    const mandateDebits = debits.filter(row => EMI_DEBIT.test(upper(row))
+        && !RETURN_NARRATION.test(upper(row))
+        && !CHARGE_NARRATION.test(upper(row))
+        && !NOT_A_LOAN.test(upper(row)));
+    const emis = recurringGroups(mandateDebits, row => row.debit, months.length)
+        .filter(group => group.recurring)
+        .map(({ name, monthlyAmount, months: debitMonths, lastDate }) => ({
+            lender: name,
+            monthlyAmount,
+            months: debitMonths,
+            lastDebitDate: lastDate
+        }));
+
+    // Bounces: return entries, and the charges levied for them
+    const returnRows = rows.filter(row => RETURN_NARRATION.test(upper(row)));
+    const chargeRows = returnRows.filter(row => row.debit > 0 && CHARGE_NARRATION.test(upper(row)));
+    const returnEvents = returnRows.filter(row => !CHARGE_NARRATION.test(upper(row)));
+
+    const totalCredits = credits.reduce((sum, row) => sum + row.credit, 0);
+    const cashDeposits = credits.filter(row => CASH_DEPOSIT.test(upper(row))).reduce((sum, row) => sum + row.credit, 0);
+
+    const monthlyBalances = months.map(month => {
+        const inMonth = rows.filter(row => monthOf(row.date) === month && row.balance !== null);
+        return {
+            month,
+            closingBalance: inMonth.length > 0 ? inMonth[inMonth.length - 1].balance : null,
+            minBalance: inMonth.length > 0 ? Math.min(...inMonth.map(row => row.balance)) : null
+        };
+    });
+    const closings = monthlyBalances.map(m => m.closingBalance).filter(b => b !== null);
+    const daily = dailyBalances(rows);
+
+    return {
+        period: {
+            from: rows.length > 0 ? rows[0].date : null,
+            to: rows.length > 0 ? rows[rows.length - 1].date : null,
+            months: months.length
+        },
+        salary: {
+            employers,
+            estimatedMonthlySalary: primary ? Math.round(primary.monthlyAmount) : null
+        },
+        obligations: {
+            emis,
+            monthlyEMI: Math.round(emis.reduce((sum, emi) => sum + emi.monthlyAmount, 0))
+        },
+        bounces: {
+            count: Math.max(returnEvents.length, chargeRows.length),
+            charges: round(chargeRows.reduce((sum, row) => sum + row.debit, 0)),
+            entries: returnRows.map(({ date, narration, debit, credit }) => ({ date, narration, amount: debit || credit }))
+        },
+        cashDepositRatio: totalCredits > 0 ? Number((cashDeposits / totalCredits).toFixed(3)) : 0,
+        monthlyBalances,
+        averageBalance: daily.length > 0 ? Math.round(daily.reduce((a, b) => a + b, 0) / daily.length) : null,
+        // Lowest month-end balance
+        minBalance: closings.length > 0 ? Math.min(...closings) : null,
+        closingBalance: closings.length > 0 ? closings[closings.length - 1] : null
+    };
+}
+
+/**
+ * Check that each row's balance is the previous row's balance (the opening
+ * balance for the first row) plus its credit minus its debit. Rows must be
+ * oldest first, as parseStatement returns them (a statement listed newest
+ * first is reversed there, so same-day rows keep their real sequence).
+ * @param {Array} transactions - Rows from parseTransactions
+ * @param {Object} options - { openingBalance, tolerance: rounding allowed per row, in rupees (default: 1) }
+ * @returns {Object} { checked, mismatches: [{ date, narration, debit, credit, expected, balance }] }
+ */
+function reconcileBalances(transactions, { openingBalance = null, tolerance = 1 } = {}) {
+    const mismatches = [];
+    let checked = 0;
+    for (let i = 0; i < transactions.length; i++) {
+        const previousBalance = i === 0 ? openingBalance : transactions[i - 1].balance;
+        if (previousBalance === null) continue;
+        const row = transactions[i];
+        const expected = round(previousBalance + row.credit - row.debit);
+        checked++;
+        if (Math.abs(expected - row.balance) > tolerance) {
+            mismatches.push({
+                date: row.date,
+                narration: row.narration,
+                debit: row.debit,
+                credit: row.credit,
+                expected,
+                balance: row.balance
+            });
+        }
+    }
+    return { checked, mismatches };
+}
+
+module.exports = {
+    parseOpeningBalance,
+    parseStatement,
+    parseTransactions,
+    analyzeTransactions,
+    reconcileBalances,
+    counterparty
+};
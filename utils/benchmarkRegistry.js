@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// Benchmark rates for floating-rate loans, one JSON file per benchmark id:
+// { id, description, rates: [{ effectiveDate: 'YYYY-MM-DD', rate, publishedAt, publishedBy }] }
+// A loan's rate is the benchmark rate in effect on its reset date plus its
+// spread. Files are re-read when they change, like scorecards/.
+const BENCHMARKS_DIR = process.env.BENCHMARKS_DIR || path.join(__dirname, '..', 'benchmarks');
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const loaded = new Map(); // id -> { mtimeMs, doc }
+
+function benchmarkPath(id) {
+    if (!ID_PATTERN.test(id)) {
+        throw new Error(`Invalid benchmark id "${id}"`);
+    }
+    return path.join(BENCHMARKS_DIR, `${id}.json`);
+}
+
+function loadBenchmarkFile(id) {
+    const file = benchmarkPath(id);
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        throw new Error(`Benchmark "${id}" not found in ${BENCHMARKS_DIR}`);
+    }
+
+    const cached = loaded.get(id);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.doc;
+    }
+
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (doc.id !== id || !Array.isArray(doc.rates)) {
+        throw new Error(`Benchmark file ${file} must have id "${id}" and a rates list`);
+    }
+
+    loaded.set(id, { mtimeMs: stat.mtimeMs, doc });
+    return doc;
+}
+
+function writeBenchmarkFile(doc) {
+    const file = benchmarkPath(doc.id);
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(BENCHMARKS_DIR, { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+    loaded.delete(doc.id);
+}
+
+/**
+ * Benchmark rate in effect on a date
+ * @param {string} id - Benchmark id
+ * @param {Date|string} asOf - Date (default: today)
+ * @returns {Object} { id, rate, effectiveDate }
+ */
+function getBenchmarkRate(id, asOf = new Date()) {
+    const doc = loadBenchmarkFile(id);
+    const day = new Date(asOf).toISOString().split('T')[0];
+    const entry = doc.rates
+        .filter(r => r.effectiveDate <= day)
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+        .pop();
+
+    if (!entry) {
+        throw new Error(`Benchmark "${id}" has no rate effective on ${day}`);
+    }
+    return { id, rate: entry.rate, effectiveDate: entry.effectiveDate };
+}
+
+/**
+ * Publish a benchmark change. A rate published again for the same
+ * effective date replaces the earlier one.
+ * @param {string} id - Benchmark id (created if new)
+ * @param {Object} change - { rate, effectiveDate, description }
+ * @param {string} publishedBy - Admin who published it
+ * @returns {Object} { id, rate, effectiveDate, previousRate }
+ */
+function publishBenchmarkRate(id, { rate, effectiveDate, description }, publishedBy) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > 50) {
+        throw new Error('rate must be a number between 0 and 50');
+    }
+    if (typeof effectiveDate !== 'string' || !DATE_PATTERN.test(effectiveDate) || Number.isNaN(Date.parse(effectiveDate))) {
+        throw new Error('effectiveDate must be a YYYY-MM-DD date');
+    }
+
+    const exists = fs.existsSync(benchmarkPath(id));
+    const doc = exists
+        ? JSON.parse(JSON.stringify(loadBenchmarkFile(id)))
+        : { id, description: '', rates: [] };
+    if (description !== undefined) doc.description = description;
+
+    let previousRate = null;
+    try {
+        previousRate = exists ? getBenchmarkRate(id, effectiveDate).rate : null;
+    } catch (error) {
+        previousRate = null;
+    }
+
+    doc.rates = doc.rates
+        .filter(r => r.effectiveDate !== effectiveDate)
+        .concat({ effectiveDate, rate, publishedAt: new Date().toISOString(), publishedBy })
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+    writeBenchmarkFile(doc);
+    return { id, rate, effectiveDate, previousRate };
+}
+
+/**
+ * List benchmarks with their current rate and history
+ */
+function listBenchmarks() {
+    if (!fs.existsSync(BENCHMARKS_DIR)) return [];
+    return fs.readdirSync(BENCHMARKS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const doc = loadBenchmarkFile(path.basename(file, '.json'));
+            let current = null;
+            try {
+                current = getBenchmarkRate(doc.id);
+            } catch (error) {
+                current = null;
+            }
+            return { id: doc.id, description: doc.description || '', current, rates: doc.rates };
+        });
+}
+
+module.exports = {
+    getBenchmarkRate,
+    publishBenchmarkRate,
+    listBenchmarks
+};
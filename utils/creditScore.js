@@ -1,154 +1,245 @@
 /**
  * Approval Score Calculator - Production-Level BFSI Algorithm
- * Score range: 300-900 (same as CIBIL credit score)
- * 
- * Formula:
+ * Score range: 300-900 (same as CIBIL credit score) with the default scorecard
+ *
+ * Factors, bins, weights, the score range and the DTI assumptions come from
+ * versioned scorecards (scorecards/*.json, see utils/scorecardRegistry.js),
+ * selected per product and segment. Default scorecard:
  * ApprovalScore = 300 + (WeightedAverage × 600)
- * Where WeightedAverage = (IncomeStability × 25%) + (DebtToIncomeRatio × 25%) + 
+ * Where WeightedAverage = (IncomeStability × 25%) + (DebtToIncomeRatio × 25%) +
  *                        (LoanFeasibility × 20%) + (BankingBehavior × 15%) + (EmploymentFactor × 15%)
  */
 
-const MIN_SCORE = 300;
-const MAX_SCORE = 900;
-const SCORE_RANGE = MAX_SCORE - MIN_SCORE; // 600
+const { getScorecard, selectScorecard } = require('./scorecardRegistry');
+const { evaluateScorecard, validateScorecard } = require('./scorecardEngine');
+const { isReasonCode, scoreReasonCodes } = require('./reasonCodes');
+const { getTenureRange, policyForScore, resolveTenure } = require('./tenure');
+
+// Variables a scorecard factor can reference
+const SCORE_VARIABLES = [
+    'monthlySalary',
+    'loanAmount',
+    'existingEMI',
+    'employmentType',
+    'proposedEMI',
+    'totalEMI',
+    'dtiRatio',
+    'maxAffordable',
+    'feasibilityRatio',
+    'hasBankStatement',
+    'avgBalance',
+    'minBalance',
+    'avgBalanceToSalary',
+    'statementSalaryRatio',
+    'declaredEMI',
+    'detectedEMI',
+    'bounceCount',
+    'cashDepositRatio'
+];
 
 /**
- * Calculate Approval Score based on real financial data
- * @param {Object} customerData - Customer profile (salary, employment, etc.)
- * @param {Object} documents - Parsed documents (bankStatement, salarySlip)
- * @param {number} requestedLoanAmount - Requested loan amount
- * @returns {Object} Approval score with breakdown
+ * Existing EMI obligations: the applicant's declaration, checked against the
+ * NACH/ECS EMI debits found on the bank statement. The higher of the two is
+ * used, since EMIs can also be paid from other accounts.
+ * @returns {Object} { existingEMI, declared, detected, verified, source }
  */
-function calculateApprovalScore(customerData, documents = {}, requestedLoanAmount = 0) {
-    const breakdown = {};
+function verifiedExistingEMI(customerData, documents = {}) {
+    const declared = parseInt(customerData.existingEMI) || 0;
+    const bs = documents && documents.bankStatement;
+    const detected = bs && typeof bs.detectedEMI === 'number' ? bs.detectedEMI : null;
+    if (detected === null) {
+        return { existingEMI: declared, declared, detected: null, verified: false, source: 'declared' };
+    }
+    return {
+        existingEMI: Math.max(declared, detected),
+        declared,
+        detected,
+        verified: true,
+        source: detected > declared ? 'bank_statement' : 'declared'
+    };
+}
 
+/**
+ * Derive the scorecard input variables from the application
+ * @param {Object} assumptions - { interestRate, tenureMonths, affordableIncomeMonths } used for DTI and feasibility;
+ *                               customerData.tenureMonths (the chosen tenure) overrides tenureMonths
+ */
+function buildScoreVariables(customerData, documents = {}, requestedLoanAmount = 0, assumptions = {}) {
     const salary = parseInt(customerData.monthlySalary) || 50000;
     const loanAmount = requestedLoanAmount || parseInt(customerData.loanAmount) || 500000;
-    const employment = customerData.employmentType || 'salaried';
-    const existingEMI = parseInt(customerData.existingEMI) || 0;
-
-    // 1. Income Stability Score (25%)
-    // Higher salary = more stable = higher score
-    let incomeScore;
-    if (salary >= 100000) incomeScore = 100;
-    else if (salary >= 75000) incomeScore = 90;
-    else if (salary >= 50000) incomeScore = 80;
-    else if (salary >= 35000) incomeScore = 65;
-    else if (salary >= 25000) incomeScore = 50;
-    else incomeScore = Math.max(20, (salary / 25000) * 50);
-
-    breakdown.incomeStability = { score: incomeScore, weight: 0.25, description: 'Based on monthly income' };
-
-    // 2. Debt-to-Income Ratio (25%)
-    // FOIR should be < 50% of income
-    const tenure = 36; // 3 years
-    const assumedRate = 12; // 12% p.a.
-    const proposedEMI = calculateEMI(loanAmount, assumedRate, tenure);
-    const totalEMI = proposedEMI + existingEMI;
-    const dtiRatio = (totalEMI / salary) * 100;
-
-    let dtiScore;
-    if (dtiRatio <= 30) dtiScore = 100;
-    else if (dtiRatio <= 40) dtiScore = 85;
-    else if (dtiRatio <= 50) dtiScore = 70;
-    else if (dtiRatio <= 60) dtiScore = 50;
-    else if (dtiRatio <= 75) dtiScore = 30;
-    else dtiScore = 10;
-
-    breakdown.debtToIncome = { score: dtiScore, weight: 0.25, description: `EMI/Income: ${dtiRatio.toFixed(1)}%` };
-
-    // 3. Loan Amount Feasibility (20%)
-    // Compare requested amount vs max affordable (10x annual salary as benchmark)
-    const maxAffordable = salary * 12 * 5; // 5 years of salary
-    const feasibilityRatio = loanAmount / maxAffordable;
-
-    let feasibilityScore;
-    if (feasibilityRatio <= 0.3) feasibilityScore = 100;
-    else if (feasibilityRatio <= 0.5) feasibilityScore = 85;
-    else if (feasibilityRatio <= 0.7) feasibilityScore = 70;
-    else if (feasibilityRatio <= 1.0) feasibilityScore = 50;
-    else if (feasibilityRatio <= 1.5) feasibilityScore = 30;
-    else feasibilityScore = 10;
+    const obligations = verifiedExistingEMI(customerData, documents);
+    const existingEMI = obligations.existingEMI;
 
-    breakdown.loanFeasibility = { score: feasibilityScore, weight: 0.20, description: `Loan vs affordable ratio` };
+    const {
+        interestRate = 12,
+        affordableIncomeMonths = 60
+    } = assumptions;
+    const tenureMonths = parseInt(customerData.tenureMonths) || assumptions.tenureMonths || 36;
 
-    // 4. Banking Behavior (15%)
-    // Based on bank statement analysis
-    let bankingScore = 70; // Default if no statement
+    const proposedEMI = calculateEMI(loanAmount, interestRate, tenureMonths);
+    const totalEMI = proposedEMI + existingEMI;
+    const maxAffordable = salary * affordableIncomeMonths;
+
+    const variables = {
+        monthlySalary: salary,
+        loanAmount,
+        existingEMI,
+        employmentType: customerData.employmentType || 'salaried',
+        proposedEMI,
+        totalEMI,
+        dtiRatio: (totalEMI / salary) * 100,
+        maxAffordable,
+        feasibilityRatio: loanAmount / maxAffordable,
+        hasBankStatement: Boolean(documents.bankStatement),
+        avgBalance: null,
+        minBalance: null,
+        avgBalanceToSalary: null,
+        statementSalaryRatio: null,
+        declaredEMI: obligations.declared,
+        detectedEMI: obligations.detected,
+        bounceCount: null,
+        cashDepositRatio: null
+    };
 
     if (documents.bankStatement) {
         const bs = documents.bankStatement;
         const avgBalance = bs.averageBalance || bs.closingBalance || 0;
-        const minBalance = bs.minBalance || avgBalance;
-
-        // Good banking behavior indicators
-        if (avgBalance > salary * 2) bankingScore += 15;
-        else if (avgBalance > salary) bankingScore += 10;
+        variables.avgBalance = avgBalance;
+        variables.minBalance = bs.minBalance ?? avgBalance;
+        variables.avgBalanceToSalary = avgBalance / salary;
+        variables.statementSalaryRatio = bs.estimatedMonthlySalary ? bs.estimatedMonthlySalary / salary : null;
+        variables.bounceCount = bs.bounces ? bs.bounces.count : null;
+        variables.cashDepositRatio = bs.cashDepositRatio ?? null;
+    }
 
-        if (minBalance > 10000) bankingScore += 10;
-        if (bs.estimatedMonthlySalary && bs.estimatedMonthlySalary >= salary * 0.9) bankingScore += 5;
+    return variables;
+}
 
-        bankingScore = Math.min(100, bankingScore);
+/**
+ * Resolve the scorecard to use: an explicit { scorecard, scorecardVersion },
+ * otherwise the active version of the one selected for the product/segment
+ */
+function resolveScorecard(customerData, options = {}) {
+    if (options.scorecard && typeof options.scorecard === 'object') {
+        return options.scorecard;
     }
+    const id = options.scorecard || selectScorecard({
+        product: options.product || customerData.product || customerData.loanType,
+        segment: options.segment || customerData.segment || customerData.employmentType
+    });
+    return getScorecard(id, options.scorecardVersion);
+}
 
-    breakdown.bankingBehavior = { score: bankingScore, weight: 0.15, description: 'Based on account activity' };
-
-    // 5. Employment Factor (15%)
-    let employmentScore;
-    switch (employment.toLowerCase()) {
-        case 'salaried':
-        case 'government':
-            employmentScore = 100;
-            break;
-        case 'self-employed':
-        case 'business':
-            employmentScore = 75;
-            break;
-        case 'freelancer':
-        case 'contractor':
-            employmentScore = 60;
-            break;
-        default:
-            employmentScore = 50;
-    }
+/**
+ * Calculate Approval Score based on real financial data
+ * @param {Object} customerData - Customer profile (salary, employment, etc.)
+ * @param {Object} documents - Parsed documents (bankStatement, salarySlip)
+ * @param {number} requestedLoanAmount - Requested loan amount
+ * @param {Object} options - { product, segment, scorecard (id or version object), scorecardVersion }
+ * @returns {Object} Approval score with breakdown, reason codes ranked by score loss,
+ *                   the scorecard { id, version } used and the existing EMI obligations
+ */
+function calculateApprovalScore(customerData, documents = {}, requestedLoanAmount = 0, options = {}) {
+    const scorecard = resolveScorecard(customerData, options);
+    const variables = buildScoreVariables(customerData, documents || {}, requestedLoanAmount, scorecard.assumptions);
+    const result = evaluateScorecard(scorecard, variables);
 
-    breakdown.employment = { score: employmentScore, weight: 0.15, description: employment };
+    return {
+        score: result.score,
+        grade: getGrade(result.score),
+        riskLevel: getRiskLevel(result.score),
+        eligibleForLoan: result.eligible,
+        breakdown: result.breakdown,
+        reasonCodes: scoreReasonCodes(result.losses),
+        recommendations: result.recommendations,
+        scorecard: { id: scorecard.id, version: scorecard.version },
+        obligations: verifiedExistingEMI(customerData, documents || {})
+    };
+}
 
-    // Calculate final weighted average (0-100 internally)
-    const weightedAverage =
-        breakdown.incomeStability.score * breakdown.incomeStability.weight +
-        breakdown.debtToIncome.score * breakdown.debtToIncome.weight +
-        breakdown.loanFeasibility.score * breakdown.loanFeasibility.weight +
-        breakdown.bankingBehavior.score * breakdown.bankingBehavior.weight +
-        breakdown.employment.score * breakdown.employment.weight;
+/**
+ * Validate a scorecard definition against the variables this calculator provides
+ * @returns {string[]} Validation errors
+ */
+function validateApprovalScorecard(definition) {
+    const errors = validateScorecard(definition, SCORE_VARIABLES);
+    if (errors.length > 0) return errors;
+
+    // Every factor must explain its score loss with a standard reason code
+    definition.factors.forEach((factor, i) => {
+        if (!factor.reasonCode) {
+            errors.push(`$.factors[${i}].reasonCode is required`);
+        } else if (!isReasonCode(factor.reasonCode)) {
+            errors.push(`$.factors[${i}].reasonCode "${factor.reasonCode}" is not a known reason code`);
+        }
+    });
+    return errors;
+}
 
-    // Map to 300-900 range
-    const finalScore = Math.round(MIN_SCORE + (weightedAverage / 100) * SCORE_RANGE);
+/**
+ * Re-score historical applications with a candidate scorecard and compare
+ * with the scores they get today
+ * @param {Array} applications - Application documents
+ * @param {Object} candidate - Scorecard version object (from getScorecard)
+ * @returns {Object} { candidate, summary, applications }
+ */
+function previewScorecard(applications, candidate) {
+    const rows = applications.map(app => {
+        const customerData = {
+            monthlySalary: app.monthlySalary,
+            employmentType: app.employmentType,
+            existingEMI: app.existingEMI,
+            loanAmount: app.requestedAmount || app.amount,
+            product: app.product || app.loanType
+        };
+        const documents = app.documents || {};
+        const loanAmount = parseInt(customerData.loanAmount) || 0;
+
+        const current = calculateApprovalScore(customerData, documents, loanAmount);
+        const next = calculateApprovalScore(customerData, documents, loanAmount, { scorecard: candidate });
+        return {
+            applicationId: app._id,
+            status: app.status || null,
+            current: { score: current.score, eligible: current.eligibleForLoan, scorecard: current.scorecard },
+            candidate: { score: next.score, eligible: next.eligibleForLoan },
+            delta: next.score - current.score
+        };
+    });
+
+    const count = rows.length;
+    const average = (values) => (count === 0 ? null : Math.round(values.reduce((a, b) => a + b, 0) / count));
+    const rate = (values) => (count === 0 ? null : Number((values.filter(Boolean).length / count).toFixed(4)));
 
     return {
-        score: finalScore,
-        grade: getGrade(finalScore),
-        riskLevel: getRiskLevel(finalScore),
-        eligibleForLoan: finalScore >= 650,
-        breakdown,
-        recommendations: getRecommendations(breakdown)
+        candidate: { id: candidate.id, version: candidate.version },
+        summary: {
+            applications: count,
+            averageScore: { current: average(rows.map(r => r.current.score)), candidate: average(rows.map(r => r.candidate.score)) },
+            approvalRate: { current: rate(rows.map(r => r.current.eligible)), candidate: rate(rows.map(r => r.candidate.eligible)) },
+            newlyApproved: rows.filter(r => !r.current.eligible && r.candidate.eligible).length,
+            newlyRejected: rows.filter(r => r.current.eligible && !r.candidate.eligible).length
+        },
+        applications: rows
     };
 }
 
 /**
  * Calculate pre-approved limit using FOIR (Fixed Obligation to Income Ratio)
+ * @param {number} tenureMonths - Chosen tenure, bounded by the tenureRange of the
+ *                                policy the score qualifies for (default: its default tenure)
  */
-function calculatePreApprovedLimit(approvalScore, monthlySalary, existingEMI = 0) {
+function calculatePreApprovedLimit(approvalScore, monthlySalary, existingEMI = 0, tenureMonths) {
     const maxFOIR = 0.50; // 50% of income
     const availableForEMI = (monthlySalary * maxFOIR) - existingEMI;
+    const tenureRange = getTenureRange(policyForScore(approvalScore));
+    const { tenure } = resolveTenure(tenureMonths, tenureRange);
 
     if (availableForEMI <= 0) {
-        return { limit: 0, maxEMI: 0, reason: 'EMI exceeds 50% of income' };
+        return { limit: 0, maxEMI: 0, tenure, tenureRange, reason: 'EMI exceeds 50% of income' };
     }
 
     // Interest rate based on approval score
     const interestRate = getInterestRate(approvalScore);
-    const tenure = 36;
     const monthlyRate = interestRate / 12 / 100;
 
     // Reverse EMI calculation: P = EMI * [(1+r)^n - 1] / [r * (1+r)^n]
@@ -164,7 +255,8 @@ function calculatePreApprovedLimit(approvalScore, monthlySalary, existingEMI = 0
         limit: maxLoan,
         maxEMI: Math.round(availableForEMI),
         interestRate,
-        tenure
+        tenure,
+        tenureRange
     };
 }
 
@@ -195,15 +287,6 @@ function getRiskLevel(score) {
     return 'high';
 }
 
-function getRecommendations(breakdown) {
-    const recs = [];
-    if (breakdown.incomeStability.score < 60) recs.push('Consider a higher income source');
-    if (breakdown.debtToIncome.score < 60) recs.push('Reduce existing EMIs or request lower amount');
-    if (breakdown.loanFeasibility.score < 50) recs.push('Request a smaller loan amount');
-    if (breakdown.bankingBehavior.score < 60) recs.push('Maintain higher average balance');
-    return recs;
-}
-
 /**
  * Calculate EMI
  */
@@ -258,9 +341,13 @@ function calculateCreditScore(customerData, documents, externalLoans) {
 }
 
 module.exports = {
+    SCORE_VARIABLES,
     calculateApprovalScore,
+    validateApprovalScorecard,
+    previewScorecard,
     calculateCreditScore, // backward compatibility
     calculatePreApprovedLimit,
+    verifiedExistingEMI,
     calculateEMI,
     generateEMISchedule,
     getInterestRate,
@@ -0,0 +1,128 @@
+/**
+ * Default-risk early-warning model
+ *
+ * A logistic model (models/defaultRisk.json) over repayment features of a
+ * serviced application:
+ *   probability = 1 / (1 + e^-(intercept + sum(coefficient * value)))
+ * Each feature value is clamped to [min, cap]. A feature's contribution is
+ * coefficient * value in log-odds, so the features that drove a score are
+ * the ones with the largest positive contributions. A loan with no
+ * repayment history scores the intercept (the portfolio base rate).
+ *
+ * The shipped coefficients are hand-set, so the model's `calibration`
+ * says calibrated: false and every score carries that flag. To calibrate,
+ * fit the coefficients on observed 90+ DPD outcomes, set calibrated: true
+ * with a note on the data and fit, and ship them as a new model version.
+ */
+
+const MODEL = require('../models/defaultRisk.json');
+const { toDateString } = require('./amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 180;
+const TREND_WINDOW = 3;
+
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+// Days an installment was (or still is) paid late
+function daysLate(row, today) {
+    if (row.status === 'paid') {
+        return row.paidDate ? Math.max(0, daysBetween(row.dueDate, row.paidDate)) : 0;
+    }
+    return Math.max(0, daysBetween(row.dueDate, today));
+}
+
+/**
+ * Repayment features of an application on a date
+ * @returns {Object} { currentDpd, dpdTrend, bouncedPayments, partialPayments, salaryDrop }
+ */
+function riskFeatures(application, asOf = new Date()) {
+    const today = toDateString(asOf);
+    const since = toDateString(new Date(`${today}T00:00:00Z`).getTime() - LOOKBACK_DAYS * DAY_MS);
+
+    const due = (application.emiSchedule || []).filter(row => row.dueDate <= today);
+    const recent = due.slice(-TREND_WINDOW).map(row => daysLate(row, today));
+    const before = due.slice(-2 * TREND_WINDOW, -TREND_WINDOW).map(row => daysLate(row, today));
+
+    const salaryCredits = application.salaryCredits || [];
+    const baseline = application.documents?.bankStatement?.estimatedMonthlySalary || application.monthlySalary || 0;
+    const latest = salaryCredits.length > 0 ? salaryCredits[salaryCredits.length - 1].estimatedMonthlySalary : null;
+
+    return {
+        currentDpd: application.dpd || 0,
+        dpdTrend: before.length > 0 ? Number((average(recent) - average(before)).toFixed(1)) : 0,
+        bouncedPayments: (application.charges || [])
+            .filter(line => line.type === 'bounce' && line.accruedOn >= since).length,
+        partialPayments: (application.repayments || [])
+            .filter(payment => payment.paymentDate >= since && payment.amount < (application.emi || 0)).length,
+        salaryDrop: baseline > 0 && latest !== null ? Number(Math.max(0, (baseline - latest) / baseline).toFixed(3)) : 0
+    };
+}
+
+function describe(feature, value) {
+    return feature.description
+        .replace(/\{\{value\}\}/g, String(value))
+        .replace(/\{\{percent\}\}/g, String(Math.round(value * 100)));
+}
+
+function bandFor(probability, model) {
+    return model.bands.find(b => probability <= b.maxProbability).band;
+}
+
+/**
+ * Score an application's default risk
+ * @param {Object} application - Serviced application (emiSchedule, dpd, charges, repayments, salaryCredits)
+ * @param {Object} options - { asOf (default: today), model }
+ * @returns {Object} { model: { id, version, calibrated, calibrationNote }, probability, band, risk,
+ *                     features, drivers, message, scoredAt }
+ */
+function scoreDefaultRisk(application, { asOf = new Date(), model = MODEL } = {}) {
+    const values = riskFeatures(application, asOf);
+    let logOdds = model.intercept;
+    const contributions = model.features.map(feature => {
+        const raw = values[feature.id] || 0;
+        const value = Math.min(feature.cap, Math.max(feature.min ?? 0, raw));
+        const contribution = feature.coefficient * value;
+        logOdds += contribution;
+        return { feature: feature.id, value: raw, contribution: Number(contribution.toFixed(3)), description: describe(feature, raw) };
+    });
+
+    const probability = Number((1 / (1 + Math.exp(-logOdds))).toFixed(4));
+    const band = bandFor(probability, model);
+    const calibrated = Boolean(model.calibration && model.calibration.calibrated);
+    const label = `${(probability * 100).toFixed(1)}% default risk (${band}${calibrated ? '' : ', uncalibrated'})`;
+    const drivers = contributions
+        .filter(c => c.contribution > 0)
+        .sort((a, b) => b.contribution - a.contribution);
+
+    return {
+        model: {
+            id: model.id,
+            version: model.version,
+            calibrated,
+            calibrationNote: model.calibration ? model.calibration.note : null
+        },
+        probability,
+        band,
+        // low / medium / high, as payment_ledger predictions have always reported
+        risk: band === 'low' ? 'low' : band === 'medium' ? 'medium' : 'high',
+        features: values,
+        drivers,
+        message: drivers.length > 0
+            ? `${label}: ${drivers.slice(0, 3).map(d => d.description).join('; ')}`
+            : `${label}: no adverse repayment signals`,
+        scoredAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    DEFAULT_RISK_MODEL: MODEL,
+    riskFeatures,
+    scoreDefaultRisk
+};
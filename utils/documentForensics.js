@@ -0,0 +1,418 @@
+/**
+ * Document forensics - tamper and forgery checks on uploaded files
+ *
+ * PDFs:
+ * - Metadata: producer / creator against known editing tools, modification
+ *   date later than the creation date, and incremental updates (revisions
+ *   appended after the file was first saved; linearized and signed files
+ *   are allowed one each).
+ * - Fonts: an amount printed in a different font from the other amounts on
+ *   its row, where that font is rare among the document's amounts.
+ * Images (JPEG):
+ * - Error-level analysis: the image is re-saved at its own JPEG quality and
+ *   the difference measured per block. A pasted or retouched region has
+ *   been compressed a different number of times and stands out from the
+ *   rest.
+ * - EXIF: editing software, modified after capture, EXIF dimensions or
+ *   embedded thumbnail that do not match the image.
+ * Bank statements (any format): running balances must reconcile row by
+ * row (reconcileBalances in utils/bankStatement.js), checked only when
+ * every dated row of the statement was parsed.
+ *
+ * Findings are fraud-check issues:
+ *   { type, severity, riskPoints, message }
+ * whose types are reason codes (utils/reasonCodes.js).
+ */
+
+const fs = require('fs');
+const { Jimp } = require('jimp');
+const ExifParser = require('exif-parser');
+const { reconcileBalances } = require('./bankStatement');
+
+// Tools for editing existing PDFs and images (generators such as office
+// suites and core banking report engines are not listed)
+const EDITING_SOFTWARE = /photoshop|gimp|paint\.net|pixlr|picsart|snapseed|lightroom|canva|affinity|ilovepdf|smallpdf|sejda|pdfescape|pdf-xchange|phantompdf|foxit pdf editor|nitro|pdfelement|pdf candy|sodapdf|inkscape/i;
+
+const MODIFIED_TOLERANCE_MS = 60 * 1000;
+const AMOUNT = /^(?:₹|Rs\.?|INR)?\s*-?(?:\d{1,3}(?:,\d{2,3})+(?:\.\d{2})?|\d+\.\d{2})(?:\s*(?:Cr|Dr))?$/i;
+const RARE_FONT_SHARE = 0.1;
+
+// Error-level analysis: used when the file has no quantization table
+const ELA_DEFAULT_QUALITY = 90;
+const ELA_BLOCK = 16;
+const ELA_Z = 8;
+// Mean per-pixel error below which a neighbourhood is never suspect
+const ELA_MIN_ERROR = 0.05;
+const ELA_MAX_PIXELS = parseInt(process.env.ELA_MAX_PIXELS || '25000000', 10);
+
+// IJG standard luminance quantization table (JPEG Annex K)
+const STANDARD_LUMINANCE = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+let pdfjsPromise = null;
+
+function issue(type, severity, riskPoints, message) {
+    return { type, severity, riskPoints, message };
+}
+
+function pdfjs() {
+    if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    return pdfjsPromise;
+}
+
+// D:YYYYMMDDHHmmSS+HH'mm' (every part after the year optional)
+function parsePdfDate(value) {
+    const m = String(value || '').match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz]|[+-]\d{2}'?\d{2}'?)?/);
+    if (!m) return null;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone = 'Z'] = m;
+    const offset = /^[Zz]$/.test(zone) ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Literal strings for a key in every revision's Info dictionary
+function rawInfoValues(raw, key) {
+    return [...raw.matchAll(new RegExp(`/${key}\\s*\\(((?:\\\\.|[^\\\\)])*)\\)`, 'g'))].map(m => m[1]);
+}
+
+function pdfMetadataIssues(raw, info) {
+    const issues = [];
+    const producers = [...new Set([
+        ...rawInfoValues(raw, 'Producer'),
+        ...rawInfoValues(raw, 'Creator'),
+        info.Producer,
+        info.Creator
+    ].filter(Boolean))];
+    const editor = producers.find(p => EDITING_SOFTWARE.test(p));
+    if (editor) {
+        issues.push(issue('DOCUMENT_EDITING_SOFTWARE', 'medium', 20, `PDF was saved by editing software "${editor}"`));
+    }
+
+    const created = [...rawInfoValues(raw, 'CreationDate'), info.CreationDate].map(parsePdfDate).filter(Boolean);
+    const modified = [...rawInfoValues(raw, 'ModDate'), info.ModDate].map(parsePdfDate).filter(Boolean);
+    if (created.length > 0 && modified.length > 0) {
+        const first = new Date(Math.min(...created));
+        const last = new Date(Math.max(...modified));
+        if (last - first > MODIFIED_TOLERANCE_MS) {
+            issues.push(issue('PDF_MODIFIED_AFTER_CREATION', 'medium', 15, `PDF created ${first.toISOString()} was modified ${last.toISOString()}`));
+        }
+    }
+
+    const revisions = (raw.match(/%%EOF/g) || []).length;
+    const allowed = 1 + (info.IsLinearized ? 1 : 0) + (info.IsSignaturesPresent ? 1 : 0);
+    if (revisions > allowed) {
+        issues.push(issue('PDF_INCREMENTAL_UPDATE', 'high', 25, `PDF has ${revisions - 1} incremental update(s) appended after it was first saved`));
+    }
+    return { issues, producers, revisions };
+}
+
+// Amounts whose font differs from the other amounts on the same row and is
+// rare among all amounts in the document
+function pdfFontIssues(items) {
+    const amounts = items
+        .filter(item => AMOUNT.test(item.str.trim()))
+        .map(item => ({
+            value: item.str.trim(),
+            page: item.page,
+            y: Math.round(item.transform[5]),
+            font: `${item.fontName}@${Math.round(item.height || Math.abs(item.transform[0]))}`,
+            family: item.family
+        }));
+    if (amounts.length < 2) return { issues: [], amountsChecked: amounts.length };
+
+    const fontCounts = new Map();
+    for (const a of amounts) fontCounts.set(a.font, (fontCounts.get(a.font) || 0) + 1);
+
+    const rows = new Map();
+    for (const a of amounts) {
+        const key = `${a.page}:${a.y}`;
+        rows.set(key, [...(rows.get(key) || []), a]);
+    }
+
+    const suspects = [];
+    for (const row of rows.values()) {
+        if (row.length < 2) continue;
+        for (const a of row) {
+            const others = row.filter(o => o !== a);
+            const rare = fontCounts.get(a.font) / amounts.length <= RARE_FONT_SHARE;
+            if (rare && others.every(o => o.font !== a.font)) suspects.push(a);
+        }
+    }
+
+    const issues = suspects.length === 0 ? [] : [issue(
+        'PDF_FONT_INCONSISTENCY',
+        'high',
+        30,
+        `${suspects.length} amount(s) printed in a different font from the rest of their row: ${suspects.slice(0, 5).map(s => `${s.value} (page ${s.page}, ${s.family || 'unknown font'})`).join(', ')}`
+    )];
+    return { issues, amountsChecked: amounts.length };
+}
+
+/**
+ * Forensic checks on a PDF
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} { issues, producers, revisions, amountsChecked }
+ */
+async function inspectPDF(buffer) {
+    const raw = buffer.toString('latin1');
+    const { getDocument } = await pdfjs();
+    const doc = await getDocument({
+        data: new Uint8Array(buffer),
+        disableFontFace: true,
+        isEvalSupported: false,
+        verbosity: 0
+    }).promise;
+
+    try {
+        const { info } = await doc.getMetadata();
+        const metadata = pdfMetadataIssues(raw, info || {});
+
+        const items = [];
+        for (let page = 1; page <= doc.numPages; page++) {
+            const content = await (await doc.getPage(page)).getTextContent();
+            for (const item of content.items) {
+                if (!item.str) continue;
+                items.push({ ...item, page, family: content.styles[item.fontName]?.fontFamily });
+            }
+        }
+        const fonts = pdfFontIssues(items);
+
+        return {
+            issues: [...metadata.issues, ...fonts.issues],
+            producers: metadata.producers,
+            revisions: metadata.revisions,
+            amountsChecked: fonts.amountsChecked
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * JPEG quality (IJG scale) the file was saved at, from the sum of its
+ * luminance quantization table; null when the file has none
+ */
+function estimateJpegQuality(buffer) {
+    let table = null;
+    for (let i = 2; i + 4 < buffer.length && buffer[i] === 0xff;) {
+        const marker = buffer[i + 1];
+        const length = buffer.readUInt16BE(i + 2);
+        if (marker === 0xdb) {
+            // One or more tables: precision/id byte, then 64 8-bit or 16-bit values
+            for (let j = i + 4; j < i + 2 + length;) {
+                const precision = buffer[j] >> 4;
+                const id = buffer[j] & 0x0f;
+                const values = [];
+                for (let k = 0; k < 64; k++) {
+                    values.push(precision ? buffer.readUInt16BE(j + 1 + k * 2) : buffer[j + 1 + k]);
+                }
+                if (id === 0) table = values;
+                j += 1 + 64 * (precision ? 2 : 1);
+            }
+        }
+        if (marker === 0xda) break;
+        i += 2 + length;
+    }
+    if (!table) return null;
+
+    const sum = table.reduce((a, b) => a + b, 0);
+    let best = null;
+    for (let quality = 1; quality <= 100; quality++) {
+        const scale = quality < 50 ? Math.floor(5000 / quality) : 200 - quality * 2;
+        const expected = STANDARD_LUMINANCE.reduce((a, q) => a + Math.min(255, Math.max(1, Math.floor((q * scale + 50) / 100))), 0);
+        if (!best || Math.abs(expected - sum) < best.diff) best = { quality, diff: Math.abs(expected - sum) };
+    }
+    return best.quality;
+}
+
+/**
+ * Error-level analysis of a decoded JPEG. Re-saving at the file's own
+ * quality leaves areas that have already been through it almost unchanged;
+ * a region pasted in since (compressed fewer times) changes more. Block
+ * errors are averaged over 3x3 neighbourhoods and a neighbourhood is
+ * suspect when it is ELA_Z median absolute deviations above the median.
+ * @returns {Promise<Object>} { issues, quality, blocks, suspectBlocks, region }
+ */
+async function errorLevelAnalysis(image, buffer) {
+    const { width, height, data } = image.bitmap;
+    if (width * height > ELA_MAX_PIXELS) {
+        return { issues: [], skipped: `image larger than ${ELA_MAX_PIXELS} pixels` };
+    }
+    const quality = estimateJpegQuality(buffer) || ELA_DEFAULT_QUALITY;
+    const resaved = (await Jimp.read(await image.getBuffer('image/jpeg', { quality }))).bitmap.data;
+
+    const cols = Math.floor(width / ELA_BLOCK);
+    const rows = Math.floor(height / ELA_BLOCK);
+    if (cols < 3 || rows < 3) return { issues: [], quality, blocks: 0, suspectBlocks: 0 };
+    const errors = new Float64Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            let error = 0;
+            for (let y = r * ELA_BLOCK; y < (r + 1) * ELA_BLOCK; y++) {
+                for (let x = c * ELA_BLOCK; x < (c + 1) * ELA_BLOCK; x++) {
+                    const i = (y * width + x) * 4;
+                    error += Math.abs(data[i] - resaved[i]) + Math.abs(data[i + 1] - resaved[i + 1]) + Math.abs(data[i + 2] - resaved[i + 2]);
+                }
+            }
+            errors[r * cols + c] = error / (3 * ELA_BLOCK * ELA_BLOCK);
+        }
+    }
+
+    const smoothed = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            let total = 0;
+            let n = 0;
+            for (let rr = Math.max(0, r - 1); rr <= Math.min(rows - 1, r + 1); rr++) {
+                for (let cc = Math.max(0, c - 1); cc <= Math.min(cols - 1, c + 1); cc++) {
+                    total += errors[rr * cols + cc];
+                    n++;
+                }
+            }
+            smoothed.push({ x: c * ELA_BLOCK, y: r * ELA_BLOCK, error: total / n });
+        }
+    }
+
+    const med = median(smoothed.map(b => b.error));
+    const mad = median(smoothed.map(b => Math.abs(b.error - med)));
+    const threshold = Math.max(med + ELA_Z * mad, med * 2, ELA_MIN_ERROR);
+    const suspects = smoothed.filter(b => b.error > threshold);
+    if (suspects.length === 0) return { issues: [], quality, blocks: smoothed.length, suspectBlocks: 0 };
+
+    const region = {
+        x: Math.min(...suspects.map(b => b.x)),
+        y: Math.min(...suspects.map(b => b.y)),
+        width: Math.max(...suspects.map(b => b.x)) + ELA_BLOCK - Math.min(...suspects.map(b => b.x)),
+        height: Math.max(...suspects.map(b => b.y)) + ELA_BLOCK - Math.min(...suspects.map(b => b.y))
+    };
+    return {
+        issues: [issue('IMAGE_ELA_ANOMALY', 'medium', 20, `Error-level analysis at quality ${quality}: the ${region.width}x${region.height}px region at (${region.x}, ${region.y}) was compressed differently from the rest of the image`)],
+        quality,
+        blocks: smoothed.length,
+        suspectBlocks: suspects.length,
+        region
+    };
+}
+
+function exifIssues(buffer, width, height) {
+    let exif;
+    try {
+        exif = ExifParser.create(buffer).parse();
+    } catch {
+        return { issues: [], software: null };
+    }
+    const tags = exif.tags || {};
+    const issues = [];
+
+    if (tags.Software && EDITING_SOFTWARE.test(tags.Software)) {
+        issues.push(issue('DOCUMENT_EDITING_SOFTWARE', 'medium', 20, `Image was saved by editing software "${tags.Software}"`));
+    }
+
+    // exif-parser gives EXIF dates as seconds since the epoch
+    const captured = tags.DateTimeOriginal || tags.CreateDate;
+    if (captured && tags.ModifyDate && (tags.ModifyDate - captured) * 1000 > MODIFIED_TOLERANCE_MS) {
+        issues.push(issue('IMAGE_EXIF_INCONSISTENT', 'medium', 15, `Image was modified ${new Date(tags.ModifyDate * 1000).toISOString()}, after it was taken ${new Date(captured * 1000).toISOString()}`));
+    }
+    if (captured && captured * 1000 > Date.now() + MODIFIED_TOLERANCE_MS) {
+        issues.push(issue('IMAGE_EXIF_INCONSISTENT', 'medium', 15, `Image capture date ${new Date(captured * 1000).toISOString()} is in the future`));
+    }
+
+    // Cropping or resizing without updating EXIF leaves the recorded size or thumbnail behind
+    const sameSize = (w, h) => (w === width && h === height) || (w === height && h === width);
+    if (tags.ExifImageWidth && tags.ExifImageHeight && !sameSize(tags.ExifImageWidth, tags.ExifImageHeight)) {
+        issues.push(issue('IMAGE_EXIF_INCONSISTENT', 'low', 10, `EXIF records a ${tags.ExifImageWidth}x${tags.ExifImageHeight} image but the file is ${width}x${height}`));
+    }
+    const thumbnail = exif.hasThumbnail && exif.hasThumbnail() ? exif.getThumbnailSize() : null;
+    if (thumbnail && thumbnail.width && thumbnail.height) {
+        const aspect = width / height;
+        const thumbAspect = thumbnail.width / thumbnail.height;
+        if (Math.abs(aspect - thumbAspect) / aspect > 0.05 && Math.abs(1 / aspect - thumbAspect) * aspect > 0.05) {
+            issues.push(issue('IMAGE_EXIF_INCONSISTENT', 'medium', 15, `Embedded thumbnail (${thumbnail.width}x${thumbnail.height}) does not match the image's shape (${width}x${height})`));
+        }
+    }
+    return { issues, software: tags.Software || null };
+}
+
+/**
+ * Forensic checks on an image; error-level analysis and EXIF apply to JPEGs
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} { issues, width, height, software, ela }
+ */
+async function inspectImage(buffer) {
+    const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+    const image = await Jimp.read(buffer);
+    const { width, height } = image.bitmap;
+    if (!isJpeg) return { issues: [], width, height, software: null, ela: null };
+
+    const exif = exifIssues(buffer, width, height);
+    const ela = await errorLevelAnalysis(image, buffer);
+    return {
+        issues: [...exif.issues, ...ela.issues],
+        width,
+        height,
+        software: exif.software,
+        ela: { quality: ela.quality, blocks: ela.blocks, suspectBlocks: ela.suspectBlocks, region: ela.region, skipped: ela.skipped }
+    };
+}
+
+/**
+ * Forensic checks on an uploaded document. A check that cannot run (e.g. a
+ * PDF pdf.js cannot open) is reported in `error` rather than thrown.
+ * Running balances are only reported as tampered when every statement row
+ * was read; with rows skipped, mismatches are kept in details only.
+ * @param {string} filePath
+ * @param {Object} options - { transactions, openingBalance, skippedRows } parsed from a bank statement
+ * @returns {Promise<Object>} { format, issues, details, error }
+ */
+async function inspectDocument(filePath, { transactions = null, openingBalance = null, skippedRows = 0 } = {}) {
+    const buffer = fs.readFileSync(filePath);
+    const format = buffer.slice(0, 5).toString('latin1') === '%PDF-' ? 'pdf' : 'image';
+    const result = { format, issues: [], details: null, error: null };
+
+    try {
+        const { issues, ...details } = format === 'pdf' ? await inspectPDF(buffer) : await inspectImage(buffer);
+        result.issues.push(...issues);
+        result.details = details;
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    if (transactions && transactions.length > 0) {
+        const { checked, mismatches } = reconcileBalances(transactions, { openingBalance });
+        result.details = {
+            ...result.details,
+            balancesChecked: checked,
+            balanceMismatches: mismatches,
+            skippedRows,
+            balanceCheck: skippedRows > 0 ? 'incomplete' : 'complete'
+        };
+        if (mismatches.length > 0 && skippedRows === 0) {
+            const first = mismatches[0];
+            result.issues.push(issue(
+                'BALANCE_RECONCILIATION_FAILED',
+                'high',
+                30,
+                `${mismatches.length} of ${checked} running balance(s) do not reconcile; first on ${first.date} (${first.narration}): expected ₹${first.expected}, statement shows ₹${first.balance}`
+            ));
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    EDITING_SOFTWARE,
+    parsePdfDate,
+    inspectPDF,
+    inspectImage,
+    inspectDocument
+};
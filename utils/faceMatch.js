@@ -0,0 +1,451 @@
+/**
+ * Offline face verification - live photo against the Aadhaar / PAN photo
+ *
+ * Everything runs on the CPU from models/faceMatch.json; no service or
+ * learned weights are needed.
+ * - Detection: pixels inside the YCbCr skin range (Cb, Cr bounds) are
+ *   grouped into connected regions on a downscaled copy. The largest region
+ *   with a face-like shape (aspect, fill) is the face; neck and shoulders
+ *   are cut off below maxHeightToWidth times its width.
+ * - Descriptor: the face crop is scaled to size x size grayscale and
+ *   described by uniform LBP codes (8 neighbours, radius 1, 59 bins) in a
+ *   grid x grid layout. LBP codes only compare neighbouring pixels, so they
+ *   do not change with brightness or contrast. Each cell histogram is
+ *   square-rooted (Hellinger) so the cosine similarity of two descriptors
+ *   is the mean Bhattacharyya coefficient of their cells.
+ * - Liveness: several frames captured around the live photo must differ
+ *   (motion) and show a blink (the dark eye and brow pixels in the eye band
+ *   drop by blinkDrop) or a head turn (the eyes move sideways within the
+ *   face box). A printed or replayed still shows neither.
+ *
+ * The thresholds are uncalibrated starting points. To calibrate, score
+ * labelled same / different person pairs and ship the new thresholds (or a
+ * learned descriptor behind embedFace) as a new model version with
+ * calibration.calibrated: true. Until then every finding is review-only:
+ * low severity, calibration.reviewOnlyRiskPoints, and `reviewOnly: true`.
+ * A greyscale image has no skin tones to detect, and fewer than
+ * liveness.minFrames frames leave liveness unchecked rather than failed.
+ *
+ * Findings are fraud-check issues:
+ *   { type, severity, riskPoints, message }
+ * whose types are reason codes (utils/reasonCodes.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const pdfPoppler = require('pdf-poppler');
+const MODEL = require('../models/faceMatch.json');
+
+const { detector: DETECTOR, embedding: EMBEDDING, thresholds: THRESHOLDS, liveness: LIVENESS } = MODEL;
+const CALIBRATED = Boolean(MODEL.calibration && MODEL.calibration.calibrated);
+
+const DOCUMENT_LABELS = { aadhaar: 'Aadhaar', pan: 'PAN card' };
+
+// Eye band of a face box (share of its height) and how dark a pixel must
+// be, relative to the face mean, to count as eye / brow
+const EYE_BAND = [0.2, 0.5];
+const DARK_SHARE = 0.6;
+
+// Mean distance of Cb / Cr from neutral (128) below which an image is
+// treated as greyscale
+const GREY_CHROMA = 4;
+
+// Uniform LBP: codes with at most two 0/1 transitions get their own bin,
+// all others share the last one
+const UNIFORM_BINS = (() => {
+    const bins = new Uint8Array(256);
+    let next = 0;
+    for (let code = 0; code < 256; code++) {
+        let transitions = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            if (((code >> bit) & 1) !== ((code >> ((bit + 1) % 8)) & 1)) transitions++;
+        }
+        bins[code] = transitions <= 2 ? next++ : EMBEDDING.bins - 1;
+    }
+    return bins;
+})();
+
+function issue(type, severity, riskPoints, message) {
+    if (CALIBRATED) return { type, severity, riskPoints, message };
+    return {
+        type,
+        severity: 'low',
+        riskPoints: MODEL.calibration.reviewOnlyRiskPoints,
+        message: `${message} (review only: face model not calibrated)`,
+        reviewOnly: true
+    };
+}
+
+function round(value, places = 3) {
+    return Number(value.toFixed(places));
+}
+
+/**
+ * Read an image file; a PDF is rendered from its first page
+ * @returns {Promise<Jimp>}
+ */
+async function loadImage(filePath) {
+    if (!filePath.toLowerCase().endsWith('.pdf')) return Jimp.read(filePath);
+
+    const outDir = path.dirname(filePath);
+    const prefix = `face_${path.basename(filePath, path.extname(filePath))}`;
+    await pdfPoppler.convert(filePath, { format: 'png', out_dir: outDir, out_prefix: prefix, page: 1 });
+    const pages = fs.readdirSync(outDir).filter(f => f.startsWith(prefix) && f.endsWith('.png'));
+    if (pages.length === 0) throw new Error('PDF could not be rendered');
+    try {
+        return await Jimp.read(path.join(outDir, pages[0]));
+    } finally {
+        pages.forEach(page => fs.unlinkSync(path.join(outDir, page)));
+    }
+}
+
+function skinMask({ width, height, data }) {
+    const [cbMin, cbMax] = DETECTOR.skin.cb;
+    const [crMin, crMax] = DETECTOR.skin.cr;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        const b = data[i * 4 + 2];
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        mask[i] = cb >= cbMin && cb <= cbMax && cr >= crMin && cr <= crMax ? 1 : 0;
+    }
+    return mask;
+}
+
+// 4-connected regions of the mask with their bounding boxes
+function regions(mask, width, height) {
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    const found = [];
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+        const region = { area: 0, minX: width, maxX: 0, minY: height, maxY: 0 };
+        let top = 0;
+        stack[top++] = start;
+        labels[start] = found.length + 1;
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            const y = (i - x) / width;
+            region.area++;
+            region.minX = Math.min(region.minX, x);
+            region.maxX = Math.max(region.maxX, x);
+            region.minY = Math.min(region.minY, y);
+            region.maxY = Math.max(region.maxY, y);
+            for (const j of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, y > 0 ? i - width : -1, y < height - 1 ? i + width : -1]) {
+                if (j >= 0 && mask[j] && !labels[j]) {
+                    labels[j] = found.length + 1;
+                    stack[top++] = j;
+                }
+            }
+        }
+        found.push(region);
+    }
+    return found;
+}
+
+/**
+ * Whether an image has no colour, so the skin detector cannot find a face
+ * @param {Jimp} image
+ * @returns {boolean}
+ */
+function isGreyscale({ bitmap: { width, height, data } }) {
+    const step = Math.max(1, Math.floor((width * height) / 10000));
+    let chroma = 0;
+    let count = 0;
+    for (let i = 0; i < width * height; i += step) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        const b = data[i * 4 + 2];
+        chroma += Math.abs(-0.168736 * r - 0.331264 * g + 0.5 * b) + Math.abs(0.5 * r - 0.418688 * g - 0.081312 * b);
+        count++;
+    }
+    return count > 0 && chroma / count / 2 < GREY_CHROMA;
+}
+
+/**
+ * Find the face in an image
+ * @param {Jimp} image
+ * @returns {Object|null} { x, y, width, height } in image pixels
+ */
+function detectFace(image) {
+    const scale = Math.min(1, DETECTOR.maxSide / Math.max(image.bitmap.width, image.bitmap.height));
+    const small = scale < 1
+        ? image.clone().resize({ w: Math.round(image.bitmap.width * scale), h: Math.round(image.bitmap.height * scale) })
+        : image;
+    const { width, height } = small.bitmap;
+    const mask = skinMask(small.bitmap);
+
+    let best = null;
+    for (const region of regions(mask, width, height)) {
+        const share = region.area / (width * height);
+        if (share < DETECTOR.minAreaShare || share > DETECTOR.maxAreaShare) continue;
+        const w = region.maxX - region.minX + 1;
+        const aspect = (region.maxY - region.minY + 1) / w;
+        if (aspect < DETECTOR.minAspect || aspect > DETECTOR.maxAspect) continue;
+
+        const h = Math.min(region.maxY - region.minY + 1, Math.round(w * DETECTOR.maxHeightToWidth));
+        let area = 0;
+        for (let y = region.minY; y < region.minY + h; y++) {
+            for (let x = region.minX; x <= region.maxX; x++) area += mask[y * width + x];
+        }
+        if (area / (w * h) < DETECTOR.minFill) continue;
+        if (!best || area > best.area) best = { area, x: region.minX, y: region.minY, w, h };
+    }
+    if (!best) return null;
+
+    const margin = DETECTOR.margin;
+    const x0 = Math.max(0, (best.x - best.w * margin) / scale);
+    const y0 = Math.max(0, (best.y - best.h * margin) / scale);
+    const x1 = Math.min(image.bitmap.width, (best.x + best.w * (1 + margin)) / scale);
+    const y1 = Math.min(image.bitmap.height, (best.y + best.h * (1 + margin)) / scale);
+    return { x: Math.round(x0), y: Math.round(y0), width: Math.round(x1 - x0), height: Math.round(y1 - y0) };
+}
+
+// size x size grayscale crop of a face box
+function grayFace(image, box) {
+    const size = EMBEDDING.size;
+    const crop = image.clone().crop({ x: box.x, y: box.y, w: box.width, h: box.height }).resize({ w: size, h: size });
+    const { data } = crop.bitmap;
+    const gray = new Uint8Array(size * size);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+    return gray;
+}
+
+/**
+ * Face descriptor (unit length)
+ * @param {Jimp} image
+ * @param {Object} box - From detectFace
+ * @returns {Float64Array}
+ */
+function embedFace(image, box) {
+    const { size, grid, bins } = EMBEDDING;
+    const gray = grayFace(image, box);
+    const cell = size / grid;
+    const histograms = new Float64Array(grid * grid * bins);
+    const counts = new Array(grid * grid).fill(0);
+    // Neighbours clockwise from the top-left
+    const offsets = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+    for (let y = EMBEDDING.radius; y < size - EMBEDDING.radius; y++) {
+        for (let x = EMBEDDING.radius; x < size - EMBEDDING.radius; x++) {
+            const center = gray[y * size + x];
+            let code = 0;
+            offsets.forEach(([dx, dy], bit) => {
+                if (gray[(y + dy * EMBEDDING.radius) * size + x + dx * EMBEDDING.radius] >= center) code |= 1 << bit;
+            });
+            const c = Math.floor(y / cell) * grid + Math.floor(x / cell);
+            histograms[c * bins + UNIFORM_BINS[code]]++;
+            counts[c]++;
+        }
+    }
+
+    for (let i = 0; i < histograms.length; i++) {
+        histograms[i] = Math.sqrt(histograms[i] / counts[Math.floor(i / bins)]);
+    }
+    const norm = Math.sqrt(histograms.reduce((sum, v) => sum + v * v, 0));
+    return histograms.map(v => v / norm);
+}
+
+/**
+ * Cosine similarity of two descriptors (0-1)
+ */
+function similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
+
+// Share of dark (eye and brow) pixels in the eye band and their horizontal
+// position in one frame
+function frameFeatures(image) {
+    const box = detectFace(image);
+    if (!box) return null;
+    const size = EMBEDDING.size;
+    const gray = grayFace(image, box);
+    const faceMean = gray.reduce((sum, v) => sum + v, 0) / gray.length;
+
+    let bandCount = 0;
+    let darkX = 0;
+    let darkCount = 0;
+    for (let y = Math.floor(size * EYE_BAND[0]); y < Math.ceil(size * EYE_BAND[1]); y++) {
+        for (let x = 0; x < size; x++) {
+            bandCount++;
+            if (gray[y * size + x] < faceMean * DARK_SHARE) {
+                darkX += x;
+                darkCount++;
+            }
+        }
+    }
+    return {
+        gray,
+        eyeDark: darkCount / bandCount,
+        eyeX: darkCount > 0 ? darkX / darkCount / size : null
+    };
+}
+
+/**
+ * Liveness heuristic over frames captured with the live photo
+ * @param {Array} frames - Image paths, in capture order
+ * @returns {Promise<Object>} { checked, passed, frames, facesDetected, motion, blink, headTurn, eyeDarkDrop, eyeShift, reason }
+ *          checked is false (and passed null) when fewer than minFrames frames were sent
+ */
+async function checkLiveness(frames = []) {
+    const result = {
+        checked: false,
+        passed: null,
+        frames: frames.length,
+        facesDetected: 0,
+        motion: 0,
+        blink: false,
+        headTurn: false,
+        eyeDarkDrop: 0,
+        eyeShift: 0,
+        reason: null
+    };
+    if (frames.length < LIVENESS.minFrames) {
+        result.reason = `${frames.length} capture frame(s) received, ${LIVENESS.minFrames} needed`;
+        return result;
+    }
+    result.checked = true;
+    result.passed = false;
+
+    const features = [];
+    for (const frame of frames) {
+        const found = frameFeatures(await loadImage(frame));
+        if (found) features.push(found);
+    }
+    result.facesDetected = features.length;
+    if (features.length < LIVENESS.minFrames) {
+        result.reason = `face found in ${features.length} of ${frames.length} capture frames`;
+        return result;
+    }
+
+    for (let f = 1; f < features.length; f++) {
+        const [a, b] = [features[f - 1].gray, features[f].gray];
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff += Math.abs(a[i] - b[i]);
+        result.motion = Math.max(result.motion, diff / a.length / 255);
+    }
+    const dark = features.map(f => f.eyeDark);
+    const eyeXs = features.map(f => f.eyeX).filter(x => x !== null);
+    result.eyeDarkDrop = Math.max(...dark) > 0 ? 1 - Math.min(...dark) / Math.max(...dark) : 0;
+    result.eyeShift = eyeXs.length > 1 ? Math.max(...eyeXs) - Math.min(...eyeXs) : 0;
+    result.blink = result.eyeDarkDrop >= LIVENESS.blinkDrop;
+    result.headTurn = result.eyeShift >= LIVENESS.poseShift;
+    result.motion = round(result.motion, 4);
+    result.eyeDarkDrop = round(result.eyeDarkDrop);
+    result.eyeShift = round(result.eyeShift);
+
+    if (result.motion < LIVENESS.minMotion) {
+        result.reason = 'the face does not change between capture frames';
+    } else if (!result.blink && !result.headTurn) {
+        result.reason = 'no blink or head turn across the capture frames';
+    } else {
+        result.passed = true;
+    }
+    return result;
+}
+
+/**
+ * Compare the live photo with the photo on the Aadhaar and PAN card and
+ * check liveness. A card image that cannot be read is reported on its
+ * comparison; any other failure in `error`.
+ * @param {Object} params - { livePhoto, frames, documents: { aadhaar, pan } } file paths
+ * @returns {Promise<Object>} { modelVersion, calibrated, comparisons, similarity, matchedDocument, liveness, decision, issues, error }
+ *          decision: match | review | mismatch | no_face | liveness_failed
+ */
+async function verifyFace({ livePhoto, frames = [], documents = {} }) {
+    const result = {
+        modelVersion: MODEL.version,
+        calibrated: CALIBRATED,
+        comparisons: [],
+        similarity: null,
+        matchedDocument: null,
+        liveness: null,
+        decision: 'no_face',
+        issues: [],
+        error: null
+    };
+
+    try {
+        const live = await loadImage(livePhoto);
+        const liveBox = detectFace(live);
+        if (!liveBox) {
+            result.issues.push(issue('FACE_NOT_DETECTED', 'low', 10, isGreyscale(live)
+                ? 'The live photo is greyscale, so no face could be detected'
+                : 'No face found in the live photo'));
+            return result;
+        }
+        const liveEmbedding = embedFace(live, liveBox);
+
+        for (const [field, label] of Object.entries(DOCUMENT_LABELS)) {
+            if (!documents[field]) continue;
+            let image;
+            try {
+                image = await loadImage(documents[field]);
+            } catch (error) {
+                result.comparisons.push({ document: field, faceDetected: false, greyscale: false, box: null, similarity: null, error: error.message });
+                continue;
+            }
+            const box = detectFace(image);
+            const score = box ? round(similarity(liveEmbedding, embedFace(image, box))) : null;
+            result.comparisons.push({ document: field, faceDetected: !!box, greyscale: !box && isGreyscale(image), box, similarity: score, error: null });
+            if (score !== null && (result.similarity === null || score > result.similarity)) {
+                result.similarity = score;
+                result.matchedDocument = field;
+            }
+        }
+
+        if (result.similarity === null) {
+            const checked = result.comparisons.map(c => DOCUMENT_LABELS[c.document]).join(' or ');
+            const greyscale = result.comparisons.filter(c => c.greyscale).map(c => DOCUMENT_LABELS[c.document]).join(' and ');
+            result.issues.push(issue('FACE_NOT_DETECTED', 'low', 10, !checked
+                ? 'No Aadhaar or PAN card image to compare with the live photo'
+                : greyscale
+                    ? `No face found on the ${checked} to compare with the live photo: the ${greyscale} photo is greyscale, so compare by hand`
+                    : `No face found on the ${checked} to compare with the live photo`));
+        } else {
+            const label = DOCUMENT_LABELS[result.matchedDocument];
+            if (result.similarity >= THRESHOLDS.match) {
+                result.decision = 'match';
+            } else if (result.similarity >= THRESHOLDS.review) {
+                result.decision = 'review';
+                result.issues.push(issue('FACE_MATCH_INCONCLUSIVE', 'medium', 15,
+                    `Live photo matches the ${label} photo only weakly (similarity ${result.similarity}, match at ${THRESHOLDS.match})`));
+            } else {
+                result.decision = 'mismatch';
+                result.issues.push(issue('FACE_MISMATCH', 'high', 30,
+                    `Live photo does not match the ${label} photo (similarity ${result.similarity}, review from ${THRESHOLDS.review})`));
+            }
+        }
+
+        result.liveness = await checkLiveness(frames);
+        if (!result.liveness.checked) {
+            result.issues.push(issue('LIVENESS_NOT_CHECKED', 'low', 5, `Liveness not checked: ${result.liveness.reason}`));
+            if (result.decision === 'match') result.decision = 'review';
+        } else if (!result.liveness.passed) {
+            result.issues.push(issue('LIVENESS_FAILED', 'high', 30, `Liveness check failed: ${result.liveness.reason}`));
+            if (['match', 'review'].includes(result.decision)) result.decision = 'liveness_failed';
+        }
+    } catch (error) {
+        result.error = error.message;
+    }
+    return result;
+}
+
+module.exports = {
+    MODEL,
+    loadImage,
+    isGreyscale,
+    detectFace,
+    embedFace,
+    similarity,
+    checkLiveness,
+    verifyFace
+};
@@ -0,0 +1,141 @@
+/**
+ * Floating-rate loans
+ *
+ * A floating loan's rate is benchmark + spread (rag/policies.json
+ * floatingRate, benchmarks/*.json). The spread is fixed at origination as
+ * the priced rate minus the benchmark rate that day, so the first rate
+ * equals the fixed price. On each reset date the rate is re-read from the
+ * benchmark plus the larger of the spread and minSpread, and every rate is
+ * kept inside the policy's interestRateRange. The unpaid installments due after it are
+ * re-amortized (installments due on or before the reset date keep their
+ * old-rate amounts, paid or not):
+ *   emi    - same number of installments, new EMI
+ *   tenure - same EMI, installments added or removed; falls back to emi when
+ *            the EMI no longer covers the interest or the tenure would exceed
+ *            the policy's maximum
+ */
+
+const policies = require('../rag/policies.json');
+const { calculateEMI } = require('./creditScore');
+const { getBenchmarkRate } = require('./benchmarkRegistry');
+const { addMonths, toDateString, splitSchedule, amortize, installmentsForEmi } = require('./amortization');
+const { carryOverPayments } = require('./repayment');
+const { policyForScore } = require('./tenure');
+
+const FLOATING_RATE = policies.floatingRate;
+const RESET_PREFERENCES = ['emi', 'tenure'];
+
+function round2(value) {
+    return Number(value.toFixed(2));
+}
+
+// Rate kept inside the policy's { min, max }, when there is one
+function clampRate(rate, range) {
+    if (!range) return round2(rate);
+    return round2(Math.min(Math.max(rate, range.min), range.max));
+}
+
+/**
+ * Floating terms for a loan priced at fixedRate
+ * @param {number} fixedRate - Rate the loan was priced at
+ * @param {Object} options - { asOf, resetPreference, interestRateRange }
+ * @returns {Object} { rateType, benchmark, benchmarkRate, spread, interestRate, resetFrequencyMonths, resetPreference }
+ */
+function floatingTerms(fixedRate, { asOf = new Date(), resetPreference, interestRateRange } = {}) {
+    const benchmark = getBenchmarkRate(FLOATING_RATE.benchmark, asOf);
+    const interestRate = clampRate(fixedRate, interestRateRange);
+    const spread = round2(interestRate - benchmark.rate);
+    const preference = RESET_PREFERENCES.includes(resetPreference) ? resetPreference : FLOATING_RATE.resetPreference;
+
+    return {
+        rateType: 'floating',
+        benchmark: benchmark.id,
+        benchmarkRate: benchmark.rate,
+        spread,
+        interestRate,
+        resetFrequencyMonths: FLOATING_RATE.resetFrequencyMonths,
+        resetPreference: preference
+    };
+}
+
+/**
+ * First reset date of a loan starting on a date
+ */
+function firstResetDate(startDate, resetFrequencyMonths = FLOATING_RATE.resetFrequencyMonths) {
+    return addMonths(toDateString(startDate), resetFrequencyMonths);
+}
+
+/**
+ * Re-price a floating loan on its reset date
+ * @param {Object} application - Floating application (benchmark, spread, interestRate, emiSchedule, approvalScore)
+ * @param {Object} options - { resetDate, maxTenure, interestRateRange (default: the approval score's policy) }
+ * @returns {Object} { changed, benchmarkRate, rateBefore, rateAfter, mode, emiBefore, emiAfter,
+ *                     installmentsBefore, installmentsAfter, nextResetDate, schedule }
+ */
+function repriceLoan(application, { resetDate, maxTenure, interestRateRange }) {
+    const benchmark = getBenchmarkRate(application.benchmark, resetDate);
+    const policy = policyForScore(application.approvalScore || 0);
+    const range = interestRateRange || (policy ? policy.interestRateRange : undefined);
+    const rateBefore = application.interestRate;
+    const rateAfter = clampRate(benchmark.rate + Math.max(FLOATING_RATE.minSpread, application.spread), range);
+    const nextResetDate = addMonths(resetDate, application.resetFrequencyMonths || FLOATING_RATE.resetFrequencyMonths);
+
+    const schedule = application.emiSchedule || [];
+    const settled = schedule.filter(row => row.status === 'paid' || row.dueDate <= resetDate);
+    const { unpaid, outstanding, principalReceived } = splitSchedule(
+        schedule.filter(row => row.status !== 'paid' && row.dueDate > resetDate)
+    );
+    const base = {
+        benchmarkRate: benchmark.rate,
+        benchmarkEffectiveDate: benchmark.effectiveDate,
+        rateBefore,
+        rateAfter,
+        resetDate,
+        nextResetDate
+    };
+    if (rateAfter === rateBefore || unpaid.length === 0) {
+        return { ...base, changed: false };
+    }
+
+    // carryOverPayments applies principal already received to the new rows again
+    const amortized = outstanding + principalReceived;
+    const emiBefore = unpaid[0].emi;
+    let mode = application.resetPreference === 'tenure' ? 'tenure' : 'emi';
+    let count = unpaid.length;
+    let emi = emiBefore;
+
+    if (mode === 'tenure') {
+        count = installmentsForEmi(amortized, rateAfter, emiBefore);
+        if (!Number.isFinite(count) || settled.length + count > maxTenure) {
+            mode = 'emi';
+            count = unpaid.length;
+        }
+    }
+    if (mode === 'emi') {
+        emi = calculateEMI(amortized, rateAfter, count);
+    }
+
+    const rows = carryOverPayments(
+        unpaid,
+        amortize(amortized, rateAfter, emi, count, unpaid[0].installmentNo, unpaid[0].dueDate)
+    );
+    return {
+        ...base,
+        changed: true,
+        mode,
+        outstanding,
+        emiBefore,
+        emiAfter: emi,
+        installmentsBefore: unpaid.length,
+        installmentsAfter: rows.length,
+        schedule: [...settled, ...rows]
+    };
+}
+
+module.exports = {
+    FLOATING_RATE,
+    RESET_PREFERENCES,
+    floatingTerms,
+    firstResetDate,
+    repriceLoan
+};
@@ -1,64 +1,93 @@
-
-const axios = require('axios');
 require('dotenv').config();
+const { createOllamaProvider } = require('./llm/ollamaProvider');
+const { createOpenAIProvider } = require('./llm/openaiProvider');
+const { createRuleBasedProvider } = require('./llm/ruleBasedProvider');
 
-// Ollama API configuration
-// Default Ollama endpoint: http://localhost:11434
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1';
+// LLM provider configuration
+// LLM_PROVIDER: ollama (default) | openai (any OpenAI-compatible endpoint) | rules
+// LLM_FALLBACK_PROVIDER: provider used when the primary one fails (default: rules, "none" to disable)
+const PROVIDER_FACTORIES = {
+    ollama: createOllamaProvider,
+    openai: createOpenAIProvider,
+    rules: createRuleBasedProvider
+};
 
-/**
- * Call local Ollama model instead of Gemini API.
- * Ollama must be running locally with the specified model pulled.
- * 
- * To set up:
- * 1. Install Ollama: https://ollama.com
- * 2. Pull a model: ollama pull llama3.1
- * 3. Start Ollama (it runs automatically on install)
- */
-async function callGemini(prompt) {
-    const url = `${OLLAMA_BASE_URL}/api/generate`;
+let primaryProvider = null;
+let fallbackProvider = null;
 
-    let retries = 3;
-    let delay = 1000;
+function createProvider(name) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    return factory();
+}
 
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await axios.post(url, {
-                model: OLLAMA_MODEL,
-                prompt: prompt,
-                stream: false
-            }, {
-                timeout: 60000 // 60 second timeout for local models
-            });
+function getProviders() {
+    if (!primaryProvider) {
+        const primaryName = (process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+        const fallbackName = (process.env.LLM_FALLBACK_PROVIDER || 'rules').toLowerCase();
 
-            return response.data.response;
-        } catch (error) {
-            const status = error.response ? error.response.status : undefined;
-            const isConnectionError = error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND';
+        primaryProvider = createProvider(primaryName);
+        fallbackProvider = fallbackName === 'none' || fallbackName === primaryName
+            ? null
+            : createProvider(fallbackName);
+    }
+    return { primary: primaryProvider, fallback: fallbackProvider };
+}
 
-            if (isConnectionError) {
-                console.error(`Ollama not running or unreachable at ${OLLAMA_BASE_URL}`);
-                console.error('Make sure Ollama is installed and running. Try: ollama serve');
-                throw new Error(`Cannot connect to Ollama at ${OLLAMA_BASE_URL}. Is Ollama running?`);
-            }
+/**
+ * Replace the configured providers (tests, demos). Pass null to reset to env config.
+ */
+function setProviders(primary, fallback = null) {
+    primaryProvider = primary;
+    fallbackProvider = primary ? fallback : null;
+}
 
-            if (status === 404) {
-                console.error(`Model "${OLLAMA_MODEL}" not found. Pull it with: ollama pull ${OLLAMA_MODEL}`);
-                throw new Error(`Model "${OLLAMA_MODEL}" not found. Run: ollama pull ${OLLAMA_MODEL}`);
-            }
+/**
+ * Send a prompt to the configured LLM provider. If the primary provider
+ * fails, the fallback provider (rule-based by default) answers.
+ * @returns {Promise<{ text: string, model: string, fallback: boolean }>}
+ *   model is "<provider>:<model>" of whichever provider answered
+ */
+async function callLLM(prompt) {
+    const { primary, fallback } = getProviders();
 
-            if (i < retries - 1) {
-                console.log(`Ollama request failed. Retrying in ${delay / 1000}s...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                delay *= 2;
-                continue;
-            }
+    try {
+        const text = await primary.generate(prompt);
+        return { text, model: describeModel(primary), fallback: false };
+    } catch (error) {
+        if (!fallback) {
+            throw error;
+        }
 
-            console.error('Error calling Ollama API:', error.response ? error.response.data : error.message);
-            throw new Error('Failed to call Ollama API.');
+        console.warn(`LLM provider "${primary.name}" failed (${error.message}). Falling back to "${fallback.name}".`);
+        try {
+            const text = await fallback.generate(prompt);
+            return { text, model: describeModel(fallback), fallback: true };
+        } catch (fallbackError) {
+            throw new Error(`${error.message} (fallback "${fallback.name}" also failed: ${fallbackError.message})`);
         }
     }
 }
 
-module.exports = { callGemini };
+/**
+ * Raw text reply for a prompt. Kept under its historical name.
+ */
+async function callGemini(prompt) {
+    const { text } = await callLLM(prompt);
+    return text;
+}
+
+function describeModel(provider) {
+    return `${provider.name}:${provider.model}`;
+}
+
+/**
+ * Model identifier of the primary provider (used in cache keys)
+ */
+function getPrimaryModel() {
+    return describeModel(getProviders().primary);
+}
+
+module.exports = { callGemini, callLLM, getPrimaryModel, setProviders, getProviders };
@@ -0,0 +1,288 @@
+/**
+ * Deterministic identity validation for Aadhaar, PAN, IFSC, GSTIN, voter ID
+ * and driving licence numbers
+ *
+ * - Aadhaar: 12 digits, not starting with 0 or 1, last digit a Verhoeff
+ *   check digit over the other 11.
+ * - PAN: AAAAA9999A. The 4th character is the holder's entity type (P for
+ *   an individual, C for a company, ...) and must match the applicant type;
+ *   the 5th is the initial of an individual's surname (or of the entity's
+ *   name) and must match the name on record.
+ * - IFSC: 4-letter bank code, a 0 and a 6-character branch code. The bank
+ *   must be in the bundled list (reference/ifsc.json, or IFSC_BRANCHES_FILE)
+ *   and, where the list has branches for that bank, so must the branch.
+ * - GSTIN: 2-digit state code, the holder's PAN, an entity number, 'Z' and a
+ *   base-36 check character.
+ * - Voter ID (EPIC): 3 letters and 7 digits.
+ * - Driving licence: 2-letter state code, 2-digit RTO code, 4-digit year of
+ *   issue and a 7-digit serial.
+ *
+ * Failures are returned as fraud-check issues:
+ *   { type, severity, riskPoints, message }
+ * whose types are reason codes (utils/reasonCodes.js).
+ */
+
+const path = require('path');
+
+const IFSC_LIST = require(process.env.IFSC_BRANCHES_FILE
+    ? path.resolve(process.env.IFSC_BRANCHES_FILE)
+    : '../reference/ifsc.json');
+
+// Verhoeff dihedral group D5 multiplication and position permutation tables
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 7, 8, 6, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// PAN 4th character by applicant type
+const PAN_ENTITY_TYPES = {
+    individual: 'P',
+    company: 'C',
+    huf: 'H',
+    firm: 'F',
+    aop: 'A',
+    trust: 'T',
+    boi: 'B',
+    local_authority: 'L',
+    artificial_juridical_person: 'J',
+    government: 'G'
+};
+const APPLICANT_TYPES = Object.keys(PAN_ENTITY_TYPES);
+
+// Vehicle registration / licensing state codes (including pre-2014 UA, OR)
+const DL_STATE_CODES = [
+    'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR',
+    'JH', 'JK', 'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR',
+    'PB', 'PY', 'RJ', 'SK', 'TG', 'TN', 'TR', 'TS', 'UA', 'UK', 'UP', 'WB'
+];
+
+const BASE36 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function issue(type, severity, riskPoints, message) {
+    return { type, severity, riskPoints, message };
+}
+
+/**
+ * True when the last digit of a digit string is its Verhoeff check digit
+ */
+function verhoeffValid(digits) {
+    if (!/^\d+$/.test(digits)) return false;
+    let c = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+        c = VERHOEFF_D[c][VERHOEFF_P[i % 8][parseInt(reversed[i], 10)]];
+    }
+    return c === 0;
+}
+
+/**
+ * Validate an Aadhaar number
+ * @returns {Object} { valid, value, issues }
+ */
+function validateAadhaar(aadhaar) {
+    const value = String(aadhaar || '').replace(/[\s-]/g, '');
+    const last4 = value.slice(-4);
+    if (!/^\d{12}$/.test(value)) {
+        return { valid: false, value, issues: [issue('INVALID_AADHAAR', 'high', 30, 'Aadhaar is not a 12-digit number')] };
+    }
+
+    const issues = [];
+    if (value[0] === '0' || value[0] === '1') {
+        issues.push(issue('AADHAAR_INVALID_PREFIX', 'high', 30, `Aadhaar ending ${last4} starts with ${value[0]}; Aadhaar numbers never start with 0 or 1`));
+    }
+    if (!verhoeffValid(value)) {
+        issues.push(issue('AADHAAR_CHECKSUM_FAILED', 'high', 30, `Aadhaar ending ${last4} fails the Verhoeff checksum`));
+    }
+    return { valid: issues.length === 0, value, issues };
+}
+
+/**
+ * Validate a PAN against the applicant type and name. An unknown applicant
+ * type is reported as an issue and the PAN is checked as an individual's.
+ * @param {string} pan
+ * @param {Object} options - { applicantType (default: individual), name }
+ * @returns {Object} { valid, value, entityType, issues }
+ */
+function validatePAN(pan, { applicantType = 'individual', name = null } = {}) {
+    const value = String(pan || '').replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(value)) {
+        return { valid: false, value, entityType: null, issues: [issue('INVALID_PAN', 'high', 30, 'PAN does not match the format AAAAA9999A')] };
+    }
+
+    const issues = [];
+    let type = applicantType || 'individual';
+    if (!PAN_ENTITY_TYPES[type]) {
+        issues.push(issue('UNKNOWN_APPLICANT_TYPE', 'medium', 10, `Unknown applicant type "${type}" (use ${APPLICANT_TYPES.join(', ')}); PAN checked as an individual's`));
+        type = 'individual';
+    }
+    const entityType = value[3];
+    const expectedType = PAN_ENTITY_TYPES[type];
+    if (!Object.values(PAN_ENTITY_TYPES).includes(entityType)) {
+        issues.push(issue('INVALID_PAN', 'high', 30, `PAN entity type "${entityType}" does not exist`));
+    } else if (entityType !== expectedType) {
+        issues.push(issue('PAN_ENTITY_MISMATCH', 'high', 30, `PAN is issued to entity type "${entityType}" but the applicant is ${type.replace(/_/g, ' ')} ("${expectedType}")`));
+    }
+
+    // Individuals: surname initial; other entities: initial of their name
+    const words = String(name || '').toUpperCase().replace(/[^A-Z\s]/g, '').split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+        const initial = entityType === 'P' ? words[words.length - 1][0] : words[0][0];
+        if (value[4] !== initial) {
+            issues.push(issue('PAN_NAME_MISMATCH', 'medium', 20, `PAN 5th character "${value[4]}" does not match the ${entityType === 'P' ? 'surname' : 'name'} initial "${initial}"`));
+        }
+    }
+    return { valid: issues.length === 0, value, entityType, issues };
+}
+
+/**
+ * Validate an IFSC against the bundled bank and branch list
+ * @param {string} ifsc
+ * @param {Object} options - { bankName } as printed on the bank statement
+ * @returns {Object} { valid, value, bank, branch, issues }
+ */
+function validateIFSC(ifsc, { bankName = null } = {}) {
+    const value = String(ifsc || '').replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(value)) {
+        return { valid: false, value, bank: null, branch: null, issues: [issue('INVALID_IFSC', 'high', 25, `IFSC "${value}" is not 4 letters, a 0 and a 6-character branch code`)] };
+    }
+
+    const bankCode = value.slice(0, 4);
+    const branchCode = value.slice(5);
+    const bank = IFSC_LIST.banks[bankCode];
+    if (!bank) {
+        return { valid: false, value, bank: null, branch: null, issues: [issue('IFSC_UNKNOWN_BANK', 'high', 25, `IFSC bank code ${bankCode} is not a known bank`)] };
+    }
+
+    const issues = [];
+    const branches = bank.branches || {};
+    const branch = branches[branchCode] || null;
+    if (Object.keys(branches).length > 0 && !branch) {
+        issues.push(issue('IFSC_UNKNOWN_BRANCH', 'low', 10, `IFSC ${value} is not a listed ${bank.name} branch`));
+    }
+    if (bankName) {
+        const printed = bankName.toUpperCase().trim();
+        if (!bank.aliases.some(alias => printed === alias || printed.includes(alias))) {
+            issues.push(issue('IFSC_BANK_MISMATCH', 'medium', 15, `IFSC ${value} belongs to ${bank.name}, not ${bankName}`));
+        }
+    }
+    return { valid: issues.length === 0, value, bank: bank.name, branch, issues };
+}
+
+/**
+ * GSTIN check character: base-36 values weighted alternately 1 and 2, each
+ * product folded as quotient + remainder of 36
+ */
+function gstinCheckChar(first14) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = BASE36.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return BASE36[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validate a GSTIN
+ * @returns {Object} { valid, value, stateCode, pan, issues }
+ */
+function validateGSTIN(gstin) {
+    const value = String(gstin || '').replace(/\s/g, '').toUpperCase();
+    if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) {
+        return { valid: false, value, stateCode: null, pan: null, issues: [issue('INVALID_GSTIN', 'high', 25, `GSTIN "${value}" does not match the format 99AAAAA9999A9Z9`)] };
+    }
+
+    const issues = [];
+    const stateCode = value.slice(0, 2);
+    const state = parseInt(stateCode, 10);
+    if (!((state >= 1 && state <= 38) || state === 97 || state === 99)) {
+        issues.push(issue('INVALID_GSTIN', 'high', 25, `GSTIN state code ${stateCode} does not exist`));
+    }
+    if (gstinCheckChar(value.slice(0, 14)) !== value[14]) {
+        issues.push(issue('INVALID_GSTIN', 'high', 25, `GSTIN ${value} fails its check character`));
+    }
+    return { valid: issues.length === 0, value, stateCode, pan: value.slice(2, 12), issues };
+}
+
+/**
+ * Validate a voter ID (EPIC) number
+ * @returns {Object} { valid, value, issues }
+ */
+function validateVoterId(epic) {
+    const value = String(epic || '').replace(/[\s\/-]/g, '').toUpperCase();
+    if (!/^[A-Z]{3}\d{7}$/.test(value)) {
+        return { valid: false, value, issues: [issue('INVALID_VOTER_ID', 'medium', 20, `Voter ID "${value}" is not 3 letters and 7 digits`)] };
+    }
+    return { valid: true, value, issues: [] };
+}
+
+/**
+ * Validate a driving licence number
+ * @returns {Object} { valid, value, stateCode, issueYear, issues }
+ */
+function validateDrivingLicence(licence) {
+    const value = String(licence || '').replace(/[\s-]/g, '').toUpperCase();
+    const m = value.match(/^([A-Z]{2})(\d{2})(\d{4})(\d{7})$/);
+    if (!m) {
+        return { valid: false, value, stateCode: null, issueYear: null, issues: [issue('INVALID_DRIVING_LICENCE', 'medium', 20, `Driving licence "${value}" is not a state code, RTO code, year and 7-digit serial`)] };
+    }
+
+    const issues = [];
+    const [, stateCode, , year] = m;
+    const issueYear = parseInt(year, 10);
+    if (!DL_STATE_CODES.includes(stateCode)) {
+        issues.push(issue('INVALID_DRIVING_LICENCE', 'medium', 20, `Driving licence state code ${stateCode} does not exist`));
+    }
+    if (issueYear < 1950 || issueYear > new Date().getFullYear()) {
+        issues.push(issue('INVALID_DRIVING_LICENCE', 'medium', 20, `Driving licence year of issue ${issueYear} is not plausible`));
+    }
+    return { valid: issues.length === 0, value, stateCode, issueYear, issues };
+}
+
+/**
+ * Validate whichever identity numbers are given
+ * @param {Object} identity - { aadhaar, pan, ifsc, gstin, voterId, drivingLicence, name, applicantType, bankName }
+ * @returns {Object} { valid, issues, checks: { aadhaar?, pan?, ifsc?, gstin?, voterId?, drivingLicence? } }
+ */
+function validateIdentity({ aadhaar, pan, ifsc, gstin, voterId, drivingLicence, name, applicantType, bankName } = {}) {
+    const checks = {};
+    if (aadhaar) checks.aadhaar = validateAadhaar(aadhaar);
+    if (pan) checks.pan = validatePAN(pan, { applicantType: applicantType || 'individual', name });
+    if (ifsc) checks.ifsc = validateIFSC(ifsc, { bankName });
+    if (gstin) checks.gstin = validateGSTIN(gstin);
+    if (voterId) checks.voterId = validateVoterId(voterId);
+    if (drivingLicence) checks.drivingLicence = validateDrivingLicence(drivingLicence);
+
+    const issues = Object.values(checks).flatMap(check => check.issues);
+    return { valid: issues.length === 0, issues, checks };
+}
+
+module.exports = {
+    APPLICANT_TYPES,
+    PAN_ENTITY_TYPES,
+    verhoeffValid,
+    validateAadhaar,
+    validatePAN,
+    validateIFSC,
+    validateGSTIN,
+    validateVoterId,
+    validateDrivingLicence,
+    validateIdentity
+};
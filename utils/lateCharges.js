@@ -0,0 +1,118 @@
+/**
+ * Late-payment charges
+ *
+ * Terms come from the `lateCharges` of the policy the application's approval
+ * score qualifies for (rag/policies.json), else defaultLateCharges:
+ *   { graceDays, penalRatePercent, bounceCharge, allocationOrder }
+ *
+ * Once an installment is unpaid graceDays after its due date:
+ *   bounce         - one fixed bounceCharge for the missed EMI debit
+ *   penal_interest - penalRatePercent a year on its unpaid principal, for
+ *                    every day past the grace period, one line per
+ *                    installment and accrual
+ * Charges are accrued up to a date and kept as separate lines in the
+ * application's `charges`:
+ *   { chargeId, type, installmentNo?, from?, to?, days?, base?, ratePercent?,
+ *     amount, paidAmount, status: 'due'|'paid', accruedOn }
+ * Payments settle them in allocationOrder (utils/repayment.js).
+ */
+
+const policies = require('../rag/policies.json');
+const { policyForScore } = require('./tenure');
+const { toDateString } = require('./amortization');
+const { paidParts } = require('./repayment');
+
+const CHARGE_TYPES = ['penal_interest', 'bounce'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getLateChargeTerms(application) {
+    const policy = policyForScore(application.approvalScore || 0);
+    return (policy && policy.lateCharges) || policies.defaultLateCharges;
+}
+
+function addDays(dateString, days) {
+    return toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+    return Math.max(0, Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS));
+}
+
+/**
+ * Charges still to be paid
+ */
+function chargesDue(charges = []) {
+    return charges.reduce((sum, line) => sum + Math.max(0, line.amount - (line.paidAmount || 0)), 0);
+}
+
+/**
+ * Accrue late charges from the last accrual date up to asOf
+ * @param {Object} application - Application with emiSchedule, charges, lastChargeAccrualDate, approvalScore
+ * @param {Date|string} asOf - Accrual date (default: today)
+ * @returns {Object} { charges, accrued: new lines, chargesDue, lastChargeAccrualDate }
+ */
+function accrueLateCharges(application, asOf = new Date()) {
+    const terms = getLateChargeTerms(application);
+    const today = toDateString(asOf);
+    const since = application.lastChargeAccrualDate || null;
+    const charges = application.charges || [];
+
+    if (since && since >= today) {
+        return { charges, accrued: [], chargesDue: chargesDue(charges), lastChargeAccrualDate: since };
+    }
+
+    const late = (application.emiSchedule || [])
+        .filter(row => row.status !== 'paid')
+        .map(row => ({ row, graceEnd: addDays(row.dueDate, terms.graceDays) }))
+        .filter(({ graceEnd }) => graceEnd < today);
+
+    const accrued = [];
+    for (const { row } of late) {
+        const chargeId = `BNC-${row.installmentNo}`;
+        if (!charges.some(line => line.chargeId === chargeId)) {
+            accrued.push({
+                chargeId,
+                type: 'bounce',
+                installmentNo: row.installmentNo,
+                amount: terms.bounceCharge,
+                paidAmount: 0,
+                status: 'due',
+                accruedOn: today
+            });
+        }
+    }
+
+    // Penal interest on each late installment's unpaid principal for the days
+    // past its grace period since the last accrual
+    for (const { row, graceEnd } of late) {
+        const base = row.principal - paidParts(row).principal;
+        const start = since && since > graceEnd ? since : graceEnd;
+        const days = daysBetween(start, today);
+        const amount = Math.round(base * terms.penalRatePercent / 100 / 365 * days);
+        if (base <= 0 || amount <= 0) continue;
+        accrued.push({
+            chargeId: `PEN-${row.installmentNo}-${today}`,
+            type: 'penal_interest',
+            installmentNo: row.installmentNo,
+            from: addDays(start, 1),
+            to: today,
+            days,
+            base,
+            ratePercent: terms.penalRatePercent,
+            amount,
+            paidAmount: 0,
+            status: 'due',
+            accruedOn: today
+        });
+    }
+
+    const all = [...charges, ...accrued];
+    return { charges: all, accrued, chargesDue: chargesDue(all), lastChargeAccrualDate: today };
+}
+
+module.exports = {
+    CHARGE_TYPES,
+    getLateChargeTerms,
+    chargesDue,
+    accrueLateCharges
+};
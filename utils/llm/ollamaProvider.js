@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { withRetries, fatalError } = require('./retry');
+
+/**
+ * Local Ollama model via /api/generate.
+ *
+ * To set up:
+ * 1. Install Ollama: https://ollama.com
+ * 2. Pull a model: ollama pull llama3.1
+ * 3. Start Ollama (it runs automatically on install)
+ */
+function createOllamaProvider({
+    baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model = process.env.OLLAMA_MODEL || 'llama3.1',
+    timeout = 60000 // 60 second timeout for local models
+} = {}) {
+    async function generate(prompt) {
+        return withRetries('Ollama', async () => {
+            try {
+                const response = await axios.post(`${baseUrl}/api/generate`, {
+                    model,
+                    prompt,
+                    stream: false
+                }, { timeout });
+
+                return response.data.response;
+            } catch (error) {
+                const status = error.response ? error.response.status : undefined;
+
+                if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+                    console.error(`Ollama not running or unreachable at ${baseUrl}`);
+                    console.error('Make sure Ollama is installed and running. Try: ollama serve');
+                    throw fatalError(`Cannot connect to Ollama at ${baseUrl}. Is Ollama running?`);
+                }
+
+                if (status === 404) {
+                    console.error(`Model "${model}" not found. Pull it with: ollama pull ${model}`);
+                    throw fatalError(`Model "${model}" not found. Run: ollama pull ${model}`);
+                }
+
+                console.error('Error calling Ollama API:', error.response ? error.response.data : error.message);
+                throw new Error('Failed to call Ollama API.');
+            }
+        });
+    }
+
+    return { name: 'ollama', model, generate };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { withRetries, fatalError } = require('./retry');
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, vLLM, LM Studio,
+ * llama.cpp server, LiteLLM, ...). The base URL must include the API prefix,
+ * e.g. https://api.openai.com/v1 or http://localhost:8000/v1.
+ */
+function createOpenAIProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeout = 60000
+} = {}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function generate(prompt) {
+        return withRetries('OpenAI-compatible', async () => {
+            try {
+                const headers = { 'Content-Type': 'application/json' };
+                if (apiKey) {
+                    headers.Authorization = `Bearer ${apiKey}`;
+                }
+
+                const response = await axios.post(endpoint, {
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0
+                }, { headers, timeout });
+
+                const choice = response.data.choices && response.data.choices[0];
+                if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                    throw new Error('OpenAI-compatible response has no message content');
+                }
+                return choice.message.content;
+            } catch (error) {
+                const status = error.response ? error.response.status : undefined;
+
+                if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+                    throw fatalError(`Cannot connect to LLM endpoint at ${baseUrl}`);
+                }
+
+                if (status === 401 || status === 403) {
+                    throw fatalError(`LLM endpoint at ${baseUrl} rejected the API key (HTTP ${status})`);
+                }
+
+                if (status === 404) {
+                    throw fatalError(`Model "${model}" or endpoint ${endpoint} not found`);
+                }
+
+                console.error('Error calling OpenAI-compatible API:', error.response ? error.response.data : error.message);
+                throw new Error('Failed to call OpenAI-compatible API.');
+            }
+        });
+    }
+
+    return { name: 'openai', model, generate };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,27 @@
+/**
+ * Retry helper shared by the HTTP-based LLM providers.
+ * Errors marked with `fatal = true` (server unreachable, model missing)
+ * are thrown immediately instead of being retried.
+ */
+async function withRetries(label, fn, { retries = 3, delay = 1000 } = {}) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.fatal || i === retries - 1) {
+                throw error;
+            }
+            console.log(`${label} request failed. Retrying in ${delay / 1000}s...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+    }
+}
+
+function fatalError(message) {
+    const error = new Error(message);
+    error.fatal = true;
+    return error;
+}
+
+module.exports = { withRetries, fatalError };
@@ -0,0 +1,85 @@
+const { sha256 } = require('./hash');
+
+// Content-addressed cache of validated LLM responses.
+// Key = sha256(model + prompt id + prompt version + inputs), so the same prompt
+// version with the same inputs on the same model is answered from the cache.
+// Disabled until a store is configured (see server.js).
+const DEFAULT_TTL_SECONDS = parseInt(process.env.LLM_CACHE_TTL_SECONDS || String(30 * 24 * 3600), 10);
+
+let store = null;
+
+/**
+ * Redis-backed store (ioredis client)
+ */
+function createRedisCacheStore(redis, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    return {
+        name: 'redis',
+        async get(key) {
+            const data = await redis.get(`llm:cache:${key}`);
+            return data ? JSON.parse(data) : null;
+        },
+        async set(key, entry) {
+            await redis.setex(`llm:cache:${key}`, ttlSeconds, JSON.stringify(entry));
+        }
+    };
+}
+
+/**
+ * MongoDB-backed store ('llm_cache' collection, TTL index on expiresAt)
+ */
+function createMongoCacheStore(db, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    const col = db.collection('llm_cache');
+    return {
+        name: 'mongo',
+        async get(key) {
+            const doc = await col.findOne({ _id: key });
+            return doc ? doc.entry : null;
+        },
+        async set(key, entry) {
+            await col.updateOne(
+                { _id: key },
+                { $set: { entry, createdAt: new Date(), expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+                { upsert: true }
+            );
+        }
+    };
+}
+
+function configureLlmCache(cacheStore) {
+    store = cacheStore;
+}
+
+function buildCacheKey({ model, promptId, promptVersion, inputs }) {
+    return sha256(JSON.stringify({ model, promptId, promptVersion, inputs }));
+}
+
+/**
+ * Look up a cached response. Cache failures never fail the caller.
+ */
+async function getCachedResponse(key) {
+    if (!store) return null;
+    try {
+        return await store.get(key);
+    } catch (error) {
+        console.warn(`LLM cache (${store.name}) read failed:`, error.message);
+        return null;
+    }
+}
+
+async function setCachedResponse(key, entry) {
+    if (!store) return;
+    try {
+        await store.set(key, entry);
+    } catch (error) {
+        console.warn(`LLM cache (${store.name}) write failed:`, error.message);
+    }
+}
+
+module.exports = {
+    createRedisCacheStore,
+    createMongoCacheStore,
+    configureLlmCache,
+    buildCacheKey,
+    getCachedResponse,
+    setCachedResponse
+};
@@ -0,0 +1,135 @@
+/**
+ * Borrower repayment statement
+ *
+ * Lists, in date order, every installment that has fallen due (debit), every
+ * late charge levied (debit, utils/lateCharges.js) and every payment
+ * received (credit, split into charges, interest and principal as it was
+ * allocated). `balance` is the amount due after each line.
+ */
+
+const { toDateString } = require('./amortization');
+
+const LINE_ORDER = { installment: 0, charge: 1, payment: 2 };
+
+function chargeDescription(line) {
+    if (line.type === 'bounce') return `Bounce charge, installment ${line.installmentNo}`;
+    // Lines accrued before penal interest was split per installment have no installmentNo
+    const installment = line.installmentNo ? ` of installment ${line.installmentNo}` : '';
+    return `Penal interest ${line.ratePercent}% p.a. on ₹${line.base.toLocaleString()} overdue principal${installment}, ${line.from} to ${line.to}`;
+}
+
+function splitAllocations(allocations = []) {
+    const split = { charges: 0, interest: 0, principal: 0 };
+    for (const allocation of allocations) {
+        split[allocation.component] = (split[allocation.component] || 0) + allocation.amount;
+    }
+    return split;
+}
+
+/**
+ * Build the repayment statement of an application
+ * @param {Object} application - Application with emiSchedule, charges, repayments
+ * @param {Date|string} asOf - Statement date (default: today)
+ * @returns {Object} { applicationId, statementDate, summary, lines }
+ */
+function buildLoanStatement(application, asOf = new Date()) {
+    const statementDate = toDateString(asOf);
+    const lines = [];
+
+    for (const row of application.emiSchedule || []) {
+        if (row.dueDate > statementDate) continue;
+        lines.push({
+            date: row.dueDate,
+            type: 'installment',
+            description: `EMI ${row.installmentNo} (interest ₹${row.interest.toLocaleString()}, principal ₹${row.principal.toLocaleString()})`,
+            debit: row.emi,
+            credit: 0
+        });
+    }
+    for (const line of application.charges || []) {
+        if (line.accruedOn > statementDate) continue;
+        lines.push({
+            date: line.accruedOn,
+            type: 'charge',
+            chargeType: line.type,
+            chargeId: line.chargeId,
+            description: chargeDescription(line),
+            debit: line.amount,
+            credit: 0
+        });
+    }
+    for (const payment of application.repayments || []) {
+        if (payment.paymentDate > statementDate) continue;
+        lines.push({
+            date: payment.paymentDate,
+            type: 'payment',
+            paymentId: payment.paymentId,
+            description: 'Payment received',
+            debit: 0,
+            credit: payment.amount,
+            allocation: splitAllocations(payment.allocations)
+        });
+    }
+
+    lines.sort((a, b) => a.date.localeCompare(b.date) || LINE_ORDER[a.type] - LINE_ORDER[b.type]);
+    let balance = 0;
+    for (const line of lines) {
+        balance += line.debit - line.credit;
+        line.balance = balance;
+    }
+
+    const sum = (type, field) => lines.filter(l => l.type === type).reduce((total, l) => total + l[field], 0);
+    return {
+        applicationId: application._id,
+        customerName: application.customerName || null,
+        statementDate,
+        summary: {
+            sanctionedAmount: application.amount,
+            interestRate: application.interestRate,
+            emi: application.emi,
+            installmentsDue: sum('installment', 'debit'),
+            chargesLevied: sum('charge', 'debit'),
+            paymentsReceived: sum('payment', 'credit'),
+            balanceDue: balance,
+            outstandingPrincipal: application.outstandingPrincipal ?? null,
+            chargesDue: application.chargesDue || 0,
+            dpd: application.dpd || 0,
+            dpdBucket: application.dpdBucket || '0',
+            nextEmiDate: application.nextEmiDate || null
+        },
+        lines
+    };
+}
+
+/**
+ * Repayments and late charges of an application for its master contract
+ */
+function servicingSummary(application) {
+    return {
+        totalPaid: application.totalPaid || 0,
+        dpd: application.dpd || 0,
+        dpdBucket: application.dpdBucket || '0',
+        delinquencyState: application.delinquencyState || 'current',
+        chargesDue: application.chargesDue || 0,
+        charges: (application.charges || []).map(line => ({
+            chargeId: line.chargeId,
+            type: line.type,
+            installmentNo: line.installmentNo,
+            amount: line.amount,
+            paidAmount: line.paidAmount || 0,
+            status: line.status,
+            accruedOn: line.accruedOn
+        })),
+        repayments: (application.repayments || []).map(payment => ({
+            paymentId: payment.paymentId,
+            amount: payment.amount,
+            paymentDate: payment.paymentDate,
+            allocation: splitAllocations(payment.allocations)
+        }))
+    };
+}
+
+module.exports = {
+    buildLoanStatement,
+    servicingSummary
+};
@@ -0,0 +1,111 @@
+/**
+ * Passport machine-readable zone (ICAO 9303 TD3: two lines of 44 characters)
+ *
+ * Line 1: P<IND SURNAME<<GIVEN<NAMES<<<...
+ * Line 2: passport no (9) + check, nationality (3), birth date YYMMDD + check,
+ *         sex, expiry date YYMMDD + check, personal no (14) + check,
+ *         composite check over the number, birth, expiry and personal fields
+ * Check digits weight each character 7, 3, 1 (digits as is, A-Z as 10-35,
+ * '<' as 0) and take the sum modulo 10.
+ */
+
+const TD3_LENGTH = 44;
+const WEIGHTS = [7, 3, 1];
+
+function charValue(ch) {
+    if (ch >= '0' && ch <= '9') return ch.charCodeAt(0) - 48;
+    if (ch >= 'A' && ch <= 'Z') return ch.charCodeAt(0) - 55;
+    return 0;
+}
+
+/**
+ * ICAO 9303 check digit of a field
+ */
+function mrzCheckDigit(field) {
+    let sum = 0;
+    for (let i = 0; i < field.length; i++) {
+        sum += charValue(field[i]) * WEIGHTS[i % 3];
+    }
+    return sum % 10;
+}
+
+function checks(field, digit) {
+    return /^\d$/.test(digit) && mrzCheckDigit(field) === parseInt(digit, 10);
+}
+
+// YYMMDD; birth dates in the future belong to the previous century
+function mrzDate(value, { birth = false } = {}) {
+    if (!/^\d{6}$/.test(value)) return null;
+    const yy = parseInt(value.slice(0, 2), 10);
+    const currentYY = new Date().getUTCFullYear() % 100;
+    const century = birth && yy > currentYY ? 1900 : 2000;
+    return `${century + yy}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+// OCR reads 0 as O in numeric positions
+function digits(value) {
+    return value.replace(/O/g, '0');
+}
+
+/**
+ * Find the two MRZ lines of a passport in OCR text
+ * @returns {string[]|null} [line1, line2]
+ */
+function findMRZ(text) {
+    const candidates = String(text || '')
+        .split(/[\r\n]+/)
+        .map(line => line.replace(/\s+/g, '').toUpperCase().replace(/[«‹]/g, '<'))
+        .filter(line => line.length >= TD3_LENGTH - 2 && /^[A-Z0-9<]+$/.test(line));
+    const first = candidates.findIndex(line => line.startsWith('P') && line.includes('<<'));
+    if (first === -1 || !candidates[first + 1]) return null;
+    const pad = line => line.slice(0, TD3_LENGTH).padEnd(TD3_LENGTH, '<');
+    return [pad(candidates[first]), pad(candidates[first + 1])];
+}
+
+/**
+ * Parse and validate a TD3 passport MRZ
+ * @param {string[]} lines - [line1, line2] (see findMRZ)
+ * @returns {Object} { issuingCountry, surname, givenNames, passportNumber, nationality, dateOfBirth,
+ *                     sex, expiryDate, personalNumber, checks: { field: boolean }, valid }
+ */
+function parseMRZ([line1, line2]) {
+    const [surname, given = ''] = line1.slice(5).split('<<');
+    const passportNumber = line2.slice(0, 9);
+    const birth = digits(line2.slice(13, 19));
+    const expiry = digits(line2.slice(21, 27));
+    const personal = line2.slice(28, 42);
+
+    const result = {
+        documentType: line1.slice(0, 2).replace(/</g, ''),
+        issuingCountry: line1.slice(2, 5).replace(/</g, ''),
+        surname: surname.replace(/</g, ' ').trim(),
+        givenNames: given.replace(/</g, ' ').trim(),
+        passportNumber: passportNumber.replace(/</g, ''),
+        nationality: line2.slice(10, 13).replace(/</g, ''),
+        dateOfBirth: mrzDate(birth, { birth: true }),
+        sex: line2[20] === '<' ? null : line2[20],
+        expiryDate: mrzDate(expiry),
+        personalNumber: personal.replace(/</g, '') || null,
+        checks: {
+            passportNumber: checks(passportNumber, digits(line2[9])),
+            dateOfBirth: checks(birth, digits(line2[19])),
+            expiryDate: checks(expiry, digits(line2[27])),
+            // An empty personal number may carry '<' or 0 as its check digit
+            personalNumber: personal.replace(/</g, '') === ''
+                ? ['<', '0'].includes(line2[42])
+                : checks(personal, digits(line2[42])),
+            composite: checks(
+                line2.slice(0, 10) + birth + digits(line2[19]) + expiry + digits(line2[27]) + line2.slice(28, 43),
+                digits(line2[43])
+            )
+        }
+    };
+    result.valid = Object.values(result.checks).every(Boolean);
+    return result;
+}
+
+module.exports = {
+    mrzCheckDigit,
+    findMRZ,
+    parseMRZ
+};
@@ -0,0 +1,44 @@
+const { createTwilioSmsChannel } = require('./notifications/twilioSmsChannel');
+const { createSmtpEmailChannel } = require('./notifications/smtpEmailChannel');
+const { createInAppChannel } = require('./notifications/inAppChannel');
+const { createMemoryChannel } = require('./notifications/memoryChannel');
+
+// Delivery channels for borrower notifications:
+// NOTIFY_SMS_BACKEND=twilio | memory (default: twilio when TWILIO_ACCOUNT_SID is set)
+// NOTIFY_EMAIL_BACKEND=smtp | memory (default: smtp when SMTP_HOST is set)
+// The memory backends print messages instead of sending them, so the flow
+// works offline. The in-app inbox is always stored in MongoDB.
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'in_app'];
+const SMS_BACKEND = process.env.NOTIFY_SMS_BACKEND || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'memory');
+const EMAIL_BACKEND = process.env.NOTIFY_EMAIL_BACKEND || (process.env.SMTP_HOST ? 'smtp' : 'memory');
+
+function createSmsChannel() {
+    if (SMS_BACKEND === 'twilio') return createTwilioSmsChannel();
+    if (SMS_BACKEND === 'memory') return createMemoryChannel('sms');
+    throw new Error(`Unknown NOTIFY_SMS_BACKEND "${SMS_BACKEND}". Use "twilio" or "memory".`);
+}
+
+function createEmailChannel() {
+    if (EMAIL_BACKEND === 'smtp') return createSmtpEmailChannel();
+    if (EMAIL_BACKEND === 'memory') return createMemoryChannel('email');
+    throw new Error(`Unknown NOTIFY_EMAIL_BACKEND "${EMAIL_BACKEND}". Use "smtp" or "memory".`);
+}
+
+/**
+ * Channels by name ({ sms, email, in_app }); overrides replace any of them,
+ * e.g. memory channels in tests
+ * @param {Object} db - MongoDB database instance (in-app inbox)
+ * @param {Object} overrides - { sms, email, in_app }
+ */
+function createNotificationChannels(db, overrides = {}) {
+    return {
+        sms: overrides.sms || createSmsChannel(),
+        email: overrides.email || createEmailChannel(),
+        in_app: overrides.in_app || createInAppChannel(db)
+    };
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    createNotificationChannels
+};
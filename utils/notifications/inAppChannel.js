@@ -0,0 +1,34 @@
+/**
+ * In-app inbox: each message is a document in the `notifications` collection
+ *   { _id: deliveryId, userId, templateId, applicationId, subject, body, read, createdAt }
+ * keyed by its delivery id, so a retried delivery never shows twice.
+ */
+function createInAppChannel(db) {
+    async function send({ deliveryId, to, subject, body, templateId, applicationId }) {
+        try {
+            await db.collection('notifications').insertOne({
+                _id: deliveryId,
+                userId: to,
+                templateId,
+                applicationId: applicationId || null,
+                subject,
+                body,
+                read: false,
+                createdAt: new Date()
+            });
+        } catch (error) {
+            // Already in the inbox from an earlier attempt
+            if (error.code !== 11000) throw error;
+        }
+        return { providerId: deliveryId };
+    }
+
+    return {
+        name: 'in_app',
+        provider: 'inbox',
+        address: recipient => recipient.userId,
+        send
+    };
+}
+
+module.exports = { createInAppChannel };
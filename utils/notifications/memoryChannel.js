@@ -0,0 +1,31 @@
+/**
+ * Local stand-in for the SMS or email channel. Messages are kept in `outbox`
+ * and printed instead of being sent, so notifications work offline and
+ * tests can check what would have gone out. With `failWith`, every send
+ * throws that message instead.
+ */
+function createMemoryChannel(name, { address, failWith = null, log = true } = {}) {
+    const outbox = [];
+
+    async function send(message) {
+        if (failWith) {
+            throw new Error(failWith);
+        }
+        const providerId = `${name}-${outbox.length + 1}`;
+        outbox.push({ ...message, providerId });
+        if (log) {
+            console.log(`✉️  [Notify:${name}] to ${message.to}: ${message.subject ? `${message.subject} - ` : ''}${message.body}`);
+        }
+        return { providerId };
+    }
+
+    return {
+        name,
+        provider: 'memory',
+        address: address || (recipient => (name === 'sms' ? recipient.phone : recipient.email)),
+        send,
+        outbox
+    };
+}
+
+module.exports = { createMemoryChannel };
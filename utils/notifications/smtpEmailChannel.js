@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email delivery over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ * SMTP_PASS). Pass `transport` to send through another nodemailer transport.
+ */
+function createSmtpEmailChannel({
+    transport,
+    from = process.env.SMTP_FROM || 'BFSI Loans <no-reply@bfsi.com>'
+} = {}) {
+    const transporter = transport || nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    async function send({ to, subject, body }) {
+        const info = await transporter.sendMail({ from, to, subject, text: body });
+        return { providerId: info.messageId };
+    }
+
+    return {
+        name: 'email',
+        provider: 'smtp',
+        address: recipient => recipient.email,
+        send
+    };
+}
+
+module.exports = { createSmtpEmailChannel };
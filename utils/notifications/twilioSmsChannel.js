@@ -0,0 +1,35 @@
+const { getTwilioClient, TWILIO_PHONE_NUMBER } = require('../twilioClient');
+
+// Twilio expects E.164 numbers; stored Indian mobiles are 10 digits
+function toE164(phone) {
+    const digits = String(phone).replace(/[^\d+]/g, '');
+    if (/^\d{10}$/.test(digits)) return `+91${digits}`;
+    if (/^91\d{10}$/.test(digits)) return `+${digits}`;
+    return digits;
+}
+
+/**
+ * SMS delivery through Twilio.
+ * The client defaults to the one OTP login uses (utils/twilioClient.js).
+ */
+function createTwilioSmsChannel({
+    client = getTwilioClient(),
+    from = TWILIO_PHONE_NUMBER
+} = {}) {
+    async function send({ to, body }) {
+        if (!client || !from) {
+            throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)');
+        }
+        const message = await client.messages.create({ to: toE164(to), from, body });
+        return { providerId: message.sid };
+    }
+
+    return {
+        name: 'sms',
+        provider: 'twilio',
+        address: recipient => recipient.phone,
+        send
+    };
+}
+
+module.exports = { createTwilioSmsChannel, toE164 };
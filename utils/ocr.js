@@ -9,6 +9,10 @@ const stringSimilarity = require('string-similarity');
 const fs = require('fs');
 const path = require('path');
 const pdfPoppler = require('pdf-poppler');
+const { fraudReasonCodes } = require('./reasonCodes');
+const { APPLICANT_TYPES, validateAadhaar, validateIdentity } = require('./identityValidation');
+const { parseOpeningBalance, parseStatement, analyzeTransactions } = require('./bankStatement');
+const { findMRZ, parseMRZ } = require('./mrz');
 
 /**
  * Universal OCR function handling Images and PDFs (Text & Scanned)
@@ -91,6 +95,10 @@ async function performOCR(fileBufferOrPath, mimeType) {
 
 const PDFParser = require('pdf2json');
 
+// pdf2json page units (about 16pt); text items closer than this vertically
+// are on the same line
+const PDF_LINE_TOLERANCE = 0.3;
+
 /**
  * Extract text from PDF files.
  * Works with:
@@ -130,17 +138,27 @@ async function extractPdfText(pdfPath) {
 
                     for (const page of pdfData.Pages) {
                         if (page.Texts) {
-                            for (const textItem of page.Texts) {
-                                if (textItem.R) {
-                                    for (const run of textItem.R) {
-                                        if (run.T) {
-                                            const decoded = decodeURIComponent(run.T);
-                                            fullText += decoded + ' ';
+                            // One line per row of text (same y within PDF_LINE_TOLERANCE),
+                            // left to right, so tables keep their rows
+                            const lines = [];
+                            for (const textItem of [...page.Texts].sort((a, b) => a.y - b.y)) {
+                                const line = lines[lines.length - 1];
+                                if (line && Math.abs(textItem.y - line.y) <= PDF_LINE_TOLERANCE) line.items.push(textItem);
+                                else lines.push({ y: textItem.y, items: [textItem] });
+                            }
+                            for (const line of lines) {
+                                for (const textItem of line.items.sort((a, b) => a.x - b.x)) {
+                                    if (textItem.R) {
+                                        for (const run of textItem.R) {
+                                            if (run.T) {
+                                                const decoded = decodeURIComponent(run.T);
+                                                fullText += decoded + ' ';
+                                            }
                                         }
                                     }
                                 }
+                                fullText += '\n';
                             }
-                            fullText += '\n';
                         }
                     }
                 }
@@ -221,10 +239,17 @@ async function ocrImage(imagePathOrBuffer, langs = ['eng']) {
 
 // ==================== EXTRACTION HELPERS ====================
 
+// Prefers a 12-digit run that is a valid Aadhaar number (VID, phone and
+// enrolment numbers often appear on the same card); otherwise returns the
+// first one so the fraud check can report why it is invalid
 function extractAadhaarNumber(text) {
     const re = /\b(\d{4}\s?\d{4}\s?\d{4})\b/g;
-    const m = re.exec(text.replace(/[Oo]/g, '0'));
-    return m ? m[1].replace(/\s/g, '') : null;
+    const candidates = [];
+    let m;
+    while ((m = re.exec(text.replace(/[Oo]/g, '0'))) !== null) {
+        candidates.push(m[1].replace(/\s/g, ''));
+    }
+    return candidates.find(c => validateAadhaar(c).valid) || candidates[0] || null;
 }
 
 function extractPAN(text) {
@@ -261,6 +286,42 @@ function namesMatch(a = '', b = '', threshold = 0.75) {
     return score >= threshold;
 }
 
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// First DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY, DD MMM YYYY or YYYY-MM-DD date
+// in a string, as YYYY-MM-DD
+function parseDocumentDate(value) {
+    if (!value) return null;
+    const iso = String(value).match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const m = String(value).match(/\b(\d{1,2})[\/\-. ](\d{1,2}|[A-Za-z]{3})[A-Za-z]*[\/\-. ](\d{4})\b/);
+    if (!m) return null;
+    const month = /^\d+$/.test(m[2]) ? parseInt(m[2], 10) : MONTHS.indexOf(m[2].toUpperCase()) + 1;
+    const day = parseInt(m[1], 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${m[3]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Amounts on the first line matching a label (or the line after it when the
+// label line has none); 'first' or 'last' picks the column
+const AMOUNT = /(?:^|[^\d.,])(\d{1,3}(?:,\d{2,3})+(?:\.\d{2})?|\d+\.\d{2}|\d{4,})(?![\d,]|\.\d)/g;
+
+function findAmount(text, labelPattern, pick = 'last') {
+    const lines = text.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean);
+    const at = lines.findIndex(line => labelPattern.test(line));
+    if (at === -1) return null;
+    for (const line of [lines[at].replace(labelPattern, ' '), lines[at + 1] || '']) {
+        const amounts = [...line.matchAll(AMOUNT)].map(m => parseFloat(m[1].replace(/,/g, '')));
+        if (amounts.length > 0) return pick === 'first' ? amounts[0] : amounts[amounts.length - 1];
+    }
+    return null;
+}
+
+function extractAssessmentYear(text) {
+    const m = text.match(/Assessment\s+Year\s*[:\-]?\s*(\d{4})\s*[-–]\s*(\d{2,4})/i);
+    return m ? `${m[1]}-${m[2].slice(-2)}` : null;
+}
+
 // ==================== DOCUMENT PARSERS ====================
 
 async function parseAadhaar(imagePath, opts = {}) {
@@ -334,18 +395,9 @@ async function parseBankStatement(imagePath, opts = {}) {
     const ifscMatch = text.match(/([A-Z]{4}0[A-Z0-9]{6})/);
     const ifscCode = ifscMatch ? ifscMatch[1] : null;
 
-    // Estimate salary from credits
-    const creditPattern = /(?:CR|Credit)\s*[:\-]?\s*(?:Rs\.?|INR|₹)?\s*([\d,]+)/gi;
-    const credits = [];
-    let match;
-    while ((match = creditPattern.exec(text)) !== null) {
-        const amt = parseFloat(match[1].replace(/,/g, ''));
-        if (!isNaN(amt) && amt > 10000) credits.push(amt);
-    }
-
-    const estimatedSalary = credits.length > 0
-        ? Math.round(credits.reduce((a, b) => a + b, 0) / credits.length)
-        : null;
+    // Transaction table and income / obligation analytics (utils/bankStatement.js)
+    const { transactions, order, skippedRows } = parseStatement(text);
+    const analysis = analyzeTransactions(transactions);
 
     return {
         rawText: text,
@@ -353,8 +405,24 @@ async function parseBankStatement(imagePath, opts = {}) {
         accountHolderName,
         bankName,
         ifscCode,
-        estimatedMonthlySalary: estimatedSalary,
-        confidence: accountNumber ? 0.7 : 0.3
+        transactions,
+        statementOrder: order,
+        // Dated rows with amounts that could not be read; balances then cannot be reconciled
+        skippedRows,
+        openingBalance: parseOpeningBalance(text),
+        statementPeriod: analysis.period,
+        salaryByEmployer: analysis.salary.employers,
+        estimatedMonthlySalary: analysis.salary.estimatedMonthlySalary,
+        emiDebits: analysis.obligations.emis,
+        // Monthly EMIs seen on the statement; null when no transactions were read
+        detectedEMI: transactions.length > 0 ? analysis.obligations.monthlyEMI : null,
+        bounces: analysis.bounces,
+        cashDepositRatio: analysis.cashDepositRatio,
+        monthlyBalances: analysis.monthlyBalances,
+        averageBalance: analysis.averageBalance,
+        minBalance: analysis.minBalance,
+        closingBalance: analysis.closingBalance,
+        confidence: transactions.length > 0 ? 0.85 : accountNumber ? 0.5 : 0.3
     };
 }
 
@@ -413,13 +481,186 @@ async function parseSalarySlip(imagePath, opts = {}) {
     };
 }
 
+async function parseForm16(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    // Part A lists the deductor's PAN and TAN before the employee's PAN
+    const tanMatch = text.match(/\b([A-Z]{4}\d{5}[A-Z])\b/);
+    const employeePAN = extractPAN(findLabelValue(text, ['pan of the employee', 'employee pan']) || '')
+        || [...text.matchAll(/\b([A-Z]{3}P[A-Z]\d{4}[A-Z])\b/g)].map(m => m[1]).pop()
+        || null;
+
+    const grossSalary = findAmount(text, /Gross\s+Salary/i);
+    const taxableIncome = findAmount(text, /Total\s+taxable\s+income|Income\s+chargeable\s+under\s+the\s+head\s+.?Salaries/i);
+    const taxDeducted = findAmount(text, /(?:Total\s+)?(?:amount\s+of\s+)?tax\s+deducted/i);
+
+    return {
+        rawText: text,
+        employerName: findLabelValue(text, ['name and address of the employer', 'employer name', 'name of the deductor']),
+        employerTAN: tanMatch ? tanMatch[1] : null,
+        employeeName: findLabelValue(text, ['name and address of the employee', 'employee name']),
+        employeePAN,
+        assessmentYear: extractAssessmentYear(text),
+        grossSalary,
+        taxableIncome,
+        taxDeducted,
+        confidence: employeePAN && grossSalary ? 0.85 : employeePAN || grossSalary ? 0.5 : 0.3
+    };
+}
+
+async function parseITRV(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    const ackMatch = text.match(/Acknowledge?ment\s+(?:Number|No\.?)\s*[:\-]?\s*(\d{15})/i);
+    const formMatch = text.match(/\bITR\s*-?\s*([1-7])\b/i);
+    const filedMatch = text.match(/(?:e-?filed\s+on|date\s+of\s+filing|filed\s+on)\s*[:\-]?\s*([0-9A-Za-z\/\-. ]{8,12})/i);
+    const grossTotalIncome = findAmount(text, /Gross\s+Total\s+Income/i);
+    const totalIncome = findAmount(text, /^(?!.*gross).*Total\s+Income/i);
+
+    return {
+        rawText: text,
+        pan: extractPAN(findLabelValue(text, ['pan']) || '') || extractPAN(text),
+        name: findLabelValue(text, ['name']),
+        assessmentYear: extractAssessmentYear(text),
+        itrForm: formMatch ? `ITR-${formMatch[1]}` : null,
+        acknowledgementNumber: ackMatch ? ackMatch[1] : null,
+        grossTotalIncome,
+        totalIncome,
+        taxPaid: findAmount(text, /Taxes\s+Paid|Total\s+Tax\s+Paid/i),
+        filingDate: filedMatch ? parseDocumentDate(filedMatch[1]) : null,
+        confidence: ackMatch && totalIncome !== null ? 0.85 : ackMatch || totalIncome !== null ? 0.5 : 0.3
+    };
+}
+
+async function parseGSTReturn(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    const gstinMatch = text.match(/\b(\d{2}[A-Z]{5}\d{4}[A-Z][0-9A-Z]Z[0-9A-Z])\b/);
+    const typeMatch = text.match(/\bGSTR\s*-?\s*(1|3B|4|9)\b/i);
+    // GSTR-3B table 3.1(a): taxable value first, then IGST, CGST, SGST, cess
+    const taxableTurnover = findAmount(text, /Outward\s+taxable\s+supplies/i, 'first');
+
+    return {
+        rawText: text,
+        gstin: gstinMatch ? gstinMatch[1] : null,
+        legalName: findLabelValue(text, ['legal name', 'name of the registered person']),
+        tradeName: findLabelValue(text, ['trade name']),
+        returnType: typeMatch ? `GSTR-${typeMatch[1].toUpperCase()}` : null,
+        returnPeriod: findLabelValue(text, ['tax period', 'return period', 'period']),
+        financialYear: (text.match(/(?:Financial\s+)?Year\s*[:\-]?\s*(\d{4}\s*-\s*\d{2,4})/i) || [])[1]?.replace(/\s/g, '') || null,
+        taxableTurnover,
+        taxPaid: findAmount(text, /Total\s+tax\s+(?:paid|payable)|Tax\s+paid\s+in\s+cash/i),
+        confidence: gstinMatch && taxableTurnover !== null ? 0.85 : gstinMatch ? 0.5 : 0.3
+    };
+}
+
+async function parseVoterId(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    const epicMatch = text.match(/\b([A-Z]{3}\s?\d{7})\b/);
+    const genderMatch = text.match(/\b(male|female|transgender)\b/i);
+    const dob = findLabelValue(text, ['date of birth', 'dob']);
+
+    return {
+        rawText: text,
+        epicNumber: epicMatch ? epicMatch[1].replace(/\s/g, '') : null,
+        name: findLabelValue(text, ["elector's name", 'electors name', 'name']),
+        relativeName: findLabelValue(text, ["father's name", "husband's name", "mother's name", 'relation']),
+        gender: genderMatch ? genderMatch[1].toLowerCase() : null,
+        dateOfBirth: parseDocumentDate(dob),
+        confidence: epicMatch ? 0.8 : 0.3
+    };
+}
+
+async function parsePassport(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    // The MRZ carries every field with check digits; the printed page is a
+    // fallback when the MRZ was not read
+    const lines = findMRZ(text);
+    if (lines) {
+        const mrz = parseMRZ(lines);
+        return {
+            rawText: text,
+            passportNumber: mrz.passportNumber,
+            surname: mrz.surname,
+            givenNames: mrz.givenNames,
+            name: [mrz.givenNames, mrz.surname].filter(Boolean).join(' '),
+            nationality: mrz.nationality,
+            sex: mrz.sex,
+            dateOfBirth: mrz.dateOfBirth,
+            expiryDate: mrz.expiryDate,
+            mrz: { lines, checks: mrz.checks, valid: mrz.valid },
+            confidence: mrz.valid ? 0.95 : 0.5
+        };
+    }
+
+    const numberMatch = text.match(/\b([A-Z]\d{7})\b/);
+    const surname = findLabelValue(text, ['surname']);
+    const givenNames = findLabelValue(text, ['given name']);
+    return {
+        rawText: text,
+        passportNumber: numberMatch ? numberMatch[1] : null,
+        surname,
+        givenNames,
+        name: [givenNames, surname].filter(Boolean).join(' ') || null,
+        nationality: findLabelValue(text, ['nationality']),
+        sex: null,
+        dateOfBirth: parseDocumentDate(findLabelValue(text, ['date of birth'])),
+        expiryDate: parseDocumentDate(findLabelValue(text, ['date of expiry', 'expiry'])),
+        mrz: null,
+        confidence: numberMatch ? 0.4 : 0.2
+    };
+}
+
+async function parseDrivingLicence(imagePath, opts = {}) {
+    const mime = imagePath.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'image/png';
+    const text = await performOCR(imagePath, mime);
+
+    const numberMatch = text.match(/\b([A-Z]{2}[\s-]?\d{2}[\s-]?\d{4}[\s-]?\d{7})\b/);
+
+    return {
+        rawText: text,
+        licenceNumber: numberMatch ? numberMatch[1].replace(/[\s-]/g, '') : null,
+        name: findLabelValue(text, ['name']),
+        relativeName: findLabelValue(text, ['s/d/w of', 'son/daughter/wife of', "father's name"]),
+        dateOfBirth: parseDocumentDate(findLabelValue(text, ['date of birth', 'dob'])),
+        issueDate: parseDocumentDate(findLabelValue(text, ['date of issue', 'issue date', 'doi'])),
+        validTill: parseDocumentDate(findLabelValue(text, ['valid till', 'validity (nt)', 'validity', 'valid upto'])),
+        confidence: numberMatch ? 0.8 : 0.3
+    };
+}
+
 // ==================== FRAUD DETECTION ====================
 
+const DOCUMENT_LABELS = {
+    aadhaar: 'Aadhaar',
+    pan: 'PAN',
+    bankStatement: 'Bank statement',
+    salarySlip: 'Salary slip',
+    form16: 'Form 16',
+    itrV: 'ITR-V',
+    gstReturn: 'GST return',
+    voterId: 'Voter ID',
+    passport: 'Passport',
+    drivingLicence: 'Driving licence'
+};
+
 function performFraudCheck(documents, customerData = null) {
     const issues = [];
     let riskScore = 0;
 
-    const { aadhaar, pan, bankStatement, salarySlip } = documents || {};
+    const {
+        aadhaar, pan, bankStatement, salarySlip,
+        form16, itrV, gstReturn, voterId, passport, drivingLicence
+    } = documents || {};
+    // Unknown types are reported by validatePAN and checked as individuals
+    const applicantType = APPLICANT_TYPES.includes(customerData?.applicantType) ? customerData.applicantType : 'individual';
 
     // Check 1: Name consistency
     const names = [];
@@ -427,6 +668,13 @@ function performFraudCheck(documents, customerData = null) {
     if (pan?.name) names.push({ source: 'PAN', name: pan.name });
     if (bankStatement?.accountHolderName) names.push({ source: 'Bank', name: bankStatement.accountHolderName });
     if (salarySlip?.employeeName) names.push({ source: 'Salary', name: salarySlip.employeeName });
+    if (form16?.employeeName) names.push({ source: 'Form 16', name: form16.employeeName });
+    if (itrV?.name) names.push({ source: 'ITR-V', name: itrV.name });
+    // A proprietor's GST registration is in their own name; an entity's is not
+    if (gstReturn?.legalName && applicantType === 'individual') names.push({ source: 'GST', name: gstReturn.legalName });
+    if (voterId?.name) names.push({ source: 'Voter ID', name: voterId.name });
+    if (passport?.name) names.push({ source: 'Passport', name: passport.name });
+    if (drivingLicence?.name) names.push({ source: 'Driving Licence', name: drivingLicence.name });
 
     if (names.length > 1) {
         for (let i = 0; i < names.length - 1; i++) {
@@ -435,6 +683,7 @@ function performFraudCheck(documents, customerData = null) {
                     issues.push({
                         type: 'NAME_MISMATCH',
                         severity: 'high',
+                        riskPoints: 25,
                         message: `Name mismatch: ${names[i].source} vs ${names[j].source}`
                     });
                     riskScore += 25;
@@ -443,23 +692,74 @@ function performFraudCheck(documents, customerData = null) {
         }
     }
 
-    // Check 2: Aadhaar format
-    if (aadhaar?.aadhaar && !/^\d{12}$/.test(aadhaar.aadhaar.replace(/\s/g, ''))) {
-        issues.push({ type: 'INVALID_AADHAAR', severity: 'high', message: 'Invalid Aadhaar format' });
-        riskScore += 30;
+    // Check 2 & 3: Aadhaar checksum, PAN entity type and surname initial,
+    // IFSC bank and branch, GSTIN check character, voter ID and driving
+    // licence formats (utils/identityValidation.js)
+    const identity = validateIdentity({
+        aadhaar: aadhaar?.aadhaar,
+        pan: pan?.pan,
+        ifsc: bankStatement?.ifscCode,
+        gstin: gstReturn?.gstin,
+        voterId: voterId?.epicNumber,
+        drivingLicence: drivingLicence?.licenceNumber,
+        name: pan?.name || customerData?.name || aadhaar?.name,
+        applicantType: customerData?.applicantType,
+        bankName: bankStatement?.bankName
+    });
+    for (const identityIssue of identity.issues) {
+        issues.push(identityIssue);
+        riskScore += identityIssue.riskPoints;
     }
 
-    // Check 3: PAN format
-    if (pan?.pan && !pan.isValidFormat) {
-        issues.push({ type: 'INVALID_PAN', severity: 'high', message: 'Invalid PAN format' });
+    // Passport MRZ check digits (utils/mrz.js)
+    if (passport?.mrz && !passport.mrz.valid) {
+        const failed = Object.keys(passport.mrz.checks).filter(field => !passport.mrz.checks[field]);
+        issues.push({ type: 'PASSPORT_MRZ_INVALID', severity: 'high', riskPoints: 30, message: `Passport MRZ check digit failed for ${failed.join(', ')}` });
         riskScore += 30;
     }
 
+    // Check 3a: The same PAN on the PAN card, Form 16, ITR-V and GSTIN
+    const pans = [];
+    if (pan?.pan) pans.push({ source: 'PAN card', pan: pan.pan });
+    if (form16?.employeePAN) pans.push({ source: 'Form 16', pan: form16.employeePAN });
+    if (itrV?.pan) pans.push({ source: 'ITR-V', pan: itrV.pan });
+    if (gstReturn?.gstin && applicantType === 'individual') pans.push({ source: 'GSTIN', pan: gstReturn.gstin.slice(2, 12) });
+    for (const other of pans.slice(1)) {
+        if (other.pan !== pans[0].pan) {
+            issues.push({ type: 'DOCUMENT_PAN_MISMATCH', severity: 'high', riskPoints: 30, message: `PAN mismatch: ${pans[0].source} vs ${other.source}` });
+            riskScore += 30;
+        }
+    }
+
+    // Check 3b: Date of birth across identity documents
+    const births = [
+        { source: 'Aadhaar', date: parseDocumentDate(aadhaar?.dateOfBirth) },
+        { source: 'PAN', date: parseDocumentDate(pan?.dateOfBirth) },
+        { source: 'Voter ID', date: voterId?.dateOfBirth },
+        { source: 'Passport', date: passport?.dateOfBirth },
+        { source: 'Driving Licence', date: drivingLicence?.dateOfBirth }
+    ].filter(b => b.date);
+    for (const other of births.slice(1)) {
+        if (other.date !== births[0].date) {
+            issues.push({ type: 'DOB_MISMATCH', severity: 'high', riskPoints: 25, message: `Date of birth mismatch: ${births[0].source} vs ${other.source}` });
+            riskScore += 25;
+        }
+    }
+
+    // Check 3c: Expired passport or driving licence
+    const today = new Date().toISOString().slice(0, 10);
+    for (const [source, expiry] of [['Passport', passport?.expiryDate], ['Driving licence', drivingLicence?.validTill]]) {
+        if (expiry && expiry < today) {
+            issues.push({ type: 'DOCUMENT_EXPIRED', severity: 'medium', riskPoints: 20, message: `${source} expired on ${expiry}` });
+            riskScore += 20;
+        }
+    }
+
     // Check 4: Salary consistency between documents
     if (salarySlip?.netSalary && bankStatement?.estimatedMonthlySalary) {
         const diff = Math.abs(salarySlip.netSalary - bankStatement.estimatedMonthlySalary);
         if (diff / salarySlip.netSalary > 0.3) {
-            issues.push({ type: 'SALARY_MISMATCH', severity: 'medium', message: 'Salary mismatch between documents' });
+            issues.push({ type: 'SALARY_MISMATCH', severity: 'medium', riskPoints: 15, message: 'Salary mismatch between documents' });
             riskScore += 15;
         }
     }
@@ -475,6 +775,7 @@ function performFraudCheck(documents, customerData = null) {
             issues.push({
                 type: 'USER_SALARY_MISMATCH',
                 severity: 'high',
+                riskPoints: 30,
                 message: `User entered salary (₹${enteredSalary}) differs from salary slip (₹${extractedSalary}) by ${percentDiff.toFixed(0)}%`,
                 details: {
                     enteredSalary,
@@ -496,12 +797,61 @@ function performFraudCheck(documents, customerData = null) {
         }
     }
 
+    // Check 6: Declared monthly income vs annual income on Form 16 / ITR-V.
+    // Last year's income can be lower than today's, so only overstatement
+    // beyond 30% is flagged.
+    if (customerData?.monthlySalary) {
+        const declared = parseInt(customerData.monthlySalary);
+        const annual = [
+            { source: 'ITR-V', income: itrV?.totalIncome },
+            { source: 'Form 16', income: form16?.grossSalary }
+        ].filter(a => a.income > 0);
+        for (const { source, income } of annual) {
+            const documented = Math.round(income / 12);
+            if (declared > documented * 1.3) {
+                issues.push({
+                    type: 'INCOME_MISMATCH',
+                    severity: 'high',
+                    riskPoints: 25,
+                    message: `Declared monthly income (₹${declared}) exceeds ${source} income (₹${documented}/month) by ${(((declared - documented) / documented) * 100).toFixed(0)}%`
+                });
+                riskScore += 25;
+            }
+        }
+    }
+
+    // Check 7: Tamper and forgery findings on the uploaded files
+    // (utils/documentForensics.js, attached by /api/verify-docs)
+    for (const [field, label] of Object.entries(DOCUMENT_LABELS)) {
+        for (const finding of documents?.[field]?.forensics?.issues || []) {
+            issues.push({ ...finding, message: `${label}: ${finding.message}` });
+            riskScore += finding.riskPoints;
+        }
+    }
+
+    // Check 8: Live photo against the Aadhaar / PAN photo, and liveness
+    // (utils/faceMatch.js, attached by /api/verify-docs)
+    const faceMatch = documents?.faceMatch;
+    for (const finding of faceMatch?.issues || []) {
+        issues.push(finding);
+        riskScore += finding.riskPoints;
+    }
+
     return {
         passed: riskScore < 30,
         riskScore: Math.min(100, riskScore),
         riskLevel: riskScore >= 50 ? 'high' : riskScore >= 25 ? 'medium' : 'low',
         flagged: riskScore >= 30,
-        issues
+        issues,
+        reasonCodes: fraudReasonCodes(issues),
+        faceMatch: faceMatch ? {
+            similarity: faceMatch.similarity,
+            decision: faceMatch.decision,
+            matchedDocument: faceMatch.matchedDocument,
+            livenessPassed: faceMatch.liveness?.passed ?? null,
+            // Uncalibrated findings are review-only, with low risk points
+            calibrated: faceMatch.calibrated ?? false
+        } : null
     };
 }
 
@@ -514,9 +864,16 @@ module.exports = {
     parsePAN,
     parseBankStatement,
     parseSalarySlip,
+    parseForm16,
+    parseITRV,
+    parseGSTReturn,
+    parseVoterId,
+    parsePassport,
+    parseDrivingLicence,
     performFraudCheck,
     namesMatch,
     extractAadhaarNumber,
     extractPAN,
+    parseDocumentDate,
     normalizeName
 };
@@ -1,71 +1,80 @@
-
-const axios = require('axios');
 require('dotenv').config();
+const { createPinataStore } = require('./storage/pinataStore');
+const { createLocalStore } = require('./storage/localStore');
 
-const pinataJwt = process.env.PINATA_JWT;
-const pinataApiUrl = 'https://api.pinata.cloud/pinning/pinJSONToIPFS';
+// Storage backend for JSON documents (audit records, master contracts):
+// STORAGE_BACKEND=pinata | local. Defaults to Pinata when PINATA_JWT is set,
+// otherwise to the local content-addressed store so the flow works offline.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.PINATA_JWT ? 'pinata' : 'local');
 
-async function uploadJsonToPinata(jsonData) {
-    if (!pinataJwt) {
-        throw new Error('PINATA_JWT is not set in the environment variables.');
-    }
+const localStore = createLocalStore();
+const pinataStore = createPinataStore();
 
-    try {
-        const response = await axios.post(pinataApiUrl, jsonData, {
-            headers: {
-                'Authorization': `Bearer ${pinataJwt}`
-            },
-            timeout: 30000 // 30 second timeout
-        });
-        return response.data.IpfsHash;
-    } catch (error) {
-        console.error('Error uploading to Pinata:', error);
-        throw new Error('Failed to upload JSON to Pinata.');
+// When a pin queue is configured (server.js wires it to the MongoDB event
+// queue), Pinata uploads are asynchronous: the document is written to the
+// local store, its CID is returned immediately and a worker pins it later.
+let enqueuePin = null;
+
+function configurePinQueue(enqueue) {
+    enqueuePin = enqueue;
+}
+
+function getStorageBackend() {
+    if (STORAGE_BACKEND === 'local') return localStore;
+    if (STORAGE_BACKEND === 'pinata') return pinataStore;
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use "pinata" or "local".`);
+}
+
+async function storeJson(jsonData, options = {}) {
+    const backend = getStorageBackend();
+
+    if (backend === pinataStore && enqueuePin) {
+        const cid = await localStore.putJson(jsonData);
+        await enqueuePin(cid, options);
+        return { cid, url: localStore.getUrl(cid), backend: 'local+pin-queue' };
     }
+
+    const cid = await backend.putJson(jsonData, options);
+    return { cid, url: backend.getUrl(cid), backend: backend.name };
 }
 
 /**
- * Upload JSON data to IPFS via Pinata with custom filename
+ * Store a JSON document and return its CID.
+ * Kept under its historical name; uses the configured storage backend.
+ */
+async function uploadJsonToPinata(jsonData) {
+    const { cid } = await storeJson(jsonData);
+    return cid;
+}
+
+/**
+ * Upload JSON data with a custom filename (used for master contracts)
  * @param {Object} jsonData - JSON object to upload
  * @param {String} fileName - Custom filename for the JSON file
- * @returns {Object} - IPFS hash and Pinata URL
+ * @returns {Object} - IPFS hash and URL
  */
 async function uploadJSONToIPFS(jsonData, fileName = 'data.json') {
+    const backend = getStorageBackend();
     try {
-        const url = 'https://api.pinata.cloud/pinning/pinJSONToIPFS';
-        
-        const data = {
-            pinataContent: jsonData,
-            pinataMetadata: {
-                name: fileName,
-                keyvalues: {
-                    type: 'master-contract',
-                    timestamp: new Date().toISOString()
-                }
+        const { cid: ipfsHash, url, backend: storedIn } = await storeJson(jsonData, {
+            fileName,
+            keyvalues: {
+                type: 'master-contract',
+                timestamp: new Date().toISOString()
             }
-        };
-        
-        const response = await axios.post(url, data, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${pinataJwt}`
-            },
-            timeout: 30000
         });
-        
-        const ipfsHash = response.data.IpfsHash;
-        const pinataUrl = `https://gateway.pinata.cloud/ipfs/${ipfsHash}`;
-        
-        console.log(`✅ JSON uploaded to IPFS: ${ipfsHash}`);
-        
+
+        console.log(`✅ JSON uploaded to ${storedIn} store: ${ipfsHash}`);
+
         return {
             success: true,
             ipfsHash,
-            pinataUrl,
+            pinataUrl: url,
+            url,
             fileName
         };
     } catch (error) {
-        console.error('❌ Failed to upload JSON to Pinata:', error.message);
+        console.error(`❌ Failed to upload JSON to ${backend.name} store:`, error.message);
         return {
             success: false,
             error: error.message
@@ -73,4 +82,37 @@ async function uploadJSONToIPFS(jsonData, fileName = 'data.json') {
     }
 }
 
-module.exports = { uploadJsonToPinata, uploadJSONToIPFS };
+/**
+ * Resolve a CID to its JSON document. The local store is checked first;
+ * the Pinata gateway is only queried when Pinata is the active backend.
+ * @returns {Promise<Object|null>} Document or null if not found
+ */
+async function getJsonByCid(cid) {
+    const local = await localStore.getJson(cid);
+    if (local !== null) {
+        return local;
+    }
+    if (getStorageBackend() === pinataStore) {
+        return pinataStore.getJson(cid);
+    }
+    return null;
+}
+
+/**
+ * URL where a CID can be viewed for the active backend
+ */
+function getCidUrl(cid) {
+    // Queued documents are served from the local store until (and after) they are pinned
+    return (enqueuePin ? localStore : getStorageBackend()).getUrl(cid);
+}
+
+module.exports = {
+    uploadJsonToPinata,
+    uploadJSONToIPFS,
+    getJsonByCid,
+    getCidUrl,
+    getStorageBackend,
+    configurePinQueue,
+    localStore,
+    pinataStore
+};
@@ -0,0 +1,176 @@
+/**
+ * Prepayment, part-payment and foreclosure calculator
+ *
+ * Works on the EMI schedule stored with an application (see
+ * generateEMISchedule in creditScore.js). Installments with status 'paid'
+ * are kept as they are; only the unpaid installments are re-amortized
+ * (utils/amortization.js). Loans with overdue installments or late charges
+ * due must clear them first; part-payments already received on unpaid installments are carried
+ * over to the new schedule (utils/repayment.js).
+ *
+ * Part-prepayment modes:
+ *   reduce_emi    - same number of remaining installments, lower EMI
+ *   reduce_tenure - same EMI, fewer installments (the last one clears the balance)
+ *
+ * Charges come from the prepayment terms of the policy the application's
+ * approval score qualifies for (rag/policies.json), else defaultPrepayment:
+ *   { lockInInstallments, minPartPayment, partPaymentPercent, foreclosurePercent }
+ */
+
+const policies = require('../rag/policies.json');
+const { calculateEMI } = require('./creditScore');
+const { policyForScore } = require('./tenure');
+const { toDateString, splitSchedule, amortize, totalInterest } = require('./amortization');
+const { carryOverPayments } = require('./repayment');
+
+const PREPAYMENT_MODES = ['reduce_emi', 'reduce_tenure'];
+const SERVICEABLE_STATUSES = ['approved', 'disbursed'];
+const QUOTE_VALIDITY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getPrepaymentTerms(application) {
+    const policy = policyForScore(application.approvalScore || 0);
+    return (policy && policy.prepayment) || policies.defaultPrepayment;
+}
+
+function daysBetween(from, to) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(`${from}T00:00:00Z`)) / DAY_MS));
+}
+
+/**
+ * Paid and unpaid installments and the principal still owed
+ */
+function scheduleState(application) {
+    const schedule = application.emiSchedule;
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+        throw new Error(`Application ${application._id} has no EMI schedule`);
+    }
+    if (!SERVICEABLE_STATUSES.includes(application.status)) {
+        throw new Error(`Application ${application._id} is ${application.status}, prepayment needs an approved or disbursed loan`);
+    }
+
+    const { paid, unpaid, lastPaid, outstanding, principalReceived } = splitSchedule(schedule);
+    if (unpaid.length === 0) {
+        throw new Error(`Application ${application._id} has no unpaid installments`);
+    }
+    const overdue = unpaid.filter(row => row.status === 'overdue');
+    if (overdue.length > 0) {
+        throw new Error(`Application ${application._id} has ${overdue.length} overdue installment(s), clear them first`);
+    }
+
+    return {
+        paid,
+        unpaid,
+        outstanding,
+        principalReceived,
+        partPaid: unpaid.reduce((sum, row) => sum + (row.paidAmount || 0), 0),
+        lastPaidDate: lastPaid ? lastPaid.dueDate : toDateString(application.disbursedAt || application.submittedAt)
+    };
+}
+
+/**
+ * Simulate a part-prepayment
+ * @param {Object} application - Application with amount, interestRate, emi, emiSchedule, approvalScore
+ * @param {Object} params - { amount, mode: 'reduce_emi'|'reduce_tenure' }
+ * @returns {Object} Charges, before/after EMI and installments, interest saved and the new schedule
+ */
+function simulatePartPrepayment(application, { amount, mode = 'reduce_emi' } = {}) {
+    const prepayAmount = Number(amount);
+    if (!Number.isFinite(prepayAmount) || prepayAmount <= 0) {
+        throw new Error('amount must be a positive number');
+    }
+    if (!PREPAYMENT_MODES.includes(mode)) {
+        throw new Error(`mode must be one of ${PREPAYMENT_MODES.join(', ')}`);
+    }
+
+    const terms = getPrepaymentTerms(application);
+    const { paid, unpaid, outstanding, principalReceived } = scheduleState(application);
+
+    if (paid.length < terms.lockInInstallments) {
+        throw new Error(`Prepayment is allowed after ${terms.lockInInstallments} paid installments (${paid.length} paid)`);
+    }
+    if (application.chargesDue > 0) {
+        throw new Error(`Late charges of ₹${application.chargesDue} are due, clear them first`);
+    }
+    if (prepayAmount < terms.minPartPayment) {
+        throw new Error(`Minimum part-payment is ₹${terms.minPartPayment}`);
+    }
+    if (prepayAmount >= outstanding) {
+        throw new Error(`amount must be below the outstanding principal of ₹${outstanding}, use a foreclosure quote to close the loan`);
+    }
+
+    const rate = application.interestRate;
+    const principalAfter = outstanding - prepayAmount;
+    const amortized = principalAfter + principalReceived;
+    const emiBefore = unpaid[0].emi;
+    const emiAfter = mode === 'reduce_emi' ? calculateEMI(amortized, rate, unpaid.length) : emiBefore;
+    const rows = carryOverPayments(
+        unpaid,
+        amortize(amortized, rate, emiAfter, unpaid.length, unpaid[0].installmentNo, unpaid[0].dueDate)
+    );
+    const charge = Math.round(prepayAmount * terms.partPaymentPercent / 100);
+
+    return {
+        type: 'part_prepayment',
+        mode,
+        amount: prepayAmount,
+        charge,
+        chargePercent: terms.partPaymentPercent,
+        totalPayable: prepayAmount + charge,
+        outstandingBefore: outstanding,
+        outstandingAfter: principalAfter,
+        emiBefore,
+        emiAfter,
+        installmentsBefore: unpaid.length,
+        installmentsAfter: rows.length,
+        interestSaved: totalInterest(unpaid) - totalInterest(rows),
+        nextEmiDate: rows[0].dueDate,
+        schedule: [...paid, ...rows]
+    };
+}
+
+/**
+ * Quote to close the loan on a date: outstanding principal, interest accrued
+ * since the last paid installment (per day), late charges due and the
+ * foreclosure charge, less interest already received on unpaid installments
+ * (principal received is already out of the outstanding principal)
+ * @param {Object} application - Application with amount, interestRate, emiSchedule, approvalScore
+ * @param {Date|string} asOf - Quote date (default: now)
+ * @returns {Object} Quote with totalPayable, per-diem interest and validity
+ */
+function foreclosureQuote(application, asOf = new Date()) {
+    const terms = getPrepaymentTerms(application);
+    const { paid, unpaid, outstanding, principalReceived, partPaid, lastPaidDate } = scheduleState(application);
+
+    if (paid.length < terms.lockInInstallments) {
+        throw new Error(`Foreclosure is allowed after ${terms.lockInInstallments} paid installments (${paid.length} paid)`);
+    }
+
+    const perDiemInterest = outstanding * application.interestRate / 100 / 365;
+    const accruedInterest = Math.round(perDiemInterest * daysBetween(lastPaidDate, asOf));
+    const charge = Math.round(outstanding * terms.foreclosurePercent / 100);
+
+    return {
+        type: 'foreclosure',
+        quoteDate: toDateString(asOf),
+        validUntil: toDateString(new Date(asOf).getTime() + QUOTE_VALIDITY_DAYS * DAY_MS),
+        outstandingPrincipal: outstanding,
+        accruedInterest,
+        interestFrom: lastPaidDate,
+        perDiemInterest: Number(perDiemInterest.toFixed(2)),
+        charge,
+        chargePercent: terms.foreclosurePercent,
+        lateCharges: application.chargesDue || 0,
+        partPaymentsReceived: partPaid,
+        totalPayable: outstanding + accruedInterest + charge + (application.chargesDue || 0) - (partPaid - principalReceived),
+        remainingInstallments: unpaid.length,
+        interestSaved: totalInterest(unpaid) - accruedInterest
+    };
+}
+
+module.exports = {
+    PREPAYMENT_MODES,
+    getPrepaymentTerms,
+    simulatePartPrepayment,
+    foreclosureQuote
+};
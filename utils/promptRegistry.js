@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned prompt templates, one JSON file per prompt id:
+// { id, description, activeVersion, versions: [{ version, createdAt, template }] }
+// Files are re-read when they change, so a new version can be activated without a deploy.
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+
+const loaded = new Map(); // id -> { mtimeMs, doc }
+
+function loadPromptFile(id) {
+    const file = path.join(PROMPTS_DIR, `${id}.json`);
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        throw new Error(`Prompt "${id}" not found in ${PROMPTS_DIR}`);
+    }
+
+    const cached = loaded.get(id);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.doc;
+    }
+
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (doc.id !== id || !Array.isArray(doc.versions) || doc.versions.length === 0) {
+        throw new Error(`Prompt file ${file} must have id "${id}" and a non-empty versions list`);
+    }
+
+    loaded.set(id, { mtimeMs: stat.mtimeMs, doc });
+    return doc;
+}
+
+/**
+ * Get a prompt template (the active version unless one is requested)
+ * @returns {{ id: string, version: number, template: string }}
+ */
+function getPrompt(id, version) {
+    const doc = loadPromptFile(id);
+    const wanted = version !== undefined ? version : doc.activeVersion;
+    const entry = doc.versions.find(v => v.version === wanted);
+
+    if (!entry) {
+        throw new Error(`Prompt "${id}" has no version ${wanted}`);
+    }
+    return { id, version: entry.version, template: entry.template };
+}
+
+/**
+ * Fill a template's {{name}} placeholders. Strings are inserted as-is,
+ * everything else as JSON (undefined renders as "undefined").
+ */
+function fillTemplate(template, variables) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!(name in variables)) {
+            throw new Error(`Missing prompt variable "${name}"`);
+        }
+        const value = variables[name];
+        return typeof value === 'string' ? value : String(JSON.stringify(value));
+    });
+}
+
+/**
+ * Render a registered prompt
+ * @param {string} id - Prompt id (file name in prompts/)
+ * @param {Object} variables - Template variables
+ * @param {number} version - Optional version, defaults to activeVersion
+ * @returns {{ id: string, version: number, text: string }}
+ */
+function renderPrompt(id, variables = {}, version) {
+    const prompt = getPrompt(id, version);
+    return { id, version: prompt.version, text: fillTemplate(prompt.template, variables) };
+}
+
+/**
+ * List registered prompts with their active and available versions
+ */
+function listPrompts() {
+    return fs.readdirSync(PROMPTS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const doc = loadPromptFile(path.basename(file, '.json'));
+            return {
+                id: doc.id,
+                description: doc.description || '',
+                activeVersion: doc.activeVersion,
+                versions: doc.versions.map(v => v.version)
+            };
+        });
+}
+
+module.exports = { getPrompt, renderPrompt, listPrompts };
@@ -0,0 +1,346 @@
+// Standardized reason codes for scores, fraud checks and rejections.
+//
+// Every decision that lowers a score or rejects an application carries a
+// ranked list of reason codes:
+//   [{ code, rank, source, scoreLoss?, detail? }]
+// Scorecard codes are ranked by the score points their factor lost;
+// fraud-check codes by the risk points they added. `description` is for
+// staff and auditors, `customerText` is what adverse-action letters and the
+// chat show to the applicant.
+
+const REASON_CODES = {
+    // Scorecard factors
+    INCOME_TOO_LOW: {
+        description: 'Monthly income is below the scorecard bands',
+        customerText: 'Your monthly income is lower than required for the requested loan.'
+    },
+    DTI_TOO_HIGH: {
+        description: 'Existing plus proposed EMIs are too high relative to income',
+        customerText: 'Your monthly loan repayments would be too high compared with your income.'
+    },
+    LOAN_AMOUNT_TOO_HIGH: {
+        description: 'Requested amount is high relative to affordable borrowing',
+        customerText: 'The loan amount you requested is high compared with your income.'
+    },
+    INSUFFICIENT_BALANCE: {
+        description: 'Average or minimum bank balance is low',
+        customerText: 'The balances in your bank account are too low.'
+    },
+    EMPLOYMENT_TYPE_RISK: {
+        description: 'Employment type scores below salaried / government',
+        customerText: 'Your type of employment does not meet our income stability criteria.'
+    },
+
+    // Document and fraud checks
+    NAME_MISMATCH: {
+        description: 'Names differ between submitted documents',
+        customerText: 'The name on your documents does not match across all documents.'
+    },
+    INVALID_AADHAAR: {
+        description: 'Aadhaar number failed format validation',
+        customerText: 'We could not validate your Aadhaar number.'
+    },
+    AADHAAR_CHECKSUM_FAILED: {
+        description: 'Aadhaar number fails the Verhoeff checksum',
+        customerText: 'The Aadhaar number on your document is not a valid Aadhaar number.'
+    },
+    AADHAAR_INVALID_PREFIX: {
+        description: 'Aadhaar number starts with 0 or 1',
+        customerText: 'The Aadhaar number on your document is not a valid Aadhaar number.'
+    },
+    INVALID_PAN: {
+        description: 'PAN failed format validation',
+        customerText: 'We could not validate your PAN.'
+    },
+    UNKNOWN_APPLICANT_TYPE: {
+        description: 'Applicant type is not one of the PAN holder types',
+        customerText: 'We could not tell what type of applicant you applied as.'
+    },
+    PAN_ENTITY_MISMATCH: {
+        description: 'PAN entity type (4th character) does not match the applicant type',
+        customerText: 'Your PAN is not issued to the type of applicant you applied as.'
+    },
+    PAN_NAME_MISMATCH: {
+        description: 'PAN 5th character does not match the surname initial',
+        customerText: 'Your PAN does not match the name on your application.'
+    },
+    INVALID_IFSC: {
+        description: 'IFSC failed format validation',
+        customerText: 'We could not validate the IFSC of your bank account.'
+    },
+    IFSC_UNKNOWN_BANK: {
+        description: 'IFSC bank code is not a known bank',
+        customerText: 'We could not validate the IFSC of your bank account.'
+    },
+    IFSC_UNKNOWN_BRANCH: {
+        description: 'IFSC branch code is not in the branch list',
+        customerText: 'We could not find the branch of your bank account.'
+    },
+    IFSC_BANK_MISMATCH: {
+        description: 'IFSC bank differs from the bank named on the statement',
+        customerText: 'The IFSC on your bank statement does not match your bank.'
+    },
+    INVALID_GSTIN: {
+        description: 'GSTIN failed format, state code or check character validation',
+        customerText: 'We could not validate the GSTIN on your GST return.'
+    },
+    INVALID_VOTER_ID: {
+        description: 'Voter ID (EPIC) number failed format validation',
+        customerText: 'We could not validate your voter ID number.'
+    },
+    INVALID_DRIVING_LICENCE: {
+        description: 'Driving licence number failed format validation',
+        customerText: 'We could not validate your driving licence number.'
+    },
+    PASSPORT_MRZ_INVALID: {
+        description: 'Passport machine-readable zone fails its check digits',
+        customerText: 'We could not validate your passport.'
+    },
+    DOCUMENT_EXPIRED: {
+        description: 'Passport or driving licence has expired',
+        customerText: 'One of your identity documents has expired.'
+    },
+    DOCUMENT_PAN_MISMATCH: {
+        description: 'PAN differs between the PAN card, Form 16, ITR-V or GSTIN',
+        customerText: 'The PAN on your documents does not match across all documents.'
+    },
+    DOB_MISMATCH: {
+        description: 'Date of birth differs between identity documents',
+        customerText: 'The date of birth on your documents does not match across all documents.'
+    },
+    DOCUMENT_EDITING_SOFTWARE: {
+        description: 'Document was saved by PDF or image editing software',
+        customerText: 'One of your documents appears to have been edited.'
+    },
+    PDF_MODIFIED_AFTER_CREATION: {
+        description: 'PDF modification date is later than its creation date',
+        customerText: 'One of your documents appears to have been edited.'
+    },
+    PDF_INCREMENTAL_UPDATE: {
+        description: 'PDF has revisions appended after it was first saved',
+        customerText: 'One of your documents appears to have been edited.'
+    },
+    PDF_FONT_INCONSISTENCY: {
+        description: 'An amount is printed in a different font from the rest of its row',
+        customerText: 'One of your documents appears to have been altered.'
+    },
+    BALANCE_RECONCILIATION_FAILED: {
+        description: 'Bank statement running balances do not reconcile with the debits and credits',
+        customerText: 'The balances on your bank statement do not add up.'
+    },
+    IMAGE_ELA_ANOMALY: {
+        description: 'Error-level analysis finds a region compressed differently from the rest of the image',
+        customerText: 'One of your document images appears to have been altered.'
+    },
+    IMAGE_EXIF_INCONSISTENT: {
+        description: 'Image EXIF dates, dimensions or thumbnail are inconsistent with the image',
+        customerText: 'One of your document images appears to have been edited.'
+    },
+    FACE_MISMATCH: {
+        description: 'Live photo does not match the photo on the Aadhaar or PAN card',
+        customerText: 'Your photo does not match the photo on your identity documents.'
+    },
+    FACE_MATCH_INCONCLUSIVE: {
+        description: 'Live photo matches the Aadhaar or PAN card photo only weakly',
+        customerText: 'We could not confirm that your photo matches your identity documents.'
+    },
+    FACE_NOT_DETECTED: {
+        description: 'No face found in the live photo or on the Aadhaar and PAN card',
+        customerText: 'We could not find a face in your photo or on your identity documents.'
+    },
+    LIVENESS_FAILED: {
+        description: 'Live photo capture showed no blink or head movement',
+        customerText: 'We could not confirm that your photo was taken live.'
+    },
+    LIVENESS_NOT_CHECKED: {
+        description: 'Too few capture frames were sent with the live photo to check liveness',
+        customerText: 'We could not check that your photo was taken live.'
+    },
+    SALARY_MISMATCH: {
+        description: 'Salary slip and bank statement salary differ by more than 30%',
+        customerText: 'The salary on your salary slip does not match your bank statement.'
+    },
+    USER_SALARY_MISMATCH: {
+        description: 'Declared salary differs from the salary slip by more than 20%',
+        customerText: 'The salary you entered does not match your salary slip.'
+    },
+    INCOME_MISMATCH: {
+        description: 'Declared monthly income exceeds Form 16 or ITR-V income by more than 30%',
+        customerText: 'The income you entered does not match your tax documents.'
+    },
+
+    // Agent decisions
+    KYC_NOT_VERIFIED: {
+        description: 'Identity verification (KYC) was not completed',
+        customerText: 'We could not verify your identity documents.'
+    },
+    CREDIT_RISK_HIGH: {
+        description: 'Credit risk assessment returned high risk',
+        customerText: 'Your credit profile does not meet our risk criteria.'
+    },
+    CREDIT_SCORE_BELOW_POLICY: {
+        description: 'Credit score is below the minimum of every loan policy',
+        customerText: 'Your credit score is below the minimum required.'
+    },
+    LOAN_AMOUNT_ABOVE_POLICY: {
+        description: 'Requested amount exceeds the maximum of the applicable loan policy',
+        customerText: 'The loan amount you requested is above the maximum for your profile.'
+    },
+    OFFER_NOT_ACCEPTED: {
+        description: 'Applicant did not accept the loan offer',
+        customerText: 'The loan offer was not accepted.'
+    },
+    POLICY_DECLINE: {
+        description: 'Declined by a credit officer without a more specific code',
+        customerText: 'Your application does not meet our current lending criteria.'
+    }
+};
+
+const MAX_LETTER_REASONS = 4;
+
+function isReasonCode(code) {
+    return Object.prototype.hasOwnProperty.call(REASON_CODES, code);
+}
+
+/**
+ * Build a single reason code entry
+ * @param {string} code - One of REASON_CODES
+ * @param {string} source - Where the decision was made (scorecard, fraudCheck, kyc, credit, underwriting, approval, admin)
+ * @param {Object} extra - Optional { scoreLoss, detail }
+ */
+function reasonCode(code, source, extra = {}) {
+    if (!isReasonCode(code)) {
+        throw new Error(`Unknown reason code: ${code}`);
+    }
+    return { code, rank: 1, source, ...extra };
+}
+
+function rank(entries) {
+    return entries.map((entry, i) => ({ ...entry, rank: i + 1 }));
+}
+
+/**
+ * Reason codes for a scorecard evaluation, ranked by score points lost
+ * @param {Array} losses - [{ factor, reasonCode, scoreLoss }] from evaluateScorecard
+ */
+function scoreReasonCodes(losses) {
+    return rank(
+        losses
+            .filter(loss => loss.reasonCode && loss.scoreLoss > 0)
+            .sort((a, b) => b.scoreLoss - a.scoreLoss)
+            .map(loss => reasonCode(loss.reasonCode, 'scorecard', {
+                factor: loss.factor,
+                scoreLoss: Number(loss.scoreLoss.toFixed(1))
+            }))
+    );
+}
+
+/**
+ * Reason codes for fraud-check issues, ranked by the risk points they added
+ * @param {Array} issues - [{ type, riskPoints, message }] from performFraudCheck
+ */
+function fraudReasonCodes(issues) {
+    const byCode = new Map();
+    for (const issue of issues) {
+        if (!isReasonCode(issue.type)) continue;
+        const entry = byCode.get(issue.type) || { points: 0, details: [] };
+        entry.points += issue.riskPoints || 0;
+        entry.details.push(issue.message);
+        byCode.set(issue.type, entry);
+    }
+
+    return rank(
+        [...byCode.entries()]
+            .sort((a, b) => b[1].points - a[1].points)
+            .map(([code, { points, details }]) => reasonCode(code, 'fraudCheck', {
+                riskPoints: points,
+                detail: details.join('; ')
+            }))
+    );
+}
+
+/**
+ * Merge reason code lists in priority order (e.g., hard-decline codes before
+ * scorecard codes); duplicate codes keep their first position
+ */
+function combineReasonCodes(...lists) {
+    const seen = new Set();
+    const merged = [];
+    for (const entry of lists.flat()) {
+        if (!entry || seen.has(entry.code)) continue;
+        seen.add(entry.code);
+        merged.push(entry);
+    }
+    return rank(merged);
+}
+
+/**
+ * Validate reason codes supplied by a caller (strings or { code, detail })
+ * @returns {Array} Ranked reason code entries
+ */
+function normalizeReasonCodes(input, source) {
+    if (!Array.isArray(input)) {
+        throw new Error('reasonCodes must be an array');
+    }
+    return rank(input.map(item => {
+        const code = typeof item === 'string' ? item : item && item.code;
+        const detail = item && typeof item === 'object' && item.detail ? String(item.detail) : undefined;
+        return reasonCode(code, source, detail ? { detail } : {});
+    }));
+}
+
+/**
+ * Customer-facing rejection (adverse-action) letter listing the principal
+ * reasons in rank order
+ * @param {Object} params - { applicationId, applicantName, reasonCodes, decidedAt }
+ * @returns {Object} Letter with subject, body, reasons and notice
+ */
+function buildRejectionLetter({ applicationId, applicantName, reasonCodes = [], decidedAt = new Date() }) {
+    const principal = (reasonCodes.length > 0 ? reasonCodes : [reasonCode('POLICY_DECLINE', 'system')])
+        .slice(0, MAX_LETTER_REASONS)
+        .map(entry => ({ code: entry.code, text: REASON_CODES[entry.code].customerText }));
+
+    const date = new Date(decidedAt).toISOString().split('T')[0];
+    const body = [
+        `Dear ${applicantName || 'Applicant'},`,
+        '',
+        `Thank you for applying for a loan${applicationId ? ` (reference ${applicationId})` : ''}. After careful review, we are unable to approve your application at this time.`,
+        '',
+        'The principal reasons for our decision are:',
+        ...principal.map((reason, i) => `${i + 1}. ${reason.text} [${reason.code}]`),
+        '',
+        'You may request a free copy of the information used in this decision, or ask us to reconsider it with additional documents, within 30 days of this letter.'
+    ].join('\n');
+
+    return {
+        type: 'adverse_action_notice',
+        applicationId: applicationId || null,
+        applicantName: applicantName || null,
+        date,
+        subject: 'Your loan application decision',
+        reasons: principal,
+        body
+    };
+}
+
+/**
+ * Short customer-facing summary for chat responses
+ */
+function describeReasonCodes(reasonCodes, max = MAX_LETTER_REASONS) {
+    return reasonCodes
+        .slice(0, max)
+        .map(entry => `• ${REASON_CODES[entry.code].customerText}`)
+        .join('\n');
+}
+
+module.exports = {
+    REASON_CODES,
+    isReasonCode,
+    reasonCode,
+    scoreReasonCodes,
+    fraudReasonCodes,
+    combineReasonCodes,
+    normalizeReasonCodes,
+    buildRejectionLetter,
+    describeReasonCodes
+};
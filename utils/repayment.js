@@ -0,0 +1,194 @@
+/**
+ * Repayment accounting on EMI schedules
+ *
+ * Payments are matched to installments oldest-unpaid-first. Each row keeps
+ * what it has received in `paidInterest` and `paidPrincipal` (their sum in
+ * `paidAmount`) and the date of its latest payment in `paidDate`, and moves
+ * through:
+ *   pending        - nothing received, not yet due
+ *   partially_paid - part of the EMI received, not yet due
+ *   overdue        - due date passed without the full EMI
+ *   paid           - full EMI received
+ *
+ * Days past due (DPD) run from the due date of the oldest installment still
+ * unpaid. Loans are bucketed by DPD: 0, 1-30, 31-60, 61-90 and NPA (more
+ * than 90 days, the non-performing asset threshold).
+ */
+
+const { toDateString } = require('./amortization');
+
+const DPD_BUCKETS = [
+    { bucket: '0', maxDpd: 0 },
+    { bucket: '1-30', maxDpd: 30 },
+    { bucket: '31-60', maxDpd: 60 },
+    { bucket: '61-90', maxDpd: 90 },
+    { bucket: 'NPA', maxDpd: Infinity }
+];
+const DELINQUENCY_STATES = ['current', 'delinquent', 'npa', 'closed'];
+const ALLOCATION_COMPONENTS = ['charges', 'interest', 'principal'];
+const DEFAULT_ALLOCATION_ORDER = ALLOCATION_COMPONENTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function amountDue(row) {
+    return Math.max(0, row.emi - (row.paidAmount || 0));
+}
+
+// Interest and principal received on a row; rows recorded before the split
+// was kept count their paidAmount against interest first
+function paidParts(row) {
+    if (row.paidInterest !== undefined || row.paidPrincipal !== undefined) {
+        return { interest: row.paidInterest || 0, principal: row.paidPrincipal || 0 };
+    }
+    const paid = row.paidAmount || 0;
+    const interest = Math.min(row.interest, paid);
+    return { interest, principal: paid - interest };
+}
+
+function paidFields(row) {
+    const { interest, principal } = paidParts(row);
+    return { paidInterest: interest, paidPrincipal: principal };
+}
+
+function dpdBucket(dpd) {
+    return DPD_BUCKETS.find(b => dpd <= b.maxDpd).bucket;
+}
+
+/**
+ * Apply a payment: first to what is due on paidDate, one component at a time
+ * in allocation order (every outstanding charge, then the interest, then the
+ * principal of each due installment, oldest first), then in advance to later
+ * installments
+ * @param {Array} schedule - EMI schedule rows
+ * @param {number} amount - Amount received
+ * @param {string} paidDate - Payment date (YYYY-MM-DD)
+ * @param {Object} options - { charges: late charge lines (utils/lateCharges.js), order }
+ * @returns {Object} { schedule, charges, allocations: [{ component, installmentNo | chargeId, amount }], excess }
+ */
+function allocatePayment(schedule, amount, paidDate, { charges = [], order = DEFAULT_ALLOCATION_ORDER } = {}) {
+    if (order.length !== ALLOCATION_COMPONENTS.length || !ALLOCATION_COMPONENTS.every(c => order.includes(c))) {
+        throw new Error(`allocation order must list ${ALLOCATION_COMPONENTS.join(', ')}`);
+    }
+
+    let remaining = Math.round(Number(amount));
+    const allocations = [];
+    const rows = schedule.map(row => (row.status === 'paid' ? row : { ...row, ...paidFields(row) }));
+    const lines = charges.map(line => ({ ...line }));
+
+    const credit = (target, field, due, allocation) => {
+        const applied = Math.min(remaining, due);
+        if (applied <= 0) return;
+        remaining -= applied;
+        target[field] = (target[field] || 0) + applied;
+        const existing = allocations.find(a => a.component === allocation.component
+            && a.installmentNo === allocation.installmentNo && a.chargeId === allocation.chargeId);
+        if (existing) existing.amount += applied;
+        else allocations.push({ ...allocation, amount: applied });
+    };
+    const payComponent = (row, component) => {
+        const field = component === 'interest' ? 'paidInterest' : 'paidPrincipal';
+        credit(row, field, row[component] - row[field], { component, installmentNo: row.installmentNo });
+    };
+
+    for (const component of order) {
+        if (component === 'charges') {
+            lines
+                .filter(line => line.status !== 'paid')
+                .forEach(line => credit(line, 'paidAmount', line.amount - (line.paidAmount || 0), { component, chargeId: line.chargeId }));
+        } else {
+            rows
+                .filter(row => row.status !== 'paid' && row.dueDate <= paidDate)
+                .forEach(row => payComponent(row, component));
+        }
+    }
+    // Advance payment towards installments not yet due
+    for (const row of rows.filter(r => r.status !== 'paid' && r.dueDate > paidDate)) {
+        order.filter(c => c !== 'charges').forEach(component => payComponent(row, component));
+    }
+
+    const touchedRows = new Set(allocations.map(a => a.installmentNo));
+    const touchedLines = new Set(allocations.map(a => a.chargeId));
+    return {
+        schedule: rows.map((row, i) => {
+            if (!touchedRows.has(row.installmentNo)) return schedule[i];
+            const paidAmount = row.paidInterest + row.paidPrincipal;
+            const fullyPaid = row.paidInterest >= row.interest && row.paidPrincipal >= row.principal;
+            const status = fullyPaid ? 'paid' : (row.status === 'overdue' ? 'overdue' : 'partially_paid');
+            return { ...row, paidAmount, paidDate, status };
+        }),
+        charges: lines.map(line => (touchedLines.has(line.chargeId)
+            ? { ...line, status: line.paidAmount >= line.amount ? 'paid' : 'due', paidDate }
+            : line)),
+        allocations,
+        excess: remaining
+    };
+}
+
+/**
+ * Re-apply partial payments of re-amortized installments to their new rows,
+ * so a prepayment or rate reset does not lose money already received
+ * @param {Array} previousUnpaid - Unpaid rows before re-amortization
+ * @param {Array} rows - New unpaid rows
+ */
+function carryOverPayments(previousUnpaid, rows) {
+    const credit = previousUnpaid.reduce((sum, row) => sum + (row.paidAmount || 0), 0);
+    if (credit === 0) return rows;
+
+    const paidDate = previousUnpaid
+        .map(row => row.paidDate)
+        .filter(Boolean)
+        .sort()
+        .pop();
+    return allocatePayment(rows, credit, paidDate, { order: ['interest', 'principal', 'charges'] }).schedule;
+}
+
+/**
+ * Age a schedule on a date: mark unpaid installments overdue and compute DPD
+ * @param {Array} schedule - EMI schedule rows
+ * @param {Date|string} asOf - Aging date (default: today)
+ * @returns {Object} { schedule, dpd, dpdBucket, delinquencyState, overdueAmount,
+ *                     overdueInstallments, nextEmiDate }
+ */
+function ageSchedule(schedule, asOf = new Date()) {
+    const today = toDateString(asOf);
+    const rows = schedule.map(row => {
+        if (row.status === 'paid') return row;
+        let status = 'pending';
+        if (row.dueDate < today) status = 'overdue';
+        else if ((row.paidAmount || 0) > 0) status = 'partially_paid';
+        return row.status === status ? row : { ...row, status };
+    });
+
+    const overdue = rows.filter(row => row.status === 'overdue');
+    const nextDue = rows.find(row => row.status !== 'paid' && row.status !== 'overdue');
+    const dpd = overdue.length > 0
+        ? Math.floor((new Date(`${today}T00:00:00Z`) - new Date(`${overdue[0].dueDate}T00:00:00Z`)) / DAY_MS)
+        : 0;
+    const bucket = dpdBucket(dpd);
+
+    let delinquencyState = 'current';
+    if (rows.every(row => row.status === 'paid')) delinquencyState = 'closed';
+    else if (bucket === 'NPA') delinquencyState = 'npa';
+    else if (dpd > 0) delinquencyState = 'delinquent';
+
+    return {
+        schedule: rows,
+        dpd,
+        dpdBucket: bucket,
+        delinquencyState,
+        overdueAmount: overdue.reduce((sum, row) => sum + amountDue(row), 0),
+        overdueInstallments: overdue.length,
+        nextEmiDate: nextDue ? nextDue.dueDate : null
+    };
+}
+
+module.exports = {
+    DPD_BUCKETS,
+    DELINQUENCY_STATES,
+    ALLOCATION_COMPONENTS,
+    DEFAULT_ALLOCATION_ORDER,
+    dpdBucket,
+    paidParts,
+    allocatePayment,
+    carryOverPayments,
+    ageSchedule
+};
@@ -0,0 +1,263 @@
+const { validateSchema } = require('./structuredOutput');
+
+// Scorecard versions (see scorecards/*.json) are evaluated against a flat map
+// of input variables. Each factor yields a 0-100 score:
+//   bins:       first bin whose conditions (gt, gte, lt, lte) all hold gives
+//               `score`, or `linear` = clamp(slope * value + intercept, min, max)
+//   categories: score by lowercased string value, else `defaultScore`
+//   components: `base` plus the `points` of the first matching bin of each
+//               component, capped at `cap`
+// The weighted average is mapped onto scoreRange (e.g., 300-900). A factor's
+// score loss is the number of final-score points it cost compared with a
+// perfect 100, which ranks its reasonCode.
+
+const CONDITIONS = {
+    gt: (value, bound) => value > bound,
+    gte: (value, bound) => value >= bound,
+    lt: (value, bound) => value < bound,
+    lte: (value, bound) => value <= bound
+};
+
+const BIN_SCHEMA = {
+    type: 'object',
+    properties: {
+        gt: { type: 'number' },
+        gte: { type: 'number' },
+        lt: { type: 'number' },
+        lte: { type: 'number' },
+        score: { type: 'number', minimum: 0, maximum: 100 },
+        points: { type: 'number' },
+        linear: {
+            type: 'object',
+            required: ['slope'],
+            properties: {
+                slope: { type: 'number' },
+                intercept: { type: 'number' },
+                min: { type: 'number' },
+                max: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const SCORECARD_VERSION_SCHEMA = {
+    type: 'object',
+    required: ['scoreRange', 'factors'],
+    properties: {
+        version: { type: 'number' },
+        createdAt: { type: 'string' },
+        notes: { type: 'string' },
+        scoreRange: {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: { min: { type: 'number' }, max: { type: 'number' } },
+            additionalProperties: false
+        },
+        approvalCutoff: { type: 'number' },
+        assumptions: { type: 'object' },
+        factors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'weight'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    description: { type: 'string' },
+                    reasonCode: { type: 'string', minLength: 1 },
+                    variable: { type: 'string', minLength: 1 },
+                    weight: { type: 'number', minimum: 0, maximum: 1 },
+                    bins: { type: 'array', items: BIN_SCHEMA },
+                    categories: { type: 'object' },
+                    defaultScore: { type: 'number', minimum: 0, maximum: 100 },
+                    base: { type: 'number' },
+                    cap: { type: 'number' },
+                    components: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['variable', 'bins'],
+                            properties: {
+                                variable: { type: 'string', minLength: 1 },
+                                bins: { type: 'array', items: BIN_SCHEMA }
+                            },
+                            additionalProperties: false
+                        }
+                    },
+                    recommendation: {
+                        type: 'object',
+                        required: ['below', 'text'],
+                        properties: {
+                            below: { type: 'number' },
+                            text: { type: 'string', minLength: 1 }
+                        },
+                        additionalProperties: false
+                    }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+/**
+ * Validate a scorecard version definition
+ * @param {Object} definition - { scoreRange, approvalCutoff, assumptions, factors }
+ * @param {string[]} knownVariables - Variables the caller can provide
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateScorecard(definition, knownVariables = []) {
+    const errors = validateSchema(definition, SCORECARD_VERSION_SCHEMA);
+    if (errors.length > 0) return errors;
+
+    const { scoreRange, factors } = definition;
+    if (scoreRange.max <= scoreRange.min) {
+        errors.push('$.scoreRange.max must be greater than $.scoreRange.min');
+    }
+    if (factors.length === 0) {
+        errors.push('$.factors must not be empty');
+    }
+
+    const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+    if (Math.abs(totalWeight - 1) > 0.001) {
+        errors.push(`Factor weights must add up to 1, got ${Number(totalWeight.toFixed(4))}`);
+    }
+
+    const ids = new Set();
+    factors.forEach((factor, i) => {
+        const path = `$.factors[${i}]`;
+        if (ids.has(factor.id)) errors.push(`${path}.id "${factor.id}" is duplicated`);
+        ids.add(factor.id);
+
+        const kinds = ['bins', 'categories', 'components'].filter(kind => factor[kind] !== undefined);
+        if (kinds.length !== 1) {
+            errors.push(`${path} must define exactly one of bins, categories or components`);
+            return;
+        }
+        if ((factor.bins || factor.categories) && !factor.variable) {
+            errors.push(`${path}.variable is required for ${kinds[0]}`);
+        }
+
+        const variables = factor.components ? factor.components.map(c => c.variable) : [factor.variable].filter(Boolean);
+        for (const variable of variables) {
+            if (knownVariables.length > 0 && !knownVariables.includes(variable)) {
+                errors.push(`${path} uses unknown variable "${variable}"`);
+            }
+        }
+
+        (factor.bins || []).forEach((bin, j) => {
+            if ((bin.score === undefined) === (bin.linear === undefined)) {
+                errors.push(`${path}.bins[${j}] must define either score or linear`);
+            }
+        });
+        (factor.components || []).forEach((component, j) => {
+            component.bins.forEach((bin, k) => {
+                if (bin.points === undefined) {
+                    errors.push(`${path}.components[${j}].bins[${k}].points is required`);
+                }
+            });
+        });
+        if (factor.categories) {
+            for (const [category, score] of Object.entries(factor.categories)) {
+                if (typeof score !== 'number' || score < 0 || score > 100) {
+                    errors.push(`${path}.categories.${category} must be a number between 0 and 100`);
+                }
+            }
+        }
+    });
+
+    return errors;
+}
+
+function binMatches(bin, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    return Object.entries(CONDITIONS).every(([key, test]) => bin[key] === undefined || test(value, bin[key]));
+}
+
+function findBin(bins, value) {
+    return bins.find(bin => binMatches(bin, value)) || null;
+}
+
+function linearScore({ slope, intercept = 0, min = 0, max = 100 }, value) {
+    return Math.min(max, Math.max(min, slope * value + intercept));
+}
+
+function scoreFactor(factor, variables) {
+    if (factor.categories) {
+        const value = variables[factor.variable];
+        const key = typeof value === 'string' ? value.toLowerCase() : value;
+        const known = Object.prototype.hasOwnProperty.call(factor.categories, key);
+        return { value, score: known ? factor.categories[key] : (factor.defaultScore || 0) };
+    }
+
+    if (factor.components) {
+        const points = factor.components.reduce((sum, component) => {
+            const bin = findBin(component.bins, variables[component.variable]);
+            return sum + (bin ? bin.points : 0);
+        }, 0);
+        const score = (factor.base || 0) + points;
+        return { value: null, score: factor.cap !== undefined ? Math.min(factor.cap, score) : score };
+    }
+
+    const value = variables[factor.variable];
+    const bin = findBin(factor.bins, value);
+    if (!bin) return { value, score: 0 };
+    return { value, score: bin.linear ? linearScore(bin.linear, value) : bin.score };
+}
+
+function describe(factor, value) {
+    if (!factor.description) return '';
+    const formatted = typeof value === 'number' ? value.toFixed(1) : String(value);
+    return factor.description.replace(/\{\{value\}\}/g, formatted);
+}
+
+/**
+ * Evaluate a scorecard version
+ * @param {Object} scorecard - Scorecard version (scoreRange, factors, approvalCutoff)
+ * @param {Object} variables - Input variables by name
+ * @returns {Object} { score, weightedAverage, eligible, breakdown, losses, recommendations }
+ */
+function evaluateScorecard(scorecard, variables) {
+    const breakdown = {};
+    let weightedAverage = 0;
+
+    for (const factor of scorecard.factors) {
+        const { value, score } = scoreFactor(factor, variables);
+        breakdown[factor.id] = {
+            score,
+            weight: factor.weight,
+            description: describe(factor, value),
+            value: value === undefined ? null : value
+        };
+        weightedAverage += score * factor.weight;
+    }
+
+    const { min, max } = scorecard.scoreRange;
+    const score = Math.round(min + (weightedAverage / 100) * (max - min));
+
+    const losses = scorecard.factors
+        .map(f => ({
+            factor: f.id,
+            reasonCode: f.reasonCode || null,
+            scoreLoss: ((100 - breakdown[f.id].score) * f.weight / 100) * (max - min)
+        }))
+        .filter(loss => loss.scoreLoss > 0)
+        .sort((a, b) => b.scoreLoss - a.scoreLoss);
+
+    const recommendations = scorecard.factors
+        .filter(f => f.recommendation && breakdown[f.id].score < f.recommendation.below)
+        .map(f => f.recommendation.text);
+
+    return {
+        score,
+        weightedAverage,
+        eligible: scorecard.approvalCutoff === undefined ? true : score >= scorecard.approvalCutoff,
+        breakdown,
+        losses,
+        recommendations
+    };
+}
+
+module.exports = { validateScorecard, evaluateScorecard };
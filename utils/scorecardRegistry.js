@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned approval scorecards, one JSON file per scorecard id:
+// { id, description, products, segments, activeVersion,
+//   versions: [{ version, createdAt, notes, scoreRange, approvalCutoff, assumptions, factors }] }
+// products / segments list where the scorecard applies ("*" = any). Files are
+// re-read when they change, like prompts/, so activation needs no deploy.
+const SCORECARDS_DIR = process.env.SCORECARDS_DIR || path.join(__dirname, '..', 'scorecards');
+const DEFAULT_SCORECARD = 'default';
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const loaded = new Map(); // id -> { mtimeMs, doc }
+
+function scorecardPath(id) {
+    if (!ID_PATTERN.test(id)) {
+        throw new Error(`Invalid scorecard id "${id}"`);
+    }
+    return path.join(SCORECARDS_DIR, `${id}.json`);
+}
+
+function loadScorecardFile(id) {
+    const file = scorecardPath(id);
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        throw new Error(`Scorecard "${id}" not found in ${SCORECARDS_DIR}`);
+    }
+
+    const cached = loaded.get(id);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.doc;
+    }
+
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (doc.id !== id || !Array.isArray(doc.versions) || doc.versions.length === 0) {
+        throw new Error(`Scorecard file ${file} must have id "${id}" and a non-empty versions list`);
+    }
+
+    loaded.set(id, { mtimeMs: stat.mtimeMs, doc });
+    return doc;
+}
+
+function writeScorecardFile(doc) {
+    const file = scorecardPath(doc.id);
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(SCORECARDS_DIR, { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+    loaded.delete(doc.id);
+}
+
+function scorecardExists(id) {
+    return fs.existsSync(scorecardPath(id));
+}
+
+/**
+ * Get a scorecard version (the active one unless a version is requested)
+ * @returns {Object} { id, version, scoreRange, approvalCutoff, assumptions, factors, ... }
+ */
+function getScorecard(id, version) {
+    const doc = loadScorecardFile(id);
+    const wanted = version !== undefined ? version : doc.activeVersion;
+    const entry = doc.versions.find(v => v.version === wanted);
+
+    if (!entry) {
+        throw new Error(`Scorecard "${id}" has no version ${wanted}`);
+    }
+    return { id, ...entry };
+}
+
+function appliesTo(list, value) {
+    const values = list && list.length > 0 ? list : ['*'];
+    if (values.includes('*')) return 'any';
+    return value && values.includes(String(value).toLowerCase()) ? 'exact' : null;
+}
+
+/**
+ * Pick the scorecard for a product and segment. Exact product matches win
+ * over exact segment matches, which win over wildcards; ties go to the
+ * alphabetically first id. Scorecards without an active version are
+ * skipped. Falls back to the "default" scorecard.
+ * @returns {string} Scorecard id
+ */
+function selectScorecard({ product, segment } = {}) {
+    let best = null;
+    for (const { id } of listScorecards()) {
+        const doc = loadScorecardFile(id);
+        if (doc.activeVersion === null || doc.activeVersion === undefined) continue;
+
+        const productMatch = appliesTo(doc.products, product);
+        const segmentMatch = appliesTo(doc.segments, segment);
+        if (!productMatch || !segmentMatch) continue;
+
+        const rank = (productMatch === 'exact' ? 2 : 0) + (segmentMatch === 'exact' ? 1 : 0);
+        if (!best || rank > best.rank) {
+            best = { id, rank };
+        }
+    }
+    return best ? best.id : DEFAULT_SCORECARD;
+}
+
+/**
+ * Add a new (inactive) version to a scorecard, creating the file if needed
+ * @param {string} id - Scorecard id
+ * @param {Object} definition - { notes, scoreRange, approvalCutoff, assumptions, factors }
+ * @param {Object} meta - { description, products, segments } (used for new scorecards or to update them)
+ * @returns {Object} { id, version, activeVersion }
+ */
+function saveScorecardVersion(id, definition, meta = {}) {
+    const doc = scorecardExists(id)
+        ? JSON.parse(JSON.stringify(loadScorecardFile(id)))
+        : { id, description: '', products: ['*'], segments: ['*'], activeVersion: null, versions: [] };
+
+    for (const key of ['description', 'products', 'segments']) {
+        if (meta[key] !== undefined) doc[key] = meta[key];
+    }
+    doc.products = doc.products.map(p => String(p).toLowerCase());
+    doc.segments = doc.segments.map(s => String(s).toLowerCase());
+
+    const version = doc.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    doc.versions.push({
+        version,
+        createdAt: new Date().toISOString(),
+        ...definition
+    });
+
+    writeScorecardFile(doc);
+    return { id, version, activeVersion: doc.activeVersion };
+}
+
+/**
+ * Make a version the active one
+ * @returns {Object} { id, activeVersion, previousVersion }
+ */
+function activateScorecard(id, version) {
+    const doc = JSON.parse(JSON.stringify(loadScorecardFile(id)));
+    if (!doc.versions.some(v => v.version === version)) {
+        throw new Error(`Scorecard "${id}" has no version ${version}`);
+    }
+
+    const previousVersion = doc.activeVersion;
+    doc.activeVersion = version;
+    doc.activatedAt = new Date().toISOString();
+    writeScorecardFile(doc);
+    return { id, activeVersion: version, previousVersion };
+}
+
+/**
+ * List scorecards with their selection rules and versions
+ */
+function listScorecards() {
+    if (!fs.existsSync(SCORECARDS_DIR)) return [];
+    return fs.readdirSync(SCORECARDS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const doc = loadScorecardFile(path.basename(file, '.json'));
+            return {
+                id: doc.id,
+                description: doc.description || '',
+                products: doc.products || ['*'],
+                segments: doc.segments || ['*'],
+                activeVersion: doc.activeVersion,
+                versions: doc.versions.map(v => v.version)
+            };
+        });
+}
+
+module.exports = {
+    DEFAULT_SCORECARD,
+    getScorecard,
+    selectScorecard,
+    saveScorecardVersion,
+    activateScorecard,
+    listScorecards,
+    scorecardExists
+};
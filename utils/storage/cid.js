@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// CIDv1 for JSON documents: multibase base32 ('b') of
+// <version 1><codec json 0x0200><multihash sha2-256 0x12, length 32, digest>
+const CID_VERSION = 0x01;
+const JSON_CODEC = 0x0200;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+function base32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Canonical JSON: object keys sorted recursively, no whitespace.
+ * The same data always serializes to the same bytes (and so the same CID).
+ */
+function canonicalJson(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+    }
+    const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+}
+
+/**
+ * Compute the CIDv1 (json codec, sha2-256, base32) of a byte buffer
+ */
+function computeCid(bytes) {
+    const digest = crypto.createHash('sha256').update(bytes).digest();
+    const cidBytes = [
+        ...varint(CID_VERSION),
+        ...varint(JSON_CODEC),
+        ...varint(SHA2_256),
+        ...varint(digest.length),
+        ...digest
+    ];
+    return `b${base32(cidBytes)}`;
+}
+
+/**
+ * Compute the CID of a JSON value from its canonical encoding
+ */
+function computeJsonCid(jsonData) {
+    return computeCid(Buffer.from(canonicalJson(jsonData), 'utf8'));
+}
+
+// CIDv0 (Qm...) or base32 CIDv1 (b...)
+function isValidCid(cid) {
+    return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid) || /^b[a-z2-7]{20,}$/.test(cid);
+}
+
+module.exports = { canonicalJson, computeCid, computeJsonCid, isValidCid };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { canonicalJson, computeCid } = require('./cid');
+
+/**
+ * Content-addressed JSON store on the local disk.
+ * Each document is written once as <cid>.json, where cid is the CIDv1 of its
+ * canonical JSON bytes, so the file name verifies its own content.
+ */
+function createLocalStore({
+    dir = process.env.LOCAL_STORE_DIR || path.join(__dirname, '..', '..', 'data', 'ipfs')
+} = {}) {
+    function filePath(cid) {
+        return path.join(dir, `${cid}.json`);
+    }
+
+    async function putJson(jsonData) {
+        const bytes = Buffer.from(canonicalJson(jsonData), 'utf8');
+        const cid = computeCid(bytes);
+        const target = filePath(cid);
+
+        if (!fs.existsSync(target)) {
+            fs.mkdirSync(dir, { recursive: true });
+            // Write to a temp file first so readers never see a partial document
+            const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(tmp, bytes);
+            fs.renameSync(tmp, target);
+        }
+        return cid;
+    }
+
+    async function getJson(cid) {
+        const target = filePath(cid);
+        if (!fs.existsSync(target)) {
+            return null;
+        }
+
+        const bytes = fs.readFileSync(target);
+        if (computeCid(bytes) !== cid) {
+            throw new Error(`Local store content for ${cid} does not match its CID`);
+        }
+        return JSON.parse(bytes.toString('utf8'));
+    }
+
+    return {
+        name: 'local',
+        putJson,
+        getJson,
+        getUrl: cid => `/api/ipfs/${cid}`
+    };
+}
+
+module.exports = { createLocalStore };
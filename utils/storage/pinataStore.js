@@ -0,0 +1,60 @@
+const axios = require('axios');
+
+const PINATA_PIN_URL = 'https://api.pinata.cloud/pinning/pinJSONToIPFS';
+
+/**
+ * Pinata-backed IPFS store
+ */
+function createPinataStore({
+    jwt = process.env.PINATA_JWT,
+    gatewayUrl = process.env.PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud'
+} = {}) {
+    function requireJwt() {
+        if (!jwt) {
+            throw new Error('PINATA_JWT is not set in the environment variables.');
+        }
+    }
+
+    async function putJson(jsonData, { fileName, keyvalues } = {}) {
+        requireJwt();
+
+        const body = fileName
+            ? { pinataContent: jsonData, pinataMetadata: { name: fileName, keyvalues } }
+            : jsonData;
+
+        try {
+            const response = await axios.post(PINATA_PIN_URL, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${jwt}`
+                },
+                timeout: 30000 // 30 second timeout
+            });
+            return response.data.IpfsHash;
+        } catch (error) {
+            console.error('Error uploading to Pinata:', error.message);
+            throw new Error('Failed to upload JSON to Pinata.');
+        }
+    }
+
+    async function getJson(cid) {
+        try {
+            const response = await axios.get(`${gatewayUrl}/ipfs/${cid}`, { timeout: 30000 });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw new Error(`Failed to fetch ${cid} from the Pinata gateway: ${error.message}`);
+        }
+    }
+
+    return {
+        name: 'pinata',
+        putJson,
+        getJson,
+        getUrl: cid => `${gatewayUrl}/ipfs/${cid}`
+    };
+}
+
+module.exports = { createPinataStore };
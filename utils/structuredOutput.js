@@ -0,0 +1,194 @@
+const { callLLM, getPrimaryModel } = require('./geminiClient');
+const { renderPrompt } = require('./promptRegistry');
+const { buildCacheKey, getCachedResponse, setCachedResponse } = require('./llmCache');
+
+// How many times the model is re-prompted after an invalid response
+const DEFAULT_MAX_RETRIES = parseInt(process.env.LLM_STRUCTURED_MAX_RETRIES || '2', 10);
+
+/**
+ * Extract and parse the JSON body of a model response.
+ * Handles ```json fences and prose around the object.
+ */
+function parseJsonResponse(rawResponse, label = 'LLM') {
+    if (typeof rawResponse !== 'string') {
+        throw new Error(`${label} response is not a string`);
+    }
+
+    const fencedMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+    const withoutFences = fencedMatch ? fencedMatch[1] : rawResponse;
+    const jsonBodyMatch = withoutFences.match(/\{[\s\S]*\}/);
+    const jsonCandidate = jsonBodyMatch ? jsonBodyMatch[0] : withoutFences;
+
+    try {
+        return JSON.parse(jsonCandidate);
+    } catch (error) {
+        throw new Error(`Unable to parse ${label} response as JSON: ${error.message}`);
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a JSON schema (the subset the agent prompts use:
+ * type, enum, required, properties, additionalProperties, items,
+ * minimum/maximum and minLength).
+ * @returns {string[]} Validation errors, empty when the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(propValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+}
+
+function buildRetryPrompt(prompt, schema, rawResponse, errors) {
+    return `${prompt}
+
+Your previous response was rejected:
+${rawResponse}
+
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with ONLY a JSON object that matches this JSON schema:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Render a registered prompt and get an answer that is JSON matching `schema`.
+ * Invalid or unparsable responses are sent back to the model together with
+ * the validation errors, up to `maxRetries` times.
+ *
+ * Validated answers are cached by model, prompt id, prompt version and
+ * variables; `clamp` is applied on every call, including cache hits.
+ *
+ * @param {Object} options
+ * @param {string} options.promptId - Prompt id in the prompt registry
+ * @param {Object} options.variables - Template variables (also the cache inputs)
+ * @param {number} options.promptVersion - Optional version, defaults to the active one
+ * @param {Object} options.schema - JSON schema the response must satisfy
+ * @param {string} options.label - Name used in errors and logs (e.g. 'pricing')
+ * @param {Function} options.clamp - Optional (value) => value applied after validation to enforce policy bounds
+ * @param {number} options.maxRetries - Re-prompts after the first attempt
+ * @returns {Promise<{ value: Object, raw: string, attempts: number, cached: boolean, prompt: { id, version, model } }>}
+ */
+async function callStructured({ promptId, variables = {}, promptVersion, schema, label, clamp, maxRetries = DEFAULT_MAX_RETRIES }) {
+    const rendered = renderPrompt(promptId, variables, promptVersion);
+    const primaryModel = getPrimaryModel();
+    const cacheKey = buildCacheKey({
+        model: primaryModel,
+        promptId: rendered.id,
+        promptVersion: rendered.version,
+        inputs: variables
+    });
+    const finish = (value, raw, attempts, model, cached) => ({
+        value: clamp ? clamp(value) : value,
+        raw,
+        attempts,
+        cached,
+        prompt: { id: rendered.id, version: rendered.version, model }
+    });
+
+    const hit = await getCachedResponse(cacheKey);
+    if (hit && validateSchema(hit.value, schema).length === 0) {
+        return finish(hit.value, hit.raw, 0, primaryModel, true);
+    }
+
+    let currentPrompt = rendered.text;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        const { text: raw, model, fallback } = await callLLM(currentPrompt);
+
+        let value;
+        try {
+            value = parseJsonResponse(raw, label);
+            errors = validateSchema(value, schema);
+        } catch (error) {
+            errors = [error.message];
+        }
+
+        if (errors.length === 0) {
+            // Only answers from the primary model belong under its cache key
+            if (!fallback) {
+                await setCachedResponse(cacheKey, { value, raw, promptId: rendered.id, promptVersion: rendered.version, model });
+            }
+            return finish(value, raw, attempt, model, false);
+        }
+
+        console.warn(`${label} response failed validation (attempt ${attempt}/${maxRetries + 1}): ${errors.join('; ')}`);
+        currentPrompt = buildRetryPrompt(rendered.text, schema, raw, errors);
+    }
+
+    throw new Error(`${label} response invalid after ${maxRetries + 1} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Clamp a number into [min, max]
+ */
+function clampNumber(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+module.exports = {
+    callStructured,
+    parseJsonResponse,
+    validateSchema,
+    clampNumber
+};
@@ -0,0 +1,69 @@
+const policies = require('../rag/policies.json');
+
+// Loan tenure (months) is bounded per policy by tenureRange { min, max, default }
+// in rag/policies.json. defaultTenureRange applies when no policy matches,
+// e.g. chat offers for amounts above every policy's maxLoanAmount.
+const DEFAULT_TENURE_RANGE = policies.defaultTenureRange;
+
+// A duration is a tenure request only when the message asks about tenure:
+// a cue up to three words before it ("tenure of 24 months", "repay it over
+// 3 years", "loan for 5 years"), a loan word right after it ("5 year loan", "36 months tenure"),
+// a change request ("make it 48 months") or the duration alone ("3 years").
+// Other durations ("employed for 3 years") are not.
+const DURATION = String.raw`(\d+(?:\.\d+)?)\s*(months?|mos?|years?|yrs?)\b`;
+const TENURE_PATTERNS = [
+    new RegExp(String.raw`\b(?:tenure|term|repay|pay\s+(?:it\s+)?back|emis?|loan\s+for)\b(?:\s+[a-z]+){0,3}\s+${DURATION}`, 'i'),
+    new RegExp(String.raw`${DURATION}\s+(?:tenure|term|loan|emis?|repayment)\b`, 'i'),
+    new RegExp(String.raw`\b(?:make|change|extend|reduce|increase|decrease|set)\s+(?:it\s+)?(?:to\s+)?${DURATION}`, 'i'),
+    new RegExp(String.raw`^\s*${DURATION}\s*[.!]?\s*$`, 'i')
+];
+
+function getTenureRange(policy) {
+    return (policy && policy.tenureRange) || DEFAULT_TENURE_RANGE;
+}
+
+/**
+ * Strictest policy whose minimum credit score the given score meets
+ * @returns {Object|null} Policy or null when the score is below every policy
+ */
+function policyForScore(score) {
+    return policies.loanPolicies
+        .filter(p => score >= p.minCreditScore)
+        .sort((a, b) => b.minCreditScore - a.minCreditScore)[0] || null;
+}
+
+/**
+ * Bound a requested tenure to a range (missing requests get the range default)
+ * @returns {Object} { tenure, requested, adjusted }
+ */
+function resolveTenure(requested, range = DEFAULT_TENURE_RANGE) {
+    const months = parseInt(requested, 10);
+    if (!Number.isFinite(months) || months <= 0) {
+        return { tenure: range.default, requested: null, adjusted: false };
+    }
+    const tenure = Math.min(Math.max(months, range.min), range.max);
+    return { tenure, requested: months, adjusted: tenure !== months };
+}
+
+/**
+ * Tenure asked for in a chat message ("make it 24 months", "repay over 3 years")
+ * @returns {number|null} Months, or null when the message is not asking about tenure
+ */
+function parseTenureRequest(message) {
+    const text = String(message || '');
+    const match = TENURE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    const months = unit.startsWith('y') ? value * 12 : value;
+    return Math.round(months) > 0 ? Math.round(months) : null;
+}
+
+module.exports = {
+    DEFAULT_TENURE_RANGE,
+    getTenureRange,
+    policyForScore,
+    resolveTenure,
+    parseTenureRequest
+};
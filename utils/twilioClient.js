@@ -0,0 +1,19 @@
+// Twilio REST client shared by OTP login (utils/auth.js) and SMS
+// notifications. Null when TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN are not set.
+const accountSid = process.env.TWILIO_ACCOUNT_SID;
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+
+let client;
+
+function getTwilioClient() {
+    if (client === undefined) {
+        client = (accountSid && authToken) ? require('twilio')(accountSid, authToken) : null;
+    }
+    return client;
+}
+
+module.exports = {
+    TWILIO_PHONE_NUMBER,
+    getTwilioClient
+};
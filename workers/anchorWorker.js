@@ -0,0 +1,66 @@
+/**
+ * Anchor Worker - Periodic Merkle-root anchoring of the local ledgers
+ *
+ * This worker handles:
+ * - Collecting ledger blocks appended since the last anchor
+ * - Building a Merkle tree over them and storing each block's inclusion proof
+ * - Writing only the root to LoanCore.anchorRoot (one transaction per batch)
+ * - Confirming submitted batches on later runs; reverted or dropped batches
+ *   are re-anchored
+ *
+ * Runs every ANCHOR_INTERVAL_MS (default: 5 minutes). Several instances are
+ * safe: a MongoDB lock lets only one of them anchor at a time.
+ */
+
+const { connectDB } = require('../server/db');
+const { runAnchorBatch } = require('../server/utils/ledgerAnchor');
+const { initWeb3, anchorMerkleRootOnBlockchain, getAnchorTransaction } = require('../blockchain/web3Client');
+const crypto = require('crypto');
+
+const WORKER_ID = `anchor-worker-${crypto.randomBytes(4).toString('hex')}`;
+const ANCHOR_INTERVAL_MS = parseInt(process.env.ANCHOR_INTERVAL_MS || '300000', 10);
+
+async function startWorker() {
+  const { db } = await connectDB();
+
+  const blockchainReady = await initWeb3();
+  if (!blockchainReady) {
+    throw new Error('Blockchain not available - cannot anchor ledgers');
+  }
+
+  console.log(`[${WORKER_ID}] Anchor worker started. Anchoring every ${ANCHOR_INTERVAL_MS / 1000}s...`);
+
+  while (true) {
+    try {
+      const result = await runAnchorBatch(db, {
+        anchorRoot: anchorMerkleRootOnBlockchain,
+        getAnchorTransaction
+      });
+      if (result.status === 'submitted') {
+        console.log(`[${WORKER_ID}] 📤 Submitted ${result.leafCount} blocks (tx ${result.transactionHash})`);
+      } else if (result.status === 'pending') {
+        console.log(`[${WORKER_ID}] ⏳ Waiting for batch ${result.batchId} to confirm (tx ${result.transactionHash})`);
+      } else if (result.status === 'failed') {
+        console.error(`[${WORKER_ID}] ❌ Anchor failed:`, result.error);
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+    }
+    await new Promise(resolve => setTimeout(resolve, ANCHOR_INTERVAL_MS));
+  }
+}
+
+process.on('SIGINT', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+startWorker().catch(error => {
+  console.error('Failed to start anchor worker:', error);
+  process.exit(1);
+});
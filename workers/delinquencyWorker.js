@@ -0,0 +1,62 @@
+/**
+ * Delinquency Worker - Daily aging of loan repayments
+ *
+ * This worker handles:
+ * - Marking unpaid installments past their due date as overdue
+ * - Recomputing each loan's days past due (DPD), bucket and delinquency state
+ * - Notifying borrowers and collections of bucket changes
+ *   (loan:delinquency_changed events)
+ * - Opening collection cases for newly delinquent loans, settling promises
+ *   to pay and escalating broken ones (server/utils/collections.js)
+ *
+ * Runs every DELINQUENCY_INTERVAL_MS (default: 1 hour) and ages each loan once
+ * per day. Several instances are safe: a MongoDB lock lets only one of them
+ * age loans at a time.
+ */
+
+const { connectDB } = require('../server/db');
+const { runDelinquencyAging } = require('../server/utils/delinquency');
+const { runCollections } = require('../server/utils/collections');
+const crypto = require('crypto');
+
+const WORKER_ID = `delinquency-worker-${crypto.randomBytes(4).toString('hex')}`;
+const DELINQUENCY_INTERVAL_MS = parseInt(process.env.DELINQUENCY_INTERVAL_MS || '3600000', 10);
+
+async function startWorker() {
+  const { db } = await connectDB();
+
+  console.log(`[${WORKER_ID}] Delinquency worker started. Checking every ${DELINQUENCY_INTERVAL_MS / 1000}s...`);
+
+  while (true) {
+    try {
+      const result = await runDelinquencyAging(db);
+      if (result.status === 'done' && result.checked > 0) {
+        console.log(`[${WORKER_ID}] ✅ ${result.aged} loans aged, ${result.bucketChanges} bucket changes, ${result.failed.length} failed`);
+      }
+
+      // Collections follow the freshly aged DPD
+      const collections = await runCollections(db);
+      if (collections.status === 'done' && (collections.opened > 0 || collections.reviewed > 0)) {
+        console.log(`[${WORKER_ID}] 📞 ${collections.opened} cases opened, ${collections.resolved} resolved, ${collections.escalated} escalated, ${collections.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+    }
+    await new Promise(resolve => setTimeout(resolve, DELINQUENCY_INTERVAL_MS));
+  }
+}
+
+process.on('SIGINT', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+startWorker().catch(error => {
+  console.error('Failed to start delinquency worker:', error);
+  process.exit(1);
+});
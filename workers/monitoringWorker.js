@@ -0,0 +1,52 @@
+/**
+ * Monitoring Worker - Default-risk early warning for serviced loans
+ *
+ * This worker handles:
+ * - Scoring each approved or disbursed loan once a day with the default-risk
+ *   model (DPD trend, bounced and partial payments, salary-credit changes)
+ * - Storing the probability, band and the features that drove it
+ * - Raising loan:risk_alert events when a loan crosses RISK_ALERT_PROBABILITY
+ *
+ * Runs every MONITORING_INTERVAL_MS (default: 1 hour). Several instances are
+ * safe: a MongoDB lock lets only one of them score loans at a time.
+ */
+
+const { connectDB } = require('../server/db');
+const { runRiskMonitoring } = require('../server/utils/riskMonitoring');
+const crypto = require('crypto');
+
+const WORKER_ID = `monitoring-worker-${crypto.randomBytes(4).toString('hex')}`;
+const MONITORING_INTERVAL_MS = parseInt(process.env.MONITORING_INTERVAL_MS || '3600000', 10);
+
+async function startWorker() {
+  const { db } = await connectDB();
+
+  console.log(`[${WORKER_ID}] Monitoring worker started. Checking every ${MONITORING_INTERVAL_MS / 1000}s...`);
+
+  while (true) {
+    try {
+      const result = await runRiskMonitoring(db);
+      if (result.status === 'done' && result.checked > 0) {
+        console.log(`[${WORKER_ID}] ✅ ${result.scored} loans scored, ${result.alerts} alerts, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+    }
+    await new Promise(resolve => setTimeout(resolve, MONITORING_INTERVAL_MS));
+  }
+}
+
+process.on('SIGINT', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+startWorker().catch(error => {
+  console.error('Failed to start monitoring worker:', error);
+  process.exit(1);
+});
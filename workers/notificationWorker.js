@@ -0,0 +1,118 @@
+/**
+ * Notification Worker - Borrower notifications over SMS, email and in-app
+ *
+ * This worker handles:
+ * - 'notification:send' events (loan approval from the approval worker)
+ * - 'application:status_changed' events from admin status updates
+ * - 'loan:rate_reset' and 'loan:delinquency_changed' events
+ * - Staff events ('loan:risk_alert', 'collections:escalated'), stored as staff alerts for the admin
+ *   dashboard (server/utils/staffAlerts.js)
+ * - EMI reminders 3 days and 1 day before a due date and the day after a
+ *   missed installment, every REMINDER_INTERVAL_MS (default: 1 hour)
+ *
+ * Messages use templates/notifications.json and the borrower's channel
+ * preferences; deliveries are logged in notification_log
+ * (server/utils/notifications.js). Channels are configured with
+ * NOTIFY_SMS_BACKEND and NOTIFY_EMAIL_BACKEND (utils/notificationChannels.js).
+ *
+ * Run multiple instances for horizontal scaling. Loading the module (e.g. in
+ * tests) does not start the polling loop; deliverNext handles one event.
+ */
+
+const { connectDB } = require('../server/db');
+const { claimEvent, completeEvent, failEvent } = require('../server/utils/eventQueue');
+const { NOTIFICATION_EVENTS, processNotificationEvent, runEmiReminders } = require('../server/utils/notifications');
+const { createNotificationChannels } = require('../utils/notificationChannels');
+const crypto = require('crypto');
+
+const WORKER_ID = `notification-worker-${crypto.randomBytes(4).toString('hex')}`;
+const POLL_INTERVAL_MS = 1000;
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS || '3600000', 10);
+
+async function processNotification(event, db, channels) {
+  const { applicationId } = event.payload;
+  console.log(`[${WORKER_ID}] ${event.type} for ${applicationId} (attempt ${event.attempts}/${event.maxRetries})`);
+
+  try {
+    const result = await processNotificationEvent(db, event, channels);
+    await completeEvent(db, event._id, result);
+    if (result.skipped) {
+      console.log(`[${WORKER_ID}] ⏭️  Skipped: ${result.skipped}`);
+    } else if (result.alertId) {
+      console.log(`[${WORKER_ID}] 🚨 Staff alert ${result.alertId}: ${result.title}`);
+    } else {
+      const sent = result.deliveries.filter(d => d.status === 'sent').map(d => d.channel);
+      console.log(`[${WORKER_ID}] ✅ ${result.templateId} sent via ${sent.join(', ') || 'no channel'}`);
+    }
+  } catch (error) {
+    console.error(`[${WORKER_ID}] ❌ Notification failed:`, error.message);
+    await failEvent(db, event._id, error.message);
+  }
+}
+
+/**
+ * Claim and deliver the next notification event
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} channels - From createNotificationChannels
+ * @returns {Promise<boolean>} false when no event was waiting
+ */
+async function deliverNext(db, channels) {
+  const event = await claimEvent(db, NOTIFICATION_EVENTS, WORKER_ID, 60000);
+  if (!event) return false;
+  await processNotification(event, db, channels);
+  return true;
+}
+
+async function sendReminders(db, channels, asOf = new Date()) {
+  try {
+    const result = await runEmiReminders(db, { asOf, channels });
+    if (result.status === 'done' && (result.sent > 0 || result.failed.length > 0)) {
+      console.log(`[${WORKER_ID}] ⏰ EMI reminders: ${result.sent} sent, ${result.skipped} skipped, ${result.failed.length} failed`);
+    }
+  } catch (error) {
+    console.error(`[${WORKER_ID}] EMI reminders failed:`, error);
+  }
+}
+
+async function startWorker() {
+  const { db } = await connectDB();
+  const channels = createNotificationChannels(db);
+
+  console.log(`[${WORKER_ID}] Notification worker started (sms: ${channels.sms.provider}, email: ${channels.email.provider}). Polling for ${NOTIFICATION_EVENTS.join(', ')}...`);
+
+  let nextReminderAt = 0;
+  while (true) {
+    try {
+      if (Date.now() >= nextReminderAt) {
+        nextReminderAt = Date.now() + REMINDER_INTERVAL_MS;
+        await sendReminders(db, channels);
+      }
+
+      if (!(await deliverNext(db, channels))) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+if (require.main === module) {
+  process.on('SIGINT', () => {
+    console.log(`[${WORKER_ID}] Shutting down...`);
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', () => {
+    console.log(`[${WORKER_ID}] Shutting down...`);
+    process.exit(0);
+  });
+
+  startWorker().catch(error => {
+    console.error('Failed to start notification worker:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { deliverNext, sendReminders };
@@ -0,0 +1,84 @@
+/**
+ * Pinning Worker - Background processor for IPFS pins
+ *
+ * This worker handles:
+ * - 'ipfs:pin' events published when a document is stored with the Pinata backend
+ * - Uploading the locally stored document to Pinata
+ * - Retries with exponential backoff (via failEvent) until PIN_MAX_RETRIES
+ *
+ * Run multiple instances for horizontal scaling. Loading the module (e.g. in
+ * tests) does not start the polling loop; pinNext handles one event.
+ */
+
+const { connectDB } = require('../server/db');
+const { claimEvent, completeEvent, failEvent } = require('../server/utils/eventQueue');
+const { PIN_EVENT, processPinEvent } = require('../server/utils/pinQueue');
+const { localStore, pinataStore } = require('../utils/pinataClient');
+const crypto = require('crypto');
+
+const WORKER_ID = `pinning-worker-${crypto.randomBytes(4).toString('hex')}`;
+const POLL_INTERVAL_MS = 1000;
+
+async function processPin(event, db, stores) {
+  const { cid } = event.payload;
+  console.log(`[${WORKER_ID}] Pinning ${cid} (attempt ${event.attempts}/${event.maxRetries})`);
+
+  try {
+    const result = await processPinEvent(db, event, stores);
+    await completeEvent(db, event._id, result);
+    console.log(`[${WORKER_ID}] ✅ Pinned ${cid} -> ${result.remoteCid}`);
+  } catch (error) {
+    console.error(`[${WORKER_ID}] ❌ Pin failed for ${cid}:`, error.message);
+    await failEvent(db, event._id, error.message);
+  }
+}
+
+/**
+ * Claim and pin the next queued document
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} stores - { localStore, pinataStore } (default: utils/pinataClient.js)
+ * @returns {Promise<boolean>} false when no pin event was waiting
+ */
+async function pinNext(db, stores = { localStore, pinataStore }) {
+  // Pinata uploads can take up to 30s, lock for longer than that
+  const event = await claimEvent(db, PIN_EVENT, WORKER_ID, 60000);
+  if (!event) return false;
+  await processPin(event, db, stores);
+  return true;
+}
+
+async function startWorker() {
+  const { db } = await connectDB();
+
+  console.log(`[${WORKER_ID}] Pinning worker started. Polling for ${PIN_EVENT} events...`);
+
+  while (true) {
+    try {
+      if (!(await pinNext(db))) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+if (require.main === module) {
+  process.on('SIGINT', () => {
+    console.log(`[${WORKER_ID}] Shutting down...`);
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', () => {
+    console.log(`[${WORKER_ID}] Shutting down...`);
+    process.exit(0);
+  });
+
+  startWorker().catch(error => {
+    console.error('Failed to start pinning worker:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { pinNext };
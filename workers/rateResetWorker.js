@@ -0,0 +1,52 @@
+/**
+ * Rate Reset Worker - Benchmark resets of floating-rate loans
+ *
+ * This worker handles:
+ * - Finding floating-rate loans whose reset date has come
+ * - Re-pricing them at the benchmark rate in effect plus their spread
+ * - Regenerating the remaining schedule and notifying the borrower
+ *   (loan:rate_reset events)
+ *
+ * Runs every RATE_RESET_INTERVAL_MS (default: 1 hour). Several instances are
+ * safe: a MongoDB lock lets only one of them re-price at a time.
+ */
+
+const { connectDB } = require('../server/db');
+const { runRateResets } = require('../server/utils/rateReset');
+const crypto = require('crypto');
+
+const WORKER_ID = `rate-reset-worker-${crypto.randomBytes(4).toString('hex')}`;
+const RATE_RESET_INTERVAL_MS = parseInt(process.env.RATE_RESET_INTERVAL_MS || '3600000', 10);
+
+async function startWorker() {
+  const { db } = await connectDB();
+
+  console.log(`[${WORKER_ID}] Rate reset worker started. Checking every ${RATE_RESET_INTERVAL_MS / 1000}s...`);
+
+  while (true) {
+    try {
+      const result = await runRateResets(db);
+      if (result.status === 'done' && result.checked > 0) {
+        console.log(`[${WORKER_ID}] ✅ ${result.checked} loans due: ${result.repriced} re-priced, ${result.unchanged} unchanged, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      console.error(`[${WORKER_ID}] Worker error:`, error);
+    }
+    await new Promise(resolve => setTimeout(resolve, RATE_RESET_INTERVAL_MS));
+  }
+}
+
+process.on('SIGINT', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log(`[${WORKER_ID}] Shutting down...`);
+  process.exit(0);
+});
+
+startWorker().catch(error => {
+  console.error('Failed to start rate reset worker:', error);
+  process.exit(1);
+});